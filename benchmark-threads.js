@@ -15,6 +15,18 @@ const testConfigurations = [
 
 const TEST_LIMIT = 200; // Test with 200 files for quick benchmarking
 
+// Hashing benchmark (`node benchmark-threads.js hashes`): runs update-hashes-db
+// with --dry-run so every configuration hashes the same files
+const hashTestConfigurations = [
+  { threads: 1, volumeConcurrency: 1, label: '1 thread' },
+  { threads: 2, volumeConcurrency: 2, label: '2 threads, 2 per volume' },
+  { threads: 4, volumeConcurrency: 2, label: '4 threads, 2 per volume' },
+  { threads: 4, volumeConcurrency: 4, label: '4 threads, 4 per volume' },
+  { threads: 8, volumeConcurrency: 4, label: '8 threads, 4 per volume' }
+];
+
+const HASH_TEST_LIMIT = 500;
+
 async function runTest(config) {
   return new Promise((resolve, reject) => {
     const startTime = performance.now();
@@ -87,6 +99,118 @@ async function runTest(config) {
   });
 }
 
+async function runHashTest(config) {
+  return new Promise((resolve, reject) => {
+    console.log(chalk.cyan(`\n🧪 Testing: ${config.label}`));
+
+    const args = [
+      'bin/cli.js',
+      'update-hashes-db',
+      '--dry-run',
+      '--no-smart',
+      '--limit', HASH_TEST_LIMIT.toString(),
+      '--threads', config.threads.toString(),
+      '--volume-concurrency', config.volumeConcurrency.toString()
+    ];
+
+    const child = spawn('node', args, {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code) => {
+      // e.g. "Hashed 500 files (1.2 GB) in 12.34s - 99.5 MB/s with 4 threads"
+      const match = stdout.match(/Hashed (\d+) files \(([^)]+)\) in ([\d.]+)s/);
+
+      if (code === 0 && match) {
+        const processedFiles = parseInt(match[1]);
+        const duration = parseFloat(match[3]);
+        const bytes = parseSize(match[2]);
+
+        resolve({
+          config,
+          duration,
+          processedFiles,
+          bytes,
+          throughput: duration > 0 ? bytes / duration / (1024 * 1024) : 0, // MB/s
+          success: true
+        });
+      } else {
+        reject({
+          config,
+          error: stderr || 'Process failed',
+          success: false
+        });
+      }
+    });
+
+    child.on('error', (error) => {
+      reject({
+        config,
+        error: error.message,
+        success: false
+      });
+    });
+  });
+}
+
+/**
+ * Parse a size printed by formatBytes back into bytes
+ */
+function parseSize(text) {
+  const [value, unit] = text.split(' ');
+  const units = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  return parseFloat(value) * Math.pow(1024, Math.max(0, units.indexOf(unit)));
+}
+
+async function runHashBenchmarks() {
+  console.log(chalk.yellow('🚀 Starting Hashing Performance Benchmark'));
+  console.log(chalk.gray(`Test size: up to ${HASH_TEST_LIMIT} files per configuration (dry run, nothing is written)`));
+  console.log(chalk.gray('Note: the first run reads from disk, later runs may be served from the OS cache\n'));
+
+  const results = [];
+
+  for (const config of hashTestConfigurations) {
+    try {
+      const result = await runHashTest(config);
+      results.push(result);
+
+      console.log(chalk.green(`✅ ${result.config.label}`));
+      console.log(chalk.white(`   Duration: ${result.duration.toFixed(2)}s`));
+      console.log(chalk.white(`   Hashed: ${result.processedFiles} files`));
+      console.log(chalk.white(`   Throughput: ${result.throughput.toFixed(2)} MB/s`));
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.config.label}: ${error.error}`));
+    }
+  }
+
+  if (results.length === 0) {
+    console.log(chalk.red('No successful test runs'));
+    return;
+  }
+
+  results.sort((a, b) => b.throughput - a.throughput);
+
+  console.log(chalk.green('\n🏆 Rankings by Throughput (MB/s):'));
+  results.forEach((result, index) => {
+    console.log(`   ${index + 1}. ${result.config.label}: ${result.throughput.toFixed(2)} MB/s`);
+  });
+
+  const fastest = results[0];
+  console.log(chalk.green('\n💡 Recommendation:'));
+  console.log(`   --threads ${fastest.config.threads} --volume-concurrency ${fastest.config.volumeConcurrency}`);
+}
+
 async function runBenchmarks() {
   console.log(chalk.yellow('🚀 Starting Multi-Threading Performance Benchmark'));
   console.log(chalk.gray(`System: 12 CPU cores, 64GB RAM`));
@@ -170,4 +294,8 @@ async function runBenchmarks() {
   }
 }
 
-runBenchmarks().catch(console.error);
\ No newline at end of file
+if (process.argv[2] === 'hashes') {
+  runHashBenchmarks().catch(console.error);
+} else {
+  runBenchmarks().catch(console.error);
+}
\ No newline at end of file
@@ -2,22 +2,40 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import ora from 'ora';
+import createSpinner from 'ora';
 import { Worker } from 'worker_threads';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, sep, resolve as resolvePath } from 'path';
 import { FileScanner } from '../lib/scanner.js';
 import { DuplicateFinder } from '../lib/duplicates.js';
 import { EmptyFinder } from '../lib/empty.js';
 import { LargeFilesFinder } from '../lib/large.js';
 import { BrokenFilesFinder } from '../lib/broken.js';
-import { DatabaseManager } from '../lib/database.js';
+import { createDatabaseManager } from '../lib/storage.js';
+import { IncrementalScanner } from '../lib/incremental.js';
+import { DuplicateResolver, RESOLVE_ACTIONS } from '../lib/resolver.js';
+import { LibraryOrganizer, ORGANIZE_TYPES } from '../lib/organizer.js';
+import { HashPool } from '../lib/hash-pool.js';
+import { QuarantineManager } from '../lib/quarantine.js';
+import { FileWatcher } from '../lib/watcher.js';
 import { MediaMetadataExtractor } from '../lib/media.js';
+import { SimilarPhotoFinder } from '../lib/similar.js';
+import { closeImages } from '../lib/images.js';
+import { DuplicateTrackFinder, formatTrackQuality } from '../lib/duplicate-tracks.js';
+import { ThumbnailCache, THUMBNAIL_SOURCE_EXTENSIONS } from '../lib/thumbnails.js';
+import { findSidecarSubtitles } from '../lib/subtitles.js';
+import { parseEpisode, showKey } from '../lib/shows.js';
+import { CoverCache } from '../lib/covers.js';
+import { ArchiveIndexer, archiveFormat } from '../lib/archives.js';
+import { TagEncodingRepairer } from '../lib/tag-encoding.js';
+import { TagEditor, parseTagValues } from '../lib/tag-editor.js';
+import { JobRunner, databaseEnvironment } from '../lib/jobs.js';
+import { Scheduler } from '../lib/scheduler.js';
 import { ReportGenerator } from '../lib/report.js';
 import { PhotoLibraryGenerator } from '../lib/photo-ui.js';
 import { MusicPlayerGenerator } from '../lib/music-ui.js';
 import { MoviePlayerGenerator } from '../lib/movie-ui.js';
-import { formatBytes, truncatePath, loadConfig } from '../lib/utils.js';
+import { formatBytes, formatDuration, formatDate, truncatePath, loadConfig } from '../lib/utils.js';
 import fs from 'fs/promises';
 
 const program = new Command();
@@ -32,21 +50,54 @@ const config = loadConfig();
 // Global database manager instance
 let dbManager = null;
 
+// Background jobs run the CLI without a terminal, where ora hides spinner
+// updates; there every spinner text change is printed as a line instead
+// (at most once a second) so the job log shows progress
+const ora = process.env.SILVERFS_JOB ? options => logSpinnerText(createSpinner(options)) : createSpinner;
+
+function logSpinnerText(spinner) {
+  const text = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(spinner), 'text');
+  let loggedAt = 0;
+
+  Object.defineProperty(spinner, 'text', {
+    get: () => text.get.call(spinner),
+    set: value => {
+      text.set.call(spinner, value);
+      if (Date.now() - loggedAt >= 1000) {
+        loggedAt = Date.now();
+        console.log(value);
+      }
+    }
+  });
+  return spinner;
+}
+
+// Helper function to build the database configuration from the --db-* options
+function getDatabaseConfig(options) {
+  // Use config file values as defaults, allow CLI options to override
+  return {
+    type: config.database.type,
+    filename: config.database.filename,
+    host: options.dbHost || config.database.host,
+    port: parseInt(options.dbPort || config.database.port),
+    user: options.dbUser || config.database.user,
+    password: options.dbPassword || config.database.password,
+    database: options.dbName || config.database.database
+  };
+}
+
 // Helper function to initialize database if --db flag is set
 async function initDatabase(options) {
   if (options.db) {
-    // Use config file values as defaults, allow CLI options to override
-    const dbConfig = {
-      host: options.dbHost || config.database.host,
-      port: parseInt(options.dbPort || config.database.port),
-      user: options.dbUser || config.database.user,
-      password: options.dbPassword || config.database.password,
-      database: options.dbName || config.database.database
-    };
+    const dbConfig = getDatabaseConfig(options);
     
-    console.log(chalk.gray(`Connecting to database: ${dbConfig.user}@${dbConfig.host}:${dbConfig.port}/${dbConfig.database}`));
+    if (dbConfig.type === 'sqlite') {
+      console.log(chalk.gray(`Opening database: ${dbConfig.filename}`));
+    } else {
+      console.log(chalk.gray(`Connecting to database: ${dbConfig.user}@${dbConfig.host}:${dbConfig.port}/${dbConfig.database}`));
+    }
     
-    dbManager = new DatabaseManager(dbConfig);
+    dbManager = createDatabaseManager(dbConfig);
     await dbManager.connect();
     await dbManager.initializeTables();
     await dbManager.updateSchema();
@@ -62,6 +113,41 @@ async function closeDatabase() {
   }
 }
 
+// Helper function to collect repeatable options into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// Helper function to move found files into quarantine; `verify(file)` may throw to skip a file
+async function quarantineFiles(db, files, reason, spinner, verify = null) {
+  const quarantine = new QuarantineManager(db, { directory: config.quarantine.directory });
+  const results = { quarantined: [], failed: [] };
+  
+  spinner.start('Moving files to quarantine...');
+  for (const file of files) {
+    try {
+      if (verify) {
+        await verify(file);
+      }
+      results.quarantined.push(await quarantine.quarantineFile(file.path, { reason, hash: file.hash }));
+    } catch (err) {
+      results.failed.push({ path: file.path, error: err.message });
+    }
+    spinner.text = `Quarantining... ${results.quarantined.length + results.failed.length}/${files.length}`;
+  }
+  spinner.succeed('Quarantine complete!');
+  
+  console.log(chalk.green(`\n✓ Quarantined ${results.quarantined.length} files in ${config.quarantine.directory}`));
+  results.failed.forEach(failure => {
+    console.log(chalk.yellow(`⚠ ${truncatePath(failure.path)}: ${failure.error}`));
+  });
+  if (results.quarantined.length > 0) {
+    console.log(chalk.gray('   Review with: silverfs quarantine list'));
+  }
+  
+  return results;
+}
+
 program
   .name('silverfs')
   .description('SilverFileSystem - Node.js file management tool for finding duplicates, empty files, and more')
@@ -74,6 +160,7 @@ program
   .argument('<paths...>', 'Directories to scan')
   .option('-m, --min-size <bytes>', `Minimum file size to check (in bytes) (default: ${config.duplicates.minSize})`)
   .option('-q, --quick', `Use quick hash (faster but less accurate) (default: ${config.duplicates.useQuickHash})`)
+  .option('--quarantine', 'Move every copy except the one picked by the keep rules to quarantine (requires database)')
   .option('--db', 'Store results in MySQL database')
   .option('--db-host <host>', `Database host (default: ${config.database.host})`)
   .option('--db-port <port>', `Database port (default: ${config.database.port})`)
@@ -84,8 +171,8 @@ program
     const spinner = ora('Scanning for duplicate files...').start();
     
     try {
-      // Initialize database if requested
-      const db = await initDatabase(options);
+      // Initialize database if requested (the quarantine manifest lives in the database)
+      const db = await initDatabase({ ...options, db: options.db || options.quarantine });
       
       const scanner = new FileScanner();
       const finder = new DuplicateFinder(scanner);
@@ -97,7 +184,7 @@ program
       const wastedSpace = finder.calculateWastedSpace(duplicates);
       
       // Store duplicates in database if enabled
-      if (db && duplicates.length > 0) {
+      if (options.db && duplicates.length > 0) {
         spinner.text = 'Storing duplicate groups to database...';
         for (const group of duplicates) {
           if (group.length > 0 && group[0].hash) {
@@ -117,7 +204,7 @@ program
       console.log(chalk.yellow(`\nFound ${duplicates.length} groups of duplicate files:`));
       console.log(chalk.gray(`Wasted space: ${formatBytes(wastedSpace)}\n`));
       
-      if (db) {
+      if (options.db) {
         console.log(chalk.green(`Database: Stored ${duplicates.length} duplicate groups\n`));
       }
       
@@ -128,6 +215,21 @@ program
         });
       });
       
+      if (options.quarantine) {
+        const resolver = new DuplicateResolver({
+          rules: config.resolveDuplicates.rules,
+          preferredRoots: config.resolveDuplicates.preferredRoots,
+          pathPriority: config.resolveDuplicates.pathPriority
+        });
+        const plan = resolver.plan(duplicates.map(group => ({ hash: group[0].hash, size: group[0].size, files: group })));
+        const groups = new Map(plan.flatMap(group => group.remove.map(file => [file, group])));
+        // Compare each copy with the kept file in full right before moving it
+        await quarantineFiles(db, [...groups.keys()], 'duplicate', spinner, file => {
+          const group = groups.get(file);
+          return resolver.verifyCopy(group.keep.path, file.path, group.size);
+        });
+      }
+      
       await closeDatabase();
       
     } catch (err) {
@@ -143,7 +245,13 @@ program
   .command('empty-files')
   .description('Find empty files (0 bytes)')
   .argument('<paths...>', 'Directories to scan')
-  .action(async (paths) => {
+  .option('--quarantine', 'Move the empty files to quarantine (requires database)')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (paths, options) => {
     const spinner = ora('Scanning for empty files...').start();
     
     try {
@@ -167,9 +275,16 @@ program
         console.log(chalk.white(`  ${truncatePath(file.path)}`));
       });
       
+      if (options.quarantine) {
+        const db = await initDatabase({ ...options, db: true });
+        await quarantineFiles(db, allEmptyFiles, 'empty-file', spinner);
+        await closeDatabase();
+      }
+      
     } catch (err) {
       spinner.fail('Scan failed');
       console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
       process.exit(1);
     }
   });
@@ -257,7 +372,13 @@ program
   .command('broken-symlinks')
   .description('Find broken symbolic links')
   .argument('<paths...>', 'Directories to scan')
-  .action(async (paths) => {
+  .option('--quarantine', 'Move the broken links to quarantine (requires database)')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (paths, options) => {
     const spinner = ora('Scanning for broken symbolic links...').start();
     
     try {
@@ -282,9 +403,16 @@ program
         console.log(chalk.gray(`    → ${link.target} (target not found)`));
       });
       
+      if (options.quarantine) {
+        const db = await initDatabase({ ...options, db: true });
+        await quarantineFiles(db, allBrokenLinks, 'broken-symlink', spinner);
+        await closeDatabase();
+      }
+      
     } catch (err) {
       spinner.fail('Scan failed');
       console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
       process.exit(1);
     }
   });
@@ -330,8 +458,12 @@ program
 program
   .command('scan')
   .description('Quick overview scan of directory')
-  .argument('<path>', 'Directory to scan')
+  .argument('[path]', 'Directory to scan (taken from the session with --resume)')
   .option('--db', 'Store results in MySQL database')
+  .option('--incremental', 'Only store new, changed and removed files compared to the database (requires --db)')
+  .option('--resume <scanId>', 'Continue an interrupted scan from its last checkpoint (requires --db)')
+  .option('--batch-size <number>', 'Files stored per database checkpoint', '1000')
+  .option('--index-archives', 'List the files inside zip and tar archives so they take part in duplicate detection (requires --db)')
   .option('--db-host <host>', `Database host (default: ${config.database.host})`)
   .option('--db-port <port>', `Database port (default: ${config.database.port})`)
   .option('--db-user <user>', `Database user (default: ${config.database.user})`)
@@ -341,8 +473,30 @@ program
     const spinner = ora('Scanning directory...').start();
     let scanId = null;
     let mediaExtractor = null;
+    let onInterrupt = null;
     
     try {
+      if (options.incremental && !options.db) {
+        throw new Error('--incremental requires --db');
+      }
+      if (options.resume && !options.db) {
+        throw new Error('--resume requires --db');
+      }
+      if (options.resume && options.incremental) {
+        throw new Error('--resume cannot be combined with --incremental');
+      }
+      if (options.indexArchives && !options.db) {
+        throw new Error('--index-archives requires --db');
+      }
+      if (!dirPath && !options.resume) {
+        throw new Error('A directory to scan is required');
+      }
+      
+      // Store absolute paths so full and incremental scans of a tree match up
+      if (dirPath) {
+        dirPath = resolvePath(dirPath);
+      }
+      
       // Initialize database if requested
       const db = await initDatabase(options);
       
@@ -351,11 +505,50 @@ program
         mediaExtractor = new MediaMetadataExtractor();
       }
       
-      if (db) {
-        scanId = await db.createScanSession(dirPath);
+      // Directories still to walk when resuming, and what the session stored before
+      let queue;
+      let resumed = null;
+      
+      if (db && options.resume) {
+        const session = await db.getScanSession(parseInt(options.resume));
+        if (!session) {
+          throw new Error(`Scan session #${options.resume} not found`);
+        }
+        if (session.end_time) {
+          throw new Error(`Scan session #${session.id} has already completed`);
+        }
+        if (!session.checkpoint) {
+          throw new Error(`Scan session #${session.id} has no checkpoint to resume from`);
+        }
+        if (dirPath && resolvePath(dirPath) !== resolvePath(session.scan_path)) {
+          throw new Error(`Scan session #${session.id} scanned ${session.scan_path}, not ${dirPath}`);
+        }
+        
+        scanId = session.id;
+        dirPath = session.scan_path;
+        queue = session.checkpoint;
+        resumed = { files: Number(session.total_files), size: Number(session.total_size) };
+        await db.setScanStatus(scanId, 'running');
+        spinner.text = `Resuming scan #${scanId} with ${queue.length} directories left...`;
+      } else if (db) {
+        scanId = await db.createScanSession(dirPath, options.incremental ? 'incremental' : 'full');
+        if (!options.incremental) {
+          // Checkpoint the root right away so even an early interruption can be resumed
+          await db.storeScanBatch(scanId, [], [{ path: dirPath, depth: 0 }]);
+        }
         spinner.text = 'Scanning directory and storing to database...';
       }
       
+      if (db && !options.incremental) {
+        onInterrupt = async () => {
+          spinner.fail(`Scan #${scanId} interrupted`);
+          await db.setScanStatus(scanId, 'interrupted');
+          console.log(chalk.yellow(`Resume with: silverfs scan --db --resume ${scanId}`));
+          process.exit(130);
+        };
+        process.once('SIGINT', onInterrupt);
+      }
+      
       const scanner = new FileScanner();
       
       // Progress callback for detailed logging
@@ -370,95 +563,179 @@ program
           case 'complete':
             spinner.text = `Scan complete: ${progress.totalFiles} files from ${progress.processedDirs} directories`;
             break;
+          case 'compare':
+            spinner.text = `Comparing ${progress.totalFiles} files with database...`;
+            break;
+          case 'store':
+            spinner.text = `Storing ${progress.stage} files to database... ${progress.done}/${progress.total}`;
+            break;
         }
       };
 
-      const files = await scanner.scanDirectory(dirPath, progressCallback);
-      
-      // Store files in database if enabled
-      if (db && files.length > 0) {
-        spinner.text = 'Storing files to database...';
-        const batchSize = 100;
-        let storedCount = 0;
-        
-        for (let i = 0; i < files.length; i += batchSize) {
-          const batch = files.slice(i, i + batchSize);
-          await db.storeFilesBatch(batch, scanId);
-          storedCount += batch.length;
-          spinner.text = `Storing files to database... ${storedCount}/${files.length}`;
+      // Running totals for the overview, so the scanned files don't have to be kept around
+      const summary = { files: 0, size: 0, empty: 0, extensions: new Map() };
+      const addToSummary = file => {
+        summary.files++;
+        summary.size += file.size;
+        if (file.size === 0) {
+          summary.empty++;
         }
-        
-        // Extract and store media metadata if requested
-        if (options.extractMedia && mediaExtractor) {
-          spinner.text = 'Extracting media metadata...';
-          let mediaCount = 0;
-          
-          for (const file of files) {
-            const result = await mediaExtractor.extractMetadata(file.path);
-            if (result) {
-              mediaCount++;
-              spinner.text = `Extracting media metadata... (${mediaCount} files processed)`;
-              
-              // Get file ID from database
-              const [rows] = await db.connection.execute(
-                'SELECT id FROM scanned_files WHERE path = ? AND scan_id = ?',
-                [file.path, scanId]
-              );
+        const ext = file.name.match(/\.([^.]+)$/)?.[1] || 'no extension';
+        if (!summary.extensions.has(ext)) {
+          summary.extensions.set(ext, { count: 0, size: 0 });
+        }
+        const stats = summary.extensions.get(ext);
+        stats.count++;
+        stats.size += file.size;
+      };
+      
+      // Extract and store media metadata for files already stored in this scan session
+      let mediaCount = 0;
+      const extractMedia = async files => {
+        for (const file of files) {
+          const result = await mediaExtractor.extractMetadata(file.path);
+          if (result) {
+            mediaCount++;
+            spinner.text = `Extracting media metadata... (${mediaCount} files processed)`;
+            
+            // Get file ID from database
+            const [rows] = await db.connection.execute(
+              'SELECT id FROM scanned_files WHERE path = ? AND scan_id = ?',
+              [file.path, scanId]
+            );
+            
+            if (rows.length > 0) {
+              const fileId = rows[0].id;
               
-              if (rows.length > 0) {
-                const fileId = rows[0].id;
-                
-                if (result.type === 'photo') {
-                  await db.storePhotoMetadata(fileId, result.metadata);
-                } else if (result.type === 'music') {
-                  await db.storeMusicMetadata(fileId, result.metadata);
-                } else if (result.type === 'video') {
-                  await db.storeVideoMetadata(fileId, result.metadata);
-                }
+              if (result.type === 'photo') {
+                await db.storePhotoMetadata(fileId, result.metadata);
+              } else if (result.type === 'music') {
+                await db.storeMusicMetadata(fileId, result.metadata);
+              } else if (result.type === 'video') {
+                await db.storeVideoMetadata(fileId, result.metadata);
               }
             }
           }
-          
-          if (mediaCount > 0) {
-            console.log(chalk.green(`\nExtracted metadata for ${mediaCount} media files`));
+        }
+      };
+      
+      // Index the archives among files already stored in this scan session
+      const archiveIndexer = options.indexArchives ? new ArchiveIndexer(db) : null;
+      const archiveCount = { archives: 0, entries: 0, failed: 0 };
+      const indexArchives = async files => {
+        const archives = [];
+        for (const file of files.filter(file => archiveFormat(file.path))) {
+          const row = await db.getFileByPath(file.path);
+          if (row) {
+            archives.push({ id: row.id, path: row.path, indexed: false });
+          }
+        }
+        const result = await archiveIndexer.indexArchives(archives, {
+          progressCallback: progress => {
+            spinner.text = `Indexing archives... (${archiveCount.archives + progress.indexed} archives processed)`;
+          }
+        });
+        archiveCount.archives += result.indexed;
+        archiveCount.entries += result.entries;
+        archiveCount.failed += result.failed.length;
+      };
+      
+      let changes = null;
+      
+      if (options.incremental) {
+        const incrementalScanner = new IncrementalScanner(db, scanner);
+        const result = await incrementalScanner.scan(dirPath, scanId, progressCallback);
+        result.files.forEach(addToSummary);
+        changes = {
+          added: result.added.length,
+          changed: result.changed.length,
+          removed: result.removed,
+          unchanged: result.unchanged
+        };
+        // Unchanged files already have their metadata
+        if (mediaExtractor) {
+          spinner.text = 'Extracting media metadata...';
+          await extractMedia([...result.added, ...result.changed]);
+        }
+        if (archiveIndexer) {
+          await indexArchives([...result.added, ...result.changed]);
+        }
+      } else if (db) {
+        // Store batches while walking, each with a checkpoint of the directories left
+        await scanner.scanInBatches(dirPath, {
+          queue,
+          batchSize: Math.max(1, parseInt(options.batchSize) || 1000),
+          progressCallback,
+          onBatch: async (batch, remaining) => {
+            await db.storeScanBatch(scanId, batch, remaining);
+            batch.forEach(addToSummary);
+            if (mediaExtractor) {
+              await extractMedia(batch);
+            }
+            if (archiveIndexer) {
+              await indexArchives(batch);
+            }
+          }
+        });
+      } else {
+        for await (const entry of scanner.walk(dirPath, { progressCallback })) {
+          if (entry.type === 'file') {
+            addToSummary(entry);
           }
         }
-        
-        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
-        await db.completeScanSession(scanId, files.length, totalSize);
       }
       
-      spinner.succeed('Scan complete!');
+      if (mediaCount > 0) {
+        console.log(chalk.green(`\nExtracted metadata for ${mediaCount} media files`));
+      }
+      if (archiveCount.archives > 0 || archiveCount.failed > 0) {
+        console.log(chalk.green(`\nIndexed ${archiveCount.entries} files in ${archiveCount.archives} archives`));
+        if (archiveCount.failed > 0) {
+          console.log(chalk.yellow(`⚠ ${archiveCount.failed} archives could not be read`));
+        }
+      }
       
-      // Calculate statistics
-      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
-      const emptyFiles = files.filter(f => f.size === 0);
+      if (db) {
+        await db.completeScanSession(
+          scanId,
+          summary.files + (resumed?.files || 0),
+          summary.size + (resumed?.size || 0),
+          changes
+        );
+      }
       
-      // Group by extension
-      const extensions = new Map();
-      files.forEach(file => {
-        const ext = file.name.match(/\.([^.]+)$/)?.[1] || 'no extension';
-        if (!extensions.has(ext)) {
-          extensions.set(ext, { count: 0, size: 0 });
-        }
-        const stats = extensions.get(ext);
-        stats.count++;
-        stats.size += file.size;
-      });
+      if (onInterrupt) {
+        process.removeListener('SIGINT', onInterrupt);
+      }
+      
+      spinner.succeed('Scan complete!');
       
       console.log(chalk.yellow('\n=== Directory Overview ===\n'));
       console.log(chalk.white(`Path: ${dirPath}`));
-      console.log(chalk.white(`Total files: ${files.length}`));
-      console.log(chalk.white(`Total size: ${formatBytes(totalSize)}`));
-      console.log(chalk.white(`Empty files: ${emptyFiles.length}`));
+      console.log(chalk.white(`Total files: ${summary.files + (resumed?.files || 0)}`));
+      console.log(chalk.white(`Total size: ${formatBytes(summary.size + (resumed?.size || 0))}`));
+      console.log(chalk.white(`Empty files: ${summary.empty}`));
       
       if (db) {
         console.log(chalk.green(`Database: Stored in scan session #${scanId}`));
       }
       
-      if (extensions.size > 0) {
+      if (resumed) {
+        // File types and empty files below only cover the resumed part
+        console.log(chalk.gray(`Resumed from checkpoint: ${resumed.files} files were stored before, ${summary.files} in this run`));
+      }
+      
+      if (changes) {
+        console.log(chalk.yellow('\n=== Incremental Changes ===\n'));
+        console.log(chalk.green(`  Added: ${changes.added}`));
+        console.log(chalk.cyan(`  Changed: ${changes.changed}`));
+        console.log(chalk.red(`  Removed: ${changes.removed}`));
+        console.log(chalk.gray(`  Unchanged: ${changes.unchanged}`));
+      }
+      
+      if (summary.extensions.size > 0) {
         console.log(chalk.yellow('\n=== Top File Types ===\n'));
-        const sorted = Array.from(extensions.entries())
+        const sorted = Array.from(summary.extensions.entries())
           .sort((a, b) => b[1].size - a[1].size)
           .slice(0, 10);
         
@@ -475,6 +752,85 @@ program
     } catch (err) {
       spinner.fail('Scan failed');
       console.error(chalk.red(`Error: ${err.message}`));
+      if (onInterrupt) {
+        // Batches stored so far are kept and the checkpoint points past them
+        await dbManager.setScanStatus(scanId, 'interrupted').catch(() => {});
+        console.log(chalk.yellow(`Resume with: silverfs scan --db --resume ${scanId}`));
+      }
+      await closeDatabase();
+      if (mediaExtractor) {
+        await mediaExtractor.cleanup();
+      }
+      process.exit(1);
+    }
+  });
+
+// Watch command (keeps the database in sync with a directory)
+program
+  .command('watch')
+  .description('Watch a directory and keep the database in sync with it')
+  .argument('<path>', 'Directory to watch')
+  .option('--reconcile-interval <minutes>', `Minutes between full reconciliation sweeps (default: ${config.watch.reconcileMinutes})`)
+  .option('--debounce <ms>', `Delay before a burst of events is applied (default: ${config.watch.debounceMs})`)
+  .option('--max-wait <ms>', `Longest delay before events are applied while they keep arriving (default: ${config.watch.maxWaitMs})`)
+  .option('--no-media', 'Do not extract metadata from new or changed media files')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (dirPath, options) => {
+    const spinner = ora('Starting watcher...').start();
+    let watcher = null;
+    let mediaExtractor = null;
+    
+    const log = (color, message) => {
+      console.log(`${chalk.gray(`[${new Date().toLocaleTimeString()}]`)} ${color(message)}`);
+    };
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      
+      if (options.media) {
+        mediaExtractor = new MediaMetadataExtractor();
+      }
+      
+      watcher = new FileWatcher(db, {
+        scanner: new FileScanner(config.scanner),
+        mediaExtractor,
+        debounceMs: parseInt(options.debounce || config.watch.debounceMs),
+        maxWaitMs: parseInt(options.maxWait || config.watch.maxWaitMs),
+        reconcileIntervalMs: parseFloat(options.reconcileInterval || config.watch.reconcileMinutes) * 60 * 1000
+      });
+      
+      watcher.on('added', file => log(chalk.green, `+ ${truncatePath(file.path)}`));
+      watcher.on('changed', file => log(chalk.cyan, `~ ${truncatePath(file.path)}`));
+      watcher.on('removed', entry => log(chalk.red, `- ${truncatePath(entry.path)}${entry.count > 1 ? ` (${entry.count} files)` : ''}`));
+      watcher.on('media', entry => log(chalk.magenta, `♪ ${entry.type} metadata: ${truncatePath(entry.path)}`));
+      watcher.on('error', err => log(chalk.yellow, `⚠ ${err.message}`));
+      watcher.on('reconcile', result => {
+        log(chalk.gray, `Reconciled: ${result.added} added, ${result.changed} changed, ${result.removed} removed, ${result.unchanged} unchanged`);
+      });
+      
+      spinner.text = `Reconciling ${dirPath} with database...`;
+      await watcher.start(dirPath);
+      spinner.succeed(`Watching ${dirPath} (scan session #${watcher.scanId}). Press Ctrl+C to stop.`);
+      
+      const shutdown = async () => {
+        log(chalk.gray, 'Stopping watcher...');
+        await watcher.stop();
+        await closeDatabase();
+        if (mediaExtractor) {
+          await mediaExtractor.cleanup();
+        }
+        process.exit(0);
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+      
+    } catch (err) {
+      spinner.fail('Watch failed');
+      console.error(chalk.red(`Error: ${err.message}`));
       await closeDatabase();
       if (mediaExtractor) {
         await mediaExtractor.cleanup();
@@ -493,6 +849,7 @@ program
   .option('--db-password <password>', 'Database password', config.database.password)
   .option('--db-name <name>', 'Database name', config.database.database)
   .option('--scan-id <id>', 'Process only files from specific scan session')
+  .option('--root <path>', 'Process only files below this folder')
   .option('--limit <number>', 'Limit number of files to process', '0')
   .option('--skip-existing', 'Skip files that already have metadata', false)
   .option('--threads <number>', 'Number of worker threads to use', '4')
@@ -519,13 +876,7 @@ program
     
     try {
       // Force database connection
-      const db = new DatabaseManager({
-        host: options.dbHost,
-        port: parseInt(options.dbPort),
-        user: options.dbUser,
-        password: options.dbPassword,
-        database: options.dbName
-      });
+      const db = createDatabaseManager(getDatabaseConfig(options));
       
       await db.connect();
       await db.initializeTables();
@@ -550,6 +901,12 @@ program
         params.push(parseInt(options.scanId));
       }
       
+      if (options.root) {
+        const root = join(resolvePath(options.root), sep);
+        query += ' AND SUBSTR(sf.path, 1, CHAR_LENGTH(?)) = ?';
+        params.push(root, root);
+      }
+      
       if (options.skipExisting) {
         query += ` AND sf.id NOT IN (
           SELECT file_id FROM photo_metadata
@@ -600,13 +957,7 @@ program
           const worker = new Worker(workerPath, {
             workerData: {
               files: batch,
-              dbConfig: {
-                host: options.dbHost,
-                port: parseInt(options.dbPort),
-                user: options.dbUser,
-                password: options.dbPassword,
-                database: options.dbName
-              }
+              dbConfig: getDatabaseConfig(options)
             }
           });
           
@@ -701,118 +1052,1362 @@ program
         }
       }
       
-      spinner.succeed('Multi-threaded media metadata extraction complete!');
+      spinner.succeed('Multi-threaded media metadata extraction complete!');
+      
+      console.log(chalk.yellow('\n📊 === Extraction Summary === 📊\n'));
+      console.log(chalk.white(`📁 Total files processed: ${chalk.bold(totalProcessed)}`));
+      console.log(chalk.green(`✅ Successfully extracted: ${chalk.bold(totalExtracted)} (${((totalExtracted/totalProcessed)*100).toFixed(1)}%)`));
+      
+      if (totalSkipped > 0) {
+        console.log(chalk.yellow(`⚠️  Skipped files: ${chalk.bold(totalSkipped)} (${((totalSkipped/totalProcessed)*100).toFixed(1)}%)`));
+      }
+      
+      if (totalErrors > 0) {
+        console.log(chalk.red(`❌ Error files: ${chalk.bold(totalErrors)} (${((totalErrors/totalProcessed)*100).toFixed(1)}%)`));
+      }
+      
+      console.log(chalk.cyan(`\n⚡ Performance: Used ${numThreads} worker threads processing ${batches.length} batches`));
+      console.log(chalk.cyan(`📈 Throughput: ${(totalProcessed/batches.length).toFixed(1)} files per batch`));
+      
+      // Final recommendations
+      if (totalSkipped > totalExtracted * 0.1) {
+        console.log(chalk.yellow(`\n💡 Notice: High skip rate (${((totalSkipped/totalProcessed)*100).toFixed(1)}%). Check file accessibility or format support.`));
+      }
+      
+      if (totalErrors > totalProcessed * 0.05) {
+        console.log(chalk.red(`\n⚠️  Warning: High error rate (${((totalErrors/totalProcessed)*100).toFixed(1)}%). Review error details above.`));
+      }
+      
+      // Log final summary to file
+      if (logFile) {
+        await logToFile(`\n${'='.repeat(50)}`);
+        await logToFile(`SUMMARY: Processed: ${totalProcessed} | Extracted: ${totalExtracted} | Skipped: ${totalSkipped} | Errors: ${totalErrors}`);
+        await logToFile(`SUCCESS_RATE: ${((totalExtracted/totalProcessed)*100).toFixed(1)}%`);
+        console.log(chalk.cyan(`\n📝 Detailed logs saved to: ${logFile}`));
+      }
+      
+      await db.close();
+      
+    } catch (err) {
+      spinner.fail('Extraction failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      if (db) {
+        await db.close();
+      }
+      process.exit(1);
+    }
+  });
+
+// Repair music tags stored in the wrong encoding
+program
+  .command('fix-music-encoding')
+  .description('Find music tags and file names that were decoded with the wrong encoding (like "Äêªd" for "爛泥") and repair them')
+  .option('--id <id>', 'Check only the file with this database id')
+  .option('--path <path>', 'Check only the file with this path')
+  .option('--limit <number>', 'Limit number of files to check')
+  .option('--encoding <names>', 'Comma-separated encodings to try (utf-8, gbk, big5, shift_jis, cp1251; default: all)')
+  .option('--write-files', 'Also write repaired tags into the files (formats exiftool can write, like M4A) and rename files with repaired names')
+  .option('--dry-run', 'Only show the repairs that would be made')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading music tags...').start();
+    let repairer = null;
+    
+    try {
+      repairer = new TagEncodingRepairer(options.encoding ? { encodings: options.encoding.split(',').map(name => name.trim().toLowerCase()) } : {});
+      const db = await initDatabase({ ...options, db: true });
+      const tracks = await db.getMusicTags({
+        id: options.id ? parseInt(options.id) : null,
+        path: options.path ? resolvePath(options.path) : null,
+        limit: options.limit ? parseInt(options.limit) : null
+      });
+      
+      const found = [];
+      for (const [index, track] of tracks.entries()) {
+        spinner.text = `Checking tags... ${index + 1}/${tracks.length}`;
+        const repairs = await repairer.repairTrack(track);
+        if (repairs.length > 0) {
+          found.push({ track, repairs });
+        }
+      }
+      spinner.succeed(`Checked ${tracks.length} tracks: ${found.length} need repairs`);
+      
+      let fixedTags = 0;
+      let renamed = 0;
+      const failed = [];
+      for (const { track, repairs } of found) {
+        console.log(chalk.white(`\n#${track.id} ${truncatePath(track.path)}`));
+        repairs.forEach(repair => {
+          const detected = repair.language ? `, ${repair.language}` : '';
+          console.log(chalk.red(`  - ${repair.field}: ${repair.from}`));
+          console.log(chalk.green(`  + ${repair.field}: ${repair.to}`) + chalk.gray(` (${repair.encoding}${detected})`));
+        });
+        if (options.dryRun) {
+          continue;
+        }
+        
+        const tags = Object.fromEntries(repairs.filter(repair => repair.field !== 'name').map(repair => [repair.field, repair.to]));
+        const newName = repairs.find(repair => repair.field === 'name')?.to;
+        
+        if (Object.keys(tags).length > 0) {
+          await db.updateMusicTags(track.id, tags);
+          fixedTags++;
+          if (options.writeFiles) {
+            try {
+              await repairer.writeTags(track.path, tags);
+            } catch (err) {
+              failed.push({ path: track.path, error: `tags not written: ${err.message}` });
+            }
+          }
+        }
+        
+        if (newName && options.writeFiles) {
+          const newPath = join(dirname(track.path), newName);
+          const taken = await fs.access(newPath).then(() => true, () => false);
+          try {
+            if (taken) {
+              throw new Error(`${newName} already exists`);
+            }
+            await fs.rename(track.path, newPath);
+            await db.renameFile(track.id, newPath);
+            renamed++;
+          } catch (err) {
+            failed.push({ path: track.path, error: `not renamed: ${err.message}` });
+          }
+        }
+      }
+      
+      if (options.dryRun) {
+        console.log(chalk.yellow('\n⚠ Dry run - no changes made'));
+      } else {
+        console.log(chalk.green(`\n✓ Repaired the tags of ${fixedTags} tracks in the database`));
+        if (options.writeFiles) {
+          console.log(chalk.green(`✓ Renamed ${renamed} files`));
+        } else if (found.some(({ repairs }) => repairs.some(repair => repair.field === 'name'))) {
+          console.log(chalk.gray('  File names are only repaired with --write-files, which renames the files'));
+        }
+        failed.forEach(failure => {
+          console.log(chalk.yellow(`  ⚠ ${truncatePath(failure.path)}: ${failure.error}`));
+        });
+      }
+      
+      await repairer.close();
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Encoding repair failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await repairer?.close();
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Edit music tags in the files and the database
+program
+  .command('edit-tags')
+  .description('Change the tags of a track or a whole album, in the files (formats exiftool can write, like M4A) and the database')
+  .option('--id <id>', 'Edit the file with this database id')
+  .option('--path <path>', 'Edit the file with this path')
+  .option('--album-id <id>', 'Edit every track of the album with this id')
+  .option('--title <text>', 'New title (single tracks only)')
+  .option('--artist <text>', 'New artist')
+  .option('--album <text>', 'New album')
+  .option('--album-artist <text>', 'New album artist')
+  .option('--year <year>', 'New year')
+  .option('--genre <text>', 'New genre')
+  .option('--track <number>', 'New track number (single tracks only)')
+  .option('--track-total <number>', 'New number of tracks')
+  .option('--disc <number>', 'New disc number (single tracks only)')
+  .option('--disc-total <number>', 'New number of discs')
+  .option('--dry-run', 'Only show the changes that would be made')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading music tags...').start();
+    let editor = null;
+    
+    try {
+      if ([options.id, options.path, options.albumId].filter(Boolean).length !== 1) {
+        throw new Error('Choose the tracks with one of --id, --path or --album-id');
+      }
+      
+      // An empty value ("") clears a tag
+      const input = {
+        title: options.title,
+        artist: options.artist,
+        album: options.album,
+        album_artist: options.albumArtist,
+        year: options.year,
+        genre: options.genre,
+        track_number: options.track,
+        track_total: options.trackTotal,
+        disk_number: options.disc,
+        disk_total: options.discTotal
+      };
+      const values = parseTagValues(
+        Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined)),
+        { album: Boolean(options.albumId) }
+      );
+      
+      const db = await initDatabase({ ...options, db: true });
+      editor = new TagEditor(db);
+      
+      let tracks;
+      if (options.albumId) {
+        const album = await db.getAlbum(parseInt(options.albumId));
+        tracks = album ? await db.getMusicTags({ album: album.name, albumArtist: album.artist }) : [];
+      } else {
+        tracks = await db.getMusicTags({
+          id: options.id ? parseInt(options.id) : null,
+          path: options.path ? resolvePath(options.path) : null
+        });
+      }
+      if (tracks.length === 0) {
+        throw new Error(options.albumId ? 'Album not found' : 'Track not found');
+      }
+      
+      const changes = editor.plan(tracks, values);
+      spinner.succeed(`Loaded ${tracks.length} tracks: ${changes.length} tags to change`);
+      
+      for (const track of tracks) {
+        const trackChanges = changes.filter(change => change.fileId === track.id);
+        if (trackChanges.length === 0) {
+          continue;
+        }
+        console.log(chalk.white(`\n#${track.id} ${truncatePath(track.path)}`));
+        trackChanges.forEach(change => {
+          console.log(chalk.red(`  - ${change.field}: ${change.oldValue ?? ''}`));
+          console.log(chalk.green(`  + ${change.field}: ${change.newValue ?? ''}`));
+        });
+      }
+      
+      if (options.dryRun) {
+        console.log(chalk.yellow('\n⚠ Dry run - no changes made'));
+      } else if (changes.length > 0) {
+        spinner.start('Writing tags...');
+        const result = options.albumId
+          ? await editor.editAlbum(parseInt(options.albumId), values)
+          : await editor.editTrack(tracks[0].id, values);
+        spinner.succeed(`Changed ${changes.length} tags in ${new Set(changes.map(change => change.fileId)).size} files`);
+        console.log(chalk.gray(`  Undo with: undo-tag-edit ${result.editId}`));
+      }
+      
+      await editor.close();
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Tag edit failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await editor?.close();
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// List music tag edits
+program
+  .command('tag-history')
+  .description('List the latest music tag edits, newest first')
+  .option('--limit <number>', 'Number of edits to list', '20')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading tag edits...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const edits = await db.getMusicTagEdits(parseInt(options.limit) || 20);
+      spinner.succeed(`Found ${edits.length} tag edits`);
+      
+      for (const edit of edits) {
+        const by = edit.username || (edit.user_id ? `user ${edit.user_id}` : 'CLI');
+        const state = edit.undone_at ? chalk.gray(' (undone)') : '';
+        console.log(chalk.cyan(`\n#${edit.id}`) + ` ${formatDate(edit.created_at)} by ${by}: ${edit.description || ''}${state}`);
+        console.log(chalk.gray(`  ${edit.fileCount} files${edit.undo_of ? `, undoes #${edit.undo_of}` : ''}`));
+      }
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Could not load tag edits');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Undo a music tag edit
+program
+  .command('undo-tag-edit')
+  .description('Put back the tags a music tag edit replaced, in the files and the database')
+  .argument('<editId>', 'Edit id (see tag-history)')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (editId, options) => {
+    const spinner = ora('Loading tag edit...').start();
+    let editor = null;
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const edit = await db.getMusicTagEdit(parseInt(editId));
+      if (!edit) {
+        throw new Error(`Edit ${editId} not found`);
+      }
+      
+      editor = new TagEditor(db);
+      spinner.text = 'Writing tags...';
+      const result = await editor.undo(edit);
+      spinner.succeed(`Undid edit ${edit.id}: restored ${result.changes.length} tags`);
+      console.log(chalk.gray(`  Recorded as edit ${result.editId}, which can be undone too`));
+      
+      await editor.close();
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Undo failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await editor?.close();
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Find duplicates from database command
+program
+  .command('find-duplicates-db')
+  .description('Find duplicate files from existing database records')
+  .option('-m, --min-size <bytes>', 'Minimum file size to check (in bytes)', '0')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .option('--report <path>', 'Generate HTML report at specified path')
+  .option('--include-archives', 'Also list files inside indexed archives that exist as loose files')
+  .action(async (options) => {
+    const spinner = ora('Connecting to database...').start();
+    
+    try {
+      // Initialize database
+      const db = createDatabaseManager(getDatabaseConfig(options));
+      
+      await db.connect();
+      spinner.text = 'Querying duplicate files...';
+      
+      const minSize = parseInt(options.minSize || '0');
+      const duplicates = await db.getDuplicatesDetailed(minSize);
+      
+      let archiveDuplicates = [];
+      if (options.includeArchives) {
+        spinner.text = 'Comparing archive contents with loose files...';
+        archiveDuplicates = await new ArchiveIndexer(db).findEntryDuplicates(minSize);
+      }
+      
+      spinner.succeed('Query complete!');
+      
+      if (duplicates.length === 0 && archiveDuplicates.length === 0) {
+        console.log(chalk.green('\nNo duplicate files found in database!'));
+        await db.close();
+        return;
+      }
+      
+      const totalWasted = duplicates.reduce((sum, group) => sum + group.wastedSpace, 0);
+      const totalFiles = duplicates.reduce((sum, group) => sum + group.count, 0);
+      
+      console.log(chalk.yellow(`\nFound ${duplicates.length} groups of duplicate files:`));
+      console.log(chalk.gray(`Total files: ${totalFiles}`));
+      console.log(chalk.gray(`Wasted space: ${formatBytes(totalWasted)}\n`));
+      
+      duplicates.forEach((group, index) => {
+        console.log(chalk.cyan(`\nGroup ${index + 1} (${group.count} files, ${formatBytes(group.size)} each, ${formatBytes(group.wastedSpace)} wasted):`));
+        group.files.forEach(file => {
+          console.log(chalk.white(`  ${truncatePath(file.path)}`));
+        });
+      });
+      
+      if (archiveDuplicates.length > 0) {
+        console.log(chalk.yellow(`\nFound ${archiveDuplicates.length} files inside archives that also exist as loose files:`));
+        archiveDuplicates.forEach(entry => {
+          console.log(chalk.cyan(`\n${truncatePath(entry.archivePath)} → ${truncatePath(entry.entryPath)} (${formatBytes(entry.size)}):`));
+          entry.copies.forEach(copy => {
+            console.log(chalk.white(`  ${truncatePath(copy.path)}`));
+          });
+        });
+      }
+      
+      // Generate HTML report if requested
+      if (options.report) {
+        spinner.start('Generating HTML report...');
+        const reportGen = new ReportGenerator();
+        const reportPath = await reportGen.generateDuplicateReport(duplicates, options.report);
+        spinner.succeed('HTML report generated!');
+        console.log(chalk.green(`\n📄 Report saved to: ${reportPath}`));
+      }
+      
+      await db.close();
+      
+    } catch (err) {
+      spinner.fail('Query failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+// Index archive contents command
+program
+  .command('index-archives')
+  .description('List the files inside zip, tar and tar.gz archives already in the database so they take part in duplicate detection')
+  .option('--root <path>', 'Only index archives below this folder')
+  .option('--force', 'Index archives again even when they did not change')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Connecting to database...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      
+      spinner.text = 'Loading archives...';
+      const files = await db.getArchiveFiles(options.root ? join(resolvePath(options.root), sep) : null);
+      const indexer = new ArchiveIndexer(db);
+      const results = await indexer.indexArchives(files, {
+        force: Boolean(options.force),
+        progressCallback: (progress) => {
+          spinner.text = `Indexing archives... ${progress.indexed} indexed, ${progress.failed} failed`;
+        }
+      });
+      
+      spinner.succeed('Archive index complete!');
+      console.log(chalk.green(`\n✓ Indexed ${results.entries} files in ${results.indexed} archives`));
+      if (results.skipped > 0) {
+        console.log(chalk.gray(`   ${results.skipped} archives were unchanged or are not zip/tar files (use --force to index again)`));
+      }
+      results.failed.forEach(failure => {
+        console.log(chalk.yellow(`⚠ ${truncatePath(failure.path)}: ${failure.error}`));
+      });
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Archive index failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Find redundant archives command (archives whose files all exist elsewhere)
+program
+  .command('find-redundant-archives')
+  .description('Find indexed archives whose files all exist as loose files elsewhere')
+  .option('--quarantine', 'Move the redundant archives to quarantine')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Connecting to database...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      
+      spinner.text = 'Comparing archive contents with loose files...';
+      const archives = await new ArchiveIndexer(db).findRedundantArchives();
+      
+      spinner.succeed('Comparison complete!');
+      
+      if (archives.length === 0) {
+        console.log(chalk.green('\nNo redundant archives found!'));
+        console.log(chalk.gray('   Archives are only compared once indexed: silverfs index-archives'));
+        await closeDatabase();
+        return;
+      }
+      
+      const totalSize = archives.reduce((sum, archive) => sum + archive.size, 0);
+      console.log(chalk.yellow(`\nFound ${archives.length} archives whose files all exist elsewhere (${formatBytes(totalSize)}):\n`));
+      archives.forEach(archive => {
+        console.log(chalk.white(`  ${truncatePath(archive.path)} (${archive.format}, ${archive.entryCount} files, ${formatBytes(archive.size)})`));
+      });
+      
+      if (options.quarantine) {
+        await quarantineFiles(db, archives, 'redundant-archive', spinner);
+      }
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Search failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Find similar photos command (perceptual hashes)
+program
+  .command('find-similar-photos')
+  .description('Find photos that look alike (resized, re-encoded or converted copies) using perceptual hashes')
+  .option('-t, --threshold <bits>', `Maximum Hamming distance between hashes of similar photos, 0-64 (default: ${config.similarPhotos.threshold})`)
+  .option('--skip-missing', 'Do not hash photos that have no perceptual hash yet')
+  .option('--report <path>', 'Generate HTML report at specified path')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Connecting to database...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      
+      const threshold = parseInt(options.threshold ?? config.similarPhotos.threshold);
+      if (isNaN(threshold) || threshold < 0 || threshold > 64) {
+        throw new Error('--threshold must be between 0 and 64');
+      }
+      
+      const finder = new SimilarPhotoFinder({ threshold });
+      
+      // Photos extracted before perceptual hashes existed get one now
+      if (!options.skipMissing) {
+        const missing = await db.getPhotosWithoutPerceptualHash();
+        let hashed = 0;
+        let failed = 0;
+        
+        for (const photo of missing) {
+          spinner.text = `Calculating perceptual hashes... ${hashed + failed}/${missing.length}`;
+          try {
+            await db.updatePerceptualHash(photo.id, await finder.calculatePerceptualHash(photo.path));
+            hashed++;
+          } catch (err) {
+            failed++;
+          }
+        }
+        
+        await closeImages();
+        
+        if (missing.length > 0) {
+          spinner.info(`Calculated ${hashed} perceptual hashes${failed > 0 ? ` (${failed} photos could not be read)` : ''}`);
+          spinner.start();
+        }
+      }
+      
+      spinner.text = 'Comparing photos...';
+      const photos = await db.getPhotosWithPerceptualHash();
+      const groups = finder.findSimilar(photos);
+      
+      spinner.succeed(`Compared ${photos.length} photos`);
+      
+      if (groups.length === 0) {
+        console.log(chalk.green('\nNo similar photos found!'));
+        await closeDatabase();
+        return;
+      }
+      
+      const totalReclaimable = groups.reduce((sum, group) => sum + group.reclaimableSpace, 0);
+      const totalFiles = groups.reduce((sum, group) => sum + group.count, 0);
+      
+      console.log(chalk.yellow(`\nFound ${groups.length} groups of similar photos (threshold: ${threshold} bits):`));
+      console.log(chalk.gray(`Total photos: ${totalFiles}`));
+      console.log(chalk.gray(`Reclaimable space: ${formatBytes(totalReclaimable)}\n`));
+      
+      groups.forEach((group, index) => {
+        console.log(chalk.cyan(`\nGroup ${index + 1} (${group.count} photos, ${formatBytes(group.reclaimableSpace)} reclaimable):`));
+        group.files.forEach((photo, position) => {
+          const details = `${photo.width || '?'}x${photo.height || '?'} ${photo.format || '?'}, ${formatBytes(Number(photo.size))}`;
+          if (position === 0) {
+            console.log(chalk.green(`  ★ ${truncatePath(photo.path)} (${details})`));
+          } else {
+            console.log(chalk.white(`    ${truncatePath(photo.path)} (${details}, distance ${photo.distance})`));
+          }
+        });
+      });
+      
+      // Generate HTML report if requested
+      if (options.report) {
+        spinner.start('Generating HTML report...');
+        const reportGen = new ReportGenerator();
+        const reportPath = await reportGen.generateSimilarPhotoReport(groups, options.report);
+        spinner.succeed('HTML report generated!');
+        console.log(chalk.green(`\n📄 Report saved to: ${reportPath}`));
+      }
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Search failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Find duplicate tracks command (same song in different files or formats)
+program
+  .command('find-duplicate-tracks')
+  .description('Find copies of the same song in different files or formats (FLAC, 320k MP3, 128k MP3) and recommend which to keep')
+  .option('--duration-tolerance <seconds>', `Maximum duration difference between copies of a song (default: ${config.duplicateTracks.durationTolerance})`)
+  .option('--ignore-album', 'Match songs by artist and title only, so copies on compilations count too')
+  .option('--report <path>', 'Generate HTML report at specified path')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Connecting to database...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      
+      const durationTolerance = parseFloat(options.durationTolerance ?? config.duplicateTracks.durationTolerance);
+      if (isNaN(durationTolerance) || durationTolerance < 0) {
+        throw new Error('--duration-tolerance must be a number of seconds');
+      }
+      
+      spinner.text = 'Comparing tracks...';
+      const finder = new DuplicateTrackFinder({ durationTolerance, ignoreAlbum: Boolean(options.ignoreAlbum) });
+      const tracks = await db.getMusicTracksForDuplicates();
+      const groups = finder.findDuplicates(tracks);
+      
+      spinner.succeed(`Compared ${tracks.length} tracks`);
+      
+      if (groups.length === 0) {
+        console.log(chalk.green('\nNo duplicate tracks found!'));
+        await closeDatabase();
+        return;
+      }
+      
+      const totalReclaimable = groups.reduce((sum, group) => sum + group.reclaimableSpace, 0);
+      const totalFiles = groups.reduce((sum, group) => sum + group.count, 0);
+      
+      console.log(chalk.yellow(`\nFound ${groups.length} songs with more than one copy:`));
+      console.log(chalk.gray(`Total copies: ${totalFiles}`));
+      console.log(chalk.gray(`Reclaimable space: ${formatBytes(totalReclaimable)}\n`));
+      
+      groups.forEach((group, index) => {
+        const album = group.album && !options.ignoreAlbum ? ` [${group.album}]` : '';
+        console.log(chalk.cyan(`\n${index + 1}. ${group.artist} - ${group.title}${album} (${group.count} copies, ${formatBytes(group.reclaimableSpace)} reclaimable):`));
+        group.files.forEach((track, position) => {
+          if (position === 0) {
+            console.log(chalk.green(`  ★ ${truncatePath(track.path)} (${formatTrackQuality(track)})`));
+          } else {
+            console.log(chalk.white(`    ${truncatePath(track.path)} (${formatTrackQuality(track)})`));
+          }
+        });
+      });
+      
+      // Generate HTML report if requested
+      if (options.report) {
+        spinner.start('Generating HTML report...');
+        const reportGen = new ReportGenerator();
+        const reportPath = await reportGen.generateDuplicateTrackReport(groups, options.report);
+        spinner.succeed('HTML report generated!');
+        console.log(chalk.green(`\n📄 Report saved to: ${reportPath}`));
+      }
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Search failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Resolve duplicates from database command
+program
+  .command('resolve-duplicates')
+  .description('Reclaim space by deleting, quarantining or linking duplicate copies (dry run unless --execute)')
+  .option('-m, --min-size <bytes>', 'Minimum file size to resolve (in bytes)', '0')
+  .option('--keep <rules>', `Comma-separated keep rules in priority order (default: ${config.resolveDuplicates.rules.join(',')})`)
+  .option('--prefer-root <path>', 'Prefer keeping copies below this folder (repeatable, first wins)', collect, [])
+  .option('--path-priority <regex>', 'Prefer keeping copies whose path matches this pattern (repeatable, first wins)', collect, [])
+  .option('--action <action>', `What to do with extra copies: ${RESOLVE_ACTIONS.join(', ')} (default: ${config.resolveDuplicates.action})`)
+  .option('--quarantine-dir <path>', `Folder that receives quarantined copies (default: ${config.quarantine.directory})`)
+  .option('--execute', 'Actually apply the plan (default is a dry run)')
+  .option('--no-verify', 'Skip the full-content comparison before acting on a copy')
+  .option('--journal <path>', 'Undo journal file (default: resolve-duplicates-<timestamp>.jsonl)')
+  .option('--undo <journal>', 'Revert the actions recorded in an undo journal')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Connecting to database...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      
+      const quarantine = new QuarantineManager(db, {
+        directory: options.quarantineDir || config.quarantine.directory
+      });
+      
+      // Undo a previous run
+      if (options.undo) {
+        spinner.text = `Reverting actions from ${options.undo}...`;
+        const results = await DuplicateResolver.undo(options.undo, (progress) => {
+          spinner.text = `Reverting... ${progress.restored} restored, ${progress.failed} failed`;
+        }, { quarantine });
+        await db.updateResolvedDuplicates(results.restored, true);
+        
+        spinner.succeed('Undo complete!');
+        console.log(chalk.green(`\n✓ Restored ${results.restored.length} files`));
+        results.failed.forEach(failure => {
+          console.log(chalk.yellow(`⚠ ${truncatePath(failure.path)}: ${failure.error}`));
+        });
+        await closeDatabase();
+        return;
+      }
+      
+      const resolver = new DuplicateResolver({
+        rules: options.keep ? options.keep.split(',').map(rule => rule.trim()) : config.resolveDuplicates.rules,
+        preferredRoots: options.preferRoot.length > 0 ? options.preferRoot : config.resolveDuplicates.preferredRoots,
+        pathPriority: options.pathPriority.length > 0 ? options.pathPriority : config.resolveDuplicates.pathPriority,
+        action: options.action || config.resolveDuplicates.action,
+        quarantine,
+        verify: options.verify
+      });
+      
+      spinner.text = 'Querying duplicate files...';
+      const minSize = parseInt(options.minSize || '0');
+      const duplicates = await db.getDuplicatesDetailed(minSize);
+      const plan = resolver.plan(duplicates);
+      
+      if (plan.length === 0) {
+        spinner.succeed('No duplicate files found in database!');
+        await closeDatabase();
+        return;
+      }
+      
+      spinner.succeed('Plan ready!');
+      
+      // Print the plan
+      const actionLabel = resolver.options.action.toUpperCase();
+      plan.forEach((group, index) => {
+        console.log(chalk.cyan(`\nGroup ${index + 1} (${group.remove.length + 1} files, ${formatBytes(group.size)} each):`));
+        console.log(chalk.green(`  KEEP        ${truncatePath(group.keep.path)}`));
+        group.remove.forEach(file => {
+          console.log(chalk.red(`  ${actionLabel.padEnd(11)} ${truncatePath(file.path)}`));
+        });
+      });
+      
+      const copies = plan.reduce((sum, group) => sum + group.remove.length, 0);
+      console.log(chalk.yellow(`\n📊 Plan: ${plan.length} groups, ${copies} copies to ${resolver.options.action}`));
+      console.log(chalk.yellow(`   Reclaimable space: ${formatBytes(resolver.calculateReclaimable(plan))}`));
+      
+      if (!options.execute) {
+        console.log(chalk.cyan('\nℹ Dry run: nothing was changed. Re-run with --execute to apply this plan.'));
+        await closeDatabase();
+        return;
+      }
+      
+      const journalPath = options.journal || `resolve-duplicates-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+      spinner.start(`Resolving duplicates (journal: ${journalPath})...`);
+      
+      const results = await resolver.execute(plan, journalPath, (progress) => {
+        spinner.text = `Resolving... ${progress.resolved} done, ${progress.failed} failed`;
+      });
+      
+      spinner.text = 'Updating database...';
+      await db.updateResolvedDuplicates(results.resolved);
+      
+      spinner.succeed('Duplicates resolved!');
+      console.log(chalk.green(`\n✓ ${resolver.options.action}: ${results.resolved.length} copies, ${formatBytes(results.reclaimed)} reclaimed`));
+      if (results.failed.length > 0) {
+        console.log(chalk.yellow(`⚠ ${results.failed.length} copies were skipped:`));
+        results.failed.forEach(failure => {
+          console.log(chalk.yellow(`   ${truncatePath(failure.path)}: ${failure.error}`));
+        });
+      }
+      if (results.resolved.length > 0) {
+        console.log(chalk.cyan(`\n📝 Undo journal: ${journalPath}`));
+        console.log(chalk.gray(`   Revert with: silverfs resolve-duplicates --undo ${journalPath}`));
+      }
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Resolve failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Organize library command (move files into a layout built from their metadata)
+program
+  .command('organize')
+  .description('Move scanned photos, music and videos into a folder layout built from their metadata (dry run unless --execute)')
+  .option('--target <dir>', `Folder the organized library goes into${config.organize.target ? ` (default: ${config.organize.target})` : ''}`)
+  .option('--type <types>', `Comma-separated file types to organize: ${ORGANIZE_TYPES.join(', ')} (default: all)`)
+  .option('--root <path>', 'Only organize files below this folder')
+  .option('--template-photo <template>', `Layout for photos (default: ${config.organize.templates.photo})`)
+  .option('--template-music <template>', `Layout for music (default: ${config.organize.templates.music})`)
+  .option('--template-video <template>', `Layout for videos (default: ${config.organize.templates.video})`)
+  .option('--template-episode <template>', `Layout for TV episodes (default: ${config.organize.templates.episode})`)
+  .option('--plan <path>', 'Write the planned moves to a JSON plan file')
+  .option('--apply-plan <path>', 'Execute the moves of a plan file written by an earlier dry run')
+  .option('--execute', 'Actually move the files (default is a dry run)')
+  .option('--journal <path>', 'Undo journal file (default: organize-<timestamp>.jsonl)')
+  .option('--undo <journal>', 'Move the files recorded in an undo journal back')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Connecting to database...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      
+      // Undo a previous run
+      if (options.undo) {
+        spinner.text = `Moving files back from ${options.undo}...`;
+        const results = await LibraryOrganizer.undo(db, options.undo, (progress) => {
+          spinner.text = `Moving back... ${progress.restored} restored, ${progress.failed} failed`;
+        });
+        
+        spinner.succeed('Undo complete!');
+        console.log(chalk.green(`\n✓ Moved ${results.restored.length} files back`));
+        results.failed.forEach(failure => {
+          console.log(chalk.yellow(`⚠ ${truncatePath(failure.path)}: ${failure.error}`));
+        });
+        await closeDatabase();
+        return;
+      }
+      
+      let plan;
+      let organizer;
+      if (options.applyPlan) {
+        spinner.text = `Reading plan ${options.applyPlan}...`;
+        plan = await LibraryOrganizer.readPlan(options.applyPlan);
+        organizer = new LibraryOrganizer(db, { target: plan.target });
+      } else {
+        const target = options.target || config.organize.target;
+        if (!target) {
+          throw new Error('--target is required (or set organize.target in config.json)');
+        }
+        const types = options.type ? options.type.split(',').map(type => type.trim()) : ORGANIZE_TYPES;
+        const templates = { ...config.organize.templates };
+        for (const type of ORGANIZE_TYPES) {
+          const option = options[`template${type[0].toUpperCase()}${type.slice(1)}`];
+          if (option) {
+            templates[type] = option;
+          }
+        }
+        
+        organizer = new LibraryOrganizer(db, { target, templates });
+        spinner.text = 'Planning moves...';
+        plan = await organizer.plan(types, options.root || null);
+      }
+      
+      spinner.succeed(`Plan ready: ${plan.moves.length} files to move, ${plan.skipped.length} skipped`);
+      
+      plan.moves.forEach(move => {
+        console.log(chalk.white(`  ${truncatePath(move.from)}`));
+        console.log(chalk.green(`    → ${truncatePath(move.to)}`));
+      });
+      const duplicates = plan.skipped.filter(skip => skip.reason.startsWith('duplicate of'));
+      if (duplicates.length > 0) {
+        console.log(chalk.yellow(`\n⚠ ${duplicates.length} files are skipped because their content is already in the library:`));
+        duplicates.forEach(skip => {
+          console.log(chalk.gray(`   ${truncatePath(skip.path)} (${skip.reason})`));
+        });
+      }
+      const totalSize = plan.moves.reduce((sum, move) => sum + move.size, 0);
+      console.log(chalk.yellow(`\n📊 Plan: ${plan.moves.length} files (${formatBytes(totalSize)}) into ${plan.target}`));
+      
+      if (options.plan) {
+        await fs.writeFile(options.plan, JSON.stringify(plan, null, 2));
+        console.log(chalk.cyan(`\n📝 Plan saved to: ${options.plan}`));
+        console.log(chalk.gray(`   Apply with: silverfs organize --apply-plan ${options.plan} --execute`));
+      }
+      
+      if (!options.execute || plan.moves.length === 0) {
+        if (!options.execute) {
+          console.log(chalk.cyan('\nℹ Dry run: nothing was moved. Re-run with --execute to apply this plan.'));
+        }
+        await closeDatabase();
+        return;
+      }
+      
+      const journalPath = options.journal || `organize-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+      spinner.start(`Moving files (journal: ${journalPath})...`);
+      
+      const results = await organizer.execute(plan, journalPath, (progress) => {
+        spinner.text = `Moving... ${progress.moved} done, ${progress.failed} failed`;
+      });
+      
+      spinner.succeed('Library organized!');
+      console.log(chalk.green(`\n✓ Moved ${results.moved.length} files`));
+      if (results.failed.length > 0) {
+        console.log(chalk.yellow(`⚠ ${results.failed.length} files were not moved:`));
+        results.failed.forEach(failure => {
+          console.log(chalk.yellow(`   ${truncatePath(failure.path)}: ${failure.error}`));
+        });
+      }
+      if (results.moved.length > 0) {
+        console.log(chalk.cyan(`\n📝 Undo journal: ${journalPath}`));
+        console.log(chalk.gray(`   Revert with: silverfs organize --undo ${journalPath}`));
+      }
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Organize failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Quarantine commands
+const quarantineCommand = program
+  .command('quarantine')
+  .description('Review, restore or purge quarantined files');
+
+quarantineCommand
+  .command('list')
+  .description('List quarantined files')
+  .option('--reason <reason>', 'Only show entries with this reason (duplicate, empty-file, broken-symlink, manual)')
+  .option('--status <status>', 'Only show entries with this status (quarantined, restored, purged, all)', 'quarantined')
+  .option('--older-than <days>', 'Only show entries quarantined more than this many days ago')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading quarantine manifest...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const quarantine = new QuarantineManager(db, { directory: config.quarantine.directory });
+      
+      const entries = await quarantine.list({
+        reason: options.reason,
+        status: options.status === 'all' ? null : options.status,
+        olderThanDays: options.olderThan !== undefined ? parseInt(options.olderThan) : null
+      });
+      
+      spinner.succeed('Manifest loaded!');
+      
+      if (entries.length === 0) {
+        console.log(chalk.green('\nNo matching quarantine entries.'));
+        await closeDatabase();
+        return;
+      }
+      
+      const totalSize = entries.reduce((sum, entry) => sum + Number(entry.size || 0), 0);
+      console.log(chalk.yellow(`\nFound ${entries.length} entries (${formatBytes(totalSize)}):\n`));
+      entries.forEach(entry => {
+        const date = new Date(entry.quarantined_at).toLocaleString();
+        console.log(chalk.cyan(`#${entry.id}  ${entry.reason}  ${entry.status}  ${date}  ${formatBytes(Number(entry.size || 0))}`));
+        console.log(chalk.white(`   ${truncatePath(entry.original_path)}`));
+      });
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Query failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+quarantineCommand
+  .command('restore')
+  .description('Move quarantined files back to their original location')
+  .argument('[ids...]', 'Quarantine entry ids (see quarantine list)')
+  .option('--all', 'Restore every quarantined file')
+  .option('--reason <reason>', 'With --all, only restore entries with this reason')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (ids, options) => {
+    if (ids.length === 0 && !options.all) {
+      console.error(chalk.red('Error: pass one or more entry ids, or --all'));
+      process.exit(1);
+    }
+    
+    const spinner = ora('Restoring quarantined files...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const quarantine = new QuarantineManager(db, { directory: config.quarantine.directory });
+      
+      let entryIds = ids.map(id => parseInt(id));
+      if (options.all) {
+        const entries = await quarantine.list({ status: 'quarantined', reason: options.reason });
+        entryIds = entries.map(entry => entry.id);
+      }
+      
+      const results = await quarantine.restore(entryIds);
+      
+      spinner.succeed('Restore complete!');
+      console.log(chalk.green(`\n✓ Restored ${results.restored.length} files`));
+      results.failed.forEach(failure => {
+        console.log(chalk.yellow(`⚠ #${failure.id}${failure.path ? ` ${truncatePath(failure.path)}` : ''}: ${failure.error}`));
+      });
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Restore failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+quarantineCommand
+  .command('purge')
+  .description('Permanently delete quarantined files older than N days')
+  .option('--older-than <days>', `Purge entries quarantined more than this many days ago (default: ${config.quarantine.expiryDays})`)
+  .option('--dry-run', 'Only show what would be purged')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const olderThan = parseInt(options.olderThan ?? config.quarantine.expiryDays);
+    const spinner = ora(`Purging entries older than ${olderThan} days...`).start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const quarantine = new QuarantineManager(db, { directory: config.quarantine.directory });
+      
+      const results = await quarantine.purge(olderThan, options.dryRun);
+      
+      spinner.succeed(options.dryRun ? 'Dry run complete!' : 'Purge complete!');
+      results.purged.forEach(entry => {
+        console.log(chalk.white(`  #${entry.id}  ${truncatePath(entry.original_path)}`));
+      });
+      const verb = options.dryRun ? 'Would purge' : 'Purged';
+      console.log(chalk.green(`\n✓ ${verb} ${results.purged.length} files, ${formatBytes(results.freed)} freed`));
+      results.failed.forEach(failure => {
+        console.log(chalk.yellow(`⚠ #${failure.id} ${truncatePath(failure.path)}: ${failure.error}`));
+      });
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Purge failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+// Thumbnail commands
+program
+  .command('generate-thumbnails')
+  .description('Create cached thumbnails for the photos in the database')
+  .option('--scan-id <id>', 'Process only photos from specific scan session')
+  .option('--limit <number>', 'Limit number of photos to process')
+  .option('--cleanup', 'Also remove thumbnails whose photos are gone from the database')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading photos from database...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const thumbnails = new ThumbnailCache(db, config.thumbnails);
+      
+      const photos = await db.getFilesByExtension(THUMBNAIL_SOURCE_EXTENSIONS, {
+        scanId: options.scanId ? parseInt(options.scanId) : null,
+        limit: options.limit ? parseInt(options.limit) : null
+      });
+      
+      let created = 0;
+      let cached = 0;
+      const failed = [];
+      
+      for (const [index, photo] of photos.entries()) {
+        spinner.text = `Creating thumbnails... ${index + 1}/${photos.length}`;
+        try {
+          const hash = await thumbnails.getContentHash(photo);
+          const existing = await Promise.all(thumbnails.sizeNames.map(size => thumbnails.findCached(hash, size)));
+          if (existing.every(Boolean)) {
+            cached++;
+            continue;
+          }
+          await thumbnails.generate(photo, hash);
+          created++;
+        } catch (err) {
+          failed.push({ path: photo.path, error: err.message });
+        }
+      }
+      
+      await closeImages();
+      
+      spinner.succeed(`Thumbnails for ${photos.length} photos in ${config.thumbnails.directory}`);
+      console.log(chalk.green(`  Created: ${created}`));
+      console.log(chalk.gray(`  Already cached: ${cached}`));
+      if (failed.length > 0) {
+        console.log(chalk.yellow(`  Failed: ${failed.length}`));
+        failed.forEach(failure => {
+          console.log(chalk.yellow(`  ⚠ ${truncatePath(failure.path)}: ${failure.error}`));
+        });
+      }
+      
+      if (options.cleanup) {
+        spinner.start('Removing orphaned thumbnails...');
+        const result = await thumbnails.cleanup();
+        spinner.succeed(`Removed ${result.removed} orphaned thumbnails (${formatBytes(result.bytes)})`);
+      }
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Thumbnail generation failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+program
+  .command('clean-thumbnails')
+  .description('Remove cached thumbnails whose photos are gone from the database')
+  .option('--dry-run', 'Only show what would be removed')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Checking cached thumbnails...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const thumbnails = new ThumbnailCache(db, config.thumbnails);
+      
+      const result = await thumbnails.cleanup(options.dryRun);
       
-      console.log(chalk.yellow('\n📊 === Extraction Summary === 📊\n'));
-      console.log(chalk.white(`📁 Total files processed: ${chalk.bold(totalProcessed)}`));
-      console.log(chalk.green(`✅ Successfully extracted: ${chalk.bold(totalExtracted)} (${((totalExtracted/totalProcessed)*100).toFixed(1)}%)`));
+      spinner.succeed(options.dryRun ? 'Dry run complete!' : 'Cleanup complete!');
+      const verb = options.dryRun ? 'Would remove' : 'Removed';
+      console.log(chalk.green(`\n✓ ${verb} ${result.removed} thumbnails, ${formatBytes(result.bytes)} freed (${result.kept} kept)`));
       
-      if (totalSkipped > 0) {
-        console.log(chalk.yellow(`⚠️  Skipped files: ${chalk.bold(totalSkipped)} (${((totalSkipped/totalProcessed)*100).toFixed(1)}%)`));
-      }
+      await closeDatabase();
       
-      if (totalErrors > 0) {
-        console.log(chalk.red(`❌ Error files: ${chalk.bold(totalErrors)} (${((totalErrors/totalProcessed)*100).toFixed(1)}%)`));
+    } catch (err) {
+      spinner.fail('Cleanup failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+program
+  .command('update-subtitles-db')
+  .description('Find sidecar subtitle files (.srt, .vtt, .ass, .ssa) of videos already in the database')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading videos...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const videos = await db.getVideoFiles();
+      
+      let subtitleCount = 0;
+      let videosWithSubtitles = 0;
+      for (const [index, video] of videos.entries()) {
+        spinner.text = `Looking for subtitles... ${index + 1}/${videos.length}`;
+        const subtitles = await findSidecarSubtitles(video.path);
+        await db.replaceVideoSubtitles(video.id, subtitles);
+        subtitleCount += subtitles.length;
+        if (subtitles.length > 0) {
+          videosWithSubtitles++;
+        }
       }
       
-      console.log(chalk.cyan(`\n⚡ Performance: Used ${numThreads} worker threads processing ${batches.length} batches`));
-      console.log(chalk.cyan(`📈 Throughput: ${(totalProcessed/batches.length).toFixed(1)} files per batch`));
+      spinner.succeed('Subtitle update complete!');
+      console.log(chalk.green(`\n✓ Found ${subtitleCount} subtitles for ${videosWithSubtitles} of ${videos.length} videos`));
       
-      // Final recommendations
-      if (totalSkipped > totalExtracted * 0.1) {
-        console.log(chalk.yellow(`\n💡 Notice: High skip rate (${((totalSkipped/totalProcessed)*100).toFixed(1)}%). Check file accessibility or format support.`));
-      }
+      await closeDatabase();
       
-      if (totalErrors > totalProcessed * 0.05) {
-        console.log(chalk.red(`\n⚠️  Warning: High error rate (${((totalErrors/totalProcessed)*100).toFixed(1)}%). Review error details above.`));
+    } catch (err) {
+      spinner.fail('Subtitle update failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+program
+  .command('update-shows-db')
+  .description('Recognize TV episodes (S01E02, 1x02, Season 1/Episode 02) among the videos already in the database')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading videos...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const videos = await db.getVideoFiles();
+      
+      const shows = new Set();
+      let episodeCount = 0;
+      for (const [index, video] of videos.entries()) {
+        spinner.text = `Recognizing episodes... ${index + 1}/${videos.length}`;
+        const episode = parseEpisode(video.path);
+        await db.storeEpisode(video.id, episode);
+        if (episode) {
+          episodeCount++;
+          shows.add(showKey(episode.show));
+        }
       }
+      const removed = await db.removeEmptyShows();
       
-      // Log final summary to file
-      if (logFile) {
-        await logToFile(`\n${'='.repeat(50)}`);
-        await logToFile(`SUMMARY: Processed: ${totalProcessed} | Extracted: ${totalExtracted} | Skipped: ${totalSkipped} | Errors: ${totalErrors}`);
-        await logToFile(`SUCCESS_RATE: ${((totalExtracted/totalProcessed)*100).toFixed(1)}%`);
-        console.log(chalk.cyan(`\n📝 Detailed logs saved to: ${logFile}`));
+      spinner.succeed('Show update complete!');
+      console.log(chalk.green(`\n✓ Found ${episodeCount} episodes of ${shows.size} shows among ${videos.length} videos`));
+      if (removed > 0) {
+        console.log(chalk.gray(`  Removed ${removed} shows without episodes`));
       }
       
-      await db.close();
+      await closeDatabase();
       
     } catch (err) {
-      spinner.fail('Extraction failed');
+      spinner.fail('Show update failed');
       console.error(chalk.red(`Error: ${err.message}`));
-      if (db) {
-        await db.close();
-      }
+      await closeDatabase();
       process.exit(1);
     }
   });
 
-// Find duplicates from database command
 program
-  .command('find-duplicates-db')
-  .description('Find duplicate files from existing database records')
-  .option('-m, --min-size <bytes>', 'Minimum file size to check (in bytes)', '0')
+  .command('update-covers-db')
+  .description('Extract album art (embedded pictures, cover.jpg/folder.jpg) of the music in the database into the cover cache')
+  .option('--missing', 'Only check tracks that were never checked for art')
+  .option('--cleanup', 'Also remove cached covers no track uses any more')
   .option('--db-host <host>', `Database host (default: ${config.database.host})`)
   .option('--db-port <port>', `Database port (default: ${config.database.port})`)
   .option('--db-user <user>', `Database user (default: ${config.database.user})`)
   .option('--db-password <password>', 'Database password')
   .option('--db-name <name>', `Database name (default: ${config.database.database})`)
-  .option('--report <path>', 'Generate HTML report at specified path')
   .action(async (options) => {
-    const spinner = ora('Connecting to database...').start();
+    const spinner = ora('Loading music from database...').start();
     
     try {
-      // Initialize database
-      const db = new DatabaseManager({
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      });
-      
-      await db.connect();
-      spinner.text = 'Querying duplicate files...';
-      
-      const minSize = parseInt(options.minSize || '0');
-      const duplicates = await db.getDuplicatesDetailed(minSize);
+      const db = await initDatabase({ ...options, db: true });
+      const covers = new CoverCache(db, config.covers);
+      await db.addMissingAlbums();
+      const tracks = await db.getMusicFiles({ uncheckedCovers: options.missing });
+      
+      const sources = { embedded: 0, folder: 0, none: 0 };
+      const images = new Set();
+      const failed = [];
+      for (const [index, track] of tracks.entries()) {
+        spinner.text = `Extracting album art... ${index + 1}/${tracks.length}`;
+        try {
+          const cover = await covers.update(track);
+          sources[cover.source]++;
+          if (cover.hash) {
+            images.add(cover.hash);
+          }
+        } catch (err) {
+          failed.push({ path: track.path, error: err.message });
+        }
+      }
       
-      spinner.succeed('Query complete!');
+      spinner.succeed(`Album art of ${tracks.length} tracks in ${config.covers.directory}`);
+      console.log(chalk.green(`  Embedded: ${sources.embedded}`));
+      console.log(chalk.green(`  From folder images: ${sources.folder}`));
+      console.log(chalk.gray(`  Without art: ${sources.none}`));
+      console.log(chalk.gray(`  Distinct images: ${images.size}`));
+      if (failed.length > 0) {
+        console.log(chalk.yellow(`  Failed: ${failed.length}`));
+        failed.forEach(failure => {
+          console.log(chalk.yellow(`  ⚠ ${truncatePath(failure.path)}: ${failure.error}`));
+        });
+      }
       
-      if (duplicates.length === 0) {
-        console.log(chalk.green('\nNo duplicate files found in database!'));
-        await db.close();
-        return;
+      if (options.cleanup) {
+        spinner.start('Removing unused covers...');
+        const result = await covers.cleanup();
+        spinner.succeed(`Removed ${result.removed} unused cover files (${formatBytes(result.bytes)})`);
       }
       
-      const totalWasted = duplicates.reduce((sum, group) => sum + group.wastedSpace, 0);
-      const totalFiles = duplicates.reduce((sum, group) => sum + group.count, 0);
+      await closeDatabase();
       
-      console.log(chalk.yellow(`\nFound ${duplicates.length} groups of duplicate files:`));
-      console.log(chalk.gray(`Total files: ${totalFiles}`));
-      console.log(chalk.gray(`Wasted space: ${formatBytes(totalWasted)}\n`));
+    } catch (err) {
+      spinner.fail('Album art extraction failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+program
+  .command('report-missing-art')
+  .description('List the albums that have no cover art at all')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Finding albums without art...').start();
+    
+    try {
+      const db = await initDatabase({ ...options, db: true });
+      const albums = await db.getAlbumsWithoutCover();
       
-      duplicates.forEach((group, index) => {
-        console.log(chalk.cyan(`\nGroup ${index + 1} (${group.count} files, ${formatBytes(group.size)} each, ${formatBytes(group.wastedSpace)} wasted):`));
-        group.files.forEach(file => {
-          console.log(chalk.white(`  ${truncatePath(file.path)}`));
-        });
+      spinner.succeed(`${albums.length} albums have no cover art`);
+      albums.forEach(album => {
+        console.log(chalk.white(`\n  ${album.artist || 'Unknown Artist'} - ${album.name}`));
+        console.log(chalk.gray(`    ${album.trackCount} tracks in ${truncatePath(dirname(album.firstPath))}`));
       });
       
-      // Generate HTML report if requested
-      if (options.report) {
-        spinner.start('Generating HTML report...');
-        const reportGen = new ReportGenerator();
-        const reportPath = await reportGen.generateDuplicateReport(duplicates, options.report);
-        spinner.succeed('HTML report generated!');
-        console.log(chalk.green(`\n📄 Report saved to: ${reportPath}`));
+      const unchecked = albums.filter(album => Number(album.uncheckedCount) > 0).length;
+      if (unchecked > 0) {
+        console.log(chalk.yellow(`\n⚠ ${unchecked} of these albums have tracks that were never checked for art; run update-covers-db first`));
       }
       
-      await db.close();
+      await closeDatabase();
       
     } catch (err) {
-      spinner.fail('Query failed');
+      spinner.fail('Report failed');
       console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
       process.exit(1);
     }
   });
@@ -825,10 +2420,15 @@ program
   .option('-l, --limit <number>', 'Limit number of files to process', '0')
   .option('--hash-method <method>', 'Hash calculation method: full, streaming, quick, smart, sampling', 'smart')
   .option('--max-size <bytes>', 'Maximum file size to process (in bytes)', '0')
+  .option('--root <path>', 'Only hash files below this folder')
   .option('--no-smart', 'Disable smart optimization (hash all files, not just potential duplicates)')
   .option('--optimize-large', 'DEPRECATED: Use --no-smart to disable default smart optimization')
   .option('--large-threshold <bytes>', 'DEPRECATED: Smart optimization now applies to all file sizes', String(200 * 1024 * 1024))
   .option('--stats', 'Show optimization statistics before processing')
+  .option('--threads <number>', `Number of hashing worker threads (default: ${config.hashing.threads})`)
+  .option('--volume-concurrency <number>', `Concurrent reads per volume (default: ${config.hashing.volumeConcurrency})`)
+  .option('--write-batch <number>', `Hashes written per database update (default: ${config.hashing.writeBatchSize})`)
+  .option('--dry-run', 'Calculate hashes without writing them (for benchmarking)')
   .option('--db-host <host>', `Database host (default: ${config.database.host})`)
   .option('--db-port <port>', `Database port (default: ${config.database.port})`)
   .option('--db-user <user>', `Database user (default: ${config.database.user})`)
@@ -839,13 +2439,7 @@ program
     
     try {
       // Initialize database
-      const db = new DatabaseManager({
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      });
+      const db = createDatabaseManager(getDatabaseConfig(options));
       
       await db.connect();
       spinner.text = 'Loading files without hashes...';
@@ -894,9 +2488,10 @@ program
       // Use smart optimization by default (only hash files with same size)
       // Use --no-smart to disable and hash all files
       const useSmart = options.smart !== false;
+      const root = options.root ? join(resolvePath(options.root), sep) : null;
       const files = useSmart
-        ? await db.getFilesWithoutHashSmart(minSize, maxSize, limit)
-        : await db.getFilesWithoutHash(minSize, maxSize, limit);
+        ? await db.getFilesWithoutHashSmart(minSize, maxSize, limit, root)
+        : await db.getFilesWithoutHash(minSize, maxSize, limit, root);
       
       if (files.length === 0) {
         spinner.succeed(useSmart ? 'No files with potential duplicates found!' : 'No files without hashes found!');
@@ -908,58 +2503,75 @@ program
       const optimizationMsg = useSmart ? ' (smart: only files with same size)' : ' (processing all files)';
       spinner.text = `Found ${files.length} files. Calculating hashes using ${hashMethod} method${optimizationMsg}...`;
       
-      const scanner = new FileScanner();
-      let processed = 0;
+      const threads = Math.max(1, parseInt(options.threads) || config.hashing.threads);
+      const writeBatchSize = Math.max(1, parseInt(options.writeBatch) || config.hashing.writeBatchSize);
+      const pool = new HashPool({
+        threads,
+        volumeConcurrency: Math.max(1, parseInt(options.volumeConcurrency) || config.hashing.volumeConcurrency),
+        volumes: config.hashing.volumes,
+        method: hashMethod
+      });
+      
+      // Results are written in batches; writes run one after another so
+      // the pool keeps hashing while the database catches up
+      let pendingWrites = [];
+      let writes = Promise.resolve();
       let updated = 0;
       let errors = 0;
-      let skippedLarge = 0;
+      let writeError = null;
       
-      for (const file of files) {
-        try {
-          // Calculate hashes based on selected method
-          let hash, quickHash;
-          
-          switch (hashMethod) {
-            case 'full':
-              hash = await scanner.calculateHash(file.path);
-              quickHash = await scanner.calculateQuickHash(file.path);
-              break;
-            case 'streaming':
-              hash = await scanner.calculateStreamingHash(file.path);
-              quickHash = await scanner.calculateQuickHash(file.path);
-              break;
-            case 'quick':
-              hash = await scanner.calculateQuickHash(file.path);
-              quickHash = hash; // Same as full hash for quick method
-              break;
-            case 'sampling':
-              hash = await scanner.calculateSamplingHash(file.path);
-              quickHash = await scanner.calculateQuickHash(file.path);
-              break;
-            case 'smart':
-            default:
-              hash = await scanner.calculateSmartHash(file.path);
-              quickHash = await scanner.calculateQuickHash(file.path);
-              break;
-          }
-          
-          // Update database
-          await db.updateFileHash(file.id, hash, quickHash);
-          
-          updated++;
-          processed++;
-          spinner.text = `Processing ${processed}/${files.length} - Updated: ${updated}, Errors: ${errors} (${hashMethod})`;
-        } catch (err) {
-          errors++;
-          processed++;
-          spinner.text = `Processing ${processed}/${files.length} - Updated: ${updated}, Errors: ${errors} (${hashMethod})`;
-          console.warn(chalk.yellow(`\nWarning: ${file.path}: ${err.message}`));
+      const flushWrites = () => {
+        const batch = pendingWrites;
+        pendingWrites = [];
+        if (batch.length === 0) {
+          return;
+        }
+        if (options.dryRun) {
+          updated += batch.length;
+          return;
+        }
+        writes = writes
+          .then(async () => {
+            await db.updateFileHashes(batch);
+            updated += batch.length;
+          })
+          .catch(err => {
+            // Hashing on is wasted work once the results can't be stored
+            writeError = writeError || err;
+            pool.stop(err);
+          });
+      };
+      
+      pool.on('hashed', ({ file, hash, quickHash }) => {
+        pendingWrites.push({ id: file.id, hash, quickHash });
+        if (pendingWrites.length >= writeBatchSize) {
+          flushWrites();
         }
+      });
+      
+      pool.on('failed', ({ file, error }) => {
+        errors++;
+        console.warn(chalk.yellow(`\nWarning: ${file.path}: ${error.message}`));
+      });
+      
+      pool.on('progress', stats => {
+        const rate = `${formatBytes(Math.round(stats.bytesPerSecond))}/s`;
+        const eta = stats.etaSeconds !== null ? `, ETA ${formatDuration(stats.etaSeconds)}` : '';
+        spinner.text = `Hashing ${stats.processed}/${stats.total} - ${rate}${eta} - Errors: ${errors} (${hashMethod}, ${threads} threads)`;
+      });
+      
+      const stats = await pool.run(files);
+      flushWrites();
+      await writes;
+      if (writeError) {
+        throw writeError;
       }
       
-      spinner.succeed('Hash update complete!');
+      spinner.succeed(options.dryRun ? 'Hash calculation complete (dry run, nothing written)' : 'Hash update complete!');
       
-      console.log(chalk.green(`\n✓ Updated ${updated} file hashes (${hashMethod} method)`));
+      const seconds = stats.elapsedMs / 1000;
+      console.log(chalk.green(`\n✓ ${options.dryRun ? 'Calculated' : 'Updated'} ${updated} file hashes (${hashMethod} method)`));
+      console.log(chalk.cyan(`Hashed ${stats.processed} files (${formatBytes(stats.bytes)}) in ${seconds.toFixed(2)}s - ${formatBytes(Math.round(stats.bytesPerSecond))}/s with ${threads} threads`));
       if (useSmart) {
         console.log(chalk.cyan(`ℹ Smart optimization: Only hashed files with same size (potential duplicates)`));
         console.log(chalk.cyan(`  Use --no-smart to hash all files, or --stats to see optimization impact`));
@@ -993,13 +2605,7 @@ program
     
     try {
       // Initialize database
-      const db = new DatabaseManager({
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      });
+      const db = createDatabaseManager(getDatabaseConfig(options));
       
       await db.connect();
       spinner.text = 'Querying duplicate files...';
@@ -1057,13 +2663,7 @@ program
     
     try {
       // Initialize database
-      const db = new DatabaseManager({
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      });
+      const db = createDatabaseManager(getDatabaseConfig(options));
       
       await db.connect();
       spinner.text = 'Fetching file data...';
@@ -1171,13 +2771,7 @@ program
     
     try {
       // Initialize database
-      const db = new DatabaseManager({
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      });
+      const db = createDatabaseManager(getDatabaseConfig(options));
       
       await db.connect();
       spinner.text = 'Fetching duplicate files by folder...';
@@ -1233,13 +2827,7 @@ program
     
     try {
       // Initialize database
-      const db = new DatabaseManager({
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      });
+      const db = createDatabaseManager(getDatabaseConfig(options));
       
       await db.connect();
       spinner.text = 'Fetching duplicates by name and size...';
@@ -1299,13 +2887,7 @@ program
     
     try {
       // Initialize database
-      const db = new DatabaseManager({
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      });
+      const db = createDatabaseManager(getDatabaseConfig(options));
       
       await db.connect();
       spinner.text = 'Analyzing folders for duplicates...';
@@ -1363,15 +2945,7 @@ program
     
     try {
       // Connect to database
-      const dbConfig = {
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      };
-      
-      const db = new DatabaseManager(dbConfig);
+      const db = createDatabaseManager(getDatabaseConfig(options));
       await db.connect();
       
       spinner.text = 'Retrieving photos from database...';
@@ -1433,15 +3007,7 @@ program
     
     try {
       // Connect to database
-      const dbConfig = {
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      };
-      
-      const db = new DatabaseManager(dbConfig);
+      const db = createDatabaseManager(getDatabaseConfig(options));
       await db.connect();
       
       spinner.text = 'Retrieving music tracks from database...';
@@ -1510,15 +3076,7 @@ program
     
     try {
       // Connect to database
-      const dbConfig = {
-        host: options.dbHost || config.database.host,
-        port: parseInt(options.dbPort || config.database.port),
-        user: options.dbUser || config.database.user,
-        password: options.dbPassword || config.database.password,
-        database: options.dbName || config.database.database
-      };
-      
-      const db = new DatabaseManager(dbConfig);
+      const db = createDatabaseManager(getDatabaseConfig(options));
       await db.connect();
       
       spinner.text = 'Retrieving movies from database...';
@@ -1571,4 +3129,172 @@ program
     }
   });
 
+
+// Schedule commands
+const scheduleCommand = program
+  .command('schedule')
+  .description('List, run and review the scheduled pipelines from config.json');
+
+// Helper function to create the scheduler; pipeline steps run the CLI against the same database
+async function initScheduler(options) {
+  const db = await initDatabase({ ...options, db: true });
+  const jobs = new JobRunner(db, { ...config.jobs, env: databaseEnvironment(getDatabaseConfig(options)) });
+  return { jobs, scheduler: new Scheduler(db, jobs, config.schedules) };
+}
+
+// Helper function to describe how a schedule run ended
+function describeRun(run) {
+  const color = { completed: chalk.green, failed: chalk.red, cancelled: chalk.yellow, skipped: chalk.gray }[run.status] || chalk.cyan;
+  const duration = run.durationMs !== null ? ` in ${formatDuration(run.durationMs / 1000)}` : '';
+  return color(`${run.status}${duration}`);
+}
+
+scheduleCommand
+  .command('list')
+  .description('List configured schedules with their next run')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (options) => {
+    const spinner = ora('Loading schedules...').start();
+    
+    try {
+      const { scheduler } = await initScheduler(options);
+      const schedules = await scheduler.list();
+      
+      spinner.succeed('Schedules loaded!');
+      
+      if (schedules.length === 0) {
+        console.log(chalk.yellow('\nNo schedules configured. Add them to "schedules" in config.json.'));
+        await closeDatabase();
+        return;
+      }
+      
+      console.log();
+      schedules.forEach(schedule => {
+        console.log(chalk.cyan(`${schedule.name}  ${chalk.white(schedule.cron)}  ${truncatePath(schedule.root)}`));
+        console.log(chalk.gray(`   Steps: ${schedule.steps.join(' → ')}`));
+        console.log(chalk.gray(`   Next run: ${schedule.nextRun ? schedule.nextRun.toLocaleString() : 'never'}`));
+        if (schedule.lastRun) {
+          const startedAt = new Date(schedule.lastRun.startedAt).toLocaleString();
+          console.log(chalk.gray(`   Last run: ${startedAt} `) + describeRun(schedule.lastRun));
+        }
+      });
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Failed to load schedules');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+scheduleCommand
+  .command('run-now')
+  .description('Run a schedule\'s pipeline now and wait for it to finish')
+  .argument('<name>', 'Schedule name (see schedule list)')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (name, options) => {
+    const spinner = ora(`Starting schedule ${name}...`).start();
+    
+    try {
+      const { jobs, scheduler } = await initScheduler(options);
+      
+      let currentStep = null;
+      scheduler.on('step', (scheduleName, step) => {
+        currentStep = step;
+        spinner.text = `${step}...`;
+      });
+      jobs.on('log', (id, line) => {
+        spinner.text = `${currentStep}: ${line.trim()}`;
+      });
+      
+      // Ctrl+C cancels the running step, which ends the run as cancelled
+      process.once('SIGINT', () => {
+        spinner.text = 'Cancelling...';
+        jobs.stop();
+      });
+      
+      const run = await scheduler.run(name);
+      
+      if (run.status === 'completed') {
+        spinner.succeed(`Schedule ${name} completed!`);
+      } else {
+        spinner.fail(`Schedule ${name} ${run.status}`);
+      }
+      
+      console.log();
+      run.steps.forEach(step => {
+        const job = step.jobId ? chalk.gray(` (job #${step.jobId})`) : '';
+        console.log(`  ${step.step}: ${describeRun(step)}${job}`);
+      });
+      if (run.error) {
+        console.log(chalk.red(`\nError: ${run.error}`));
+      }
+      
+      await closeDatabase();
+      if (run.status !== 'completed') {
+        process.exit(1);
+      }
+      
+    } catch (err) {
+      spinner.fail('Run failed');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
+scheduleCommand
+  .command('history')
+  .description('Show recent schedule runs with their duration and outcome')
+  .argument('[name]', 'Only show runs of this schedule')
+  .option('-l, --limit <number>', 'Number of runs to show', '20')
+  .option('--db-host <host>', `Database host (default: ${config.database.host})`)
+  .option('--db-port <port>', `Database port (default: ${config.database.port})`)
+  .option('--db-user <user>', `Database user (default: ${config.database.user})`)
+  .option('--db-password <password>', 'Database password')
+  .option('--db-name <name>', `Database name (default: ${config.database.database})`)
+  .action(async (name, options) => {
+    const spinner = ora('Loading schedule history...').start();
+    
+    try {
+      const { scheduler } = await initScheduler(options);
+      const runs = await scheduler.history(name || null, parseInt(options.limit));
+      
+      spinner.succeed('History loaded!');
+      
+      if (runs.length === 0) {
+        console.log(chalk.green('\nNo schedule runs recorded yet.'));
+        await closeDatabase();
+        return;
+      }
+      
+      console.log();
+      runs.forEach(run => {
+        const startedAt = new Date(run.startedAt).toLocaleString();
+        console.log(`#${run.id}  ${chalk.cyan(run.name)}  ${run.trigger}  ${startedAt}  ${describeRun(run)}`);
+        if (run.error) {
+          console.log(chalk.gray(`   ${run.error}`));
+        }
+      });
+      
+      await closeDatabase();
+      
+    } catch (err) {
+      spinner.fail('Failed to load history');
+      console.error(chalk.red(`Error: ${err.message}`));
+      await closeDatabase();
+      process.exit(1);
+    }
+  });
+
 program.parse();
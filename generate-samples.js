@@ -3,9 +3,11 @@ import { MusicPlayerGenerator } from './lib/music-ui.js';
 import { MoviePlayerGenerator } from './lib/movie-ui.js';
 import { formatBytes } from './lib/utils.js';
 import fs from 'fs/promises';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
 
 // Sample photo data
-const samplePhotos = [
+export const samplePhotos = [
   {
     id: 1,
     path: '/photos/vacation/beach_sunset.jpg',
@@ -106,7 +108,7 @@ const photoStats = {
 };
 
 // Sample music data
-const sampleTracks = [
+export const sampleTracks = [
   {
     id: 1,
     path: '/music/rock/01-yesterday.mp3',
@@ -216,7 +218,7 @@ const musicStats = {
 };
 
 // Sample movie data
-const sampleMovies = [
+export const sampleMovies = [
   {
     id: 1,
     path: '/movies/action/the_matrix.mkv',
@@ -352,4 +354,7 @@ async function generateSamples() {
   console.log('\n✅ All sample files generated successfully!');
 }
 
-generateSamples().catch(console.error);
+// Only generate when run directly; the sample data is also used as test fixtures
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  generateSamples().catch(console.error);
+}
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+import { parentPort } from 'worker_threads';
+import { FileScanner } from './lib/scanner.js';
+
+// Long-lived hashing worker: receives one file at a time from HashPool and
+// answers with its hashes. Database writes stay on the main thread.
+const scanner = new FileScanner();
+
+parentPort.on('message', async (message) => {
+  if (message.type !== 'hash') {
+    return;
+  }
+
+  const { id, path, method } = message;
+
+  try {
+    const { hash, quickHash } = await scanner.calculateHashes(path, method);
+    parentPort.postMessage({ type: 'result', id, hash, quickHash });
+  } catch (err) {
+    parentPort.postMessage({ type: 'error', id, error: err.message });
+  }
+});
@@ -8,5 +8,26 @@ export { EmptyFinder } from './lib/empty.js';
 export { LargeFilesFinder } from './lib/large.js';
 export { BrokenFilesFinder } from './lib/broken.js';
 export { DatabaseManager } from './lib/database.js';
+export { SqliteDatabaseManager } from './lib/sqlite-database.js';
+export { createDatabaseManager } from './lib/storage.js';
+export { IncrementalScanner } from './lib/incremental.js';
+export { HashPool } from './lib/hash-pool.js';
+export { QuarantineManager } from './lib/quarantine.js';
+export { FileWatcher } from './lib/watcher.js';
 export { MediaMetadataExtractor } from './lib/media.js';
+export { SimilarPhotoFinder } from './lib/similar.js';
+export { DuplicateTrackFinder } from './lib/duplicate-tracks.js';
+export { ThumbnailCache } from './lib/thumbnails.js';
+export { CoverCache } from './lib/covers.js';
+export { JobRunner, JOB_TYPES } from './lib/jobs.js';
+export { Scheduler, parseCron, nextCronRun } from './lib/scheduler.js';
+export { PlaylistManager } from './lib/playlists.js';
+export { Transcoder } from './lib/transcoder.js';
+export { WatchProgressManager } from './lib/watch-progress.js';
+export { ShowManager, parseEpisode } from './lib/shows.js';
+export { findSidecarSubtitles, toWebVtt } from './lib/subtitles.js';
+export { TagEncodingRepairer } from './lib/tag-encoding.js';
+export { TagEditor } from './lib/tag-editor.js';
+export { LibraryOrganizer, ORGANIZE_TYPES, renderTemplate } from './lib/organizer.js';
+export { ArchiveIndexer, listArchiveEntries } from './lib/archives.js';
 export { formatBytes, formatDate, truncatePath, getFileStats, loadConfig } from './lib/utils.js';
@@ -0,0 +1,539 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
+import { createGunzip, createInflateRaw } from 'zlib';
+import { pipeline } from 'stream/promises';
+import iconv from 'iconv-lite';
+import { FileScanner } from './scanner.js';
+
+export const ARCHIVE_FORMATS = ['zip', 'tar', 'tar.gz'];
+
+// Largest pax header or GNU long name read into memory
+const MAX_TAR_METADATA = 1024 * 1024;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * The archive format of a file name, or null when it isn't an archive
+ */
+export function archiveFormat(filePath) {
+  const name = filePath.toLowerCase();
+  if (name.endsWith('.zip')) {
+    return 'zip';
+  }
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) {
+    return 'tar.gz';
+  }
+  if (name.endsWith('.tar')) {
+    return 'tar';
+  }
+  return null;
+}
+
+/**
+ * The sha256 of everything that flows through some streams
+ */
+async function hashStreams(...streams) {
+  const hash = createHash('sha256');
+  await pipeline(...streams, async source => {
+    for await (const chunk of source) {
+      hash.update(chunk);
+    }
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Convert an MS-DOS date and time as stored in zip headers
+ */
+function dosDateTime(date, time) {
+  return new Date(
+    (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+  );
+}
+
+/**
+ * Zip names are UTF-8 when flagged, and in practice often without the flag;
+ * anything else is the old DOS code page
+ */
+function zipName(bytes, flags) {
+  if (flags & 0x800) {
+    return bytes.toString('utf8');
+  }
+  try {
+    return utf8.decode(bytes);
+  } catch (err) {
+    return iconv.decode(bytes, 'cp437');
+  }
+}
+
+/**
+ * Read the central directory of a zip file: one entry per file, with the
+ * offset of its local header. Zip64 archives are supported.
+ */
+async function readZipDirectory(handle, fileSize) {
+  // The end of central directory record is followed by a comment of up to 64 KiB
+  const tailSize = Math.min(fileSize, 22 + 0xffff);
+  const tail = Buffer.alloc(tailSize);
+  await handle.read(tail, 0, tailSize, fileSize - tailSize);
+
+  let end = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('not a zip archive');
+  }
+
+  let count = tail.readUInt16LE(end + 10);
+  let directorySize = tail.readUInt32LE(end + 12);
+  let directoryOffset = tail.readUInt32LE(end + 16);
+
+  if (end >= 20 && tail.readUInt32LE(end - 20) === 0x07064b50) {
+    const record = Buffer.alloc(56);
+    await handle.read(record, 0, 56, Number(tail.readBigUInt64LE(end - 12)));
+    if (record.readUInt32LE(0) !== 0x06064b50) {
+      throw new Error('corrupt zip64 end of central directory');
+    }
+    count = Number(record.readBigUInt64LE(32));
+    directorySize = Number(record.readBigUInt64LE(40));
+    directoryOffset = Number(record.readBigUInt64LE(48));
+  }
+
+  const directory = Buffer.alloc(directorySize);
+  await handle.read(directory, 0, directorySize, directoryOffset);
+
+  const entries = [];
+  let position = 0;
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== 0x02014b50) {
+      throw new Error('corrupt zip central directory');
+    }
+    const flags = directory.readUInt16LE(position + 8);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const entry = {
+      path: zipName(directory.subarray(position + 46, position + 46 + nameLength), flags),
+      method: directory.readUInt16LE(position + 10),
+      encrypted: Boolean(flags & 0x1),
+      mtime: dosDateTime(directory.readUInt16LE(position + 14), directory.readUInt16LE(position + 12)),
+      crc32: directory.readUInt32LE(position + 16).toString(16).padStart(8, '0'),
+      compressedSize: directory.readUInt32LE(position + 20),
+      size: directory.readUInt32LE(position + 24),
+      offset: directory.readUInt32LE(position + 42)
+    };
+
+    // Zip64 sizes and offsets live in an extra field, in this order, when the 32-bit value is maxed out
+    let extra = position + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.readUInt16LE(extra);
+      const length = directory.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        for (const key of ['size', 'compressedSize', 'offset']) {
+          if (entry[key] === 0xffffffff && field + 8 <= extra + 4 + length) {
+            entry[key] = Number(directory.readBigUInt64LE(field));
+            field += 8;
+          }
+        }
+      }
+      extra += 4 + length;
+    }
+
+    position = extraEnd + commentLength;
+    if (!entry.path.endsWith('/')) {
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+/**
+ * List the files of a zip archive with their sizes, CRCs and sha256
+ * hashes. Encrypted entries and compression methods other than store and
+ * deflate get no hash.
+ */
+export async function listZipEntries(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const entries = await readZipDirectory(handle, size);
+
+    for (const entry of entries) {
+      entry.hash = null;
+      if (entry.encrypted || (entry.method !== 0 && entry.method !== 8)) {
+        continue;
+      }
+
+      const header = Buffer.alloc(30);
+      await handle.read(header, 0, 30, entry.offset);
+      if (header.readUInt32LE(0) !== 0x04034b50) {
+        throw new Error(`corrupt zip local header for ${entry.path}`);
+      }
+      const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+      if (entry.compressedSize === 0) {
+        entry.hash = createHash('sha256').digest('hex');
+        continue;
+      }
+      const data = createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+      entry.hash = entry.method === 8 ? await hashStreams(data, createInflateRaw()) : await hashStreams(data);
+    }
+
+    return entries.map(({ path, size, crc32, hash, mtime }) => ({ path, size, crc32, hash, mtime }));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read a stream in exact-size pieces
+ */
+class StreamReader {
+  constructor(stream) {
+    this.iterator = stream[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+  }
+
+  async fill(length) {
+    while (this.buffer.length < length) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        return false;
+      }
+      this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, value]) : value;
+    }
+    return true;
+  }
+
+  /**
+   * The next `length` bytes, or null at the end of the stream
+   */
+  async read(length) {
+    if (!await this.fill(length)) {
+      return null;
+    }
+    const bytes = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return bytes;
+  }
+
+  /**
+   * Pass the next `length` bytes to `onData` without collecting them
+   */
+  async skip(length, onData = null) {
+    while (length > 0) {
+      if (this.buffer.length === 0 && !await this.fill(1)) {
+        throw new Error('unexpected end of archive');
+      }
+      const part = this.buffer.subarray(0, Math.min(length, this.buffer.length));
+      if (onData) {
+        onData(part);
+      }
+      this.buffer = this.buffer.subarray(part.length);
+      length -= part.length;
+    }
+  }
+
+  async close() {
+    await this.iterator.return?.();
+  }
+}
+
+/**
+ * Read a number from a tar header: octal text, or big-endian binary when
+ * the high bit of the first byte is set
+ */
+function tarNumber(bytes) {
+  if (bytes[0] & 0x80) {
+    let value = bytes[0] & 0x7f;
+    for (const byte of bytes.subarray(1)) {
+      value = value * 256 + byte;
+    }
+    return value;
+  }
+  const text = bytes.toString('ascii').replace(/\0.*$/s, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function tarText(bytes) {
+  const end = bytes.indexOf(0);
+  return bytes.subarray(0, end === -1 ? bytes.length : end).toString('utf8');
+}
+
+/**
+ * Parse a 512-byte tar header, or return null for the zero block that ends
+ * the archive
+ */
+function parseTarHeader(block) {
+  if (block.every(byte => byte === 0)) {
+    return null;
+  }
+
+  let checksum = 0;
+  for (let i = 0; i < 512; i++) {
+    checksum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  if (checksum !== tarNumber(block.subarray(148, 156))) {
+    throw new Error('not a tar archive');
+  }
+
+  const name = tarText(block.subarray(0, 100));
+  // Only POSIX ustar ("ustar\0") has a name prefix; old GNU headers keep other fields there
+  const prefix = block.toString('ascii', 257, 263) === 'ustar\0' ? tarText(block.subarray(345, 500)) : '';
+  return {
+    path: prefix ? `${prefix}/${name}` : name,
+    size: tarNumber(block.subarray(124, 136)),
+    mtime: new Date(tarNumber(block.subarray(136, 148)) * 1000),
+    type: block[156] === 0 ? '0' : String.fromCharCode(block[156])
+  };
+}
+
+/**
+ * Parse the "length key=value\n" records of a pax extended header
+ */
+function parsePaxRecords(bytes) {
+  const records = {};
+  let position = 0;
+  while (position < bytes.length) {
+    const space = bytes.indexOf(0x20, position);
+    const length = parseInt(bytes.toString('ascii', position, space), 10);
+    if (space === -1 || !length) {
+      break;
+    }
+    const record = bytes.toString('utf8', space + 1, position + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+  return records;
+}
+
+/**
+ * List the regular files of a tar archive, optionally gzipped, with their
+ * sizes and sha256 hashes. Understands ustar, pax and GNU long names.
+ */
+export async function listTarEntries(filePath, gzipped = false) {
+  const source = createReadStream(filePath);
+  let stream = source;
+  if (gzipped) {
+    stream = source.pipe(createGunzip());
+    source.on('error', err => stream.destroy(err));
+  }
+  const reader = new StreamReader(stream);
+  const entries = [];
+  const padding = size => (512 - (size % 512)) % 512;
+
+  try {
+    let overrides = {};
+    for (let first = true; ; first = false) {
+      const block = await reader.read(512);
+      if (!block && first) {
+        throw new Error('not a tar archive');
+      }
+      const header = block && parseTarHeader(block);
+      if (!header) {
+        break;
+      }
+
+      if (['x', 'L'].includes(header.type)) {
+        if (header.size > MAX_TAR_METADATA) {
+          throw new Error(`tar metadata of ${header.size} bytes is too large`);
+        }
+        const data = await reader.read(header.size);
+        await reader.skip(padding(header.size));
+        if (!data) {
+          throw new Error('unexpected end of archive');
+        }
+        if (header.type === 'x') {
+          const records = parsePaxRecords(data);
+          overrides = {
+            ...overrides,
+            ...(records.path && { path: records.path }),
+            ...(records.size && { size: Number(records.size) }),
+            ...(records.mtime && { mtime: new Date(Number(records.mtime) * 1000) })
+          };
+        } else {
+          overrides = { ...overrides, path: tarText(data) };
+        }
+        continue;
+      }
+
+      if (['0', '7'].includes(header.type)) {
+        const size = overrides.size ?? header.size;
+        const hash = createHash('sha256');
+        await reader.skip(size, chunk => hash.update(chunk));
+        await reader.skip(padding(size));
+        entries.push({
+          path: overrides.path ?? header.path,
+          size,
+          crc32: null,
+          hash: hash.digest('hex'),
+          mtime: overrides.mtime ?? header.mtime
+        });
+      } else {
+        // Directories, links, devices and global pax headers have no content of interest
+        await reader.skip(header.size + padding(header.size));
+      }
+      overrides = {};
+    }
+  } finally {
+    await reader.close();
+    source.destroy();
+  }
+
+  return entries;
+}
+
+/**
+ * List the files of an archive as `{ path, size, crc32, hash, mtime }`
+ */
+export async function listArchiveEntries(filePath, format = archiveFormat(filePath)) {
+  switch (format) {
+    case 'zip':
+      return await listZipEntries(filePath);
+    case 'tar':
+      return await listTarEntries(filePath);
+    case 'tar.gz':
+      return await listTarEntries(filePath, true);
+    default:
+      throw new Error(`Unknown archive format "${format}" (valid formats: ${ARCHIVE_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Archive Indexer
+ * Lists the files inside zip and tar archives into the database so they
+ * take part in duplicate detection: archive entries are compared with loose
+ * files, and archives whose every file exists outside them are flagged.
+ */
+export class ArchiveIndexer {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.scanner = options.scanner || new FileScanner();
+    this.fullHashes = new Map();
+  }
+
+  /**
+   * Index archives from `getArchiveFiles`. Archives that didn't change since
+   * they were indexed are skipped unless `force` is set. Unreadable archives
+   * are stored with their error.
+   */
+  async indexArchives(files, options = {}) {
+    const results = { indexed: 0, skipped: 0, entries: 0, failed: [] };
+
+    for (const file of files) {
+      const format = archiveFormat(file.path);
+      if (!format || (file.indexed && !options.force)) {
+        results.skipped++;
+      } else {
+        try {
+          const entries = await listArchiveEntries(file.path, format);
+          await this.db.storeArchiveIndex(file.id, format, entries);
+          results.indexed++;
+          results.entries += entries.length;
+        } catch (err) {
+          await this.db.storeArchiveIndex(file.id, format, [], err.message);
+          results.failed.push({ path: file.path, error: err.message });
+        }
+      }
+
+      if (options.progressCallback) {
+        options.progressCallback({
+          type: 'progress',
+          indexed: results.indexed,
+          failed: results.failed.length,
+          currentFile: file.path
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check that a loose file has the content of an archive entry. Stored
+   * hashes that differ may be sampled or quick hashes, so the file is hashed
+   * in full once and remembered.
+   */
+  async matchesEntry(candidate) {
+    if (candidate.file_hash === candidate.hash) {
+      return true;
+    }
+    if (!this.fullHashes.has(candidate.path)) {
+      const hash = await this.scanner.calculateStreamingHash(candidate.path).catch(() => null);
+      this.fullHashes.set(candidate.path, hash);
+    }
+    return this.fullHashes.get(candidate.path) === candidate.hash;
+  }
+
+  /**
+   * Find archive entries that have copies as loose files. Returns
+   * `{ archiveId, archivePath, entryPath, size, hash, copies }` per entry,
+   * largest first.
+   */
+  async findEntryDuplicates(minSize = 1) {
+    const duplicates = new Map();
+
+    for (const candidate of await this.db.getArchiveEntryCandidates(minSize)) {
+      if (!await this.matchesEntry(candidate)) {
+        continue;
+      }
+      if (!duplicates.has(candidate.entry_id)) {
+        duplicates.set(candidate.entry_id, {
+          archiveId: candidate.archive_id,
+          archivePath: candidate.archive_path,
+          entryPath: candidate.entry_path,
+          size: Number(candidate.size),
+          hash: candidate.hash,
+          copies: []
+        });
+      }
+      duplicates.get(candidate.entry_id).copies.push({ id: candidate.file_id, path: candidate.path });
+    }
+
+    return [...duplicates.values()];
+  }
+
+  /**
+   * Find archives whose every file also exists as a loose file, so the
+   * archive holds nothing that isn't kept elsewhere. Returns
+   * `{ id, path, size, format, entryCount, contentSize, entries }`, where
+   * entries are the archive's files with their copies.
+   */
+  async findRedundantArchives() {
+    const byArchive = new Map();
+    for (const duplicate of await this.findEntryDuplicates()) {
+      if (!byArchive.has(duplicate.archiveId)) {
+        byArchive.set(duplicate.archiveId, []);
+      }
+      byArchive.get(duplicate.archiveId).push(duplicate);
+    }
+
+    const redundant = [];
+    for (const archive of await this.db.getArchiveSummaries()) {
+      const entries = byArchive.get(archive.id) || [];
+      // Empty files count as present anywhere
+      if (archive.error || entries.length === 0 || entries.length + archive.empty_entries < archive.entry_count) {
+        continue;
+      }
+      redundant.push({
+        id: archive.id,
+        path: archive.path,
+        size: archive.size,
+        format: archive.format,
+        entryCount: archive.entry_count,
+        contentSize: archive.content_size,
+        entries
+      });
+    }
+
+    return redundant.sort((a, b) => b.size - a.size);
+  }
+}
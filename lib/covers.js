@@ -0,0 +1,273 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import sharp from 'sharp';
+import { parseFile } from 'music-metadata';
+
+export const DEFAULT_COVER_SIZES = { small: 150, medium: 300, large: 600 };
+
+// Images in an album folder used when a track embeds no picture, in order of preference
+export const FOLDER_COVER_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+const FOLDER_COVER_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Path of the cover image in a folder (cover.jpg, Folder.png, ...), or null
+ */
+export async function findFolderCover(directory) {
+  let names;
+  try {
+    names = await fs.readdir(directory);
+  } catch (err) {
+    return null;
+  }
+
+  let best = null;
+  for (const name of names) {
+    const extension = path.extname(name).toLowerCase();
+    const rank = FOLDER_COVER_NAMES.indexOf(path.basename(name, path.extname(name)).toLowerCase());
+    if (rank !== -1 && FOLDER_COVER_EXTENSIONS.includes(extension) && (!best || rank < best.rank)) {
+      best = { rank, name };
+    }
+  }
+  return best ? path.join(directory, best.name) : null;
+}
+
+/**
+ * The embedded picture to use as a track's cover: the front cover, or the
+ * first picture when none is marked as one
+ */
+export function pickEmbeddedPicture(pictures = []) {
+  return pictures.find(picture => /front/i.test(picture.type || '')) || pictures[0] || null;
+}
+
+/**
+ * Cover Cache
+ * Album art taken from the pictures embedded in music files or from cover
+ * images in their folders. Each distinct image is stored once, named by the
+ * SHA-256 of its bytes, so an album whose tracks all embed the same picture
+ * costs one file; resized JPEGs are created next to it on first request.
+ */
+export class CoverCache {
+  constructor(db, options = {}) {
+    if (!options.directory) {
+      throw new Error('A cover directory is required');
+    }
+
+    this.db = db;
+    this.options = {
+      sizes: DEFAULT_COVER_SIZES,
+      quality: 85,
+      ...options,
+      directory: path.resolve(options.directory)
+    };
+
+    // Requests for a size that is still being rendered wait for the same work
+    this.pending = new Map();
+  }
+
+  /**
+   * Names of the configured sizes
+   */
+  get sizeNames() {
+    return Object.keys(this.options.sizes);
+  }
+
+  getImagePath(hash) {
+    return path.join(this.options.directory, hash.slice(0, 2), `${hash}-original`);
+  }
+
+  getCoverPath(hash, size) {
+    return path.join(this.options.directory, hash.slice(0, 2), `${hash}-${size}.jpg`);
+  }
+
+  /**
+   * Add an image to the cache unless an identical one is there already.
+   * Returns its hash. Throws when the bytes aren't an image sharp can read.
+   */
+  async store(buffer) {
+    const hash = createHash('sha256').update(buffer).digest('hex');
+    const imagePath = this.getImagePath(hash);
+
+    try {
+      await fs.access(imagePath);
+      return hash;
+    } catch (err) {
+      // Not stored yet
+    }
+
+    await sharp(buffer).metadata();
+    await fs.mkdir(path.dirname(imagePath), { recursive: true });
+    const tempPath = `${imagePath}.${randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, imagePath);
+    } catch (err) {
+      await fs.rm(tempPath, { force: true });
+      throw err;
+    }
+    return hash;
+  }
+
+  /**
+   * Find the cover of a music file row: its embedded picture, else the cover
+   * image of its folder. Returns `{ hash, source }` with source `embedded`,
+   * `folder` or `none`.
+   */
+  async extract(file) {
+    let picture = null;
+    try {
+      const metadata = await parseFile(file.path);
+      picture = pickEmbeddedPicture(metadata.common.picture);
+    } catch (err) {
+      // Unreadable tags can still have a folder image
+    }
+
+    if (picture) {
+      try {
+        return { hash: await this.store(Buffer.from(picture.data)), source: 'embedded' };
+      } catch (err) {
+        // A broken embedded picture falls back to the folder image
+      }
+    }
+
+    const coverPath = await findFolderCover(path.dirname(file.path));
+    if (coverPath) {
+      try {
+        return { hash: await this.store(await fs.readFile(coverPath)), source: 'folder' };
+      } catch (err) {
+        // Not an image after all
+      }
+    }
+    return { hash: null, source: 'none' };
+  }
+
+  /**
+   * Extract a file row's cover and record it in the database
+   */
+  async update(file) {
+    const cover = await this.extract(file);
+    await this.db.storeTrackCover(file.id, cover.hash, cover.source);
+    return cover;
+  }
+
+  /**
+   * Path of an album's cover in one size, or null when the album is unknown
+   * or has no art. Tracks nobody looked for art in yet are checked first.
+   */
+  async getAlbumCover(albumId, size) {
+    if (!this.options.sizes[size]) {
+      throw new Error(`Unknown cover size "${size}" (valid sizes: ${this.sizeNames.join(', ')})`);
+    }
+
+    const album = await this.db.getAlbum(albumId);
+    if (!album) {
+      return null;
+    }
+
+    let hash = await this.db.getAlbumCoverHash(album);
+    if (!hash) {
+      const unchecked = await this.db.getMusicFiles({ album: album.name, albumArtist: album.artist, uncheckedCovers: true });
+      for (const file of unchecked) {
+        await this.update(file);
+      }
+      hash = unchecked.length > 0 ? await this.db.getAlbumCoverHash(album) : null;
+    }
+
+    return hash ? await this.getCover(hash, size) : null;
+  }
+
+  /**
+   * Path of one size of a cached image, resizing it first when needed
+   */
+  async getCover(hash, size) {
+    const coverPath = this.getCoverPath(hash, size);
+    try {
+      await fs.access(coverPath);
+      return coverPath;
+    } catch (err) {
+      // Not resized yet
+    }
+
+    if (!this.pending.has(coverPath)) {
+      const work = this.render(hash, size).finally(() => this.pending.delete(coverPath));
+      this.pending.set(coverPath, work);
+    }
+    return await this.pending.get(coverPath);
+  }
+
+  /**
+   * Resize an image to a square-bounded JPEG, written through a temporary file
+   */
+  async render(hash, size) {
+    const maxEdge = this.options.sizes[size];
+    const coverPath = this.getCoverPath(hash, size);
+    const tempPath = `${coverPath}.${randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+      await sharp(this.getImagePath(hash))
+        .resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: this.options.quality, mozjpeg: true })
+        .toFile(tempPath);
+      await fs.rename(tempPath, coverPath);
+    } catch (err) {
+      await fs.rm(tempPath, { force: true });
+      throw err;
+    }
+    return coverPath;
+  }
+
+  /**
+   * Remove cached images no live track uses any more, plus leftover
+   * temporary files. Returns what was (or would be) removed.
+   */
+  async cleanup(dryRun = false) {
+    const result = { removed: 0, bytes: 0, kept: 0 };
+
+    let shards;
+    try {
+      shards = await fs.readdir(this.options.directory, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return result;
+      }
+      throw err;
+    }
+
+    for (const shard of shards.filter(entry => entry.isDirectory())) {
+      const shardPath = path.join(this.options.directory, shard.name);
+      const names = await fs.readdir(shardPath);
+
+      const hashOf = name => name.replace(/-[^-.]+(\.jpg)?$/, '');
+      const covers = new Set(names.filter(name => !name.endsWith('.tmp')));
+      const live = await this.db.getLiveCoverHashes([...new Set([...covers].map(hashOf))]);
+
+      for (const name of names) {
+        if (covers.has(name) && live.has(hashOf(name))) {
+          result.kept++;
+          continue;
+        }
+
+        const filePath = path.join(shardPath, name);
+        const stat = await fs.stat(filePath);
+
+        // A recent temporary file may still be written by a running server
+        if (name.endsWith('.tmp') && Date.now() - stat.mtimeMs < 60 * 60 * 1000) {
+          continue;
+        }
+
+        result.removed++;
+        result.bytes += stat.size;
+        if (!dryRun) {
+          await fs.rm(filePath, { force: true });
+        }
+      }
+
+      if (!dryRun) {
+        await fs.rmdir(shardPath).catch(() => {});
+      }
+    }
+
+    return result;
+  }
+}
@@ -1,5 +1,104 @@
 import { json } from 'express';
 import mysql from 'mysql2/promise';
+import { showKey } from './shows.js';
+
+// Default and largest page size of the library page queries
+const LIBRARY_PAGE_SIZE = 100;
+const LIBRARY_MAX_PAGE_SIZE = 500;
+
+const PHOTO_COLUMNS = `
+  sf.id, sf.path, sf.name, sf.size, sf.hash,
+  pm.width, pm.height, pm.format, pm.camera_make, pm.camera_model, pm.lens_model,
+  pm.iso, pm.aperture, pm.shutter_speed, pm.focal_length, pm.flash, pm.date_taken,
+  pm.latitude, pm.longitude, pm.altitude, pm.software, pm.artist, pm.copyright`;
+const PHOTO_FROM = 'FROM scanned_files sf JOIN photo_metadata pm ON sf.id = pm.file_id';
+
+// Albums are told apart by their album artist (or track artist) as well as their name
+const ALBUM_ARTIST = "COALESCE(NULLIF(mm.album_artist, ''), NULLIF(mm.artist, ''), '')";
+
+const MUSIC_COLUMNS = `
+  sf.id, sf.path, sf.name, sf.size, sf.hash, sf.created_at,
+  mm.title, mm.artist, mm.album, mm.album_artist, mm.year, mm.genre,
+  mm.track_number, mm.track_total, mm.disk_number, mm.disk_total,
+  mm.duration, mm.bitrate, mm.sample_rate, mm.channels, mm.codec,
+  mm.composer, mm.isrc, mm.has_album_art,
+  (SELECT ma.id FROM music_albums ma WHERE ma.name = mm.album AND ma.artist = ${ALBUM_ARTIST}) AS album_id`;
+const MUSIC_FROM = 'FROM scanned_files sf JOIN music_metadata mm ON sf.id = mm.file_id';
+
+const VIDEO_COLUMNS = `
+  sf.id, sf.path, sf.name, sf.size, sf.hash, sf.created_at,
+  vm.title, vm.duration, vm.width, vm.height, vm.frame_rate,
+  vm.video_codec, vm.video_bitrate, vm.audio_codec, vm.audio_bitrate,
+  vm.audio_sample_rate, vm.audio_channels, vm.description, vm.genre,
+  vm.artist, vm.year, vm.create_date, vm.software, vm.latitude, vm.longitude`;
+const VIDEO_FROM = 'FROM scanned_files sf JOIN video_metadata vm ON sf.id = vm.file_id';
+
+// music_metadata columns updateMusicTags may change
+const MUSIC_TAG_COLUMNS = [
+  'title', 'artist', 'album', 'album_artist', 'genre', 'composer',
+  'year', 'track_number', 'track_total', 'disk_number', 'disk_total'
+];
+
+// Sort fields accepted by the library page queries, mapped to SQL
+const PHOTO_SORT_COLUMNS = {
+  date_taken: 'pm.date_taken',
+  name: 'sf.name',
+  size: 'sf.size',
+  width: 'pm.width',
+  camera: 'pm.camera_make'
+};
+const MUSIC_SORT_COLUMNS = {
+  title: 'mm.title',
+  artist: 'mm.artist',
+  album: 'mm.album',
+  year: 'mm.year',
+  genre: 'mm.genre',
+  duration: 'mm.duration',
+  bitrate: 'mm.bitrate',
+  size: 'sf.size',
+  added: 'sf.created_at'
+};
+const VIDEO_SORT_COLUMNS = {
+  create_date: 'vm.create_date',
+  title: 'vm.title',
+  year: 'vm.year',
+  duration: 'vm.duration',
+  width: 'vm.width',
+  size: 'sf.size',
+  added: 'sf.created_at'
+};
+
+const SHOW_SORT_COLUMNS = {
+  name: 'ts.name',
+  added: 'lastAdded',
+  watched: 'lastWatched'
+};
+
+const PHOTO_EXTENSION_FILTERS = ['jpg', 'jpeg', 'png', 'heic', 'gif'];
+
+/**
+ * Add a case-insensitive "contains" match over several columns
+ */
+function addSearchCondition(conditions, params, search, columns) {
+  if (!search) {
+    return;
+  }
+
+  // '!' escapes LIKE wildcards typed by the user
+  const pattern = `%${String(search).replace(/[!%_]/g, '!$&')}%`;
+  conditions.push(`(${columns.map(column => `LOWER(${column}) LIKE LOWER(?) ESCAPE '!'`).join(' OR ')})`);
+  params.push(...columns.map(() => pattern));
+}
+
+/**
+ * ORDER BY clause for a whitelisted sort field; empty values sort last and
+ * the id keeps pages stable. Unknown fields fall back to the first column.
+ */
+function libraryOrderBy(sortColumns, sort, order) {
+  const column = sortColumns[sort] || Object.values(sortColumns)[0];
+  const direction = String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  return `(${column} IS NULL), ${column} ${direction}, sf.id`;
+}
 
 /**
  * Database Manager for storing scanned file information
@@ -63,7 +162,7 @@ export class DatabaseManager {
       return rows[0].version || 0;
     } catch (err) {
       // If table doesn't exist, return 0
-      if (err.message.includes("doesn't exist")) {
+      if (this.isMissingTableError(err)) {
         return 0;
       }
       throw err;
@@ -100,7 +199,7 @@ export class DatabaseManager {
       return rows[0].count > 0;
     } catch (err) {
       // If table doesn't exist, no migrations have been applied
-      if (err.message.includes("doesn't exist")) {
+      if (this.isMissingTableError(err)) {
         return false;
       }
       throw err;
@@ -400,13 +499,519 @@ export class DatabaseManager {
     console.log('Migration to version 3 completed');
   }
 
+  /**
+   * Migration: Version 4 - Add incremental scan tracking
+   */
+  async migrateToVersion4() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 4...');
+
+    // Soft-delete columns so vanished files keep their history
+    await this.connection.execute(`
+      ALTER TABLE scanned_files
+      ADD COLUMN is_deleted BOOLEAN DEFAULT FALSE,
+      ADD COLUMN deleted_at DATETIME,
+      ADD INDEX idx_is_deleted (is_deleted)
+    `);
+    console.log('Added is_deleted and deleted_at columns');
+
+    // Per-session change counters
+    await this.connection.execute(`
+      ALTER TABLE scan_sessions
+      ADD COLUMN scan_mode VARCHAR(20) DEFAULT 'full',
+      ADD COLUMN files_added INT DEFAULT 0,
+      ADD COLUMN files_changed INT DEFAULT 0,
+      ADD COLUMN files_removed INT DEFAULT 0
+    `);
+    console.log('Added scan mode and change counters to scan_sessions');
+
+    await this.setVersion(4, 'Added soft-delete columns and incremental scan counters');
+    console.log('Migration to version 4 completed');
+  }
+
+  /**
+   * Migration: Version 5 - Add quarantine manifest table
+   */
+  async migrateToVersion5() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 5...');
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS quarantine (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        original_path VARCHAR(2048) NOT NULL,
+        quarantine_path VARCHAR(2048) NOT NULL,
+        file_id INT,
+        hash VARCHAR(64),
+        size BIGINT,
+        reason VARCHAR(50) NOT NULL,
+        scan_id INT,
+        status VARCHAR(20) DEFAULT 'quarantined',
+        quarantined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        INDEX idx_original_path (original_path(255)),
+        INDEX idx_file_id (file_id),
+        INDEX idx_reason (reason),
+        INDEX idx_status (status),
+        INDEX idx_quarantined_at (quarantined_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created quarantine table');
+
+    await this.setVersion(5, 'Added quarantine manifest table');
+    console.log('Migration to version 5 completed');
+  }
+
+  /**
+   * Migration: Version 6 - Index scanned_files.updated_at for change detection
+   */
+  async migrateToVersion6() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 6...');
+
+    // Lets readers find the latest change without a full table scan
+    await this.connection.execute(`
+      ALTER TABLE scanned_files
+      ADD INDEX idx_updated_at (updated_at)
+    `);
+    console.log('Added updated_at index');
+
+    await this.setVersion(6, 'Added updated_at index for live change detection');
+    console.log('Migration to version 6 completed');
+  }
+
+  /**
+   * Migration: Version 7 - Add scan checkpoints for resumable scans
+   */
+  async migrateToVersion7() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 7...');
+
+    // JSON list of directories still to walk; NULL once the scan completes
+    await this.connection.execute(`
+      ALTER TABLE scan_sessions
+      ADD COLUMN checkpoint LONGTEXT,
+      ADD COLUMN checkpoint_at DATETIME
+    `);
+    console.log('Added checkpoint columns to scan_sessions');
+
+    await this.setVersion(7, 'Added scan checkpoints for resumable scans');
+    console.log('Migration to version 7 completed');
+  }
+
+  /**
+   * Migration: Version 8 - Add perceptual hashes of photos
+   */
+  async migrateToVersion8() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 8...');
+
+    // 64-bit dHash as hex, compared by Hamming distance in find-similar-photos
+    await this.connection.execute(`
+      ALTER TABLE photo_metadata
+      ADD COLUMN perceptual_hash VARCHAR(16),
+      ADD INDEX idx_perceptual_hash (perceptual_hash)
+    `);
+    console.log('Added perceptual_hash column to photo_metadata');
+
+    await this.setVersion(8, 'Added perceptual hashes for similar photo detection');
+    console.log('Migration to version 8 completed');
+  }
+
+  /**
+   * Migration: Version 9 - Add background jobs table
+   */
+  async migrateToVersion9() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 9...');
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(64) NOT NULL,
+        args TEXT,
+        status VARCHAR(20) DEFAULT 'queued',
+        progress VARCHAR(512),
+        log MEDIUMTEXT,
+        exit_code INT,
+        error TEXT,
+        created_by INT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME,
+        INDEX idx_status (status),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created jobs table');
+
+    await this.setVersion(9, 'Added background jobs table');
+    console.log('Migration to version 9 completed');
+  }
+
+  /**
+   * Migration: Version 10 - Add schedule run history
+   */
+  async migrateToVersion10() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 10...');
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS schedule_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        schedule_name VARCHAR(255) NOT NULL,
+        trigger_type VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'running',
+        steps TEXT,
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        duration_ms BIGINT,
+        INDEX idx_schedule_name (schedule_name),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created schedule_runs table');
+
+    await this.setVersion(10, 'Added schedule run history');
+    console.log('Migration to version 10 completed');
+  }
+
+  /**
+   * Migration: Version 11 - Add user playlists
+   */
+  async migrateToVersion11() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 11...');
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS playlists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // Entries point at the file hash so they survive rescans, with the path as fallback
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS playlist_tracks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        playlist_id INT NOT NULL,
+        position INT NOT NULL,
+        file_hash VARCHAR(64),
+        file_path VARCHAR(2048),
+        title VARCHAR(512),
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_playlist_position (playlist_id, position),
+        INDEX idx_file_hash (file_hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS playlist_shares (
+        playlist_id INT NOT NULL,
+        user_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (playlist_id, user_id),
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created playlists, playlist_tracks and playlist_shares tables');
+
+    await this.setVersion(11, 'Added user playlists');
+    console.log('Migration to version 11 completed');
+  }
+
+  /**
+   * Migration: Version 12 - Add sidecar subtitles of videos
+   */
+  async migrateToVersion12() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 12...');
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS video_subtitles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        file_id INT NOT NULL,
+        path VARCHAR(2048) NOT NULL,
+        language VARCHAR(35),
+        label VARCHAR(255),
+        format VARCHAR(10) NOT NULL,
+        forced BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_file_id (file_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created video_subtitles table');
+
+    await this.setVersion(12, 'Added video subtitles');
+    console.log('Migration to version 12 completed');
+  }
+
+  /**
+   * Migration: Version 13 - Add per-user watch progress of videos
+   */
+  async migrateToVersion13() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 13...');
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS watch_progress (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        file_id INT NOT NULL,
+        position DOUBLE NOT NULL DEFAULT 0,
+        duration DOUBLE,
+        watched BOOLEAN DEFAULT FALSE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_user_file (user_id, file_id),
+        INDEX idx_user_updated (user_id, updated_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created watch_progress table');
+
+    await this.setVersion(13, 'Added watch progress');
+    console.log('Migration to version 13 completed');
+  }
+
+  /**
+   * Migration: Version 14 - Add TV shows and their episodes
+   */
+  async migrateToVersion14() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 14...');
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS tv_shows (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        name_key VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_name_key (name_key)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS tv_episodes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        file_id INT NOT NULL,
+        show_id INT NOT NULL,
+        season INT NOT NULL,
+        episode INT NOT NULL,
+        episode_end INT,
+        title VARCHAR(512),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_file_id (file_id),
+        INDEX idx_show_episode (show_id, season, episode)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created tv_shows and tv_episodes tables');
+
+    await this.setVersion(14, 'Added TV shows and episodes');
+    console.log('Migration to version 14 completed');
+  }
+
+  /**
+   * Migration: Version 15 - Add album ids and the cover art of music tracks
+   */
+  async migrateToVersion15() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 15...');
+
+    // cover_source is embedded, folder or none once a track was checked for art
+    try {
+      await this.connection.execute(`
+        ALTER TABLE music_metadata
+        ADD COLUMN cover_hash VARCHAR(64),
+        ADD COLUMN cover_source VARCHAR(16),
+        ADD INDEX idx_cover_hash (cover_hash)
+      `);
+      console.log('Added cover_hash and cover_source columns to music_metadata');
+    } catch (err) {
+      // The albums table below may still be missing, so only skip the columns
+      if (!this.isMigrationAlreadyAppliedError(err)) {
+        throw err;
+      }
+      console.log('cover_hash and cover_source columns already exist');
+    }
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS music_albums (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        artist VARCHAR(512) NOT NULL DEFAULT '',
+        name VARCHAR(512) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_artist_name (artist(255), name(255))
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    await this.addMissingAlbums();
+    console.log('Created music_albums table');
+
+    await this.setVersion(15, 'Added album ids and cover art');
+    console.log('Migration to version 15 completed');
+  }
+
+  /**
+   * Migration: Version 16 - Add the history of music tag edits
+   */
+  async migrateToVersion16() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 16...');
+
+    // user_id is null for CLI edits; undo_of is the edit an undo reverted
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS music_tag_edits (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT,
+        description VARCHAR(512),
+        undo_of INT,
+        undone_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS music_tag_changes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        edit_id INT NOT NULL,
+        file_id INT NOT NULL,
+        field VARCHAR(32) NOT NULL,
+        old_value VARCHAR(512),
+        new_value VARCHAR(512),
+        INDEX idx_edit_id (edit_id),
+        INDEX idx_file_id (file_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created music_tag_edits and music_tag_changes tables');
+
+    await this.setVersion(16, 'Added music tag edit history');
+    console.log('Migration to version 16 completed');
+  }
+
+  /**
+   * Migration: Version 17 - Add archive content index
+   */
+  async migrateToVersion17() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 17...');
+
+    // Size and mtime of the archive when it was indexed, to notice changes
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS archives (
+        file_id INT PRIMARY KEY,
+        format VARCHAR(10) NOT NULL,
+        archive_size BIGINT,
+        archive_mtime DATETIME,
+        error VARCHAR(1024),
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // sha256 of the entry, null when it can't be read
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS archive_entries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        archive_id INT NOT NULL,
+        entry_path VARCHAR(2048) NOT NULL,
+        size BIGINT NOT NULL,
+        crc32 CHAR(8),
+        hash VARCHAR(64),
+        mtime DATETIME,
+        INDEX idx_archive_id (archive_id),
+        INDEX idx_size (size),
+        INDEX idx_hash (hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+    console.log('Created archives and archive_entries tables');
+
+    await this.setVersion(17, 'Added archive content index');
+    console.log('Migration to version 17 completed');
+  }
+
+  /**
+   * Migration: Version 18 - Remember copies resolve-duplicates replaced by links
+   */
+  async migrateToVersion18() {
+    if (!this.connection) {
+      throw new Error('Database not connected. Call connect() first.');
+    }
+
+    console.log('Applying migration to version 18...');
+
+    // A linked copy takes no space of its own, so it is no duplicate any more
+    await this.connection.execute(`
+      ALTER TABLE scanned_files
+      ADD COLUMN is_linked BOOLEAN DEFAULT FALSE
+    `);
+    console.log('Added is_linked column');
+
+    await this.setVersion(18, 'Added linked duplicate tracking');
+    console.log('Migration to version 18 completed');
+  }
+
   /**
    * Helper method to check if migration should be skipped due to existing schema
    */
   isMigrationAlreadyAppliedError(err) {
     return err.message.includes('Duplicate column name') || 
            err.message.includes('already exists') ||
-           err.message.includes('duplicate key');
+           err.message.includes('duplicate key') ||
+           err.message.includes('Duplicate key name') ||
+           err.message.includes('duplicate column name');
+  }
+
+  /**
+   * Helper method to check if an error means a table does not exist (MySQL or SQLite wording)
+   */
+  isMissingTableError(err) {
+    return err.message.includes("doesn't exist") || err.message.includes('no such table');
   }
 
   /**
@@ -424,7 +1029,7 @@ export class DatabaseManager {
       return rows;
     } catch (err) {
       // If table doesn't exist, return empty array
-      if (err.message.includes("doesn't exist")) {
+      if (this.isMissingTableError(err)) {
         return [];
       }
       throw err;
@@ -477,24 +1082,234 @@ export class DatabaseManager {
         }
       }
 
-      const newVersion = await this.getCurrentVersion();
-      console.log(`Database schema updated to version ${newVersion}`);
-    } catch (err) {
-      throw new Error(`Failed to update schema: ${err.message}`);
-    }
-  }
+      if (currentVersion < 4) {
+        try {
+          await this.migrateToVersion4();
+        } catch (err) {
+          // If migration fails because columns already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 4 changes already exist, marking as applied');
+            await this.setVersion(4, 'Added soft-delete columns and incremental scan counters');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 5) {
+        await this.migrateToVersion5();
+      }
+
+      if (currentVersion < 6) {
+        try {
+          await this.migrateToVersion6();
+        } catch (err) {
+          // If migration fails because the index already exists, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 6 changes already exist, marking as applied');
+            await this.setVersion(6, 'Added updated_at index for live change detection');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 7) {
+        try {
+          await this.migrateToVersion7();
+        } catch (err) {
+          // If migration fails because the columns already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 7 changes already exist, marking as applied');
+            await this.setVersion(7, 'Added scan checkpoints for resumable scans');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 8) {
+        try {
+          await this.migrateToVersion8();
+        } catch (err) {
+          // If migration fails because the column already exists, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 8 changes already exist, marking as applied');
+            await this.setVersion(8, 'Added perceptual hashes for similar photo detection');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 9) {
+        try {
+          await this.migrateToVersion9();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 9 changes already exist, marking as applied');
+            await this.setVersion(9, 'Added background jobs table');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 10) {
+        try {
+          await this.migrateToVersion10();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 10 changes already exist, marking as applied');
+            await this.setVersion(10, 'Added schedule run history');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 11) {
+        try {
+          await this.migrateToVersion11();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 11 changes already exist, marking as applied');
+            await this.setVersion(11, 'Added user playlists');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 12) {
+        try {
+          await this.migrateToVersion12();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 12 changes already exist, marking as applied');
+            await this.setVersion(12, 'Added video subtitles');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 13) {
+        try {
+          await this.migrateToVersion13();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 13 changes already exist, marking as applied');
+            await this.setVersion(13, 'Added watch progress');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 14) {
+        try {
+          await this.migrateToVersion14();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 14 changes already exist, marking as applied');
+            await this.setVersion(14, 'Added TV shows and episodes');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 15) {
+        try {
+          await this.migrateToVersion15();
+        } catch (err) {
+          // If migration fails because the columns already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 15 changes already exist, marking as applied');
+            await this.setVersion(15, 'Added album ids and cover art');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 16) {
+        try {
+          await this.migrateToVersion16();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 16 changes already exist, marking as applied');
+            await this.setVersion(16, 'Added music tag edit history');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 17) {
+        try {
+          await this.migrateToVersion17();
+        } catch (err) {
+          // If migration fails because the tables already exist, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 17 changes already exist, marking as applied');
+            await this.setVersion(17, 'Added archive content index');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      if (currentVersion < 18) {
+        try {
+          await this.migrateToVersion18();
+        } catch (err) {
+          // If migration fails because the column already exists, mark as applied
+          if (this.isMigrationAlreadyAppliedError(err)) {
+            console.log('Version 18 changes already exist, marking as applied');
+            await this.setVersion(18, 'Added linked duplicate tracking');
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      const newVersion = await this.getCurrentVersion();
+      console.log(`Database schema updated to version ${newVersion}`);
+    } catch (err) {
+      throw new Error(`Failed to update schema: ${err.message}`);
+    }
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (this.connection) {
+      await this.connection.end();
+      this.connection = null;
+    }
+  }
 
   /**
    * Create a new scan session
    */
-  async createScanSession(scanPath) {
+  async createScanSession(scanPath, scanMode = 'full') {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
     const [result] = await this.connection.execute(
-      'INSERT INTO scan_sessions (scan_path, start_time, status) VALUES (?, NOW(), ?)',
-      [scanPath, 'running']
+      'INSERT INTO scan_sessions (scan_path, start_time, status, scan_mode) VALUES (?, NOW(), ?, ?)',
+      [scanPath, 'running', scanMode]
     );
 
     return result.insertId;
@@ -502,15 +1317,193 @@ export class DatabaseManager {
 
   /**
    * Update scan session when complete
+   * `changes` holds the added/changed/removed counts of an incremental scan
+   */
+  async completeScanSession(scanId, totalFiles, totalSize, changes = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute(
+      `UPDATE scan_sessions
+       SET end_time = NOW(), status = ?, total_files = ?, total_size = ?,
+           files_added = ?, files_changed = ?, files_removed = ?, checkpoint = NULL
+       WHERE id = ?`,
+      [
+        'completed',
+        totalFiles,
+        totalSize,
+        changes?.added ?? totalFiles,
+        changes?.changed ?? 0,
+        changes?.removed ?? 0,
+        scanId
+      ]
+    );
+  }
+
+  /**
+   * Store one batch of a resumable scan together with the directories still
+   * to walk. Both are written in a single transaction, so after an interruption
+   * the checkpoint always matches the rows that were stored.
+   */
+  async storeScanBatch(scanId, files, queue) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const batchSize = 100;
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+    await this.connection.beginTransaction();
+    try {
+      for (let i = 0; i < files.length; i += batchSize) {
+        await this.storeFilesBatch(files.slice(i, i + batchSize), scanId);
+      }
+
+      await this.connection.execute(
+        `UPDATE scan_sessions
+         SET total_files = total_files + ?, total_size = total_size + ?,
+             checkpoint = ?, checkpoint_at = NOW()
+         WHERE id = ?`,
+        [files.length, totalSize, JSON.stringify(queue), scanId]
+      );
+
+      await this.connection.commit();
+    } catch (err) {
+      await this.connection.rollback();
+      throw err;
+    }
+  }
+
+  /**
+   * Get a scan session with its checkpoint queue parsed
+   */
+  async getScanSession(scanId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT * FROM scan_sessions WHERE id = ?',
+      [scanId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const session = rows[0];
+    session.checkpoint = session.checkpoint ? JSON.parse(session.checkpoint) : null;
+    return session;
+  }
+
+  /**
+   * Set the status of a scan session, e.g. 'interrupted' so it can be resumed
+   */
+  async setScanStatus(scanId, status) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute(
+      'UPDATE scan_sessions SET status = ? WHERE id = ?',
+      [status, scanId]
+    );
+  }
+
+  /**
+   * Get the stored state of every live file below a directory, keyed by path.
+   * When a path was stored more than once, the most recent row wins.
+   */
+  async getFileIndex(dirPath) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT id, path, size, mtime
+       FROM scanned_files
+       WHERE SUBSTR(path, 1, CHAR_LENGTH(?)) = ? AND is_deleted = FALSE
+       ORDER BY id`,
+      [dirPath, dirPath]
+    );
+
+    const index = new Map();
+    for (const row of rows) {
+      index.set(row.path, row);
+    }
+    return index;
+  }
+
+  /**
+   * Update rows whose file changed on disk since the last scan.
+   * Stale hashes and media metadata are cleared so they get recalculated.
+   */
+  async updateChangedFiles(changes, scanId = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    for (const { id, file } of changes) {
+      await this.connection.execute(
+        `UPDATE scanned_files
+         SET size = ?, mtime = ?, atime = ?, ctime = ?, hash = NULL, quick_hash = NULL,
+             is_duplicate = FALSE, duplicate_group_id = NULL, is_linked = FALSE, scan_id = ?
+         WHERE id = ?`,
+        [file.size, file.mtime, file.atime, file.ctime, scanId, id]
+      );
+    }
+
+    const ids = changes.map(change => change.id);
+    const placeholders = ids.map(() => '?').join(',');
+    for (const table of ['photo_metadata', 'music_metadata', 'video_metadata']) {
+      await this.connection.execute(
+        `DELETE FROM ${table} WHERE file_id IN (${placeholders})`,
+        ids
+      );
+    }
+  }
+
+  /**
+   * Mark files that no longer exist on disk as deleted
+   */
+  async markFilesDeleted(fileIds, scanId = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    if (fileIds.length === 0) {
+      return;
+    }
+
+    const placeholders = fileIds.map(() => '?').join(',');
+    await this.connection.execute(
+      `UPDATE scanned_files SET is_deleted = TRUE, deleted_at = NOW(), scan_id = COALESCE(?, scan_id)
+       WHERE id IN (${placeholders})`,
+      [scanId, ...fileIds]
+    );
+  }
+
+  /**
+   * Clear the deleted flag of files that are back on disk
    */
-  async completeScanSession(scanId, totalFiles, totalSize) {
+  async markFilesRestored(fileIds) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
+    if (fileIds.length === 0) {
+      return;
+    }
+
+    const placeholders = fileIds.map(() => '?').join(',');
     await this.connection.execute(
-      'UPDATE scan_sessions SET end_time = NOW(), status = ?, total_files = ?, total_size = ? WHERE id = ?',
-      ['completed', totalFiles, totalSize, scanId]
+      `UPDATE scanned_files SET is_deleted = FALSE, deleted_at = NULL WHERE id IN (${placeholders})`,
+      fileIds
     );
   }
 
@@ -683,519 +1676,1125 @@ export class DatabaseManager {
   }
 
   /**
-   * Store photo metadata
+   * Get the most recent live row stored for a path
    */
-  async storePhotoMetadata(fileId, metadata) {
+  async getFileByPath(filePath) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    if (!metadata) return;
+    const [rows] = await this.connection.execute(
+      `SELECT id, path, name, size, mtime, hash, quick_hash, scan_id
+       FROM scanned_files
+       WHERE path = ? AND is_deleted = FALSE
+       ORDER BY id DESC
+       LIMIT 1`,
+      [filePath]
+    );
 
-    await this.connection.execute(
-      `INSERT INTO photo_metadata 
-       (file_id, width, height, format, orientation, camera_make, camera_model, lens_model,
-        iso, aperture, shutter_speed, focal_length, flash, date_taken, 
-        latitude, longitude, altitude, software, artist, copyright)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        fileId,
-        this.sanitizeForDb(metadata.width),
-        this.sanitizeForDb(metadata.height),
-        this.sanitizeForDb(metadata.format),
-        this.sanitizeForDb(metadata.orientation),
-        this.sanitizeForDb(metadata.camera?.make),
-        this.sanitizeForDb(metadata.camera?.model),
-        this.sanitizeForDb(metadata.camera?.lens),
-        this.cleanNumericValue(metadata.settings?.iso),
-        this.cleanNumericValue(metadata.settings?.aperture),
-        this.cleanNumericValue(metadata.settings?.shutterSpeed),
-        this.cleanNumericValue(metadata.settings?.focalLength),
-        this.sanitizeForDb(metadata.settings?.flash),
-        this.cleanDateTimeValue(metadata.datetime?.taken),
-        this.sanitizeForDb(metadata.location?.latitude),
-        this.sanitizeForDb(metadata.location?.longitude),
-        this.sanitizeForDb(metadata.location?.altitude),
-        this.sanitizeForDb(metadata.software),
-        this.sanitizeForDb(metadata.artist),
-        this.sanitizeForDb(metadata.copyright)
-      ]
-    );
+    return rows.length > 0 ? rows[0] : null;
   }
 
   /**
-   * Store music metadata
+   * Get a marker that changes whenever files or media metadata change.
+   * Used to invalidate cached summaries while `watch` keeps the database live.
    */
-  async storeMusicMetadata(fileId, metadata) {
+  async getLibraryChangeMarker() {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    if (!metadata) return;
-
-    await this.connection.execute(
-      `INSERT INTO music_metadata 
-       (file_id, title, artist, album, album_artist, year, genre, track_number, track_total,
-        disk_number, disk_total, duration, bitrate, sample_rate, channels, codec,
-        composer, isrc, has_album_art)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        fileId,
-        this.sanitizeForDb(metadata.track?.title),
-        this.sanitizeForDb(metadata.track?.artist),
-        this.sanitizeForDb(metadata.track?.album),
-        this.sanitizeForDb(metadata.track?.albumArtist),
-        this.cleanNumericValue(metadata.track?.year),
-        this.sanitizeForDb(metadata.track?.genre?.[0]), // Get first genre if array
-        this.cleanNumericValue(metadata.track?.trackNumber),
-        this.cleanNumericValue(metadata.track?.trackTotal),
-        this.cleanNumericValue(metadata.track?.diskNumber),
-        this.cleanNumericValue(metadata.track?.diskTotal),
-        this.cleanNumericValue(metadata.format?.duration),
-        this.cleanNumericValue(metadata.format?.bitrate),
-        this.cleanNumericValue(metadata.format?.sampleRate),
-        this.cleanNumericValue(metadata.format?.numberOfChannels),
-        this.sanitizeForDb(metadata.format?.codec),
-        this.sanitizeForDb(metadata.composer),
-        this.sanitizeForDb(metadata.isrc),
-        this.sanitizeForDb(metadata.hasAlbumArt)
-      ]
+    const [rows] = await this.connection.execute(
+      `SELECT
+         (SELECT MAX(updated_at) FROM scanned_files) as files_updated,
+         (SELECT MAX(id) FROM photo_metadata) as photo_id,
+         (SELECT MAX(id) FROM music_metadata) as music_id,
+         (SELECT MAX(id) FROM video_metadata) as video_id`
     );
+
+    const row = rows[0];
+    const filesUpdated = row.files_updated ? new Date(row.files_updated).getTime() : 0;
+    return `${filesUpdated}:${row.photo_id || 0}:${row.music_id || 0}:${row.video_id || 0}`;
   }
 
   /**
-   * Store video metadata
+   * Record a quarantined file in the manifest
    */
-  async storeVideoMetadata(fileId, metadata) {
+  async createQuarantineEntry(entry) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    if (!metadata) return;
-
-    await this.connection.execute(
-      `INSERT INTO video_metadata 
-       (file_id, title, duration, width, height, frame_rate, video_codec, video_bitrate,
-        audio_codec, audio_bitrate, audio_sample_rate, audio_channels, description,
-        genre, artist, year, create_date, software, latitude, longitude)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    const [result] = await this.connection.execute(
+      `INSERT INTO quarantine
+       (original_path, quarantine_path, file_id, hash, size, reason, scan_id, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        fileId,
-        this.sanitizeForDb(metadata.title),
-        this.cleanNumericValue(metadata.video?.duration),
-        this.cleanNumericValue(metadata.video?.width),
-        this.cleanNumericValue(metadata.video?.height),
-        this.cleanNumericValue(metadata.video?.frameRate),
-        this.sanitizeForDb(metadata.video?.codec),
-        this.cleanNumericValue(metadata.video?.bitrate),
-        this.sanitizeForDb(metadata.audio?.codec),
-        this.cleanNumericValue(metadata.audio?.bitrate),
-        this.cleanNumericValue(metadata.audio?.sampleRate),
-        this.cleanNumericValue(metadata.audio?.channels),
-        this.sanitizeForDb(metadata.description),
-        this.sanitizeForDb(metadata.genre),
-        this.sanitizeForDb(metadata.artist),
-        this.cleanNumericValue(metadata.year),
-        this.cleanDateTimeValue(metadata.createDate),
-        this.sanitizeForDb(metadata.software),
-        this.sanitizeForDb(metadata.location?.latitude),
-        this.sanitizeForDb(metadata.location?.longitude)
+        entry.originalPath,
+        entry.quarantinePath,
+        this.sanitizeForDb(entry.fileId),
+        this.sanitizeForDb(entry.hash),
+        this.sanitizeForDb(entry.size),
+        entry.reason,
+        this.sanitizeForDb(entry.scanId),
+        'quarantined'
       ]
     );
+
+    return result.insertId;
   }
 
   /**
-   * Query files by various criteria
+   * Get quarantine manifest entries
    */
-  async queryFiles(criteria = {}) {
+  async getQuarantineEntries(criteria = {}) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    let query = 'SELECT * FROM scanned_files WHERE 1=1';
+    let query = 'SELECT * FROM quarantine WHERE 1=1';
     const params = [];
 
-    if (criteria.minSize) {
-      query += ' AND size >= ?';
-      params.push(criteria.minSize);
+    if (criteria.ids) {
+      if (criteria.ids.length === 0) {
+        return [];
+      }
+      query += ` AND id IN (${criteria.ids.map(() => '?').join(',')})`;
+      params.push(...criteria.ids);
     }
 
-    if (criteria.maxSize) {
-      query += ' AND size <= ?';
-      params.push(criteria.maxSize);
+    if (criteria.status) {
+      query += ' AND status = ?';
+      params.push(criteria.status);
     }
 
-    if (criteria.extension) {
-      query += ' AND extension = ?';
-      params.push(criteria.extension);
+    if (criteria.reason) {
+      query += ' AND reason = ?';
+      params.push(criteria.reason);
     }
 
-    if (criteria.scanId) {
-      query += ' AND scan_id = ?';
-      params.push(criteria.scanId);
+    if (criteria.olderThanDays !== undefined && criteria.olderThanDays !== null) {
+      query += ' AND quarantined_at < NOW() - INTERVAL ? DAY';
+      params.push(criteria.olderThanDays);
     }
 
-    if (criteria.limit) {
-      query += ' LIMIT ?';
-      params.push(criteria.limit);
-    }
+    query += ' ORDER BY quarantined_at DESC, id DESC';
 
     const [rows] = await this.connection.execute(query, params);
     return rows;
   }
 
   /**
-   * Get duplicate files from database
+   * Mark a quarantine entry as restored or purged
    */
-  async getDuplicates(minSize = 0) {
+  async setQuarantineStatus(id, status) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.execute(
-      `SELECT hash, COUNT(*) as count, size, GROUP_CONCAT(path SEPARATOR '|||') as paths
-       FROM scanned_files
-       WHERE hash IS NOT NULL AND size >= ?
-       GROUP BY hash, size
-       HAVING count > 1
-       ORDER BY size DESC`,
-      [minSize]
+    await this.connection.execute(
+      'UPDATE quarantine SET status = ?, resolved_at = NOW() WHERE id = ?',
+      [status, id]
     );
-
-    return rows.map(row => ({
-      hash: row.hash,
-      count: row.count,
-      size: row.size,
-      paths: row.paths.split('|||')
-    }));
   }
 
   /**
-   * Get statistics from database
+   * Record a queued background job
    */
-  async getStatistics(scanId = null) {
+  async createJob(type, args, createdBy = null) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    let query = 'SELECT COUNT(*) as total_files, SUM(size) as total_size FROM scanned_files';
-    const params = [];
-
-    if (scanId) {
-      query += ' WHERE scan_id = ?';
-      params.push(scanId);
-    }
+    const [result] = await this.connection.execute(
+      'INSERT INTO jobs (type, args, status, created_by) VALUES (?, ?, ?, ?)',
+      [type, JSON.stringify(args), 'queued', this.sanitizeForDb(createdBy)]
+    );
 
-    const [rows] = await this.connection.execute(query, params);
-    return rows[0];
+    return result.insertId;
   }
 
   /**
-   * Get files without hashes for duplicate detection
+   * Get a background job, or null when it doesn't exist
    */
-  async getFilesWithoutHash(minSize = 0, maxSize = 0, limit = null) {
+  async getJob(id) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    // Ensure minSize is a valid number
-    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
-    
-    // Default to 2GB limit if no max size specified (Node.js limitation for old method)
-    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
-    
-    let query = `SELECT id, path, size FROM scanned_files 
-                 WHERE hash IS NULL AND size >= ${validMinSize}`;
-    
-    if (validMaxSize > 0) {
-      query += ` AND size <= ${validMaxSize}`;
-    }
-    
-    query += ` ORDER BY size DESC`;
+    const [rows] = await this.connection.execute('SELECT * FROM jobs WHERE id = ?', [id]);
+    return rows.length > 0 ? rows[0] : null;
+  }
 
-    if (limit && typeof limit === 'number' && limit > 0) {
-      query += ` LIMIT ${limit}`;
+  /**
+   * Get the most recent background jobs, without their logs
+   */
+  async getJobs(limit = 50) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.query(query);
+    const [rows] = await this.connection.execute(
+      `SELECT id, type, args, status, progress, exit_code, error, created_by, created_at, started_at, finished_at
+       FROM jobs ORDER BY id DESC LIMIT ${parseInt(limit) || 50}`
+    );
     return rows;
   }
 
   /**
-   * Get files without hashes, but for large files (>200MB) only get those with duplicate sizes
+   * Update a background job's status, progress or log. Only the given fields
+   * change; `started_at` and `finished_at` are set when a job starts running
+   * or reaches a final status.
    */
-  async getFilesWithoutHashOptimized(minSize = 0, maxSize = 0, limit = null, largeSizeThreshold = 200 * 1024 * 1024) {
+  async updateJob(id, fields) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    // Ensure minSize is a valid number
-    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
-    
-    // Default to 2GB limit if no max size specified
-    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
-    
-    let query = `
-      SELECT sf.id, sf.path, sf.size 
-      FROM scanned_files sf
-      WHERE sf.hash IS NULL AND sf.size >= ${validMinSize}
-    `;
-    
-    // For large files, only include those that have potential duplicates (same size)
-    query += `
-      AND (
-        sf.size < ${largeSizeThreshold} 
-        OR sf.size IN (
-          SELECT size 
-          FROM scanned_files 
-          WHERE hash IS NULL AND size >= ${largeSizeThreshold}
-          GROUP BY size 
-          HAVING COUNT(*) > 1
-        )
-      )
-    `;
-    
-    if (validMaxSize > 0) {
-      query += ` AND sf.size <= ${validMaxSize}`;
+    const columns = { status: 'status', progress: 'progress', log: 'log', exitCode: 'exit_code', error: 'error' };
+    const assignments = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (fields[field] !== undefined) {
+        assignments.push(`${column} = ?`);
+        params.push(this.sanitizeForDb(fields[field]));
+      }
     }
-    
-    query += ` ORDER BY sf.size DESC`;
 
-    if (limit && typeof limit === 'number' && limit > 0) {
-      query += ` LIMIT ${limit}`;
+    if (fields.status === 'running') {
+      assignments.push('started_at = NOW()');
+    } else if (['completed', 'failed', 'cancelled'].includes(fields.status)) {
+      assignments.push('finished_at = NOW()');
     }
 
-    const [rows] = await this.connection.query(query);
-    return rows;
+    if (assignments.length === 0) {
+      return;
+    }
+
+    await this.connection.execute(`UPDATE jobs SET ${assignments.join(', ')} WHERE id = ?`, [...params, id]);
   }
 
   /**
-   * Get files without hashes, only for files that have potential duplicates (same size)
-   * This is the most efficient approach - only hash files that can actually be duplicates
+   * Fail jobs that were queued or running when the server stopped
    */
-  async getFilesWithoutHashSmart(minSize = 0, maxSize = 0, limit = null) {
+  async failInterruptedJobs() {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    // Ensure minSize is a valid number
-    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
-    
-    // Default to unlimited if no max size specified
-    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
-    
-    let query = `
-      SELECT sf.id, sf.path, sf.size 
-      FROM scanned_files sf
-      WHERE sf.hash IS NULL 
-        AND sf.size >= ${validMinSize}
-        AND sf.size IN (
-          SELECT size 
-          FROM scanned_files 
-          WHERE hash IS NULL AND size >= ${validMinSize}
-    `;
-    
-    if (validMaxSize > 0) {
-      query += ` AND size <= ${validMaxSize}`;
-    }
-    
-    query += `
-          GROUP BY size 
-          HAVING COUNT(*) > 1
-        )
-    `;
-    
-    if (validMaxSize > 0) {
-      query += ` AND sf.size <= ${validMaxSize}`;
-    }
-    
-    query += ` ORDER BY sf.size DESC`;
+    const [result] = await this.connection.execute(
+      `UPDATE jobs SET status = 'failed', error = ?, finished_at = NOW()
+       WHERE status IN ('queued', 'running')`,
+      ['The server stopped before the job finished']
+    );
+    return result.affectedRows;
+  }
 
-    if (limit && typeof limit === 'number' && limit > 0) {
-      query += ` LIMIT ${limit}`;
+  /**
+   * Record the start of a scheduled pipeline run. Runs that were skipped
+   * because the previous run was still going are recorded as finished.
+   */
+  async createScheduleRun(scheduleName, trigger, status = 'running', error = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.query(query);
-    return rows;
+    const finished = status !== 'running';
+    const [result] = await this.connection.execute(
+      `INSERT INTO schedule_runs (schedule_name, trigger_type, status, error, finished_at, duration_ms)
+       VALUES (?, ?, ?, ?, ${finished ? 'NOW()' : 'NULL'}, ${finished ? '0' : 'NULL'})`,
+      [scheduleName, trigger, status, error]
+    );
+
+    return result.insertId;
   }
 
   /**
-   * Update hash for a file by ID
+   * Record how a scheduled pipeline run ended
    */
-  async updateFileHash(fileId, hash, quickHash = null) {
+  async finishScheduleRun(id, { status, steps, error = null, durationMs }) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    // Escape values for safe SQL interpolation
-    const escapedHash = hash ? `'${hash.replace(/'/g, "''")}'` : 'NULL';
-    const escapedQuickHash = quickHash ? `'${quickHash.replace(/'/g, "''")}'` : 'NULL';
-    const escapedFileId = parseInt(fileId);
-
-    await this.connection.query(
-      `UPDATE scanned_files SET hash = ${escapedHash}, quick_hash = ${escapedQuickHash} WHERE id = ${escapedFileId}`
+    await this.connection.execute(
+      `UPDATE schedule_runs SET status = ?, steps = ?, error = ?, duration_ms = ?, finished_at = NOW()
+       WHERE id = ?`,
+      [status, JSON.stringify(steps), error, durationMs, id]
     );
   }
 
   /**
-   * Get count of large files that would be skipped vs processed with optimization
+   * Get the run of a schedule that is still in progress, or null
    */
-  async getLargeFileStats(largeSizeThreshold = 200 * 1024 * 1024) {
+  async getRunningScheduleRun(scheduleName) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    // Count total large files without hash
-    const [totalLarge] = await this.connection.query(`
-      SELECT COUNT(*) as count 
-      FROM scanned_files 
-      WHERE hash IS NULL AND size >= ${largeSizeThreshold}
-    `);
+    const [rows] = await this.connection.execute(
+      "SELECT * FROM schedule_runs WHERE schedule_name = ? AND status = 'running' ORDER BY id DESC LIMIT 1",
+      [scheduleName]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
 
-    // Count large files that have potential duplicates (would be processed)
-    const [withDuplicates] = await this.connection.query(`
-      SELECT COUNT(*) as count 
-      FROM scanned_files sf
-      WHERE sf.hash IS NULL AND sf.size >= ${largeSizeThreshold}
-      AND sf.size IN (
-        SELECT size 
-        FROM scanned_files 
-        WHERE hash IS NULL AND size >= ${largeSizeThreshold}
-        GROUP BY size 
-        HAVING COUNT(*) > 1
-      )
-    `);
+  /**
+   * Get the most recent schedule runs, newest first, optionally of one schedule
+   */
+  async getScheduleRuns(scheduleName = null, limit = 20) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
 
-    return {
-      totalLargeFiles: totalLarge[0].count,
-      largeFilesWithDuplicates: withDuplicates[0].count,
-      largeFilesSkipped: totalLarge[0].count - withDuplicates[0].count
-    };
+    const where = scheduleName ? 'WHERE schedule_name = ?' : '';
+    const [rows] = await this.connection.execute(
+      `SELECT * FROM schedule_runs ${where} ORDER BY id DESC LIMIT ${parseInt(limit) || 20}`,
+      scheduleName ? [scheduleName] : []
+    );
+    return rows;
   }
 
   /**
-   * Get files grouped by size and name for reporting
+   * Fail schedule runs that were in progress when their process stopped
    */
-  async getFilesBySizeAndName(minSize = 0) {
+  async failInterruptedScheduleRuns() {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.query(`
-      SELECT 
-        name,
-        size,
-        COUNT(DISTINCT path) as count,
-        GROUP_CONCAT(DISTINCT path SEPARATOR '|||') as paths
-      FROM scanned_files 
-      WHERE size >= ${minSize}
-      GROUP BY name, size
-      HAVING COUNT(DISTINCT path) > 1
-      ORDER BY size DESC, count DESC
-    `);
+    const [result] = await this.connection.execute(
+      `UPDATE schedule_runs SET status = 'failed', error = ?, finished_at = NOW()
+       WHERE status = 'running'`,
+      ['The process stopped before the run finished']
+    );
+    return result.affectedRows;
+  }
 
-    return rows.map(row => ({
-      name: row.name,
-      size: row.size,
-      count: row.count,
-      paths: row.paths.split('|||')
-    }));
+  /**
+   * Update scanned_files and duplicate_groups after duplicates were resolved.
+   * Deleted and quarantined copies are marked as deleted; linked copies stay
+   * in place, marked as linked, so the duplicate queries leave them out. With
+   * `undone` set, the entries were reverted and the rows are restored instead.
+   */
+  async updateResolvedDuplicates(entries, undone = false) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const removedIds = entries
+      .filter(entry => entry.action === 'delete' || entry.action === 'quarantine')
+      .map(entry => entry.fileId);
+    if (undone) {
+      await this.markFilesRestored(removedIds);
+    } else {
+      await this.markFilesDeleted(removedIds);
+    }
+
+    const linkedIds = entries
+      .filter(entry => entry.action === 'hardlink' || entry.action === 'symlink')
+      .map(entry => entry.fileId);
+    if (linkedIds.length > 0) {
+      await this.connection.execute(
+        `UPDATE scanned_files SET is_linked = ${undone ? 'FALSE' : 'TRUE'} WHERE id IN (${linkedIds.map(() => '?').join(',')})`,
+        linkedIds
+      );
+    }
+
+    const sizeByHash = new Map(entries.map(entry => [entry.hash, entry.size]));
+    for (const [hash, size] of sizeByHash) {
+      const [rows] = await this.connection.execute(
+        'SELECT COUNT(*) as count FROM scanned_files WHERE hash = ? AND size = ? AND is_deleted = FALSE AND is_linked = FALSE',
+        [hash, size]
+      );
+      const fileCount = Number(rows[0].count);
+      const wastedSpace = Math.max(0, fileCount - 1) * size;
+
+      await this.connection.execute(
+        'UPDATE duplicate_groups SET file_count = ?, wasted_space = ? WHERE hash = ?',
+        [fileCount, wastedSpace, hash]
+      );
+    }
   }
 
   /**
-   * Get files by size only (potential duplicates)
+   * Store photo metadata
    */
-  async getFilesBySize(minSize = 0) {
+  async storePhotoMetadata(fileId, metadata) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    if (!metadata) return;
+
+    await this.connection.execute(
+      `INSERT INTO photo_metadata 
+       (file_id, width, height, format, orientation, camera_make, camera_model, lens_model,
+        iso, aperture, shutter_speed, focal_length, flash, date_taken, 
+        latitude, longitude, altitude, software, artist, copyright, perceptual_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fileId,
+        this.sanitizeForDb(metadata.width),
+        this.sanitizeForDb(metadata.height),
+        this.sanitizeForDb(metadata.format),
+        this.sanitizeForDb(metadata.orientation),
+        this.sanitizeForDb(metadata.camera?.make),
+        this.sanitizeForDb(metadata.camera?.model),
+        this.sanitizeForDb(metadata.camera?.lens),
+        this.cleanNumericValue(metadata.settings?.iso),
+        this.cleanNumericValue(metadata.settings?.aperture),
+        this.cleanNumericValue(metadata.settings?.shutterSpeed),
+        this.cleanNumericValue(metadata.settings?.focalLength),
+        this.sanitizeForDb(metadata.settings?.flash),
+        this.cleanDateTimeValue(metadata.datetime?.taken),
+        this.sanitizeForDb(metadata.location?.latitude),
+        this.sanitizeForDb(metadata.location?.longitude),
+        this.sanitizeForDb(metadata.location?.altitude),
+        this.sanitizeForDb(metadata.software),
+        this.sanitizeForDb(metadata.artist),
+        this.sanitizeForDb(metadata.copyright),
+        this.sanitizeForDb(metadata.perceptualHash)
+      ]
+    );
+  }
+
+  /**
+   * Get a live file row by id
+   */
+  async getFileById(fileId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT * FROM scanned_files WHERE id = ? AND is_deleted = FALSE',
+      [fileId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get live files with one of the given extensions, optionally from one scan session
+   */
+  async getFilesByExtension(extensions, options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const placeholders = extensions.map(() => '?').join(', ');
+    let query = `SELECT id, path, name, size, hash FROM scanned_files
+                 WHERE is_deleted = FALSE AND LOWER(extension) IN (${placeholders})`;
+    const params = extensions.map(ext => ext.toLowerCase());
+
+    if (options.scanId) {
+      query += ' AND scan_id = ?';
+      params.push(options.scanId);
+    }
+
+    query += ' ORDER BY id';
+
+    if (options.limit) {
+      query += ` LIMIT ${parseInt(options.limit)}`;
+    }
+
+    const [rows] = await this.connection.execute(query, params);
+    return rows;
+  }
+
+  /**
+   * Return which of the given content hashes still belong to a live file
+   */
+  async getLiveHashes(hashes) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const live = new Set();
+    const chunkSize = 500;
+
+    for (let i = 0; i < hashes.length; i += chunkSize) {
+      const chunk = hashes.slice(i, i + chunkSize);
+      const placeholders = chunk.map(() => '?').join(', ');
+      const [rows] = await this.connection.execute(
+        `SELECT DISTINCT hash FROM scanned_files WHERE is_deleted = FALSE AND hash IN (${placeholders})`,
+        chunk
+      );
+      rows.forEach(row => live.add(row.hash));
+    }
+
+    return live;
+  }
+
+  /**
+   * Get photos that have metadata but no perceptual hash yet
+   */
+  async getPhotosWithoutPerceptualHash() {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
     const [rows] = await this.connection.query(`
-      SELECT 
-        size,
-        COUNT(DISTINCT path) as count,
-        GROUP_CONCAT(DISTINCT CONCAT(name, '|', path) SEPARATOR '|||') as files
-      FROM scanned_files 
-      WHERE size >= ${minSize}
-      GROUP BY size
-      HAVING COUNT(DISTINCT path) > 1
-      ORDER BY size DESC
+      SELECT sf.id, sf.path
+      FROM scanned_files sf
+      JOIN photo_metadata pm ON sf.id = pm.file_id
+      WHERE sf.is_deleted = FALSE AND pm.perceptual_hash IS NULL
+      ORDER BY sf.id
     `);
 
-    return rows.map(row => ({
-      size: row.size,
-      count: row.count,
-      files: row.files.split('|||').map(file => {
-        const [name, ...pathParts] = file.split('|');
-        return { name, path: pathParts.join('|') };
-      })
-    }));
+    return rows;
   }
 
   /**
-   * Get duplicate files grouped by folder for HTML reporting
+   * Store the perceptual hash of a photo
    */
-  async getDuplicatesByFolder(minSize = 0) {
+  async updatePerceptualHash(fileId, perceptualHash) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute(
+      'UPDATE photo_metadata SET perceptual_hash = ? WHERE file_id = ?',
+      [perceptualHash, fileId]
+    );
+  }
+
+  /**
+   * Get every live photo with a perceptual hash and the details used to rank copies
+   */
+  async getPhotosWithPerceptualHash() {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
     const [rows] = await this.connection.query(`
-      SELECT DISTINCT
-        path,
-        name,
-        size,
-        hash,
-        COUNT(*) OVER (PARTITION BY hash) as duplicate_count
-      FROM scanned_files 
-      WHERE hash IS NOT NULL 
-        AND size >= ${minSize}
-        AND hash IN (
-          SELECT hash 
-          FROM scanned_files 
-          WHERE hash IS NOT NULL AND size >= ${minSize}
-          GROUP BY hash 
-          HAVING COUNT(DISTINCT path) > 1
-        )
-      ORDER BY path, size DESC, name
+      SELECT
+        sf.id,
+        sf.path,
+        sf.name,
+        sf.size,
+        sf.mtime,
+        pm.width,
+        pm.height,
+        pm.format,
+        pm.camera_make,
+        pm.camera_model,
+        pm.date_taken,
+        pm.perceptual_hash
+      FROM scanned_files sf
+      JOIN photo_metadata pm ON sf.id = pm.file_id
+      WHERE sf.is_deleted = FALSE AND pm.perceptual_hash IS NOT NULL
+      ORDER BY sf.id
     `);
 
-    // Remove exact duplicates (same path and size) and group by folder
-    const seenFiles = new Set();
-    const uniqueFiles = rows.filter(row => {
-      const key = `${row.path}-${row.size}`;
-      if (seenFiles.has(key)) {
-        return false; // Skip duplicate path+size combinations
-      }
-      seenFiles.add(key);
-      return true;
-    });
+    return rows;
+  }
 
-    // Group by folder
-    const folderGroups = new Map();
-    
-    uniqueFiles.forEach(row => {
-      // Extract folder path (directory part of the path)
-      const folderPath = row.path.substring(0, row.path.lastIndexOf('\\')) || 'Root';
-      
-      if (!folderGroups.has(folderPath)) {
-        folderGroups.set(folderPath, {
-          folderPath: folderPath,
-          files: [],
-          totalFiles: 0,
-          totalWastedSpace: 0,
-          duplicateGroups: new Map()
-        });
-      }
-      
-      const folder = folderGroups.get(folderPath);
-      folder.files.push(row);
-      folder.totalFiles++;
-      
-      // Group by hash within folder
-      if (!folder.duplicateGroups.has(row.hash)) {
-        folder.duplicateGroups.set(row.hash, {
-          hash: row.hash,
+  /**
+   * Store music metadata
+   */
+  async storeMusicMetadata(fileId, metadata) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    if (!metadata) return;
+
+    await this.connection.execute(
+      `INSERT INTO music_metadata 
+       (file_id, title, artist, album, album_artist, year, genre, track_number, track_total,
+        disk_number, disk_total, duration, bitrate, sample_rate, channels, codec,
+        composer, isrc, has_album_art)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fileId,
+        this.sanitizeForDb(metadata.track?.title),
+        this.sanitizeForDb(metadata.track?.artist),
+        this.sanitizeForDb(metadata.track?.album),
+        this.sanitizeForDb(metadata.track?.albumArtist),
+        this.cleanNumericValue(metadata.track?.year),
+        this.sanitizeForDb(metadata.track?.genre?.[0]), // Get first genre if array
+        this.cleanNumericValue(metadata.track?.trackNumber),
+        this.cleanNumericValue(metadata.track?.trackTotal),
+        this.cleanNumericValue(metadata.track?.diskNumber),
+        this.cleanNumericValue(metadata.track?.diskTotal),
+        this.cleanNumericValue(metadata.format?.duration),
+        this.cleanNumericValue(metadata.format?.bitrate),
+        this.cleanNumericValue(metadata.format?.sampleRate),
+        this.cleanNumericValue(metadata.format?.numberOfChannels),
+        this.sanitizeForDb(metadata.format?.codec),
+        this.sanitizeForDb(metadata.composer),
+        this.sanitizeForDb(metadata.isrc),
+        this.sanitizeForDb(metadata.hasAlbumArt)
+      ]
+    );
+
+    // Albums get a lasting id, which cover art is requested by
+    if (metadata.track?.album) {
+      await this.addMissingAlbums(fileId);
+    }
+  }
+
+  /**
+   * Store video metadata
+   */
+  async storeVideoMetadata(fileId, metadata) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    if (!metadata) return;
+
+    await this.connection.execute(
+      `INSERT INTO video_metadata 
+       (file_id, title, duration, width, height, frame_rate, video_codec, video_bitrate,
+        audio_codec, audio_bitrate, audio_sample_rate, audio_channels, description,
+        genre, artist, year, create_date, software, latitude, longitude)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fileId,
+        this.sanitizeForDb(metadata.title),
+        this.cleanNumericValue(metadata.video?.duration),
+        this.cleanNumericValue(metadata.video?.width),
+        this.cleanNumericValue(metadata.video?.height),
+        this.cleanNumericValue(metadata.video?.frameRate),
+        this.sanitizeForDb(metadata.video?.codec),
+        this.cleanNumericValue(metadata.video?.bitrate),
+        this.sanitizeForDb(metadata.audio?.codec),
+        this.cleanNumericValue(metadata.audio?.bitrate),
+        this.cleanNumericValue(metadata.audio?.sampleRate),
+        this.cleanNumericValue(metadata.audio?.channels),
+        this.sanitizeForDb(metadata.description),
+        this.sanitizeForDb(metadata.genre),
+        this.sanitizeForDb(metadata.artist),
+        this.cleanNumericValue(metadata.year),
+        this.cleanDateTimeValue(metadata.createDate),
+        this.sanitizeForDb(metadata.software),
+        this.sanitizeForDb(metadata.location?.latitude),
+        this.sanitizeForDb(metadata.location?.longitude)
+      ]
+    );
+
+    if (metadata.subtitles) {
+      await this.replaceVideoSubtitles(fileId, metadata.subtitles);
+    }
+    if (metadata.episode !== undefined) {
+      await this.storeEpisode(fileId, metadata.episode);
+    }
+  }
+
+  /**
+   * Replace the sidecar subtitles recorded for a video file
+   */
+  async replaceVideoSubtitles(fileId, subtitles) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute('DELETE FROM video_subtitles WHERE file_id = ?', [fileId]);
+    for (const subtitle of subtitles) {
+      await this.connection.execute(
+        'INSERT INTO video_subtitles (file_id, path, language, label, format, forced) VALUES (?, ?, ?, ?, ?, ?)',
+        [fileId, subtitle.path, subtitle.language || null, subtitle.label || null, subtitle.format, subtitle.forced ? 1 : 0]
+      );
+    }
+  }
+
+  /**
+   * Get the subtitles of a video file, by label
+   */
+  async getVideoSubtitles(fileId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT id, language, label, format, forced FROM video_subtitles WHERE file_id = ? ORDER BY label, id',
+      [fileId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get one subtitle row by id
+   */
+  async getSubtitle(id) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute('SELECT * FROM video_subtitles WHERE id = ?', [id]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get the duration of a video in seconds from its metadata, or null
+   */
+  async getVideoDuration(fileId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute('SELECT duration FROM video_metadata WHERE file_id = ?', [fileId]);
+    return rows.length > 0 && rows[0].duration !== null ? Number(rows[0].duration) : null;
+  }
+
+  /**
+   * Get the live video files that have metadata, for refreshing their subtitles
+   */
+  async getVideoFiles() {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT sf.id, sf.path ${VIDEO_FROM}
+       WHERE sf.is_deleted = FALSE
+       ORDER BY sf.path`
+    );
+    return rows;
+  }
+
+  /**
+   * Query files by various criteria
+   */
+  async queryFiles(criteria = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    let query = 'SELECT * FROM scanned_files WHERE 1=1';
+    const params = [];
+
+    if (criteria.minSize) {
+      query += ' AND size >= ?';
+      params.push(criteria.minSize);
+    }
+
+    if (criteria.maxSize) {
+      query += ' AND size <= ?';
+      params.push(criteria.maxSize);
+    }
+
+    if (criteria.extension) {
+      query += ' AND extension = ?';
+      params.push(criteria.extension);
+    }
+
+    if (criteria.scanId) {
+      query += ' AND scan_id = ?';
+      params.push(criteria.scanId);
+    }
+
+    if (criteria.limit) {
+      query += ' LIMIT ?';
+      params.push(criteria.limit);
+    }
+
+    const [rows] = await this.connection.execute(query, params);
+    return rows;
+  }
+
+  /**
+   * Get duplicate files from database
+   */
+  async getDuplicates(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT hash, COUNT(*) as count, size, GROUP_CONCAT(path SEPARATOR '|||') as paths
+       FROM scanned_files
+       WHERE hash IS NOT NULL AND size >= ? AND is_deleted = FALSE AND is_linked = FALSE
+       GROUP BY hash, size
+       HAVING count > 1
+       ORDER BY size DESC`,
+      [minSize]
+    );
+
+    return rows.map(row => ({
+      hash: row.hash,
+      count: row.count,
+      size: row.size,
+      paths: row.paths.split('|||')
+    }));
+  }
+
+  /**
+   * Get statistics from database
+   */
+  async getStatistics(scanId = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    let query = 'SELECT COUNT(*) as total_files, SUM(size) as total_size FROM scanned_files WHERE is_deleted = FALSE';
+    const params = [];
+
+    if (scanId) {
+      query += ' AND scan_id = ?';
+      params.push(scanId);
+    }
+
+    const [rows] = await this.connection.execute(query, params);
+    return rows[0];
+  }
+
+  /**
+   * Get files without hashes for duplicate detection. `root` limits them to
+   * the files below a folder.
+   */
+  async getFilesWithoutHash(minSize = 0, maxSize = 0, limit = null, root = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    // Ensure minSize is a valid number
+    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
+    
+    // Default to 2GB limit if no max size specified (Node.js limitation for old method)
+    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
+    
+    let query = `SELECT id, path, size FROM scanned_files 
+                 WHERE hash IS NULL AND is_deleted = FALSE AND size >= ${validMinSize}`;
+    const params = [];
+    
+    if (validMaxSize > 0) {
+      query += ` AND size <= ${validMaxSize}`;
+    }
+
+    if (root) {
+      query += ' AND SUBSTR(path, 1, CHAR_LENGTH(?)) = ?';
+      params.push(root, root);
+    }
+    
+    query += ` ORDER BY size DESC`;
+
+    if (limit && typeof limit === 'number' && limit > 0) {
+      query += ` LIMIT ${limit}`;
+    }
+
+    const [rows] = await this.connection.query(query, params);
+    return rows;
+  }
+
+  /**
+   * Get files without hashes, but for large files (>200MB) only get those with duplicate sizes
+   */
+  async getFilesWithoutHashOptimized(minSize = 0, maxSize = 0, limit = null, largeSizeThreshold = 200 * 1024 * 1024) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    // Ensure minSize is a valid number
+    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
+    
+    // Default to 2GB limit if no max size specified
+    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
+    
+    let query = `
+      SELECT sf.id, sf.path, sf.size 
+      FROM scanned_files sf
+      WHERE sf.hash IS NULL AND sf.is_deleted = FALSE AND sf.size >= ${validMinSize}
+    `;
+    
+    // For large files, only include those that have potential duplicates (same size)
+    query += `
+      AND (
+        sf.size < ${largeSizeThreshold} 
+        OR sf.size IN (
+          SELECT size 
+          FROM scanned_files 
+          WHERE hash IS NULL AND is_deleted = FALSE AND size >= ${largeSizeThreshold}
+          GROUP BY size 
+          HAVING COUNT(*) > 1
+        )
+      )
+    `;
+    
+    if (validMaxSize > 0) {
+      query += ` AND sf.size <= ${validMaxSize}`;
+    }
+    
+    query += ` ORDER BY sf.size DESC`;
+
+    if (limit && typeof limit === 'number' && limit > 0) {
+      query += ` LIMIT ${limit}`;
+    }
+
+    const [rows] = await this.connection.query(query);
+    return rows;
+  }
+
+  /**
+   * Get files without hashes, only for files that have potential duplicates (same size)
+   * This is the most efficient approach - only hash files that can actually be duplicates
+   * `root` limits them to the files below a folder; their copies may be anywhere.
+   */
+  async getFilesWithoutHashSmart(minSize = 0, maxSize = 0, limit = null, root = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    // Ensure minSize is a valid number
+    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
+    
+    // Default to unlimited if no max size specified
+    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
+    
+    let query = `
+      SELECT sf.id, sf.path, sf.size 
+      FROM scanned_files sf
+      WHERE sf.hash IS NULL 
+        AND sf.is_deleted = FALSE
+        AND sf.size >= ${validMinSize}
+        AND sf.size IN (
+          SELECT size 
+          FROM scanned_files 
+          WHERE hash IS NULL AND is_deleted = FALSE AND size >= ${validMinSize}
+    `;
+    
+    if (validMaxSize > 0) {
+      query += ` AND size <= ${validMaxSize}`;
+    }
+    
+    query += `
+          GROUP BY size 
+          HAVING COUNT(*) > 1
+        )
+    `;
+    
+    if (validMaxSize > 0) {
+      query += ` AND sf.size <= ${validMaxSize}`;
+    }
+
+    const params = [];
+    if (root) {
+      query += ' AND SUBSTR(sf.path, 1, CHAR_LENGTH(?)) = ?';
+      params.push(root, root);
+    }
+    
+    query += ` ORDER BY sf.size DESC`;
+
+    if (limit && typeof limit === 'number' && limit > 0) {
+      query += ` LIMIT ${limit}`;
+    }
+
+    const [rows] = await this.connection.query(query, params);
+    return rows;
+  }
+
+  /**
+   * Update hash for a file by ID
+   */
+  async updateFileHash(fileId, hash, quickHash = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    // Escape values for safe SQL interpolation
+    const escapedHash = hash ? `'${hash.replace(/'/g, "''")}'` : 'NULL';
+    const escapedQuickHash = quickHash ? `'${quickHash.replace(/'/g, "''")}'` : 'NULL';
+    const escapedFileId = parseInt(fileId);
+
+    await this.connection.query(
+      `UPDATE scanned_files SET hash = ${escapedHash}, quick_hash = ${escapedQuickHash} WHERE id = ${escapedFileId}`
+    );
+  }
+
+  /**
+   * Update the hashes of many files in one statement.
+   * Each entry is { id, hash, quickHash }.
+   */
+  async updateFileHashes(entries) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const hashCases = entries.map(() => 'WHEN ? THEN ?').join(' ');
+    const placeholders = entries.map(() => '?').join(',');
+    const params = [
+      ...entries.flatMap(entry => [entry.id, entry.hash || null]),
+      ...entries.flatMap(entry => [entry.id, entry.quickHash || null]),
+      ...entries.map(entry => entry.id)
+    ];
+
+    await this.connection.execute(
+      `UPDATE scanned_files
+       SET hash = CASE id ${hashCases} END,
+           quick_hash = CASE id ${hashCases} END
+       WHERE id IN (${placeholders})`,
+      params
+    );
+  }
+
+  /**
+   * Get count of large files that would be skipped vs processed with optimization
+   */
+  async getLargeFileStats(largeSizeThreshold = 200 * 1024 * 1024) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    // Count total large files without hash
+    const [totalLarge] = await this.connection.query(`
+      SELECT COUNT(*) as count 
+      FROM scanned_files 
+      WHERE hash IS NULL AND size >= ${largeSizeThreshold}
+    `);
+
+    // Count large files that have potential duplicates (would be processed)
+    const [withDuplicates] = await this.connection.query(`
+      SELECT COUNT(*) as count 
+      FROM scanned_files sf
+      WHERE sf.hash IS NULL AND sf.size >= ${largeSizeThreshold}
+      AND sf.size IN (
+        SELECT size 
+        FROM scanned_files 
+        WHERE hash IS NULL AND size >= ${largeSizeThreshold}
+        GROUP BY size 
+        HAVING COUNT(*) > 1
+      )
+    `);
+
+    return {
+      totalLargeFiles: totalLarge[0].count,
+      largeFilesWithDuplicates: withDuplicates[0].count,
+      largeFilesSkipped: totalLarge[0].count - withDuplicates[0].count
+    };
+  }
+
+  /**
+   * Get files grouped by size and name for reporting
+   */
+  async getFilesBySizeAndName(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.query(`
+      SELECT 
+        name,
+        size,
+        COUNT(DISTINCT path) as count,
+        GROUP_CONCAT(DISTINCT path SEPARATOR '|||') as paths
+      FROM scanned_files 
+      WHERE size >= ${minSize}
+      GROUP BY name, size
+      HAVING COUNT(DISTINCT path) > 1
+      ORDER BY size DESC, count DESC
+    `);
+
+    return rows.map(row => ({
+      name: row.name,
+      size: row.size,
+      count: row.count,
+      paths: row.paths.split('|||')
+    }));
+  }
+
+  /**
+   * Get files by size only (potential duplicates)
+   */
+  async getFilesBySize(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.query(`
+      SELECT 
+        size,
+        COUNT(DISTINCT path) as count,
+        GROUP_CONCAT(DISTINCT CONCAT(name, '|', path) SEPARATOR '|||') as files
+      FROM scanned_files 
+      WHERE size >= ${minSize}
+      GROUP BY size
+      HAVING COUNT(DISTINCT path) > 1
+      ORDER BY size DESC
+    `);
+
+    return rows.map(row => ({
+      size: row.size,
+      count: row.count,
+      files: row.files.split('|||').map(file => {
+        const [name, ...pathParts] = file.split('|');
+        return { name, path: pathParts.join('|') };
+      })
+    }));
+  }
+
+  /**
+   * Get duplicate files grouped by folder for HTML reporting
+   */
+  async getDuplicatesByFolder(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.query(`
+      SELECT DISTINCT
+        path,
+        name,
+        size,
+        hash,
+        COUNT(*) OVER (PARTITION BY hash) as duplicate_count
+      FROM scanned_files 
+      WHERE hash IS NOT NULL 
+        AND size >= ${minSize}
+        AND is_linked = FALSE
+        AND hash IN (
+          SELECT hash 
+          FROM scanned_files 
+          WHERE hash IS NOT NULL AND size >= ${minSize} AND is_linked = FALSE
+          GROUP BY hash 
+          HAVING COUNT(DISTINCT path) > 1
+        )
+      ORDER BY path, size DESC, name
+    `);
+
+    // Remove exact duplicates (same path and size) and group by folder
+    const seenFiles = new Set();
+    const uniqueFiles = rows.filter(row => {
+      const key = `${row.path}-${row.size}`;
+      if (seenFiles.has(key)) {
+        return false; // Skip duplicate path+size combinations
+      }
+      seenFiles.add(key);
+      return true;
+    });
+
+    // Group by folder
+    const folderGroups = new Map();
+    
+    uniqueFiles.forEach(row => {
+      // Extract folder path (directory part of the path)
+      const folderPath = row.path.substring(0, row.path.lastIndexOf('\\')) || 'Root';
+      
+      if (!folderGroups.has(folderPath)) {
+        folderGroups.set(folderPath, {
+          folderPath: folderPath,
+          files: [],
+          totalFiles: 0,
+          totalWastedSpace: 0,
+          duplicateGroups: new Map()
+        });
+      }
+      
+      const folder = folderGroups.get(folderPath);
+      folder.files.push(row);
+      folder.totalFiles++;
+      
+      // Group by hash within folder
+      if (!folder.duplicateGroups.has(row.hash)) {
+        folder.duplicateGroups.set(row.hash, {
+          hash: row.hash,
           size: row.size,
           files: [],
           count: row.duplicate_count,
@@ -1206,652 +2805,1817 @@ export class DatabaseManager {
       folder.duplicateGroups.get(row.hash).files.push(row);
     });
 
-    // Convert to array and calculate totals
-    const result = Array.from(folderGroups.values()).map(folder => {
-      folder.duplicateGroups = Array.from(folder.duplicateGroups.values());
-      folder.totalWastedSpace = folder.duplicateGroups.reduce((sum, group) => {
-        // Only count wasted space for files in this folder
-        const filesInFolder = group.files.length;
-        return sum + (filesInFolder > 1 ? (filesInFolder - 1) * group.size : 0);
-      }, 0);
-      return folder;
-    });
+    // Convert to array and calculate totals
+    const result = Array.from(folderGroups.values()).map(folder => {
+      folder.duplicateGroups = Array.from(folder.duplicateGroups.values());
+      folder.totalWastedSpace = folder.duplicateGroups.reduce((sum, group) => {
+        // Only count wasted space for files in this folder
+        const filesInFolder = group.files.length;
+        return sum + (filesInFolder > 1 ? (filesInFolder - 1) * group.size : 0);
+      }, 0);
+      return folder;
+    });
+
+    return result.sort((a, b) => b.totalWastedSpace - a.totalWastedSpace);
+  }
+
+  /**
+   * Get duplicates by name and size (files with same name and size in different locations)
+   */
+  async getDuplicatesByNameAndSize(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.query(`
+      SELECT 
+        name,
+        size,
+        COUNT(DISTINCT path) as count,
+        GROUP_CONCAT(DISTINCT CONCAT(path, '|||', IFNULL(mtime, '')) ORDER BY path SEPARATOR '###') as file_info
+      FROM scanned_files 
+      WHERE size >= ${minSize}
+      GROUP BY name, size
+      HAVING COUNT(DISTINCT path) > 1
+      ORDER BY size DESC, count DESC, name
+    `);
+
+    return rows.map(row => ({
+      name: row.name,
+      size: row.size,
+      count: row.count,
+      wastedSpace: (row.count - 1) * row.size,
+      files: row.file_info.split('###').map(info => {
+        const [filePath, mtime] = info.split('|||');
+        return {
+          path: filePath,
+          mtime: mtime || null,
+          name: row.name,
+          size: row.size
+        };
+      })
+    }));
+  }
+
+  /**
+   * Detect completely duplicated folders (folders with identical content)
+   */
+  async getCompleteDuplicateFolders(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    // Get all folders with their file counts and total sizes
+    const [folders] = await this.connection.query(`
+      SELECT 
+        SUBSTRING_INDEX(path, '/', -2) as folder_name,
+        SUBSTRING_INDEX(path, '/', CHAR_LENGTH(path) - CHAR_LENGTH(SUBSTRING_INDEX(path, '/', -1))) as folder_path,
+        COUNT(*) as file_count,
+        SUM(size) as total_size,
+        GROUP_CONCAT(CONCAT(name, '|', size, '|', IFNULL(hash, 'NULL')) ORDER BY name SEPARATOR '###') as files_signature
+      FROM scanned_files
+      WHERE size >= ${minSize}
+        AND path LIKE '%/%'
+      GROUP BY folder_path
+      HAVING file_count > 0
+    `);
+
+    // Group folders by their signature (same files with same sizes)
+    const signatureMap = new Map();
+    
+    folders.forEach(folder => {
+      const signature = `${folder.file_count}|${folder.total_size}|${folder.files_signature}`;
+      
+      if (!signatureMap.has(signature)) {
+        signatureMap.set(signature, []);
+      }
+      
+      signatureMap.get(signature).push({
+        folderPath: folder.folder_path,
+        folderName: folder.folder_name,
+        fileCount: folder.file_count,
+        totalSize: folder.total_size
+      });
+    });
+
+    // Filter to only folders with duplicates
+    const duplicatedFolders = Array.from(signatureMap.values())
+      .filter(group => group.length > 1)
+      .map(group => ({
+        folders: group,
+        count: group.length,
+        fileCount: group[0].fileCount,
+        totalSize: group[0].totalSize,
+        wastedSpace: (group.length - 1) * group[0].totalSize
+      }))
+      .sort((a, b) => b.wastedSpace - a.wastedSpace);
+
+    return duplicatedFolders;
+  }
+
+  /**
+   * Get statistics for smart hashing optimization (all file sizes)
+   */
+  async getSmartHashStats(minSize = 0, maxSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
+    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
+
+    // Count total files without hash
+    let totalQuery = `
+      SELECT COUNT(*) as count 
+      FROM scanned_files 
+      WHERE hash IS NULL AND is_deleted = FALSE AND size >= ${validMinSize}
+    `;
+    if (validMaxSize > 0) {
+      totalQuery += ` AND size <= ${validMaxSize}`;
+    }
+    const [totalFiles] = await this.connection.query(totalQuery);
+
+    // Count files that have potential duplicates (would be processed)
+    let duplicatesQuery = `
+      SELECT COUNT(*) as count 
+      FROM scanned_files sf
+      WHERE sf.hash IS NULL AND sf.is_deleted = FALSE AND sf.size >= ${validMinSize}
+    `;
+    if (validMaxSize > 0) {
+      duplicatesQuery += ` AND sf.size <= ${validMaxSize}`;
+    }
+    duplicatesQuery += `
+      AND sf.size IN (
+        SELECT size 
+        FROM scanned_files 
+        WHERE hash IS NULL AND is_deleted = FALSE AND size >= ${validMinSize}
+    `;
+    if (validMaxSize > 0) {
+      duplicatesQuery += ` AND size <= ${validMaxSize}`;
+    }
+    duplicatesQuery += `
+        GROUP BY size 
+        HAVING COUNT(*) > 1
+      )
+    `;
+    const [withDuplicates] = await this.connection.query(duplicatesQuery);
+
+    return {
+      totalFiles: totalFiles[0].count,
+      filesWithPotentialDuplicates: withDuplicates[0].count,
+      filesSkipped: totalFiles[0].count - withDuplicates[0].count,
+      percentageSkipped: totalFiles[0].count > 0 
+        ? ((totalFiles[0].count - withDuplicates[0].count) / totalFiles[0].count * 100).toFixed(1)
+        : 0
+    };
+  }
+
+  /**
+   * Get all files grouped by size (potential duplicates)
+   */
+  async getFilesBySizeGroups(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT size, COUNT(*) as count
+       FROM scanned_files
+       WHERE size >= ?
+       GROUP BY size
+       HAVING count > 1
+       ORDER BY size DESC`,
+      [minSize]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Get files by size
+   */
+  async getFilesBySize(size) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT id, path, name, size, hash, quick_hash FROM scanned_files WHERE size = ?',
+      [size]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Get detailed duplicate information with file paths
+   */
+  async getDuplicatesDetailed(minSize = 0) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [groups] = await this.connection.execute(
+      `SELECT hash, COUNT(*) as count, size
+       FROM scanned_files
+       WHERE hash IS NOT NULL AND size >= ? AND is_deleted = FALSE AND is_linked = FALSE
+       GROUP BY hash, size
+       HAVING count > 1
+       ORDER BY size DESC`,
+      [minSize]
+    );
+
+    const duplicateGroups = [];
+    
+    for (const group of groups) {
+      const [files] = await this.connection.execute(
+        'SELECT id, path, name, size, mtime, scan_id FROM scanned_files WHERE hash = ? AND size = ? AND is_deleted = FALSE AND is_linked = FALSE',
+        [group.hash, group.size]
+      );
+
+      duplicateGroups.push({
+        hash: group.hash,
+        count: group.count,
+        size: group.size,
+        wastedSpace: (group.count - 1) * group.size,
+        files: files
+      });
+    }
+
+    return duplicateGroups;
+  }
+
+  /**
+   * Get all photos with metadata
+   */
+  async getPhotosWithMetadata(includeDuplicates = false) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    let query = `SELECT ${PHOTO_COLUMNS} ${PHOTO_FROM}`;
+
+    query += ` WHERE sf.is_deleted = FALSE`;
+
+    // Hide duplicates by default (only show first occurrence by path)
+    if (!includeDuplicates) {
+      query += ` AND sf.is_duplicate = FALSE`;
+    }
+
+    query += ` ORDER BY pm.date_taken DESC`;
+
+    const [rows] = await this.connection.query(query);
+
+    return rows;
+  }
+
+  /**
+   * Get all music tracks with metadata
+   */
+  async getMusicWithMetadata(includeDuplicates = false) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    let query = `SELECT ${MUSIC_COLUMNS} ${MUSIC_FROM}`;
+
+    query += ` WHERE sf.is_deleted = FALSE`;
+
+    // Hide duplicates by default (only show first occurrence by path)
+    if (!includeDuplicates) {
+      query += ` AND sf.is_duplicate = FALSE`;
+    }
+
+    query += ` ORDER BY mm.artist, mm.year, mm.album, mm.track_number`;
+
+    const [rows] = await this.connection.query(query);
+
+    return rows;
+  }
+
+  /**
+   * Get all videos with metadata
+   */
+  async getVideosWithMetadata(includeDuplicates = false) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    // Episodes of TV shows carry their show, season and episode
+    let query = `SELECT ${VIDEO_COLUMNS}, ts.name AS show_name, te.season, te.episode, te.episode_end, te.title AS episode_title
+      ${VIDEO_FROM}
+      LEFT JOIN tv_episodes te ON te.file_id = sf.id
+      LEFT JOIN tv_shows ts ON ts.id = te.show_id`;
+
+    query += ` WHERE sf.is_deleted = FALSE`;
+
+    // Hide duplicates by default (only show first occurrence by path)
+    if (!includeDuplicates) {
+      query += ` AND sf.is_duplicate = FALSE`;
+    }
+
+    query += ` ORDER BY vm.create_date DESC`;
+
+    const [rows] = await this.connection.query(query);
+
+    return rows;
+  }
+
+  /**
+   * Get one page of photos for the library. Options: search, filter (gps,
+   * portrait, landscape or an extension), sort, order, page, limit.
+   * Photos dated in the future are left out. Returns { rows, total, page,
+   * limit, stats } where stats cover every matching photo, not just the page.
+   */
+  async getPhotosPage(options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const conditions = [
+      'sf.is_deleted = FALSE',
+      'sf.is_duplicate = FALSE',
+      '(pm.date_taken IS NULL OR pm.date_taken <= NOW())'
+    ];
+    const params = [];
+
+    addSearchCondition(conditions, params, options.search,
+      ['sf.name', 'sf.path', 'pm.camera_make', 'pm.camera_model']);
+
+    const filter = String(options.filter || '').toLowerCase();
+    if (filter === 'gps') {
+      conditions.push('pm.latitude IS NOT NULL');
+    } else if (filter === 'portrait') {
+      conditions.push('pm.height > pm.width');
+    } else if (filter === 'landscape') {
+      conditions.push('pm.width > pm.height');
+    } else if (PHOTO_EXTENSION_FILTERS.includes(filter)) {
+      conditions.push('LOWER(sf.name) LIKE ?');
+      params.push(`%.${filter}`);
+    }
+
+    return await this.queryLibraryPage({
+      columns: PHOTO_COLUMNS,
+      from: PHOTO_FROM,
+      conditions,
+      params,
+      orderBy: libraryOrderBy(PHOTO_SORT_COLUMNS, options.sort || 'date_taken', options.order || 'desc'),
+      stats: `COALESCE(SUM(sf.size), 0) AS totalSize,
+              COUNT(DISTINCT NULLIF(pm.camera_make, '')) AS uniqueCameras,
+              COALESCE(SUM(CASE WHEN pm.latitude IS NOT NULL THEN 1 ELSE 0 END), 0) AS withGPS`,
+      page: options.page,
+      limit: options.limit
+    });
+  }
+
+  /**
+   * Get one page of music tracks for the library. Options: search, filter
+   * (hq, recent, long), artist, album, yearFrom, yearTo, sort, order, page,
+   * limit. Without a sort, tracks are listed by artist, year, album and track.
+   */
+  async getMusicPage(options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const conditions = ['sf.is_deleted = FALSE', 'sf.is_duplicate = FALSE'];
+    const params = [];
+
+    addSearchCondition(conditions, params, options.search,
+      ['mm.title', 'sf.name', 'mm.artist', 'mm.album', 'mm.genre']);
+
+    if (options.filter === 'hq') {
+      conditions.push('mm.bitrate >= 320000');
+    } else if (options.filter === 'recent') {
+      conditions.push('mm.year >= 2020');
+    } else if (options.filter === 'long') {
+      conditions.push('mm.duration > 300');
+    }
+
+    if (options.artist) {
+      conditions.push('mm.artist = ?');
+      params.push(options.artist);
+    }
+    if (options.album) {
+      conditions.push('mm.album = ?');
+      params.push(options.album);
+    }
+    if (parseInt(options.yearFrom)) {
+      conditions.push('mm.year >= ?');
+      params.push(parseInt(options.yearFrom));
+    }
+    if (parseInt(options.yearTo)) {
+      conditions.push('mm.year <= ?');
+      params.push(parseInt(options.yearTo));
+    }
+
+    const orderBy = MUSIC_SORT_COLUMNS[options.sort]
+      ? libraryOrderBy(MUSIC_SORT_COLUMNS, options.sort, options.order)
+      : 'mm.artist, mm.year, mm.album, mm.track_number, sf.id';
+
+    return await this.queryLibraryPage({
+      columns: MUSIC_COLUMNS,
+      from: MUSIC_FROM,
+      conditions,
+      params,
+      orderBy,
+      stats: `COALESCE(SUM(sf.size), 0) AS totalSize,
+              COALESCE(SUM(mm.duration), 0) AS totalDuration,
+              COUNT(DISTINCT NULLIF(mm.album, '')) AS totalAlbums,
+              COUNT(DISTINCT NULLIF(mm.artist, '')) AS totalArtists`,
+      page: options.page,
+      limit: options.limit
+    });
+  }
+
+  /**
+   * Get one page of videos for the library. Options: search, filter (4k, hd,
+   * long), sort, order, page, limit.
+   */
+  async getVideosPage(options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const conditions = ['sf.is_deleted = FALSE', 'sf.is_duplicate = FALSE'];
+    const params = [];
+
+    addSearchCondition(conditions, params, options.search,
+      ['vm.title', 'sf.name', 'vm.genre', 'vm.video_codec', 'vm.description']);
+
+    if (options.filter === '4k') {
+      conditions.push('vm.width >= 3840');
+    } else if (options.filter === 'hd') {
+      conditions.push('vm.width >= 1280 AND vm.width < 3840');
+    } else if (options.filter === 'long') {
+      conditions.push('vm.duration > 7200');
+    }
+
+    // Movies are the videos that aren't episodes of a TV show
+    if (options.type === 'movie') {
+      conditions.push('NOT EXISTS (SELECT 1 FROM tv_episodes te WHERE te.file_id = sf.id)');
+    } else if (options.type === 'episode') {
+      conditions.push('EXISTS (SELECT 1 FROM tv_episodes te WHERE te.file_id = sf.id)');
+    }
+
+    return await this.queryLibraryPage({
+      columns: VIDEO_COLUMNS,
+      from: VIDEO_FROM,
+      conditions,
+      params,
+      orderBy: libraryOrderBy(VIDEO_SORT_COLUMNS, options.sort || 'create_date', options.order || 'desc'),
+      stats: `COALESCE(SUM(sf.size), 0) AS totalSize,
+              COALESCE(SUM(vm.duration), 0) AS totalDuration,
+              COALESCE(SUM(CASE WHEN vm.width >= 1280 AND vm.width < 3840 THEN 1 ELSE 0 END), 0) AS hdCount,
+              COALESCE(SUM(CASE WHEN vm.width >= 3840 THEN 1 ELSE 0 END), 0) AS fourKCount`,
+      page: options.page,
+      limit: options.limit
+    });
+  }
+
+  /**
+   * Get one page of artists with their track and album counts, most tracks
+   * first. Options: search, page, limit.
+   */
+  async getMusicArtistsPage(options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const conditions = ['sf.is_deleted = FALSE', 'sf.is_duplicate = FALSE', "mm.artist IS NOT NULL AND mm.artist <> ''"];
+    const params = [];
+    addSearchCondition(conditions, params, options.search, ['mm.artist']);
+
+    return await this.queryLibraryPage({
+      columns: `mm.artist AS name,
+                COUNT(*) AS trackCount,
+                COUNT(DISTINCT NULLIF(mm.album, '')) AS albumCount`,
+      from: MUSIC_FROM,
+      conditions,
+      params,
+      groupBy: 'mm.artist',
+      orderBy: 'trackCount DESC, mm.artist',
+      page: options.page,
+      limit: options.limit
+    });
+  }
+
+  /**
+   * Get one page of albums with their artist, year, track count and duration,
+   * most tracks first. Options: search (album or artist), page, limit.
+   */
+  async getMusicAlbumsPage(options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const conditions = ['sf.is_deleted = FALSE', 'sf.is_duplicate = FALSE', "mm.album IS NOT NULL AND mm.album <> ''"];
+    const params = [];
+    addSearchCondition(conditions, params, options.search, ['mm.album', 'mm.album_artist', 'mm.artist']);
+
+    return await this.queryLibraryPage({
+      columns: `MAX(ma.id) AS id,
+                mm.album AS name,
+                MAX(COALESCE(mm.album_artist, mm.artist)) AS artist,
+                MAX(mm.year) AS year,
+                COUNT(*) AS trackCount,
+                COALESCE(SUM(mm.duration), 0) AS duration,
+                CASE WHEN MAX(mm.cover_hash) IS NULL THEN FALSE ELSE TRUE END AS hasCover`,
+      from: `${MUSIC_FROM} LEFT JOIN music_albums ma ON ma.name = mm.album AND ma.artist = ${ALBUM_ARTIST}`,
+      conditions,
+      params,
+      groupBy: `mm.album, ${ALBUM_ARTIST}`,
+      orderBy: 'trackCount DESC, mm.album',
+      page: options.page,
+      limit: options.limit
+    });
+  }
+
+  /**
+   * Run the count/stats query and the page query behind the library pages.
+   * Grouped queries count groups; `stats` is extra aggregate SQL over all
+   * matching rows of ungrouped queries.
+   */
+  async queryLibraryPage({ columns, from, conditions, params, orderBy, groupBy = null, stats = null, page, limit }) {
+    page = Math.max(1, parseInt(page) || 1);
+    limit = Math.min(LIBRARY_MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || LIBRARY_PAGE_SIZE));
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const group = groupBy ? `GROUP BY ${groupBy}` : '';
+
+    const countQuery = groupBy
+      ? `SELECT COUNT(*) AS total FROM (SELECT 1 AS grouped ${from} ${where} ${group}) AS matching`
+      : `SELECT COUNT(*) AS total${stats ? `, ${stats}` : ''} ${from} ${where}`;
+    const [[totals]] = await this.connection.execute(countQuery, params);
+
+    const [rows] = await this.connection.execute(
+      `SELECT ${columns} ${from} ${where} ${group}
+       ORDER BY ${orderBy}
+       LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+      params
+    );
+
+    // MySQL returns SUM() and COUNT() as strings or BigInts
+    const { total, ...rest } = totals;
+    const summary = {};
+    for (const [key, value] of Object.entries(rest)) {
+      summary[key] = Number(value);
+    }
+
+    return { rows, total: Number(total), page, limit, stats: summary };
+  }
+
+  /**
+   * Mark duplicate records in scanned_files table based on path
+   */
+  async markDuplicateRecords() {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    console.log('Marking duplicate records based on path...');
+
+    // First, reset all duplicate flags
+    await this.connection.execute('UPDATE scanned_files SET is_duplicate = FALSE, duplicate_group_id = NULL');
+
+    // Find duplicate paths and assign group IDs
+    const [duplicatePaths] = await this.connection.execute(`
+      SELECT folder_id , name, COUNT(*) as count, GROUP_CONCAT(id ORDER BY id) as ids
+      FROM scanned_files
+      GROUP BY 	folder_id , name 
+      HAVING count > 1
+      ORDER BY count DESC
+    `);
+
+    console.log(`Found ${duplicatePaths.length} duplicate path groups`);
+
+    let groupId = 1;
+    for (const dup of duplicatePaths) {
+      const ids = dup.ids.split(',').map(id => parseInt(id));
+      const smallestId = Math.min(...ids);
+
+      // Mark all records in this group except the smallest ID as duplicates
+      // Create dynamic IN clause with proper placeholders
+      const otherIds = ids.filter(id => id !== smallestId);
+      if (otherIds.length > 0) {
+        const placeholders = otherIds.map(() => '?').join(',');
+        const sql = `UPDATE scanned_files SET is_duplicate = TRUE, duplicate_group_id = ? WHERE id IN (${placeholders})`;
+        await this.connection.execute(sql, [smallestId, ...otherIds]);
+        console.log(`Marked ${otherIds.length} records (excluding smallest ID ${smallestId}) for path "${dup.folder_id}" as duplicates (group ${groupId})`);
+      } else {
+        console.log(`No additional records to mark for path "${dup.path}" (only one record)`);
+      }
+
+      groupId++;
+    }
+
+    console.log(`Completed marking ${duplicatePaths.length} duplicate groups`);
+    return duplicatePaths.length;
+  }
+
+  /**
+   * Create or update user from Google OAuth
+   */
+  async createOrUpdateUser(googleId, email, name, picture) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute(`
+      INSERT INTO users (google_id, email, name, picture, last_login)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON DUPLICATE KEY UPDATE 
+        email = VALUES(email),
+        name = VALUES(name),
+        picture = VALUES(picture),
+        last_login = CURRENT_TIMESTAMP
+    `, [googleId, email, name, picture]);
+
+    const [rows] = await this.connection.execute(
+      'SELECT id, google_id, email, name, picture FROM users WHERE google_id = ?',
+      [googleId]
+    );
+
+    return rows[0];
+  }
+
+  /**
+   * Get user by Google ID
+   */
+  async getUserByGoogleId(googleId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT id, google_id, email, name, picture FROM users WHERE google_id = ?',
+      [googleId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Set or update rating for a music track
+   */
+  async setMusicRating(fileId, rating, userId = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    if (rating < 1 || rating > 5) {
+      throw new Error('Rating must be between 1 and 5');
+    }
+
+    await this.connection.execute(`
+      INSERT INTO music_ratings (file_id, user_id, rating)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE rating = ?, updated_at = CURRENT_TIMESTAMP
+    `, [fileId, userId, rating, rating]);
+
+    return { success: true, fileId, rating, userId };
+  }
+
+  /**
+   * Get rating for a music track
+   */
+  async getMusicRating(fileId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT rating, updated_at FROM music_ratings WHERE file_id = ?',
+      [fileId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get all ratings (for batch loading)
+   */
+  async getAllMusicRatings() {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT file_id, rating FROM music_ratings'
+    );
+
+    return rows;
+  }
+
+  /**
+   * Record a play event for a music track
+   */
+  async recordMusicPlay(fileId, userId = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute(
+      'INSERT INTO music_play_history (file_id, user_id) VALUES (?, ?)',
+      [fileId, userId]
+    );
+
+    return { success: true, fileId, userId };
+  }
+
+  /**
+   * Get play history for a track
+   */
+  async getMusicPlayHistory(fileId, limit = 10) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT played_at FROM music_play_history WHERE file_id = ? ORDER BY played_at DESC LIMIT ?',
+      [fileId, limit]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Get play count for a track
+   */
+  async getMusicPlayCount(fileId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT COUNT(*) as count FROM music_play_history WHERE file_id = ?',
+      [fileId]
+    );
+
+    return rows[0].count;
+  }
+
+  /**
+   * Get all play counts (for batch loading)
+   */
+  async getAllMusicPlayCounts() {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(`
+      SELECT file_id, COUNT(*) as play_count, MAX(played_at) as last_played
+      FROM music_play_history
+      GROUP BY file_id
+    `);
+
+    return rows;
+  }
+
+  /**
+   * Get user-specific play history
+   */
+  async getUserPlayHistory(userId, limit = 50) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(`
+      SELECT mph.file_id, mph.played_at, sf.name, sf.path
+      FROM music_play_history mph
+      JOIN scanned_files sf ON mph.file_id = sf.id
+      WHERE mph.user_id = ?
+      ORDER BY mph.played_at DESC
+      LIMIT ?
+    `, [userId, limit]);
+
+    return rows;
+  }
+
+  /**
+   * Get user-specific ratings
+   */
+  async getUserRatings(userId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT file_id, rating, updated_at FROM music_ratings WHERE user_id = ?',
+      [userId]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Get rating for a track by specific user
+   */
+  async getUserTrackRating(fileId, userId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT rating, updated_at FROM music_ratings WHERE file_id = ? AND user_id = ?',
+      [fileId, userId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Create a playlist owned by a user
+   */
+  async createPlaylist(userId, name, description = null) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [result] = await this.connection.execute(
+      'INSERT INTO playlists (user_id, name, description) VALUES (?, ?, ?)',
+      [userId, name, description]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Get a playlist with its owner's name and track count, or null
+   */
+  async getPlaylist(id) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT p.*, u.username AS owner_name,
+              (SELECT COUNT(*) FROM playlist_tracks pt WHERE pt.playlist_id = p.id) AS track_count
+       FROM playlists p LEFT JOIN users u ON u.id = p.user_id
+       WHERE p.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get the playlists a user owns or that are shared with them
+   */
+  async getPlaylistsForUser(userId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT p.*, u.username AS owner_name,
+              (SELECT COUNT(*) FROM playlist_tracks pt WHERE pt.playlist_id = p.id) AS track_count
+       FROM playlists p LEFT JOIN users u ON u.id = p.user_id
+       WHERE p.user_id = ? OR p.id IN (SELECT ps.playlist_id FROM playlist_shares ps WHERE ps.user_id = ?)
+       ORDER BY p.user_id = ? DESC, LOWER(p.name), p.id`,
+      [userId, userId, userId]
+    );
+    return rows;
+  }
+
+  /**
+   * Whether a playlist is shared with a user
+   */
+  async isPlaylistSharedWith(id, userId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      'SELECT 1 FROM playlist_shares WHERE playlist_id = ? AND user_id = ?',
+      [id, userId]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Rename a playlist or change its description
+   */
+  async updatePlaylist(id, { name, description }) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute(
+      'UPDATE playlists SET name = COALESCE(?, name), description = COALESCE(?, description), updated_at = NOW() WHERE id = ?',
+      [name ?? null, description ?? null, id]
+    );
+  }
+
+  /**
+   * Delete a playlist with its entries and shares
+   */
+  async deletePlaylist(id) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute('DELETE FROM playlist_tracks WHERE playlist_id = ?', [id]);
+    await this.connection.execute('DELETE FROM playlist_shares WHERE playlist_id = ?', [id]);
+    await this.connection.execute('DELETE FROM playlists WHERE id = ?', [id]);
+  }
+
+  /**
+   * Get the users a playlist is shared with
+   */
+  async getPlaylistShares(id) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT u.id, u.username FROM playlist_shares ps JOIN users u ON u.id = ps.user_id
+       WHERE ps.playlist_id = ? ORDER BY u.username`,
+      [id]
+    );
+    return rows;
+  }
+
+  /**
+   * Replace the users a playlist is shared with. Returns the usernames that
+   * don't exist.
+   */
+  async setPlaylistShares(id, usernames) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    let users = [];
+    if (usernames.length > 0) {
+      const placeholders = usernames.map(() => '?').join(',');
+      [users] = await this.connection.execute(
+        `SELECT id, username FROM users WHERE username IN (${placeholders})`,
+        usernames
+      );
+    }
+
+    await this.connection.execute('DELETE FROM playlist_shares WHERE playlist_id = ?', [id]);
+    for (const user of users) {
+      await this.connection.execute(
+        'INSERT INTO playlist_shares (playlist_id, user_id) VALUES (?, ?)',
+        [id, user.id]
+      );
+    }
+
+    const found = new Set(users.map(user => user.username));
+    return usernames.filter(username => !found.has(username));
+  }
+
+  /**
+   * Append entries ({ hash, path, title }) to the end of a playlist
+   */
+  async addPlaylistTracks(id, entries) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
 
-    return result.sort((a, b) => b.totalWastedSpace - a.totalWastedSpace);
+    const [rows] = await this.connection.execute(
+      'SELECT COALESCE(MAX(position), -1) AS last FROM playlist_tracks WHERE playlist_id = ?',
+      [id]
+    );
+    let position = Number(rows[0].last) + 1;
+
+    for (const entry of entries) {
+      await this.connection.execute(
+        'INSERT INTO playlist_tracks (playlist_id, position, file_hash, file_path, title) VALUES (?, ?, ?, ?, ?)',
+        [id, position++, entry.hash || null, entry.path || null, entry.title || null]
+      );
+    }
+    await this.connection.execute('UPDATE playlists SET updated_at = NOW() WHERE id = ?', [id]);
   }
 
   /**
-   * Get duplicates by name and size (files with same name and size in different locations)
+   * Get the entries of a playlist in order, each with the live music file it
+   * currently points at: the first file with the entry's hash, else the file
+   * at its path. Entries whose file is gone have a null id.
    */
-  async getDuplicatesByNameAndSize(minSize = 0) {
+  async getPlaylistTracks(id) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.query(`
-      SELECT 
-        name,
-        size,
-        COUNT(DISTINCT path) as count,
-        GROUP_CONCAT(DISTINCT CONCAT(path, '|||', IFNULL(mtime, '')) ORDER BY path SEPARATOR '###') as file_info
-      FROM scanned_files 
-      WHERE size >= ${minSize}
-      GROUP BY name, size
-      HAVING COUNT(DISTINCT path) > 1
-      ORDER BY size DESC, count DESC, name
-    `);
-
-    return rows.map(row => ({
-      name: row.name,
-      size: row.size,
-      count: row.count,
-      wastedSpace: (row.count - 1) * row.size,
-      files: row.file_info.split('###').map(info => {
-        const [filePath, mtime] = info.split('|||');
-        return {
-          path: filePath,
-          mtime: mtime || null,
-          name: row.name,
-          size: row.size
-        };
-      })
-    }));
+    const [rows] = await this.connection.execute(
+      `SELECT pt.id AS entry_id, pt.position, pt.file_hash, pt.file_path, pt.title AS entry_title, pt.added_at,
+              ${MUSIC_COLUMNS}
+       FROM playlist_tracks pt
+       LEFT JOIN scanned_files sf ON sf.id = COALESCE(
+         (SELECT MIN(f.id) FROM scanned_files f WHERE f.hash = pt.file_hash AND f.is_deleted = FALSE),
+         (SELECT MIN(f.id) FROM scanned_files f WHERE f.path = pt.file_path AND f.is_deleted = FALSE)
+       )
+       LEFT JOIN music_metadata mm ON mm.file_id = sf.id
+       WHERE pt.playlist_id = ?
+       ORDER BY pt.position, pt.id`,
+      [id]
+    );
+    return rows;
   }
 
   /**
-   * Detect completely duplicated folders (folders with identical content)
+   * Remove one entry from a playlist and close the gap in the positions.
+   * Returns false when the entry isn't in the playlist.
    */
-  async getCompleteDuplicateFolders(minSize = 0) {
+  async removePlaylistTrack(id, entryId) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    // Get all folders with their file counts and total sizes
-    const [folders] = await this.connection.query(`
-      SELECT 
-        SUBSTRING_INDEX(path, '/', -2) as folder_name,
-        SUBSTRING_INDEX(path, '/', CHAR_LENGTH(path) - CHAR_LENGTH(SUBSTRING_INDEX(path, '/', -1))) as folder_path,
-        COUNT(*) as file_count,
-        SUM(size) as total_size,
-        GROUP_CONCAT(CONCAT(name, '|', size, '|', IFNULL(hash, 'NULL')) ORDER BY name SEPARATOR '###') as files_signature
-      FROM scanned_files
-      WHERE size >= ${minSize}
-        AND path LIKE '%/%'
-      GROUP BY folder_path
-      HAVING file_count > 0
-    `);
-
-    // Group folders by their signature (same files with same sizes)
-    const signatureMap = new Map();
-    
-    folders.forEach(folder => {
-      const signature = `${folder.file_count}|${folder.total_size}|${folder.files_signature}`;
-      
-      if (!signatureMap.has(signature)) {
-        signatureMap.set(signature, []);
-      }
-      
-      signatureMap.get(signature).push({
-        folderPath: folder.folder_path,
-        folderName: folder.folder_name,
-        fileCount: folder.file_count,
-        totalSize: folder.total_size
-      });
-    });
-
-    // Filter to only folders with duplicates
-    const duplicatedFolders = Array.from(signatureMap.values())
-      .filter(group => group.length > 1)
-      .map(group => ({
-        folders: group,
-        count: group.length,
-        fileCount: group[0].fileCount,
-        totalSize: group[0].totalSize,
-        wastedSpace: (group.length - 1) * group[0].totalSize
-      }))
-      .sort((a, b) => b.wastedSpace - a.wastedSpace);
+    const [rows] = await this.connection.execute(
+      'SELECT position FROM playlist_tracks WHERE id = ? AND playlist_id = ?',
+      [entryId, id]
+    );
+    if (rows.length === 0) {
+      return false;
+    }
 
-    return duplicatedFolders;
+    await this.connection.execute('DELETE FROM playlist_tracks WHERE id = ?', [entryId]);
+    await this.connection.execute(
+      'UPDATE playlist_tracks SET position = position - 1 WHERE playlist_id = ? AND position > ?',
+      [id, rows[0].position]
+    );
+    await this.connection.execute('UPDATE playlists SET updated_at = NOW() WHERE id = ?', [id]);
+    return true;
   }
 
   /**
-   * Get statistics for smart hashing optimization (all file sizes)
+   * Put a playlist's entries in the given order. `entryIds` must list every
+   * entry of the playlist exactly once; returns false otherwise.
    */
-  async getSmartHashStats(minSize = 0, maxSize = 0) {
+  async reorderPlaylistTracks(id, entryIds) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const validMinSize = (typeof minSize === 'number' && !isNaN(minSize)) ? minSize : 0;
-    const validMaxSize = (maxSize && typeof maxSize === 'number' && maxSize > 0) ? maxSize : 0;
-
-    // Count total files without hash
-    let totalQuery = `
-      SELECT COUNT(*) as count 
-      FROM scanned_files 
-      WHERE hash IS NULL AND size >= ${validMinSize}
-    `;
-    if (validMaxSize > 0) {
-      totalQuery += ` AND size <= ${validMaxSize}`;
+    const [rows] = await this.connection.execute('SELECT id FROM playlist_tracks WHERE playlist_id = ?', [id]);
+    const current = new Set(rows.map(row => row.id));
+    if (entryIds.length !== current.size || new Set(entryIds).size !== current.size ||
+        !entryIds.every(entryId => current.has(entryId))) {
+      return false;
     }
-    const [totalFiles] = await this.connection.query(totalQuery);
 
-    // Count files that have potential duplicates (would be processed)
-    let duplicatesQuery = `
-      SELECT COUNT(*) as count 
-      FROM scanned_files sf
-      WHERE sf.hash IS NULL AND sf.size >= ${validMinSize}
-    `;
-    if (validMaxSize > 0) {
-      duplicatesQuery += ` AND sf.size <= ${validMaxSize}`;
+    for (const [position, entryId] of entryIds.entries()) {
+      await this.connection.execute('UPDATE playlist_tracks SET position = ? WHERE id = ?', [position, entryId]);
     }
-    duplicatesQuery += `
-      AND sf.size IN (
-        SELECT size 
-        FROM scanned_files 
-        WHERE hash IS NULL AND size >= ${validMinSize}
-    `;
-    if (validMaxSize > 0) {
-      duplicatesQuery += ` AND size <= ${validMaxSize}`;
+    await this.connection.execute('UPDATE playlists SET updated_at = NOW() WHERE id = ?', [id]);
+    return true;
+  }
+
+  /**
+   * Save where a user stopped watching a video
+   */
+  async saveWatchProgress(userId, fileId, position, duration, watched) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
     }
-    duplicatesQuery += `
-        GROUP BY size 
-        HAVING COUNT(*) > 1
-      )
-    `;
-    const [withDuplicates] = await this.connection.query(duplicatesQuery);
 
-    return {
-      totalFiles: totalFiles[0].count,
-      filesWithPotentialDuplicates: withDuplicates[0].count,
-      filesSkipped: totalFiles[0].count - withDuplicates[0].count,
-      percentageSkipped: totalFiles[0].count > 0 
-        ? ((totalFiles[0].count - withDuplicates[0].count) / totalFiles[0].count * 100).toFixed(1)
-        : 0
-    };
+    await this.connection.execute(`
+      INSERT INTO watch_progress (user_id, file_id, position, duration, watched)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE position = VALUES(position), duration = VALUES(duration),
+        watched = VALUES(watched), updated_at = CURRENT_TIMESTAMP
+    `, [userId, fileId, position, duration, watched ? 1 : 0]);
   }
 
   /**
-   * Get all files grouped by size (potential duplicates)
+   * Get a user's progress in one video, or null
    */
-  async getFilesBySizeGroups(minSize = 0) {
+  async getWatchProgress(userId, fileId) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
     const [rows] = await this.connection.execute(
-      `SELECT size, COUNT(*) as count
-       FROM scanned_files
-       WHERE size >= ?
-       GROUP BY size
-       HAVING count > 1
-       ORDER BY size DESC`,
-      [minSize]
+      'SELECT file_id, position, duration, watched, updated_at FROM watch_progress WHERE user_id = ? AND file_id = ?',
+      [userId, fileId]
     );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get a user's progress in any of the given videos
+   */
+  async getWatchProgressForFiles(userId, fileIds) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+    if (fileIds.length === 0) {
+      return [];
+    }
 
+    const [rows] = await this.connection.execute(
+      `SELECT file_id, position, duration, watched, updated_at FROM watch_progress
+       WHERE user_id = ? AND file_id IN (${fileIds.map(() => '?').join(', ')})`,
+      [userId, ...fileIds]
+    );
     return rows;
   }
 
   /**
-   * Get files by size
+   * Get the videos a user has progress in with their metadata, most recently
+   * watched first. Options: watched (true or false to filter), limit.
    */
-  async getFilesBySize(size) {
+  async getWatchProgressVideos(userId, options = {}) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
+    const conditions = ['wp.user_id = ?', 'sf.is_deleted = FALSE'];
+    const params = [userId];
+    if (options.watched !== undefined) {
+      conditions.push(options.watched ? 'wp.watched = TRUE' : 'wp.watched = FALSE');
+    }
+
     const [rows] = await this.connection.execute(
-      'SELECT id, path, name, size, hash, quick_hash FROM scanned_files WHERE size = ?',
-      [size]
+      `SELECT ${VIDEO_COLUMNS},
+              wp.position AS progress_position, wp.duration AS progress_duration,
+              wp.watched AS progress_watched, wp.updated_at AS progress_updated_at,
+              ts.id AS show_id, ts.name AS show_name, te.season, te.episode, te.episode_end, te.title AS episode_title
+       FROM watch_progress wp
+       JOIN scanned_files sf ON wp.file_id = sf.id
+       JOIN video_metadata vm ON sf.id = vm.file_id
+       LEFT JOIN tv_episodes te ON te.file_id = sf.id
+       LEFT JOIN tv_shows ts ON ts.id = te.show_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY wp.updated_at DESC, wp.id DESC
+       LIMIT ${parseInt(options.limit) || LIBRARY_PAGE_SIZE}`,
+      params
     );
-
     return rows;
   }
 
   /**
-   * Get detailed duplicate information with file paths
+   * Forget a user's progress in one video, or in all videos without a file
+   * id. Returns the number of entries removed.
    */
-  async getDuplicatesDetailed(minSize = 0) {
+  async clearWatchProgress(userId, fileId = null) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [groups] = await this.connection.execute(
-      `SELECT hash, COUNT(*) as count, size
-       FROM scanned_files
-       WHERE hash IS NOT NULL AND size >= ?
-       GROUP BY hash, size
-       HAVING count > 1
-       ORDER BY size DESC`,
-      [minSize]
+    const [result] = fileId === null
+      ? await this.connection.execute('DELETE FROM watch_progress WHERE user_id = ?', [userId])
+      : await this.connection.execute('DELETE FROM watch_progress WHERE user_id = ? AND file_id = ?', [userId, fileId]);
+    return result.affectedRows;
+  }
+
+  /**
+   * Record which show, season and episode a video file is, or that it is
+   * no episode when `episode` is null. Shows are created on first use.
+   */
+  async storeEpisode(fileId, episode) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    await this.connection.execute('DELETE FROM tv_episodes WHERE file_id = ?', [fileId]);
+    if (!episode) {
+      return;
+    }
+
+    const key = showKey(episode.show);
+    await this.connection.execute('INSERT IGNORE INTO tv_shows (name, name_key) VALUES (?, ?)', [episode.show, key]);
+    const [[show]] = await this.connection.execute('SELECT id FROM tv_shows WHERE name_key = ?', [key]);
+
+    await this.connection.execute(
+      'INSERT INTO tv_episodes (file_id, show_id, season, episode, episode_end, title) VALUES (?, ?, ?, ?, ?, ?)',
+      [fileId, show.id, episode.season, episode.episode, episode.episodeEnd ?? null, episode.title ?? null]
     );
+  }
 
-    const duplicateGroups = [];
-    
-    for (const group of groups) {
-      const [files] = await this.connection.execute(
-        'SELECT id, path, name, size, mtime FROM scanned_files WHERE hash = ? AND size = ?',
-        [group.hash, group.size]
-      );
+  /**
+   * Remove shows none of whose files are episodes any more. Returns how many.
+   */
+  async removeEmptyShows() {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
 
-      duplicateGroups.push({
-        hash: group.hash,
-        count: group.count,
-        size: group.size,
-        wastedSpace: (group.count - 1) * group.size,
-        files: files
-      });
+    const [result] = await this.connection.execute(
+      'DELETE FROM tv_shows WHERE id NOT IN (SELECT DISTINCT show_id FROM tv_episodes)'
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Get one page of shows that have live episodes, with their season and
+   * episode counts and how many of them a user watched. Options: search,
+   * sort (`name`, `added`, `watched`), order, page, limit.
+   */
+  async getShowsPage(userId, options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
     }
 
-    return duplicateGroups;
+    const conditions = ['sf.is_deleted = FALSE', 'sf.is_duplicate = FALSE'];
+    const params = [userId];
+    addSearchCondition(conditions, params, options.search, ['ts.name']);
+
+    const sort = SHOW_SORT_COLUMNS[options.sort] ? options.sort : 'name';
+    const direction = (options.order || (sort === 'name' ? 'asc' : 'desc')).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+
+    return await this.queryLibraryPage({
+      columns: `ts.id, ts.name,
+                COUNT(DISTINCT te.season) AS seasonCount,
+                COUNT(*) AS episodeCount,
+                SUM(CASE WHEN wp.watched = TRUE THEN 1 ELSE 0 END) AS watchedCount,
+                MAX(sf.created_at) AS lastAdded,
+                MAX(wp.updated_at) AS lastWatched`,
+      from: `FROM tv_shows ts
+             JOIN tv_episodes te ON te.show_id = ts.id
+             JOIN scanned_files sf ON sf.id = te.file_id
+             JOIN video_metadata vm ON vm.file_id = sf.id
+             LEFT JOIN watch_progress wp ON wp.file_id = sf.id AND wp.user_id = ?`,
+      conditions,
+      params,
+      groupBy: 'ts.id, ts.name',
+      orderBy: `(${SHOW_SORT_COLUMNS[sort]} IS NULL), ${SHOW_SORT_COLUMNS[sort]} ${direction}, ts.id`,
+      page: options.page,
+      limit: options.limit
+    });
   }
 
   /**
-   * Get all photos with metadata
+   * Get a show by id, or null
    */
-  async getPhotosWithMetadata(includeDuplicates = false) {
+  async getShow(id) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    let query = `
-      SELECT
-        sf.id,
-        sf.path,
-        sf.name,
-        sf.size,
-        sf.hash,
-        pm.width,
-        pm.height,
-        pm.format,
-        pm.camera_make,
-        pm.camera_model,
-        pm.lens_model,
-        pm.iso,
-        pm.aperture,
-        pm.shutter_speed,
-        pm.focal_length,
-        pm.flash,
-        pm.date_taken,
-        pm.latitude,
-        pm.longitude,
-        pm.altitude,
-        pm.software,
-        pm.artist,
-        pm.copyright
-      FROM scanned_files sf
-      JOIN photo_metadata pm ON sf.id = pm.file_id
-    `;
+    const [rows] = await this.connection.execute('SELECT id, name FROM tv_shows WHERE id = ?', [id]);
+    return rows.length > 0 ? rows[0] : null;
+  }
 
-    // Hide duplicates by default (only show first occurrence by path)
-    if (!includeDuplicates) {
-      query += ` WHERE sf.is_duplicate = FALSE`;
+  /**
+   * Get the live episodes of a show with their video metadata, in season
+   * and episode order
+   */
+  async getShowEpisodes(showId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
+
+    const [rows] = await this.connection.execute(
+      `SELECT ${VIDEO_COLUMNS},
+              te.show_id, ts.name AS show_name, te.season, te.episode, te.episode_end, te.title AS episode_title
+       ${VIDEO_FROM}
+       JOIN tv_episodes te ON te.file_id = sf.id
+       JOIN tv_shows ts ON ts.id = te.show_id
+       WHERE te.show_id = ? AND sf.is_deleted = FALSE AND sf.is_duplicate = FALSE
+       ORDER BY te.season, te.episode, sf.name, sf.id`,
+      [showId]
+    );
+    return rows;
+  }
+
+  /**
+   * Get the episode record of a video file, or null when it is no episode
+   */
+  async getEpisode(fileId) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
     }
 
-    query += ` ORDER BY pm.date_taken DESC`;
+    const [rows] = await this.connection.execute('SELECT * FROM tv_episodes WHERE file_id = ?', [fileId]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get the live music files that have metadata, for extracting their cover
+   * art. Options: album and albumArtist (one album's tracks), uncheckedCovers
+   * (only tracks not checked for art yet).
+   */
+  async getMusicFiles(options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
 
-    const [rows] = await this.connection.query(query);
+    const conditions = ['sf.is_deleted = FALSE'];
+    const params = [];
+    if (options.album !== undefined) {
+      conditions.push('mm.album = ?');
+      params.push(options.album);
+    }
+    if (options.albumArtist !== undefined) {
+      conditions.push(`${ALBUM_ARTIST} = ?`);
+      params.push(options.albumArtist);
+    }
+    if (options.uncheckedCovers) {
+      conditions.push('mm.cover_source IS NULL');
+    }
 
+    const [rows] = await this.connection.execute(
+      `SELECT sf.id, sf.path ${MUSIC_FROM}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY sf.path`,
+      params
+    );
     return rows;
   }
 
   /**
-   * Get all music tracks with metadata
+   * Give every album in music_metadata an id, for tracks stored without
+   * storeMusicMetadata, or only the album of one file. Returns how many
+   * albums were added.
    */
-  async getMusicWithMetadata(includeDuplicates = false) {
+  async addMissingAlbums(fileId = null) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    let query = `
-      SELECT
-        sf.id,
-        sf.path,
-        sf.name,
-        sf.size,
-        sf.hash,
-        sf.created_at,
-        mm.title,
-        mm.artist,
-        mm.album,
-        mm.album_artist,
-        mm.year,
-        mm.genre,
-        mm.track_number,
-        mm.track_total,
-        mm.disk_number,
-        mm.disk_total,
-        mm.duration,
-        mm.bitrate,
-        mm.sample_rate,
-        mm.channels,
-        mm.codec,
-        mm.composer,
-        mm.isrc,
-        mm.has_album_art
-      FROM scanned_files sf
-      JOIN music_metadata mm ON sf.id = mm.file_id
-    `;
+    const [result] = await this.connection.execute(
+      `INSERT IGNORE INTO music_albums (artist, name)
+       SELECT DISTINCT ${ALBUM_ARTIST}, mm.album FROM music_metadata mm
+       WHERE mm.album IS NOT NULL AND mm.album <> ''${fileId ? ' AND mm.file_id = ?' : ''}`,
+      fileId ? [fileId] : []
+    );
+    return result.affectedRows;
+  }
 
-    // Hide duplicates by default (only show first occurrence by path)
-    if (!includeDuplicates) {
-      query += ` WHERE sf.is_duplicate = FALSE`;
+  /**
+   * Record the cover art found for a music file: the hash of the image in the
+   * cover cache (null for none) and where it came from
+   */
+  async storeTrackCover(fileId, hash, source) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
     }
 
-    query += ` ORDER BY mm.artist, mm.year, mm.album, mm.track_number`;
-
-    const [rows] = await this.connection.query(query);
-
-    return rows;
+    await this.connection.execute(
+      'UPDATE music_metadata SET cover_hash = ?, cover_source = ? WHERE file_id = ?',
+      [hash, source, fileId]
+    );
   }
 
   /**
-   * Get all videos with metadata
+   * Get an album by id
    */
-  async getVideosWithMetadata(includeDuplicates = false) {
+  async getAlbum(id) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    let query = `
-      SELECT
-        sf.id,
-        sf.path,
-        sf.name,
-        sf.size,
-        sf.hash,
-        sf.created_at,
-        vm.title,
-        vm.duration,
-        vm.width,
-        vm.height,
-        vm.frame_rate,
-        vm.video_codec,
-        vm.video_bitrate,
-        vm.audio_codec,
-        vm.audio_bitrate,
-        vm.audio_sample_rate,
-        vm.audio_channels,
-        vm.description,
-        vm.genre,
-        vm.artist,
-        vm.year,
-        vm.create_date,
-        vm.software,
-        vm.latitude,
-        vm.longitude
-      FROM scanned_files sf
-      JOIN video_metadata vm ON sf.id = vm.file_id
-    `;
+    const [rows] = await this.connection.execute('SELECT id, artist, name FROM music_albums WHERE id = ?', [id]);
+    return rows.length > 0 ? rows[0] : null;
+  }
 
-    // Hide duplicates by default (only show first occurrence by path)
-    if (!includeDuplicates) {
-      query += ` WHERE sf.is_duplicate = FALSE`;
+  /**
+   * Hash of an album's cover (`{ artist, name }` as from getAlbum): the image
+   * most of its live tracks use, or null
+   */
+  async getAlbumCoverHash(album) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
     }
 
-    query += ` ORDER BY vm.create_date DESC`;
+    const [rows] = await this.connection.execute(
+      `SELECT mm.cover_hash, COUNT(*) AS tracks ${MUSIC_FROM}
+       WHERE sf.is_deleted = FALSE AND mm.album = ? AND ${ALBUM_ARTIST} = ? AND mm.cover_hash IS NOT NULL
+       GROUP BY mm.cover_hash
+       ORDER BY tracks DESC, mm.cover_hash
+       LIMIT 1`,
+      [album.name, album.artist]
+    );
+    return rows.length > 0 ? rows[0].cover_hash : null;
+  }
 
-    const [rows] = await this.connection.query(query);
+  /**
+   * Get the albums none of whose live tracks has cover art, with the number
+   * of tracks not checked for art yet and the folder of their first track
+   */
+  async getAlbumsWithoutCover() {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
 
+    const [rows] = await this.connection.execute(
+      `SELECT MAX(ma.id) AS id,
+              mm.album AS name,
+              MAX(COALESCE(mm.album_artist, mm.artist)) AS artist,
+              COUNT(*) AS trackCount,
+              SUM(CASE WHEN mm.cover_source IS NULL THEN 1 ELSE 0 END) AS uncheckedCount,
+              MIN(sf.path) AS firstPath
+       ${MUSIC_FROM} LEFT JOIN music_albums ma ON ma.name = mm.album AND ma.artist = ${ALBUM_ARTIST}
+       WHERE sf.is_deleted = FALSE AND sf.is_duplicate = FALSE AND mm.album IS NOT NULL AND mm.album <> ''
+       GROUP BY mm.album, ${ALBUM_ARTIST}
+       HAVING MAX(mm.cover_hash) IS NULL
+       ORDER BY artist, mm.album`
+    );
     return rows;
   }
 
   /**
-   * Mark duplicate records in scanned_files table based on path
+   * Which of the given cover hashes a live music file still uses
    */
-  async markDuplicateRecords() {
+  async getLiveCoverHashes(hashes) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    console.log('Marking duplicate records based on path...');
-
-    // First, reset all duplicate flags
-    await this.connection.execute('UPDATE scanned_files SET is_duplicate = FALSE, duplicate_group_id = NULL');
+    const live = new Set();
+    const chunkSize = 500;
 
-    // Find duplicate paths and assign group IDs
-    const [duplicatePaths] = await this.connection.execute(`
-      SELECT folder_id , name, COUNT(*) as count, GROUP_CONCAT(id ORDER BY id) as ids
-      FROM scanned_files
-      GROUP BY 	folder_id , name 
-      HAVING count > 1
-      ORDER BY count DESC
-    `);
+    for (let i = 0; i < hashes.length; i += chunkSize) {
+      const chunk = hashes.slice(i, i + chunkSize);
+      const placeholders = chunk.map(() => '?').join(', ');
+      const [rows] = await this.connection.execute(
+        `SELECT DISTINCT mm.cover_hash ${MUSIC_FROM}
+         WHERE sf.is_deleted = FALSE AND mm.cover_hash IN (${placeholders})`,
+        chunk
+      );
+      rows.forEach(row => live.add(row.cover_hash));
+    }
 
-    console.log(`Found ${duplicatePaths.length} duplicate path groups`);
+    return live;
+  }
 
-    let groupId = 1;
-    for (const dup of duplicatePaths) {
-      const ids = dup.ids.split(',').map(id => parseInt(id));
-      const smallestId = Math.min(...ids);
+  /**
+   * Get the stored tags of live music files, for checking their encoding or
+   * editing them. Options: id, path, album (exact name), albumArtist, limit.
+   */
+  async getMusicTags(options = {}) {
+    if (!this.connection) {
+      throw new Error('Database not connected');
+    }
 
-      // Mark all records in this group except the smallest ID as duplicates
-      // Create dynamic IN clause with proper placeholders
-      const otherIds = ids.filter(id => id !== smallestId);
-      if (otherIds.length > 0) {
-        const placeholders = otherIds.map(() => '?').join(',');
-        const sql = `UPDATE scanned_files SET is_duplicate = TRUE, duplicate_group_id = ? WHERE id IN (${placeholders})`;
-        await this.connection.execute(sql, [smallestId, ...otherIds]);
-        console.log(`Marked ${otherIds.length} records (excluding smallest ID ${smallestId}) for path "${dup.folder_id}" as duplicates (group ${groupId})`);
-      } else {
-        console.log(`No additional records to mark for path "${dup.path}" (only one record)`);
-      }
+    const conditions = ['sf.is_deleted = FALSE'];
+    const params = [];
+    if (options.id) {
+      conditions.push('sf.id = ?');
+      params.push(options.id);
+    }
+    if (options.path) {
+      conditions.push('sf.path = ?');
+      params.push(options.path);
+    }
+    if (options.album) {
+      conditions.push('mm.album = ?');
+      params.push(options.album);
+    }
+    if (options.albumArtist !== undefined) {
+      conditions.push(`${ALBUM_ARTIST} = ?`);
+      params.push(options.albumArtist);
+    }
 
-      groupId++;
+    let query = `SELECT sf.id, sf.path, sf.name, ${MUSIC_TAG_COLUMNS.map(column => `mm.${column}`).join(', ')}
+                 ${MUSIC_FROM}
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY sf.id`;
+    if (options.limit) {
+      query += ` LIMIT ${parseInt(options.limit)}`;
     }
 
-    console.log(`Completed marking ${duplicatePaths.length} duplicate groups`);
-    return duplicatePaths.length;
+    const [rows] = await this.connection.execute(query, params);
+    return rows;
   }
 
   /**
-   * Create or update user from Google OAuth
+   * Get every live music file with a title and the details used to rank
+   * copies of the same song
    */
-  async createOrUpdateUser(googleId, email, name, picture) {
+  async getMusicTracksForDuplicates() {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    await this.connection.execute(`
-      INSERT INTO users (google_id, email, name, picture, last_login)
-      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-      ON DUPLICATE KEY UPDATE 
-        email = VALUES(email),
-        name = VALUES(name),
-        picture = VALUES(picture),
-        last_login = CURRENT_TIMESTAMP
-    `, [googleId, email, name, picture]);
-
-    const [rows] = await this.connection.execute(
-      'SELECT id, google_id, email, name, picture FROM users WHERE google_id = ?',
-      [googleId]
-    );
+    const [rows] = await this.connection.query(`
+      SELECT sf.id, sf.path, sf.name, sf.size, sf.mtime,
+             mm.title, mm.artist, mm.album, mm.album_artist,
+             mm.duration, mm.bitrate, mm.sample_rate, mm.channels, mm.codec
+      ${MUSIC_FROM}
+      WHERE sf.is_deleted = FALSE AND mm.title IS NOT NULL
+      ORDER BY sf.id
+    `);
 
-    return rows[0];
+    return rows;
   }
 
   /**
-   * Get user by Google ID
+   * Change stored tags of a music file. `tags` maps music_metadata columns
+   * (see MUSIC_TAG_COLUMNS) to their new values.
    */
-  async getUserByGoogleId(googleId) {
+  async updateMusicTags(fileId, tags) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.execute(
-      'SELECT id, google_id, email, name, picture FROM users WHERE google_id = ?',
-      [googleId]
+    const columns = Object.keys(tags).filter(column => MUSIC_TAG_COLUMNS.includes(column));
+    if (columns.length === 0) {
+      return;
+    }
+
+    await this.connection.execute(
+      `UPDATE music_metadata SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE file_id = ?`,
+      [...columns.map(column => tags[column] ?? null), fileId]
     );
 
-    return rows.length > 0 ? rows[0] : null;
+    if (['album', 'album_artist', 'artist'].some(column => columns.includes(column))) {
+      await this.addMissingAlbums(fileId);
+    }
   }
 
   /**
-   * Set or update rating for a music track
+   * Store an edit of music tags: the new values go into music_metadata and
+   * every change into the history, in one transaction. `changes` lists
+   * `{ fileId, field, oldValue, newValue }`; `undoOf` is the edit an undo
+   * reverts. Returns the id of the edit.
    */
-  async setMusicRating(fileId, rating, userId = null) {
+  async recordMusicTagEdit({ userId = null, description = null, undoOf = null, changes }) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    if (rating < 1 || rating > 5) {
-      throw new Error('Rating must be between 1 and 5');
-    }
+    await this.connection.beginTransaction();
+    try {
+      const [result] = await this.connection.execute(
+        'INSERT INTO music_tag_edits (user_id, description, undo_of) VALUES (?, ?, ?)',
+        [userId, description, undoOf]
+      );
+      const editId = result.insertId;
+
+      // Values are kept as text, whatever the type of their column
+      const asText = value => (value === null || value === undefined ? null : String(value));
+      const tagsByFile = new Map();
+      for (const change of changes) {
+        await this.connection.execute(
+          'INSERT INTO music_tag_changes (edit_id, file_id, field, old_value, new_value) VALUES (?, ?, ?, ?, ?)',
+          [editId, change.fileId, change.field, asText(change.oldValue), asText(change.newValue)]
+        );
+        tagsByFile.set(change.fileId, { ...tagsByFile.get(change.fileId), [change.field]: change.newValue });
+      }
 
-    await this.connection.execute(`
-      INSERT INTO music_ratings (file_id, user_id, rating)
-      VALUES (?, ?, ?)
-      ON DUPLICATE KEY UPDATE rating = ?, updated_at = CURRENT_TIMESTAMP
-    `, [fileId, userId, rating, rating]);
+      for (const [fileId, tags] of tagsByFile) {
+        await this.updateMusicTags(fileId, tags);
+      }
 
-    return { success: true, fileId, rating, userId };
+      if (undoOf) {
+        await this.connection.execute('UPDATE music_tag_edits SET undone_at = NOW() WHERE id = ?', [undoOf]);
+      }
+
+      await this.connection.commit();
+      return editId;
+    } catch (err) {
+      await this.connection.rollback();
+      throw err;
+    }
   }
 
   /**
-   * Get rating for a music track
+   * Get the latest music tag edits with who made them and how many files they changed
    */
-  async getMusicRating(fileId) {
+  async getMusicTagEdits(limit = 50) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.execute(
-      'SELECT rating, updated_at FROM music_ratings WHERE file_id = ?',
-      [fileId]
-    );
+    const [rows] = await this.connection.query(`
+      SELECT e.id, e.user_id, u.username, e.description, e.undo_of, e.undone_at, e.created_at,
+             (SELECT COUNT(DISTINCT c.file_id) FROM music_tag_changes c WHERE c.edit_id = e.id) AS fileCount
+      FROM music_tag_edits e
+      LEFT JOIN users u ON u.id = e.user_id
+      ORDER BY e.id DESC
+      LIMIT ${parseInt(limit)}
+    `);
 
-    return rows.length > 0 ? rows[0] : null;
+    return rows;
   }
 
   /**
-   * Get all ratings (for batch loading)
+   * Get a music tag edit with its changes and the paths of the files, or null
    */
-  async getAllMusicRatings() {
+  async getMusicTagEdit(editId) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.execute(
-      'SELECT file_id, rating FROM music_ratings'
+    const [edits] = await this.connection.execute(
+      `SELECT e.id, e.user_id, u.username, e.description, e.undo_of, e.undone_at, e.created_at
+       FROM music_tag_edits e
+       LEFT JOIN users u ON u.id = e.user_id
+       WHERE e.id = ?`,
+      [editId]
+    );
+    if (edits.length === 0) {
+      return null;
+    }
+
+    const [changes] = await this.connection.execute(
+      `SELECT c.file_id, sf.path, c.field, c.old_value, c.new_value
+       FROM music_tag_changes c
+       LEFT JOIN scanned_files sf ON sf.id = c.file_id
+       WHERE c.edit_id = ?
+       ORDER BY c.id`,
+      [editId]
     );
 
-    return rows;
+    return { ...edits[0], changes };
   }
 
   /**
-   * Record a play event for a music track
+   * Record that a file was renamed or moved on disk
    */
-  async recordMusicPlay(fileId, userId = null) {
+  async renameFile(fileId, newPath) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
+    const pathSep = newPath.includes('/') ? '/' : '\\';
+    const pathParts = newPath.split(pathSep);
+    const name = pathParts.pop();
+    const folderId = pathParts.join(pathSep) || pathSep;
+
     await this.connection.execute(
-      'INSERT INTO music_play_history (file_id, user_id) VALUES (?, ?)',
-      [fileId, userId]
+      'UPDATE scanned_files SET path = ?, name = ?, folder_id = ? WHERE id = ?',
+      [newPath, name, folderId, fileId]
     );
-
-    return { success: true, fileId, userId };
   }
 
   /**
-   * Get play history for a track
+   * Get the live files of one kind with the metadata their organized path is
+   * built from: `photo`, `music`, `video` (videos that aren't TV episodes) or
+   * `episode`. `root` limits them to the files below a folder.
    */
-  async getMusicPlayHistory(fileId, limit = 10) {
+  async getFilesToOrganize(type, root = null) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
+    const sources = {
+      photo: `pm.date_taken, pm.camera_make, pm.camera_model
+              FROM scanned_files sf JOIN photo_metadata pm ON sf.id = pm.file_id`,
+      music: `mm.title, mm.artist, mm.album, mm.album_artist, mm.year, mm.genre, mm.track_number, mm.disk_number
+              FROM scanned_files sf JOIN music_metadata mm ON sf.id = mm.file_id`,
+      video: `vm.title, vm.year, vm.create_date, vm.genre
+              FROM scanned_files sf JOIN video_metadata vm ON sf.id = vm.file_id
+              LEFT JOIN tv_episodes te ON te.file_id = sf.id`,
+      episode: `ts.name AS show_name, te.season, te.episode, te.title AS episode_title
+                FROM scanned_files sf JOIN tv_episodes te ON te.file_id = sf.id
+                JOIN tv_shows ts ON ts.id = te.show_id`
+    };
+    if (!sources[type]) {
+      throw new Error(`Unknown file type "${type}"`);
+    }
+
+    const conditions = ['sf.is_deleted = FALSE'];
+    const params = [];
+    if (type === 'video') {
+      conditions.push('te.id IS NULL');
+    }
+    if (root) {
+      conditions.push('SUBSTR(sf.path, 1, CHAR_LENGTH(?)) = ?');
+      params.push(root, root);
+    }
+
     const [rows] = await this.connection.execute(
-      'SELECT played_at FROM music_play_history WHERE file_id = ? ORDER BY played_at DESC LIMIT ?',
-      [fileId, limit]
+      `SELECT sf.id, sf.path, sf.name, sf.size, sf.hash, ${sources[type]}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY sf.path, sf.id`,
+      params
     );
-
     return rows;
   }
 
   /**
-   * Get play count for a track
+   * Get the path of one live file for each content hash below a folder
    */
-  async getMusicPlayCount(fileId) {
+  async getFileHashesUnder(dirPath) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
     const [rows] = await this.connection.execute(
-      'SELECT COUNT(*) as count FROM music_play_history WHERE file_id = ?',
-      [fileId]
+      `SELECT hash, MIN(path) AS path
+       FROM scanned_files
+       WHERE SUBSTR(path, 1, CHAR_LENGTH(?)) = ? AND is_deleted = FALSE AND hash IS NOT NULL
+       GROUP BY hash`,
+      [dirPath, dirPath]
     );
 
-    return rows[0].count;
+    return new Map(rows.map(row => [row.hash, row.path]));
   }
 
   /**
-   * Get all play counts (for batch loading)
+   * Get the live files that may be archives (.zip, .tar, .tar.gz, .tgz) with
+   * whether their index is current. `root` limits them to a folder.
    */
-  async getAllMusicPlayCounts() {
+  async getArchiveFiles(root = null) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.execute(`
-      SELECT file_id, COUNT(*) as play_count, MAX(played_at) as last_played
-      FROM music_play_history
-      GROUP BY file_id
-    `);
+    const conditions = ['sf.is_deleted = FALSE', "LOWER(sf.extension) IN ('zip', 'tar', 'tgz', 'gz')"];
+    const params = [];
+    if (root) {
+      conditions.push('SUBSTR(sf.path, 1, CHAR_LENGTH(?)) = ?');
+      params.push(root, root);
+    }
 
-    return rows;
+    const [rows] = await this.connection.execute(
+      `SELECT sf.id, sf.path, sf.size,
+              CASE WHEN a.archive_size = sf.size AND a.archive_mtime = sf.mtime THEN 1 ELSE 0 END AS indexed
+       FROM scanned_files sf
+       LEFT JOIN archives a ON a.file_id = sf.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY sf.path`,
+      params
+    );
+    return rows.map(row => ({ ...row, indexed: Boolean(Number(row.indexed)) }));
   }
 
   /**
-   * Get user-specific play history
+   * Replace the stored entries of an archive. `error` records why an archive
+   * couldn't be read, so it isn't retried until it changes.
    */
-  async getUserPlayHistory(userId, limit = 50) {
+  async storeArchiveIndex(fileId, format, entries, error = null) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
-    const [rows] = await this.connection.execute(`
-      SELECT mph.file_id, mph.played_at, sf.name, sf.path
-      FROM music_play_history mph
-      JOIN scanned_files sf ON mph.file_id = sf.id
-      WHERE mph.user_id = ?
-      ORDER BY mph.played_at DESC
-      LIMIT ?
-    `, [userId, limit]);
+    const batchSize = 100;
 
-    return rows;
+    await this.connection.beginTransaction();
+    try {
+      await this.connection.execute('DELETE FROM archive_entries WHERE archive_id = ?', [fileId]);
+      await this.connection.execute('DELETE FROM archives WHERE file_id = ?', [fileId]);
+      await this.connection.execute(
+        `INSERT INTO archives (file_id, format, archive_size, archive_mtime, error)
+         SELECT id, ?, size, mtime, ? FROM scanned_files WHERE id = ?`,
+        [format, error ? error.slice(0, 1024) : null, fileId]
+      );
+
+      for (let i = 0; i < entries.length; i += batchSize) {
+        const batch = entries.slice(i, i + batchSize);
+        await this.connection.execute(
+          `INSERT INTO archive_entries (archive_id, entry_path, size, crc32, hash, mtime)
+           VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+          batch.flatMap(entry => [
+            fileId,
+            entry.path,
+            entry.size,
+            entry.crc32 || null,
+            entry.hash || null,
+            this.cleanDateTimeValue(entry.mtime)
+          ])
+        );
+      }
+
+      await this.connection.commit();
+    } catch (err) {
+      await this.connection.rollback();
+      throw err;
+    }
   }
 
   /**
-   * Get user-specific ratings
+   * Get archive entries paired with the live files of the same size. The
+   * pairs still need their content compared, since loose files may carry a
+   * sampled or quick hash rather than a full one.
    */
-  async getUserRatings(userId) {
+  async getArchiveEntryCandidates(minSize = 1) {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
     const [rows] = await this.connection.execute(
-      'SELECT file_id, rating, updated_at FROM music_ratings WHERE user_id = ?',
-      [userId]
+      `SELECT ae.id AS entry_id, ae.archive_id, arc.path AS archive_path, ae.entry_path, ae.size, ae.hash,
+              sf.id AS file_id, sf.path, sf.hash AS file_hash
+       FROM archive_entries ae
+       JOIN scanned_files arc ON arc.id = ae.archive_id AND arc.is_deleted = FALSE
+       JOIN scanned_files sf ON sf.size = ae.size AND sf.is_deleted = FALSE AND sf.id <> ae.archive_id
+       WHERE ae.hash IS NOT NULL AND ae.size >= ?
+       ORDER BY ae.size DESC, arc.path, ae.entry_path, sf.path`,
+      [Math.max(1, minSize)]
     );
-
     return rows;
   }
 
   /**
-   * Get rating for a track by specific user
+   * Get the indexed archives with their entry counts
    */
-  async getUserTrackRating(fileId, userId) {
+  async getArchiveSummaries() {
     if (!this.connection) {
       throw new Error('Database not connected');
     }
 
     const [rows] = await this.connection.execute(
-      'SELECT rating, updated_at FROM music_ratings WHERE file_id = ? AND user_id = ?',
-      [fileId, userId]
+      `SELECT a.file_id AS id, sf.path, sf.size, a.format, a.error,
+              COUNT(ae.id) AS entry_count,
+              COALESCE(SUM(ae.size), 0) AS content_size,
+              COALESCE(SUM(CASE WHEN ae.size = 0 THEN 1 ELSE 0 END), 0) AS empty_entries
+       FROM archives a
+       JOIN scanned_files sf ON sf.id = a.file_id AND sf.is_deleted = FALSE
+       LEFT JOIN archive_entries ae ON ae.archive_id = a.file_id
+       GROUP BY a.file_id, sf.path, sf.size, a.format, a.error
+       ORDER BY sf.path`
     );
-
-    return rows.length > 0 ? rows[0] : null;
+    return rows.map(row => ({
+      ...row,
+      size: Number(row.size),
+      entry_count: Number(row.entry_count),
+      content_size: Number(row.content_size),
+      empty_entries: Number(row.empty_entries)
+    }));
   }
 }
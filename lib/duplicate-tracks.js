@@ -0,0 +1,144 @@
+import path from 'path';
+import { formatBytes, formatDuration } from './utils.js';
+
+// Codecs (as music-metadata names them) and extensions that lose nothing
+const LOSSLESS_CODEC_PATTERN = /flac|alac|pcm|wav|aiff|monkey|wavpack|tta|lossless/i;
+const LOSSLESS_EXTENSIONS = ['.flac', '.wav', '.aif', '.aiff', '.ape', '.wv', '.tta'];
+
+// Version notes that don't make another recording: "(Remastered 2011)", "[Bonus Track]"
+const EDITION_PATTERN = /[([][^)\]]*\b(remaster(ed)?|deluxe|edition|bonus( track)?|explicit|album version|mono|stereo)\b[^)\]]*[)\]]/gi;
+const FEATURING_PATTERN = /[([]?\b(feat|ft|featuring)\b\.?.*$/i;
+
+/**
+ * Normalize a tag for matching: case, accents, punctuation, edition notes,
+ * featured artists and a leading "The" don't count
+ */
+export function normalizeTag(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(EDITION_PATTERN, ' ')
+    .replace(FEATURING_PATTERN, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Whether a music row is stored in a lossless format
+ */
+export function isLossless(track) {
+  return LOSSLESS_CODEC_PATTERN.test(track.codec || '') ||
+    LOSSLESS_EXTENSIONS.includes(path.extname(track.path || '').toLowerCase());
+}
+
+/**
+ * Codec, sample rate, bitrate, duration and size of a music row, e.g.
+ * "FLAC · 44.1 kHz · 1024 kbps · 3m 45s · 25 MB"
+ */
+export function formatTrackQuality(track) {
+  return [
+    track.codec || path.extname(track.path || '').slice(1).toUpperCase() || 'unknown codec',
+    track.sample_rate ? `${Number(track.sample_rate) / 1000} kHz` : null,
+    track.bitrate ? `${Math.round(Number(track.bitrate) / 1000)} kbps` : null,
+    track.duration ? formatDuration(Number(track.duration)) : null,
+    formatBytes(Number(track.size || 0))
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Duplicate Track Finder
+ * Groups music rows that are the same song in different files or formats
+ * (a FLAC rip next to 320k and 128k MP3s) by their normalized artist, title
+ * and album and a duration within `durationTolerance` seconds, and ranks each
+ * group so the copy to keep comes first.
+ */
+export class DuplicateTrackFinder {
+  constructor(options = {}) {
+    this.options = {
+      durationTolerance: 2,
+      ignoreAlbum: false,
+      ...options
+    };
+  }
+
+  /**
+   * Key of the song a row holds, or null without an artist or title
+   */
+  songKey(track) {
+    const artist = normalizeTag(track.artist || track.album_artist);
+    const title = normalizeTag(track.title);
+    if (!artist || !title) {
+      return null;
+    }
+    return [artist, title, this.options.ignoreAlbum ? '' : normalizeTag(track.album)].join('\u0000');
+  }
+
+  /**
+   * Group rows of the same song. Rows need a duration; a row joins a group
+   * when its duration is within the tolerance of the previous one. Returns
+   * groups of two or more, ranked best copy first, with the space the
+   * other copies take.
+   */
+  findDuplicates(tracks) {
+    const songs = new Map();
+    for (const track of tracks) {
+      const key = this.songKey(track);
+      if (!key || !Number(track.duration)) {
+        continue;
+      }
+      if (!songs.has(key)) {
+        songs.set(key, []);
+      }
+      songs.get(key).push(track);
+    }
+
+    const groups = [];
+    for (const members of songs.values()) {
+      members.sort((a, b) => Number(a.duration) - Number(b.duration));
+
+      let current = [members[0]];
+      for (const track of members.slice(1)) {
+        if (Number(track.duration) - Number(current.at(-1).duration) <= this.options.durationTolerance) {
+          current.push(track);
+        } else {
+          groups.push(current);
+          current = [track];
+        }
+      }
+      groups.push(current);
+    }
+
+    return groups
+      .filter(members => members.length > 1)
+      .map(members => {
+        const files = this.rankByQuality(members).map(track => ({ ...track, lossless: isLossless(track) }));
+        return {
+          artist: files[0].artist || files[0].album_artist,
+          title: files[0].title,
+          album: files[0].album,
+          best: files[0],
+          files,
+          count: files.length,
+          reclaimableSpace: files.slice(1).reduce((sum, track) => sum + Number(track.size || 0), 0)
+        };
+      })
+      .sort((a, b) => b.reclaimableSpace - a.reclaimableSpace);
+  }
+
+  /**
+   * Sort rows best quality first: lossless, then bitrate, then sample rate,
+   * then largest file
+   */
+  rankByQuality(tracks) {
+    return [...tracks].sort((a, b) =>
+      isLossless(b) - isLossless(a) ||
+      Number(b.bitrate || 0) - Number(a.bitrate || 0) ||
+      Number(b.sample_rate || 0) - Number(a.sample_rate || 0) ||
+      Number(b.size || 0) - Number(a.size || 0) ||
+      a.path.localeCompare(b.path)
+    );
+  }
+}
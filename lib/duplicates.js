@@ -14,23 +14,18 @@ export class DuplicateFinder {
   async findDuplicates(paths, options = {}) {
     const { minSize = 0, useQuickHash = true } = options;
     
-    // Collect all files
-    const allFiles = [];
-    for (const dirPath of paths) {
-      const files = await this.scanner.scanDirectory(dirPath);
-      allFiles.push(...files);
-    }
-
-    // Filter by minimum size
-    const filteredFiles = allFiles.filter(file => file.size >= minSize);
-
-    // Group by size first (quick comparison)
+    // Group by size first (quick comparison) while walking, skipping files below the minimum
     const sizeGroups = new Map();
-    for (const file of filteredFiles) {
-      if (!sizeGroups.has(file.size)) {
-        sizeGroups.set(file.size, []);
+    for (const dirPath of paths) {
+      for await (const file of this.scanner.walk(dirPath)) {
+        if (file.type !== 'file' || file.size < minSize) {
+          continue;
+        }
+        if (!sizeGroups.has(file.size)) {
+          sizeGroups.set(file.size, []);
+        }
+        sizeGroups.get(file.size).push(file);
       }
-      sizeGroups.get(file.size).push(file);
     }
 
     // Find potential duplicates (files with same size)
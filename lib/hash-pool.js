@@ -0,0 +1,269 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_WORKER_PATH = fileURLToPath(new URL('../hash-worker.js', import.meta.url));
+
+/**
+ * Hash Pool
+ * Spreads file hashing over a pool of worker threads. Files are queued per
+ * volume and each volume only gets a limited number of concurrent reads, so
+ * a spinning disk is not thrashed by every thread seeking at once while
+ * other volumes keep the remaining threads busy.
+ *
+ * Events: 'hashed' ({ file, hash, quickHash }), 'failed' ({ file, error }), 'progress' (stats)
+ */
+export class HashPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      threads: options.threads || 4,
+      volumeConcurrency: options.volumeConcurrency || 2,
+      volumes: options.volumes || {},
+      method: options.method || 'smart',
+      workerPath: options.workerPath || DEFAULT_WORKER_PATH,
+      ...options
+    };
+
+    // Longest prefix first so nested mount points win over their parents
+    this.volumePrefixes = Object.keys(this.options.volumes)
+      .map(prefix => path.resolve(prefix))
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Identify the volume a file lives on: a configured path prefix if one
+   * matches, otherwise the device id of its directory
+   */
+  async getVolumeKey(filePath, deviceCache = new Map()) {
+    const resolved = path.resolve(filePath);
+    const prefix = this.volumePrefixes.find(p => resolved === p || resolved.startsWith(p + path.sep));
+    if (prefix) {
+      return `path:${prefix}`;
+    }
+
+    const dir = path.dirname(resolved);
+    if (!deviceCache.has(dir)) {
+      try {
+        const stat = await fs.stat(dir);
+        deviceCache.set(dir, `dev:${stat.dev}`);
+      } catch (err) {
+        // The worker reports the real error for the file itself
+        deviceCache.set(dir, 'unknown');
+      }
+    }
+    return deviceCache.get(dir);
+  }
+
+  /**
+   * Maximum concurrent reads for a volume key
+   */
+  getVolumeLimit(key) {
+    if (key.startsWith('path:')) {
+      const prefix = key.slice('path:'.length);
+      for (const [configured, limit] of Object.entries(this.options.volumes)) {
+        if (path.resolve(configured) === prefix) {
+          return limit;
+        }
+      }
+    }
+    return this.options.volumeConcurrency;
+  }
+
+  /**
+   * Hash all files. Resolves with the final stats once every file has either
+   * been hashed or failed.
+   */
+  async run(files) {
+    this.total = files.length;
+    this.totalBytes = files.reduce((sum, file) => sum + Number(file.size || 0), 0);
+    this.processed = 0;
+    this.failed = 0;
+    this.bytes = 0;
+    this.startTime = Date.now();
+
+    if (files.length === 0) {
+      return this.getStats();
+    }
+
+    this.queues = new Map();
+    this.active = new Map();
+    const deviceCache = new Map();
+    for (const file of files) {
+      const key = await this.getVolumeKey(file.path, deviceCache);
+      if (!this.queues.has(key)) {
+        this.queues.set(key, []);
+        this.active.set(key, 0);
+      }
+      this.queues.get(key).push(file);
+    }
+    this.volumeOrder = Array.from(this.queues.keys());
+    this.cursor = 0;
+    this.nextJobId = 0;
+
+    const threadCount = Math.min(this.options.threads, files.length);
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.finish = resolve;
+        this.abort = reject;
+        this.workers = [];
+        for (let i = 0; i < threadCount; i++) {
+          this.startWorker();
+        }
+      });
+    } finally {
+      // Cleared first so the exits of terminated workers are not taken for crashes
+      const workers = this.workers;
+      this.workers = [];
+      await Promise.all(workers.map(slot => slot.worker.terminate()));
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Abort the current run: run() rejects with the error instead of hashing
+   * the remaining files
+   */
+  stop(err) {
+    if (this.abort) {
+      this.abort(err);
+    }
+  }
+
+  /**
+   * Start a worker thread and give it its first file
+   */
+  startWorker() {
+    const slot = { worker: new Worker(this.options.workerPath), job: null, done: 0 };
+    this.workers.push(slot);
+
+    slot.worker.on('message', message => {
+      const job = slot.job;
+      if (!job || message.id !== job.id) {
+        return;
+      }
+      slot.job = null;
+      slot.done++;
+
+      if (message.type === 'result') {
+        this.complete(job, null, { hash: message.hash, quickHash: message.quickHash });
+      } else {
+        this.complete(job, new Error(message.error));
+      }
+      this.dispatch(slot);
+    });
+
+    slot.worker.on('error', err => this.replaceWorker(slot, err));
+
+    // A worker can also exit without an error, through process.exit() for one
+    slot.worker.on('exit', code => {
+      this.replaceWorker(slot, new Error(`Hash worker exited with code ${code}`));
+    });
+
+    this.dispatch(slot);
+  }
+
+  /**
+   * Fail the current file of a crashed or exited worker and start a
+   * replacement. 'exit' follows 'error', so a worker is only replaced once.
+   */
+  replaceWorker(slot, err) {
+    if (!this.workers.includes(slot)) {
+      return;
+    }
+    this.workers = this.workers.filter(s => s !== slot);
+
+    const job = slot.job;
+    slot.job = null;
+    if (!job && slot.done === 0) {
+      // Failing before any work means every replacement would fail too
+      this.abort(err);
+      return;
+    }
+    if (job) {
+      this.complete(job, err);
+    }
+    if (this.processed < this.total) {
+      this.startWorker();
+    }
+  }
+
+  /**
+   * Hand the next file to an idle worker, round-robin over volumes that are
+   * below their concurrency limit
+   */
+  dispatch(slot) {
+    if (slot.job) {
+      return;
+    }
+
+    for (let i = 0; i < this.volumeOrder.length; i++) {
+      const key = this.volumeOrder[(this.cursor + i) % this.volumeOrder.length];
+      const queue = this.queues.get(key);
+
+      if (queue.length > 0 && this.active.get(key) < this.getVolumeLimit(key)) {
+        this.cursor = (this.cursor + i + 1) % this.volumeOrder.length;
+        this.active.set(key, this.active.get(key) + 1);
+        slot.job = { id: this.nextJobId++, key, file: queue.shift() };
+        slot.worker.postMessage({ type: 'hash', id: slot.job.id, path: slot.job.file.path, method: this.options.method });
+        return;
+      }
+    }
+    // Nothing eligible right now; the worker is woken when a volume frees up
+  }
+
+  /**
+   * Record a finished file and wake idle workers
+   */
+  complete(job, err, hashes = null) {
+    this.active.set(job.key, this.active.get(job.key) - 1);
+    this.processed++;
+    this.bytes += Number(job.file.size || 0);
+
+    try {
+      if (err) {
+        this.failed++;
+        this.emit('failed', { file: job.file, error: err });
+      } else {
+        this.emit('hashed', { file: job.file, ...hashes });
+      }
+      this.emit('progress', this.getStats());
+    } catch (listenerErr) {
+      this.abort(listenerErr);
+      return;
+    }
+
+    if (this.processed === this.total) {
+      this.finish();
+      return;
+    }
+
+    for (const slot of this.workers) {
+      this.dispatch(slot);
+    }
+  }
+
+  /**
+   * Progress and throughput so far
+   */
+  getStats() {
+    const elapsedMs = Date.now() - this.startTime;
+    const bytesPerSecond = elapsedMs > 0 ? this.bytes / (elapsedMs / 1000) : 0;
+    const remainingBytes = this.totalBytes - this.bytes;
+
+    return {
+      processed: this.processed,
+      failed: this.failed,
+      total: this.total,
+      bytes: this.bytes,
+      totalBytes: this.totalBytes,
+      elapsedMs,
+      bytesPerSecond,
+      etaSeconds: bytesPerSecond > 0 ? remainingBytes / bytesPerSecond : null
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import path from 'path';
+import sharp from 'sharp';
+import { exiftool } from 'exiftool-vendored';
+
+// Embedded JPEGs exiftool can pull out of a photo, largest first
+const PREVIEW_TAGS = ['PreviewImage', 'JpgFromRaw', 'ThumbnailImage'];
+
+const HEIF_EXTENSIONS = ['.heic', '.heif'];
+
+// Rotation and mirroring of each EXIF orientation, as sharp's rotate() applies them
+const ORIENTATIONS = {
+  2: [0, true],
+  3: [180, false],
+  4: [180, true],
+  5: [90, true],
+  6: [90, false],
+  7: [270, true],
+  8: [270, false]
+};
+
+/**
+ * Whether the installed sharp can decode a file. The prebuilt binaries only
+ * read AV1-compressed HEIF (AVIF), not the HEVC-compressed HEIC of phones.
+ */
+function canDecode(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return !HEIF_EXTENSIONS.includes(ext) || sharp.format.heif.input.fileSuffix.includes(ext);
+}
+
+/**
+ * Open a photo with sharp, upright by its EXIF orientation. A photo sharp
+ * cannot decode is opened from the JPEG preview exiftool finds embedded in it.
+ */
+export async function openImage(filePath) {
+  if (canDecode(filePath)) {
+    return sharp(filePath).rotate();
+  }
+
+  for (const tag of PREVIEW_TAGS) {
+    let preview;
+    try {
+      preview = await exiftool.extractBinaryTagToBuffer(tag, filePath);
+    } catch (err) {
+      continue;
+    }
+
+    // The preview carries no orientation of its own
+    const { Orientation } = await exiftool.read(filePath);
+    const [angle, mirror] = ORIENTATIONS[Orientation] ?? [0, false];
+    return sharp(preview).rotate(angle).flop(mirror);
+  }
+
+  throw new Error(`Cannot decode ${path.basename(filePath)} and it has no embedded preview`);
+}
+
+/**
+ * Stop the exiftool process openImage may have started
+ */
+export async function closeImages() {
+  try {
+    await exiftool.end();
+  } catch (err) {
+    // Ignore cleanup errors
+  }
+}
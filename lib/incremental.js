@@ -0,0 +1,119 @@
+import path from 'path';
+import { FileScanner } from './scanner.js';
+
+/**
+ * Incremental Scanner
+ * Compares a fresh directory walk with the rows already stored in the database
+ * and only writes what changed (new, modified and vanished files)
+ */
+export class IncrementalScanner {
+  constructor(db, scanner) {
+    this.db = db;
+    this.scanner = scanner || new FileScanner();
+  }
+
+  /**
+   * Check whether a file on disk differs from its stored row.
+   * DATETIME columns only keep whole seconds, so sub-second drift is ignored.
+   */
+  hasChanged(row, file) {
+    if (Number(row.size) !== file.size) {
+      return true;
+    }
+
+    if (!row.mtime) {
+      return true;
+    }
+
+    return Math.abs(new Date(row.mtime).getTime() - file.mtime.getTime()) >= 1000;
+  }
+
+  /**
+   * Scan a directory and apply the differences to the database.
+   * Rows below paths the walk skipped are left alone rather than marked deleted.
+   */
+  async scan(dirPath, scanId, progressCallback = null, batchSize = 100) {
+    // Scan the absolute path so stored paths and the prefix always line up;
+    // an empty prefix would match every row in the database
+    const root = path.resolve(dirPath);
+    const prefix = path.join(root, path.sep);
+    if (!prefix) {
+      throw new Error(`Cannot scan ${dirPath}: empty path prefix`);
+    }
+
+    const skipped = [];
+    const files = await this.scanner.scanDirectory(root, progressCallback, { skipped });
+
+    if (progressCallback) {
+      progressCallback({ type: 'compare', totalFiles: files.length });
+    }
+
+    const index = await this.db.getFileIndex(prefix);
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const file of files) {
+      const row = index.get(file.path);
+      if (!row) {
+        added.push(file);
+      } else {
+        if (this.hasChanged(row, file)) {
+          changed.push({ id: row.id, file });
+        } else {
+          unchanged++;
+        }
+        index.delete(file.path);
+      }
+    }
+
+    // Whatever is left in the index was not found on disk anymore, unless
+    // it lies below a directory the walk could not read or did not enter
+    // Looking up each ancestor up to the root keeps this linear in the rows
+    const skippedPaths = new Set(skipped.map(entry => entry.path));
+    const isSkipped = filePath => {
+      for (let current = filePath; ; current = path.dirname(current)) {
+        if (skippedPaths.has(current)) {
+          return true;
+        }
+        if (current.length <= root.length) {
+          return false;
+        }
+      }
+    };
+    const removedIds = Array.from(index.values())
+      .filter(row => !isSkipped(row.path))
+      .map(row => row.id);
+
+    for (let i = 0; i < added.length; i += batchSize) {
+      await this.db.storeFilesBatch(added.slice(i, i + batchSize), scanId);
+      if (progressCallback) {
+        progressCallback({ type: 'store', stage: 'added', done: Math.min(i + batchSize, added.length), total: added.length });
+      }
+    }
+
+    for (let i = 0; i < changed.length; i += batchSize) {
+      await this.db.updateChangedFiles(changed.slice(i, i + batchSize), scanId);
+      if (progressCallback) {
+        progressCallback({ type: 'store', stage: 'changed', done: Math.min(i + batchSize, changed.length), total: changed.length });
+      }
+    }
+
+    for (let i = 0; i < removedIds.length; i += batchSize) {
+      await this.db.markFilesDeleted(removedIds.slice(i, i + batchSize), scanId);
+      if (progressCallback) {
+        progressCallback({ type: 'store', stage: 'removed', done: Math.min(i + batchSize, removedIds.length), total: removedIds.length });
+      }
+    }
+
+    return {
+      files,
+      added,
+      changed: changed.map(change => change.file),
+      removed: removedIds.length,
+      unchanged,
+      skipped
+    };
+  }
+}
@@ -0,0 +1,584 @@
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI_PATH = fileURLToPath(new URL('../bin/cli.js', import.meta.url));
+
+// Output lines kept per job; older lines are dropped from the stored log
+const MAX_LOG_LINES = 2000;
+
+// How often a running job's progress and log are written to the database
+const FLUSH_INTERVAL_MS = 2000;
+
+// Time a cancelled job gets to stop cleanly before it is killed
+const CANCEL_GRACE_MS = 10000;
+
+const HASH_METHODS = ['full', 'streaming', 'quick', 'smart', 'sampling'];
+
+/**
+ * Operations that may run as background jobs. `args` lists the accepted
+ * arguments; `build(args, options)` checks them and returns the CLI
+ * arguments that run the operation.
+ */
+export const JOB_TYPES = {
+  'scan': {
+    description: 'Scan a directory into the database',
+    args: ['path', 'incremental', 'resume', 'batchSize'],
+    async build(args) {
+      const resume = readInteger(args, 'resume', 1);
+      const incremental = readBoolean(args, 'incremental');
+      if (resume && incremental) {
+        throw new Error('resume cannot be combined with incremental');
+      }
+
+      const argv = ['scan'];
+      if (!resume) {
+        argv.push(await readDirectory(args, 'path'));
+      }
+      argv.push('--db');
+      if (incremental) {
+        argv.push('--incremental');
+      }
+      pushOption(argv, '--resume', resume);
+      pushOption(argv, '--batch-size', readInteger(args, 'batchSize', 1));
+      return argv;
+    }
+  },
+
+  'update-hashes-db': {
+    description: 'Hash files stored in the database',
+    args: ['root', 'minSize', 'maxSize', 'limit', 'hashMethod', 'smart', 'threads'],
+    async build(args) {
+      const argv = ['update-hashes-db'];
+      pushOption(argv, '--root', await readOptionalDirectory(args, 'root'));
+      pushOption(argv, '--min-size', readInteger(args, 'minSize'));
+      pushOption(argv, '--max-size', readInteger(args, 'maxSize'));
+      pushOption(argv, '--limit', readInteger(args, 'limit'));
+      pushOption(argv, '--hash-method', readChoice(args, 'hashMethod', HASH_METHODS));
+      pushOption(argv, '--threads', readInteger(args, 'threads', 1));
+      if (args.smart !== undefined && !readBoolean(args, 'smart')) {
+        argv.push('--no-smart');
+      }
+      return argv;
+    }
+  },
+
+  'extract-media-from-db': {
+    description: 'Extract photo, music and video metadata for files in the database',
+    args: ['root', 'scanId', 'limit', 'skipExisting', 'threads'],
+    async build(args) {
+      const argv = ['extract-media-from-db'];
+      pushOption(argv, '--root', await readOptionalDirectory(args, 'root'));
+      pushOption(argv, '--scan-id', readInteger(args, 'scanId', 1));
+      pushOption(argv, '--limit', readInteger(args, 'limit'));
+      pushOption(argv, '--threads', readInteger(args, 'threads', 1));
+      if (readBoolean(args, 'skipExisting')) {
+        argv.push('--skip-existing');
+      }
+      return argv;
+    }
+  },
+
+  'find-duplicates-db': {
+    description: 'List duplicate files from the database',
+    args: ['minSize', 'report'],
+    async build(args, options) {
+      const argv = ['find-duplicates-db'];
+      pushOption(argv, '--min-size', readInteger(args, 'minSize'));
+      pushOption(argv, '--report', await readReportPath(args, 'report', options.reportDirectory, false));
+      return argv;
+    }
+  },
+
+  'generate-report': {
+    description: 'Write an HTML duplicates report from the database',
+    args: ['output', 'minSize'],
+    async build(args, options) {
+      const argv = ['generate-report', await readReportPath(args, 'output', options.reportDirectory, true)];
+      pushOption(argv, '--min-size', readInteger(args, 'minSize'));
+      return argv;
+    }
+  }
+};
+
+/**
+ * Job Runner
+ * Runs whitelisted CLI operations as background jobs: each job is a child
+ * process of the CLI, recorded in the jobs table, with its output kept as the
+ * job log. Jobs start in the order they were queued, `concurrency` at a time.
+ *
+ * Events: 'status' (job), 'log' (job id, line), 'error'
+ */
+export class JobRunner extends EventEmitter {
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.options = {
+      concurrency: 1,
+      cliPath: CLI_PATH,
+      env: {},
+      ...options
+    };
+
+    // Queued and running jobs by id
+    this.active = new Map();
+    this.queue = [];
+
+    // Every open progress stream listens here
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Mark jobs that a previous server process left queued or running as failed
+   */
+  async recover() {
+    return await this.db.failInterruptedJobs();
+  }
+
+  /**
+   * Check a job's type and arguments and return the CLI arguments it runs with
+   */
+  async validate(type, args = {}) {
+    const definition = Object.hasOwn(JOB_TYPES, type) ? JOB_TYPES[type] : null;
+    if (!definition) {
+      throw new Error(`Unknown job type "${type}" (valid types: ${Object.keys(JOB_TYPES).join(', ')})`);
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      throw new Error('Job arguments must be an object');
+    }
+
+    const unknown = Object.keys(args).filter(name => !definition.args.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown argument for ${type}: ${unknown.join(', ')}`);
+    }
+
+    return await definition.build(args, this.options);
+  }
+
+  /**
+   * Queue a job and start it as soon as a slot is free
+   */
+  async start(type, args = {}, createdBy = null) {
+    const argv = await this.validate(type, args);
+    const id = await this.db.createJob(type, args, createdBy);
+
+    const job = {
+      id,
+      type,
+      args,
+      argv,
+      status: 'queued',
+      progress: null,
+      log: [],
+      exitCode: null,
+      error: null,
+      createdBy,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      child: null,
+      cancelled: false,
+      dirty: false
+    };
+
+    this.active.set(id, job);
+    this.queue.push(job);
+    this.emitStatus(job);
+    this.drain();
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  drain() {
+    const running = [...this.active.values()].filter(job => job.status === 'running').length;
+
+    for (let slots = this.options.concurrency - running; slots > 0 && this.queue.length > 0; slots--) {
+      const job = this.queue.shift();
+      job.done = this.run(job).catch(err => this.emit('error', err));
+    }
+  }
+
+  /**
+   * Run one job to the end and record how it finished
+   */
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    // Spawned before anything is awaited, so a running job always has a process to cancel
+    job.child = spawn(process.execPath, [this.options.cliPath, ...job.argv], {
+      env: { ...process.env, ...this.options.env, SILVERFS_JOB: '1', FORCE_COLOR: '0' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const exited = new Promise(resolve => {
+      job.child.once('error', err => {
+        this.appendLog(job, err.message);
+        resolve(null);
+      });
+      job.child.once('close', code => resolve(code));
+    });
+
+    let lastError = null;
+    createInterface({ input: job.child.stdout }).on('line', line => this.appendLog(job, line));
+    createInterface({ input: job.child.stderr }).on('line', line => {
+      if (this.appendLog(job, line)) {
+        lastError = line.trim();
+      }
+    });
+
+    let startError = null;
+    try {
+      await this.db.updateJob(job.id, { status: 'running' });
+    } catch (err) {
+      // A job the database doesn't know is running must not run on
+      startError = err;
+      job.child.kill('SIGKILL');
+    }
+    this.emitStatus(job);
+
+    const flushTimer = setInterval(() => this.flush(job), FLUSH_INTERVAL_MS);
+    const exitCode = await exited;
+    clearInterval(flushTimer);
+    clearTimeout(job.killTimer);
+
+    job.child = null;
+    job.exitCode = exitCode;
+    job.finishedAt = new Date();
+    if (startError) {
+      job.status = 'failed';
+      job.error = `Could not record the start of the job: ${startError.message}`;
+    } else if (job.cancelled) {
+      job.status = 'cancelled';
+    } else if (exitCode === 0) {
+      job.status = 'completed';
+    } else {
+      job.status = 'failed';
+      job.error = lastError || `Exited with code ${exitCode}`;
+    }
+
+    try {
+      await this.db.updateJob(job.id, {
+        status: job.status,
+        progress: job.progress,
+        log: job.log.join('\n'),
+        exitCode: job.exitCode,
+        error: job.error
+      });
+    } catch (err) {
+      // The row stays running until recover() fails it on the next start
+      job.status = 'failed';
+      job.error = `Could not record how the job finished: ${err.message}`;
+      this.emit('error', err);
+    }
+
+    this.active.delete(job.id);
+    this.emitStatus(job);
+    this.drain();
+  }
+
+  /**
+   * Add one line of output to a job's log. Returns false for blank lines.
+   */
+  appendLog(job, line) {
+    line = line.trimEnd();
+    if (!line.trim()) {
+      return false;
+    }
+
+    job.log.push(line);
+    if (job.log.length > MAX_LOG_LINES) {
+      job.log.shift();
+    }
+    job.progress = line.trim().slice(0, 512);
+    job.dirty = true;
+
+    this.emit('log', job.id, line);
+    return true;
+  }
+
+  /**
+   * Write a running job's progress and log to the database if they changed
+   */
+  flush(job) {
+    if (!job.dirty) {
+      return;
+    }
+    job.dirty = false;
+
+    this.db.updateJob(job.id, { progress: job.progress, log: job.log.join('\n') })
+      .catch(err => this.emit('error', err));
+  }
+
+  /**
+   * Cancel a queued or running job. Running jobs get SIGINT first (a scan
+   * records its checkpoint) and are killed if they don't stop in time.
+   * Returns the job, or null when it is not queued or running.
+   */
+  async cancel(id) {
+    const job = this.active.get(Number(id));
+    // A job whose process has exited stays active until its final status is stored
+    if (!job || isFinished(job.status)) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.active.delete(job.id);
+      job.status = 'cancelled';
+      job.finishedAt = new Date();
+      await this.db.updateJob(job.id, { status: 'cancelled' });
+      this.emitStatus(job);
+    } else if (!job.cancelled) {
+      job.cancelled = true;
+      this.appendLog(job, 'Cancelling...');
+      job.child?.kill('SIGINT');
+      job.killTimer = setTimeout(() => job.child?.kill('SIGKILL'), CANCEL_GRACE_MS);
+      job.killTimer.unref();
+    }
+
+    return this.serialize(job);
+  }
+
+  /**
+   * Cancel every queued and running job and wait for them to stop
+   */
+  async stop() {
+    const jobs = [...this.active.values()];
+    for (const job of jobs) {
+      await this.cancel(job.id);
+    }
+    await Promise.all(jobs.map(job => job.done));
+  }
+
+  /**
+   * Wait for a job to finish and return it, or null when it doesn't exist
+   */
+  async wait(id) {
+    if (!this.active.has(Number(id))) {
+      const found = await this.getJob(id);
+      return found ? found.job : null;
+    }
+
+    return await new Promise(resolve => {
+      const unwatch = this.watch(id, event => {
+        if (event.type === 'status' && isFinished(event.job.status)) {
+          unwatch();
+          resolve(event.job);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a job with its log, or null when it doesn't exist
+   */
+  async getJob(id) {
+    const live = this.active.get(Number(id));
+    if (live) {
+      return { job: this.serialize(live), log: [...live.log] };
+    }
+
+    const row = await this.db.getJob(id);
+    if (!row) {
+      return null;
+    }
+    return { job: this.fromRow(row), log: row.log ? row.log.split('\n') : [] };
+  }
+
+  /**
+   * Get the most recent jobs, newest first
+   */
+  async listJobs(limit = 50) {
+    const rows = await this.db.getJobs(limit);
+    return rows.map(row => {
+      const live = this.active.get(row.id);
+      return live ? this.serialize(live) : this.fromRow(row);
+    });
+  }
+
+  /**
+   * Call `listener` with { type: 'log', line } and { type: 'status', job }
+   * events of one job. Returns a function that stops listening.
+   */
+  watch(id, listener) {
+    id = Number(id);
+    const onLog = (jobId, line) => jobId === id && listener({ type: 'log', line });
+    const onStatus = job => job.id === id && listener({ type: 'status', job });
+
+    this.on('log', onLog);
+    this.on('status', onStatus);
+    return () => {
+      this.off('log', onLog);
+      this.off('status', onStatus);
+    };
+  }
+
+  emitStatus(job) {
+    this.emit('status', this.serialize(job));
+  }
+
+  serialize(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      args: job.args,
+      status: job.status,
+      progress: job.progress,
+      exitCode: job.exitCode,
+      error: job.error,
+      createdBy: job.createdBy,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  fromRow(row) {
+    let args = {};
+    try {
+      args = JSON.parse(row.args || '{}');
+    } catch (err) {
+      // Keep the job listed even if its arguments can't be read
+    }
+
+    return {
+      id: row.id,
+      type: row.type,
+      args,
+      status: row.status,
+      progress: row.progress,
+      exitCode: row.exit_code,
+      error: row.error,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+}
+
+/**
+ * Whether a job status is final
+ */
+export function isFinished(status) {
+  return ['completed', 'failed', 'cancelled'].includes(status);
+}
+
+/**
+ * Environment variables that point CLI child processes at a database
+ * (see loadConfig)
+ */
+export function databaseEnvironment(dbConfig) {
+  const env = {
+    DB_TYPE: dbConfig.type,
+    DB_FILE: dbConfig.filename,
+    DB_HOST: dbConfig.host,
+    DB_PORT: dbConfig.port,
+    DB_USER: dbConfig.user,
+    DB_PASSWORD: dbConfig.password,
+    DB_NAME: dbConfig.database
+  };
+  return Object.fromEntries(
+    Object.entries(env)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [name, String(value)])
+  );
+}
+
+function pushOption(argv, flag, value) {
+  if (value !== null && value !== undefined) {
+    argv.push(flag, String(value));
+  }
+}
+
+function readInteger(args, name, min = 0) {
+  const value = args[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value)) || Number(value) < min) {
+    throw new Error(`${name} must be a whole number of at least ${min}`);
+  }
+  return Number(value);
+}
+
+function readBoolean(args, name) {
+  const value = args[name];
+  if (value === undefined || value === null || value === '') {
+    return false;
+  }
+  if (value === true || value === 'true') {
+    return true;
+  }
+  if (value === false || value === 'false') {
+    return false;
+  }
+  throw new Error(`${name} must be true or false`);
+}
+
+function readChoice(args, name, choices) {
+  const value = args[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!choices.includes(value)) {
+    throw new Error(`${name} must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+async function readDirectory(args, name) {
+  const value = args[name];
+  if (typeof value !== 'string' || !path.isAbsolute(value)) {
+    throw new Error(`${name} must be an absolute directory path`);
+  }
+
+  let stat;
+  try {
+    stat = await fs.stat(value);
+  } catch (err) {
+    throw new Error(`${name} does not exist: ${value}`);
+  }
+  if (!stat.isDirectory()) {
+    throw new Error(`${name} is not a directory: ${value}`);
+  }
+  return path.resolve(value);
+}
+
+async function readOptionalDirectory(args, name) {
+  const value = args[name];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return await readDirectory(args, name);
+}
+
+/**
+ * Reports are only written to the configured report directory, so the
+ * argument is a plain .html file name
+ */
+async function readReportPath(args, name, directory, required) {
+  const value = args[name];
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw new Error(`${name} is required`);
+    }
+    return null;
+  }
+  if (typeof value !== 'string' || !/^[\w-][\w.-]*\.html$/.test(value)) {
+    throw new Error(`${name} must be a file name ending in .html`);
+  }
+  if (!directory) {
+    throw new Error('No report directory is configured');
+  }
+
+  await fs.mkdir(directory, { recursive: true });
+  return path.join(directory, value);
+}
@@ -17,22 +17,45 @@ export class LargeFilesFinder {
       limit = 50 
     } = options;
     
-    // Collect all files
-    const allFiles = [];
+    // Keep only the current top `limit` files, largest first, while walking
+    const largeFiles = [];
     for (const dirPath of paths) {
-      const files = await this.scanner.scanDirectory(dirPath);
-      allFiles.push(...files);
-    }
+      for await (const file of this.scanner.walk(dirPath)) {
+        if (file.type !== 'file' || file.size < minSize) {
+          continue;
+        }
+        if (largeFiles.length >= limit && file.size <= (largeFiles[largeFiles.length - 1]?.size ?? Infinity)) {
+          continue;
+        }
 
-    // Filter and sort by size
-    const largeFiles = allFiles
-      .filter(file => file.size >= minSize)
-      .sort((a, b) => b.size - a.size)
-      .slice(0, limit);
+        largeFiles.splice(this.insertionIndex(largeFiles, file.size), 0, file);
+        if (largeFiles.length > limit) {
+          largeFiles.pop();
+        }
+      }
+    }
 
     return largeFiles;
   }
 
+  /**
+   * Find where a file of the given size goes in a list sorted largest first,
+   * after any files of the same size
+   */
+  insertionIndex(files, size) {
+    let low = 0;
+    let high = files.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (files[mid].size >= size) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
   /**
    * Group large files by extension
    */
@@ -2,6 +2,9 @@ import { parseFile } from 'music-metadata';
 import sharp from 'sharp';
 import { exiftool } from 'exiftool-vendored';
 import path from 'path';
+import { SimilarPhotoFinder } from './similar.js';
+import { findSidecarSubtitles } from './subtitles.js';
+import { parseEpisode } from './shows.js';
 
 /**
  * Media Metadata Extractor
@@ -12,6 +15,7 @@ export class MediaMetadataExtractor {
     this.imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp', 'heic', 'heif'];
     this.audioExtensions = ['mp3', 'flac', 'wav', 'aac', 'm4a', 'ogg', 'wma', 'opus'];
     this.videoExtensions = ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v', 'mpeg', 'mpg'];
+    this.similarPhotos = new SimilarPhotoFinder();
   }
 
   /**
@@ -67,6 +71,13 @@ export class MediaMetadataExtractor {
       metadata.hasAlpha = imageMetadata.hasAlpha;
       metadata.orientation = imageMetadata.orientation;
 
+      // Perceptual hash for find-similar-photos
+      try {
+        metadata.perceptualHash = await this.similarPhotos.calculatePerceptualHash(filePath);
+      } catch (err) {
+        console.warn(`Could not calculate perceptual hash for ${filePath}: ${err.message}`);
+      }
+
       // Use exiftool for EXIF data
       try {
         const exif = await exiftool.read(filePath);
@@ -217,7 +228,13 @@ export class MediaMetadataExtractor {
           latitude: exif.GPSLatitude,
           longitude: exif.GPSLongitude,
           altitude: exif.GPSAltitude
-        }
+        },
+
+        // Sidecar subtitle files next to the video
+        subtitles: await findSidecarSubtitles(filePath),
+
+        // Show, season and episode of a TV episode, or null for a movie
+        episode: parseEpisode(filePath)
       };
     } catch (err) {
       console.warn(`Error extracting video metadata from ${filePath}: ${err.message}`);
@@ -0,0 +1,403 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileScanner } from './scanner.js';
+import { DuplicateResolver } from './resolver.js';
+import { moveFile } from './utils.js';
+import { findSidecarSubtitles } from './subtitles.js';
+
+export const ORGANIZE_TYPES = ['photo', 'music', 'video', 'episode'];
+
+export const DEFAULT_TEMPLATES = {
+  photo: '{year}/{month}/{name}',
+  music: '{albumArtist}/{album}/{track:02} {title}',
+  video: '{year}/{name}',
+  episode: '{show}/Season {season:02}/{name}'
+};
+
+// A template field with an optional zero-padded width: {track} or {track:02}
+const FIELD_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+const MAX_SEGMENT_LENGTH = 180;
+
+const toDate = value => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
+
+const twoDigits = number => (number ? String(number).padStart(2, '0') : null);
+
+const baseName = file => path.basename(file.path, path.extname(file.path));
+
+// The values each kind of file offers to its template
+const FIELDS = {
+  photo: {
+    year: file => toDate(file.date_taken)?.getFullYear(),
+    month: file => twoDigits(toDate(file.date_taken)?.getMonth() + 1),
+    day: file => twoDigits(toDate(file.date_taken)?.getDate()),
+    camera: file => file.camera_model || file.camera_make
+  },
+  music: {
+    artist: file => file.artist || file.album_artist,
+    albumArtist: file => file.album_artist || file.artist,
+    album: file => file.album,
+    title: file => file.title || baseName(file),
+    track: file => file.track_number,
+    disc: file => file.disk_number,
+    year: file => file.year,
+    genre: file => file.genre
+  },
+  video: {
+    title: file => file.title || baseName(file),
+    year: file => file.year || toDate(file.create_date)?.getFullYear(),
+    month: file => twoDigits(toDate(file.create_date)?.getMonth() + 1),
+    day: file => twoDigits(toDate(file.create_date)?.getDate()),
+    genre: file => file.genre
+  },
+  episode: {
+    show: file => file.show_name,
+    season: file => file.season,
+    episode: file => file.episode,
+    title: file => file.episode_title || baseName(file)
+  }
+};
+
+const COMMON_FIELDS = {
+  name: baseName,
+  ext: file => path.extname(file.path).slice(1).toLowerCase()
+};
+
+/**
+ * Replace the characters file systems don't allow in names
+ */
+export function sanitizeSegment(value) {
+  return value.replace(/[/\\:*?"<>|\u0000-\u001f]/g, '_');
+}
+
+/**
+ * Check that a template only uses the fields of its file type
+ */
+export function validateTemplate(type, template) {
+  if (!FIELDS[type]) {
+    throw new Error(`Unknown file type "${type}" (valid types: ${ORGANIZE_TYPES.join(', ')})`);
+  }
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new Error(`The ${type} template is empty`);
+  }
+
+  const fields = { ...COMMON_FIELDS, ...FIELDS[type] };
+  for (const [, field] of template.matchAll(FIELD_PATTERN)) {
+    if (!fields[field]) {
+      throw new Error(`Unknown template field {${field}} for ${type} files (fields: ${Object.keys(fields).join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Fill in a template for one file and return its path relative to the
+ * target folder. Missing values are left out; a folder or name that ends up
+ * empty becomes "Unknown". The file keeps its extension.
+ */
+export function renderTemplate(type, template, file) {
+  const fields = { ...COMMON_FIELDS, ...FIELDS[type] };
+
+  const segments = template.split('/').filter(Boolean).map(segment => {
+    const text = segment
+      .replace(FIELD_PATTERN, (match, field, width) => {
+        const value = fields[field](file);
+        if (value === null || value === undefined || value === '') {
+          return '';
+        }
+        const text = String(value);
+        return sanitizeSegment(width && /^\d+$/.test(text) ? text.padStart(Number(width), '0') : text);
+      })
+      .replace(/\(\s*\)|\[\s*\]/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.\-_]+|[\s.\-_]+$/g, '')
+      .slice(0, MAX_SEGMENT_LENGTH)
+      .trim();
+    return text || 'Unknown';
+  });
+
+  return path.join(...segments) + path.extname(file.path).toLowerCase();
+}
+
+/**
+ * Insert a counter before the extension: "Song.mp3" becomes "Song (2).mp3"
+ */
+function numberedPath(filePath, number) {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)} (${number})${extension}`;
+}
+
+/**
+ * Point the database at a file's new location, along with the subtitle
+ * files that moved with it. `from` and `to` name the journal keys of the
+ * old and new paths, so undo can pass them swapped.
+ */
+async function recordMove(db, entry, from, to, subtitles) {
+  await db.renameFile(entry.fileId, entry[to]);
+
+  for (const subtitle of subtitles) {
+    const row = await db.getFileByPath(subtitle[from]);
+    if (row) {
+      await db.renameFile(row.id, subtitle[to]);
+    }
+  }
+  if (subtitles.length > 0) {
+    await db.replaceVideoSubtitles(entry.fileId, await findSidecarSubtitles(entry[to]));
+  }
+}
+
+/**
+ * Library Organizer
+ * Moves scanned photos, music and videos into a folder layout built from
+ * their stored metadata. Files keep their scanned_files rows, so ratings,
+ * play history and other data keyed by file id follow them. Every move is
+ * written to a journal so it can be undone.
+ */
+export class LibraryOrganizer {
+  constructor(db, options = {}) {
+    if (!options.target) {
+      throw new Error('A target folder is required');
+    }
+
+    this.db = db;
+    this.target = path.resolve(options.target);
+    this.templates = { ...DEFAULT_TEMPLATES, ...options.templates };
+    for (const [type, template] of Object.entries(this.templates)) {
+      validateTemplate(type, template);
+    }
+    this.scanner = options.scanner || new FileScanner();
+  }
+
+  /**
+   * The organized path of a file
+   */
+  targetPath(type, file) {
+    return path.join(this.target, renderTemplate(type, this.templates[type], file));
+  }
+
+  /**
+   * Plan the moves for some file types, optionally only for files below
+   * `root`. Files already in place stay; copies of content that is already
+   * in the target folder (or already planned to go there) are skipped.
+   * Name collisions with different content get a " (2)", " (3)" suffix.
+   * Returns `{ version, createdAt, target, moves, skipped }`.
+   */
+  async plan(types = ORGANIZE_TYPES, root = null) {
+    const plan = { version: 1, createdAt: new Date().toISOString(), target: this.target, moves: [], skipped: [] };
+    const present = await this.db.getFileHashesUnder(path.join(this.target, path.sep));
+    const planned = new Map();
+    const claimed = new Set();
+
+    const candidates = [];
+    for (const type of types) {
+      if (!ORGANIZE_TYPES.includes(type)) {
+        throw new Error(`Unknown file type "${type}" (valid types: ${ORGANIZE_TYPES.join(', ')})`);
+      }
+      for (const file of await this.db.getFilesToOrganize(type, root && path.join(path.resolve(root), path.sep))) {
+        candidates.push({ type, file, to: this.targetPath(type, file) });
+      }
+    }
+
+    // Files already in place keep their names, so claim those first
+    for (const { file, to } of candidates) {
+      if (to === file.path) {
+        claimed.add(to);
+        plan.skipped.push({ fileId: file.id, path: file.path, reason: 'already in place' });
+      }
+    }
+
+    for (const { type, file, to } of candidates) {
+      if (to === file.path) {
+        continue;
+      }
+
+      const copy = file.hash && (planned.get(file.hash) || present.get(file.hash));
+      if (copy && copy !== file.path) {
+        plan.skipped.push({ fileId: file.id, path: file.path, reason: `duplicate of ${copy}` });
+        continue;
+      }
+
+      const destination = await this.freePath(file, to, claimed);
+      if (destination.path === file.path) {
+        claimed.add(file.path);
+        plan.skipped.push({ fileId: file.id, path: file.path, reason: 'already in place' });
+        continue;
+      }
+      if (destination.duplicateOf) {
+        plan.skipped.push({ fileId: file.id, path: file.path, reason: `duplicate of ${destination.duplicateOf}` });
+        continue;
+      }
+
+      claimed.add(destination.path);
+      if (file.hash) {
+        planned.set(file.hash, destination.path);
+      }
+      plan.moves.push({ fileId: file.id, type, from: file.path, to: destination.path, size: Number(file.size), hash: file.hash || null });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Find a name for a file at `to` that no other file takes. Returns
+   * `{ path }`, or `{ duplicateOf }` when a file with the same content is
+   * already there.
+   */
+  async freePath(file, to, claimed) {
+    for (let number = 1; ; number++) {
+      const candidate = number === 1 ? to : numberedPath(to, number);
+      if (candidate === file.path) {
+        // Organized before, when the name was taken
+        return { path: candidate };
+      }
+      if (claimed.has(candidate)) {
+        continue;
+      }
+
+      let stat;
+      try {
+        stat = await fs.lstat(candidate);
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return { path: candidate };
+        }
+        throw err;
+      }
+
+      if (await this.sameContent(file, candidate, stat)) {
+        return { duplicateOf: candidate };
+      }
+    }
+  }
+
+  /**
+   * Check whether an existing file has the content of a scanned file
+   */
+  async sameContent(file, otherPath, stat) {
+    if (!stat.isFile() || stat.size !== Number(file.size)) {
+      return false;
+    }
+
+    const other = await this.db.getFileByPath(otherPath);
+    const otherHash = other?.hash || await this.scanner.calculateHash(otherPath);
+    const hash = file.hash || await this.scanner.calculateHash(file.path);
+    return hash === otherHash;
+  }
+
+  /**
+   * The subtitle files next to a video, with the names they get next to
+   * its new location
+   */
+  async sidecarMoves(move) {
+    const oldBase = path.basename(move.from, path.extname(move.from));
+    const newBase = path.basename(move.to, path.extname(move.to));
+
+    const subtitles = await findSidecarSubtitles(move.from);
+    return subtitles.map(subtitle => ({
+      from: subtitle.path,
+      to: path.join(path.dirname(move.to), newBase + path.basename(subtitle.path).slice(oldBase.length))
+    }));
+  }
+
+  /**
+   * Execute a plan, appending every completed move to the journal file.
+   * A file whose database row can't be updated is moved back.
+   */
+  async execute(plan, journalPath, progressCallback = null) {
+    const results = { moved: [], failed: [] };
+
+    for (const move of plan.moves) {
+      try {
+        const stat = await fs.stat(move.from);
+        if (stat.size !== Number(move.size)) {
+          throw new Error('file changed since the plan was made');
+        }
+
+        const subtitles = move.type === 'video' || move.type === 'episode' ? await this.sidecarMoves(move) : [];
+        const entry = { fileId: move.fileId, type: move.type, from: move.from, to: move.to, subtitles: [], timestamp: new Date().toISOString() };
+
+        await moveFile(move.from, move.to);
+        try {
+          for (const subtitle of subtitles) {
+            await moveFile(subtitle.from, subtitle.to);
+            entry.subtitles.push(subtitle);
+          }
+          await recordMove(this.db, entry, 'from', 'to', entry.subtitles);
+        } catch (err) {
+          for (const subtitle of [...entry.subtitles].reverse()) {
+            await moveFile(subtitle.to, subtitle.from).catch(() => {});
+          }
+          await moveFile(move.to, move.from).catch(() => {});
+          throw err;
+        }
+
+        await fs.appendFile(journalPath, JSON.stringify(entry) + '\n');
+        results.moved.push(entry);
+      } catch (err) {
+        results.failed.push({ path: move.from, error: err.message });
+      }
+
+      if (progressCallback) {
+        progressCallback({
+          type: 'progress',
+          moved: results.moved.length,
+          failed: results.failed.length,
+          currentFile: move.from
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Read a plan written by a dry run
+   */
+  static async readPlan(planPath) {
+    const plan = JSON.parse(await fs.readFile(planPath, 'utf8'));
+    if (plan?.version !== 1 || !Array.isArray(plan.moves)) {
+      throw new Error(`${planPath} is not an organize plan`);
+    }
+    return plan;
+  }
+
+  /**
+   * Move the files recorded in a journal back, newest first
+   */
+  static async undo(db, journalPath, progressCallback = null) {
+    const entries = await DuplicateResolver.readJournal(journalPath);
+    const results = { restored: [], failed: [] };
+
+    for (const entry of entries.reverse()) {
+      try {
+        await moveFile(entry.to, entry.from);
+        const restored = [];
+        for (const subtitle of entry.subtitles) {
+          try {
+            await moveFile(subtitle.to, subtitle.from);
+            restored.push(subtitle);
+          } catch (err) {
+            // The video is back; a subtitle that can't follow stays where it is
+          }
+        }
+        await recordMove(db, entry, 'to', 'from', restored);
+        results.restored.push(entry);
+      } catch (err) {
+        results.failed.push({ path: entry.to, error: err.message });
+      }
+
+      if (progressCallback) {
+        progressCallback({
+          type: 'progress',
+          restored: results.restored.length,
+          failed: results.failed.length,
+          currentFile: entry.to
+        });
+      }
+    }
+
+    return results;
+  }
+}
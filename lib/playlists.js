@@ -0,0 +1,151 @@
+import { FileScanner } from './scanner.js';
+
+/**
+ * Playlist Manager
+ * User playlists of music files. An entry remembers the content hash and path
+ * of the file it was added from rather than its scanned_files id, so it finds
+ * the file again after a rescan creates new rows or the file is moved.
+ */
+export class PlaylistManager {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.scanner = options.scanner || new FileScanner();
+  }
+
+  /**
+   * Playlists a user owns or that are shared with them
+   */
+  async list(userId) {
+    const rows = await this.db.getPlaylistsForUser(userId);
+    return rows.map(row => this.serialize(row, userId));
+  }
+
+  /**
+   * Get a playlist as a user sees it, or null when it doesn't exist or isn't
+   * theirs or shared with them
+   */
+  async get(id, userId) {
+    const row = await this.db.getPlaylist(id);
+    if (!row) {
+      return null;
+    }
+    if (row.user_id !== userId && !(await this.db.isPlaylistSharedWith(id, userId))) {
+      return null;
+    }
+    return this.serialize(row, userId);
+  }
+
+  async create(userId, name, description = null) {
+    const id = await this.db.createPlaylist(userId, name, description);
+    return await this.get(id, userId);
+  }
+
+  async update(id, fields) {
+    await this.db.updatePlaylist(id, fields);
+  }
+
+  async remove(id) {
+    await this.db.deletePlaylist(id);
+  }
+
+  /**
+   * The tracks of a playlist in order. Entries whose file is no longer in the
+   * library are kept with `missing` set.
+   */
+  async getTracks(id) {
+    const rows = await this.db.getPlaylistTracks(id);
+    return rows.map(row => {
+      const { entry_id, position, file_hash, file_path, entry_title, added_at, ...track } = row;
+      return {
+        ...track,
+        entryId: entry_id,
+        position,
+        addedAt: added_at,
+        missing: track.id === null,
+        title: track.title || entry_title,
+        path: track.path || file_path
+      };
+    });
+  }
+
+  /**
+   * Append music files to a playlist by their current scanned_files ids.
+   * Files that were never hashed get the same smart hash update-hashes-db
+   * would store. Nothing is added when an id isn't a live file; the unknown
+   * ids are returned instead.
+   */
+  async addTracks(id, fileIds) {
+    const files = [];
+    const notFound = [];
+    for (const fileId of fileIds) {
+      const file = await this.db.getFileById(fileId);
+      if (file) {
+        files.push(file);
+      } else {
+        notFound.push(fileId);
+      }
+    }
+    if (notFound.length > 0) {
+      return { added: 0, notFound };
+    }
+
+    const entries = [];
+    for (const file of files) {
+      entries.push({ hash: await this.getContentHash(file), path: file.path, title: file.name });
+    }
+    await this.db.addPlaylistTracks(id, entries);
+
+    return { added: entries.length, notFound };
+  }
+
+  /**
+   * Content hash of a file row, hashing it first when needed. A file that
+   * can't be read is added by path only.
+   */
+  async getContentHash(file) {
+    if (file.hash) {
+      return file.hash;
+    }
+
+    try {
+      const { hash, quickHash } = await this.scanner.calculateHashes(file.path, 'smart');
+      await this.db.updateFileHashes([{ id: file.id, hash, quickHash }]);
+      return hash;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async removeTrack(id, entryId) {
+    return await this.db.removePlaylistTrack(id, entryId);
+  }
+
+  async reorder(id, entryIds) {
+    return await this.db.reorderPlaylistTracks(id, entryIds);
+  }
+
+  /**
+   * Replace who a playlist is shared with, by username. Returns the
+   * usernames that don't exist.
+   */
+  async share(id, usernames) {
+    return await this.db.setPlaylistShares(id, [...new Set(usernames)]);
+  }
+
+  async getShares(id) {
+    return await this.db.getPlaylistShares(id);
+  }
+
+  serialize(row, userId) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      owner: row.owner_name,
+      isOwner: row.user_id === userId,
+      trackCount: Number(row.track_count || 0),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
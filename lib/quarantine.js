@@ -0,0 +1,151 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { FileScanner } from './scanner.js';
+import { moveFile } from './utils.js';
+
+/**
+ * Quarantine Manager
+ * Moves files into a managed quarantine directory instead of deleting them,
+ * keeps a manifest in the `quarantine` table and can restore or purge entries
+ */
+export class QuarantineManager {
+  constructor(db, options = {}) {
+    if (!options.directory) {
+      throw new Error('A quarantine directory is required');
+    }
+
+    this.db = db;
+    this.options = {
+      ...options,
+      directory: path.resolve(options.directory)
+    };
+    this.scanner = options.scanner || new FileScanner();
+  }
+
+  /**
+   * Unique folder inside the quarantine directory for one entry, so files
+   * with the same name never collide
+   */
+  createSlotPath(filePath) {
+    const slot = `${Date.now().toString(36)}-${randomBytes(4).toString('hex')}`;
+    return path.join(this.options.directory, slot, path.basename(filePath));
+  }
+
+  /**
+   * Move a file into quarantine and record it in the manifest.
+   * Details missing from `info` are looked up from scanned_files.
+   */
+  async quarantineFile(filePath, info = {}) {
+    const stat = await fs.lstat(filePath);
+    const stored = info.fileId ? null : await this.db.getFileByPath(filePath);
+
+    const entry = {
+      originalPath: filePath,
+      quarantinePath: this.createSlotPath(filePath),
+      fileId: info.fileId || stored?.id || null,
+      hash: info.hash || stored?.hash || null,
+      size: stat.isSymbolicLink() ? 0 : stat.size,
+      reason: info.reason || 'manual',
+      scanId: info.scanId || stored?.scan_id || null
+    };
+
+    if (!entry.hash && stat.isFile()) {
+      entry.hash = await this.scanner.calculateSmartHash(filePath);
+    }
+
+    await moveFile(filePath, entry.quarantinePath);
+
+    try {
+      entry.id = await this.db.createQuarantineEntry(entry);
+    } catch (err) {
+      // Without a manifest row the file could never be found again
+      await moveFile(entry.quarantinePath, filePath);
+      await this.removeSlot(entry.quarantinePath);
+      throw err;
+    }
+
+    if (entry.fileId) {
+      await this.db.markFilesDeleted([entry.fileId]);
+    }
+
+    return entry;
+  }
+
+  /**
+   * List manifest entries
+   */
+  async list(criteria = {}) {
+    return await this.db.getQuarantineEntries(criteria);
+  }
+
+  /**
+   * Move quarantined files back to their original location
+   */
+  async restore(ids) {
+    const entries = await this.db.getQuarantineEntries({ ids, status: 'quarantined' });
+    const results = { restored: [], failed: [] };
+
+    const found = new Set(entries.map(entry => entry.id));
+    for (const id of ids) {
+      if (!found.has(id)) {
+        results.failed.push({ id, error: 'no quarantined entry with this id' });
+      }
+    }
+
+    for (const entry of entries) {
+      try {
+        await moveFile(entry.quarantine_path, entry.original_path);
+        await this.removeSlot(entry.quarantine_path);
+        await this.db.setQuarantineStatus(entry.id, 'restored');
+        if (entry.file_id) {
+          await this.db.markFilesRestored([entry.file_id]);
+        }
+        results.restored.push(entry);
+      } catch (err) {
+        results.failed.push({ id: entry.id, path: entry.original_path, error: err.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Permanently delete quarantined files older than `olderThanDays` days
+   */
+  async purge(olderThanDays, dryRun = false) {
+    const entries = await this.db.getQuarantineEntries({ status: 'quarantined', olderThanDays });
+    const results = { purged: [], failed: [], freed: 0 };
+
+    for (const entry of entries) {
+      if (dryRun) {
+        results.purged.push(entry);
+        results.freed += Number(entry.size || 0);
+        continue;
+      }
+
+      try {
+        await fs.rm(entry.quarantine_path, { force: true });
+        await this.removeSlot(entry.quarantine_path);
+        await this.db.setQuarantineStatus(entry.id, 'purged');
+        results.purged.push(entry);
+        results.freed += Number(entry.size || 0);
+      } catch (err) {
+        results.failed.push({ id: entry.id, path: entry.original_path, error: err.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove the per-entry folder once it is empty
+   */
+  async removeSlot(quarantinePath) {
+    try {
+      await fs.rmdir(path.dirname(quarantinePath));
+    } catch (err) {
+      // Folder not empty or already gone
+    }
+  }
+}
@@ -1,6 +1,8 @@
 import { formatBytes } from './utils.js';
+import { formatTrackQuality } from './duplicate-tracks.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { pathToFileURL } from 'url';
 
 /**
  * HTML Report Generator for Duplicate Files
@@ -24,6 +26,54 @@ export class ReportGenerator {
     return outputPath;
   }
 
+  /**
+   * Generate an HTML report for groups of similar photos (see SimilarPhotoFinder)
+   */
+  async generateSimilarPhotoReport(similarGroups, outputPath) {
+    const totalGroups = similarGroups.length;
+    const totalFiles = similarGroups.reduce((sum, group) => sum + group.count, 0);
+    const totalWastedSpace = similarGroups.reduce((sum, group) => sum + group.reclaimableSpace, 0);
+
+    const html = this.buildHtmlReport(similarGroups, {
+      totalGroups,
+      totalFiles,
+      totalWastedSpace
+    }, {
+      title: 'Similar Photos Report',
+      icon: '🖼️',
+      groupsLabel: 'Similar Groups',
+      wastedLabel: 'Reclaimable Space',
+      buildGroup: (group, index) => this.buildSimilarPhotoGroupHtml(group, index)
+    });
+
+    await fs.writeFile(outputPath, html, 'utf8');
+    return outputPath;
+  }
+
+  /**
+   * Generate an HTML report for copies of the same song (see DuplicateTrackFinder)
+   */
+  async generateDuplicateTrackReport(trackGroups, outputPath) {
+    const totalGroups = trackGroups.length;
+    const totalFiles = trackGroups.reduce((sum, group) => sum + group.count, 0);
+    const totalWastedSpace = trackGroups.reduce((sum, group) => sum + group.reclaimableSpace, 0);
+
+    const html = this.buildHtmlReport(trackGroups, {
+      totalGroups,
+      totalFiles,
+      totalWastedSpace
+    }, {
+      title: 'Duplicate Tracks Report',
+      icon: '🎵',
+      groupsLabel: 'Duplicate Songs',
+      wastedLabel: 'Reclaimable Space',
+      buildGroup: (group, index) => this.buildDuplicateTrackGroupHtml(group, index)
+    });
+
+    await fs.writeFile(outputPath, html, 'utf8');
+    return outputPath;
+  }
+
   /**
    * Generate an HTML report for duplicate files grouped by name and size
    */
@@ -63,9 +113,17 @@ export class ReportGenerator {
   /**
    * Build the HTML report content
    */
-  buildHtmlReport(duplicateGroups, stats) {
+  buildHtmlReport(duplicateGroups, stats, labels = {}) {
+    const {
+      title = 'Duplicate Files Report',
+      icon = '🔍',
+      groupsLabel = 'Duplicate Groups',
+      wastedLabel = 'Wasted Space',
+      buildGroup = (group, index) => this.buildGroupHtml(group, index)
+    } = labels;
+
     const groupsHtml = duplicateGroups.map((group, index) => 
-      this.buildGroupHtml(group, index)
+      buildGroup(group, index)
     ).join('\n');
 
     return `<!DOCTYPE html>
@@ -73,7 +131,7 @@ export class ReportGenerator {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Duplicate Files Report - SilverFileSystem</title>
+    <title>${title} - SilverFileSystem</title>
     <style>
         * {
             margin: 0;
@@ -397,14 +455,14 @@ export class ReportGenerator {
 <body>
     <div class="container">
         <div class="header">
-            <h1>🔍 Duplicate Files Report</h1>
+            <h1>${icon} ${title}</h1>
             <p>Generated by SilverFileSystem</p>
         </div>
 
         <div class="stats">
             <div class="stat-card">
                 <div class="value">${stats.totalGroups}</div>
-                <div class="label">Duplicate Groups</div>
+                <div class="label">${groupsLabel}</div>
             </div>
             <div class="stat-card">
                 <div class="value">${stats.totalFiles}</div>
@@ -412,7 +470,7 @@ export class ReportGenerator {
             </div>
             <div class="stat-card">
                 <div class="value">${formatBytes(stats.totalWastedSpace)}</div>
-                <div class="label">Wasted Space</div>
+                <div class="label">${wastedLabel}</div>
             </div>
         </div>
 
@@ -575,6 +633,88 @@ export class ReportGenerator {
                     </div>`;
   }
 
+  /**
+   * Build HTML for a group of similar photos, best copy first
+   */
+  buildSimilarPhotoGroupHtml(group, index) {
+    const filesHtml = group.files.map((photo, position) => this.buildSimilarPhotoHtml(photo, position === 0)).join('\n');
+
+    return `
+            <div class="duplicate-group" data-size="${group.reclaimableSpace}" data-count="${group.count}">
+                <div class="group-header" id="header-${index}" onclick="toggleGroup(${index})">
+                    <div class="group-info">
+                        <span class="group-title">Group ${index + 1}</span>
+                        <span class="badge badge-files">${group.count} photos</span>
+                        <span class="badge badge-size">Best: ${group.best.width || '?'}×${group.best.height || '?'}</span>
+                        <span class="badge badge-wasted">⚠️ ${formatBytes(group.reclaimableSpace)} reclaimable</span>
+                    </div>
+                    <span class="toggle-icon">▼</span>
+                </div>
+                <div class="file-list" id="files-${index}">
+                    ${filesHtml}
+                </div>
+            </div>`;
+  }
+
+  /**
+   * Build HTML for a single photo in a similar group
+   */
+  buildSimilarPhotoHtml(photo, isBest) {
+    const details = [
+      `${photo.width || '?'}×${photo.height || '?'}`,
+      photo.format || 'unknown format',
+      formatBytes(Number(photo.size || 0)),
+      isBest ? 'keep' : `distance ${photo.distance}`
+    ].join(' · ');
+
+    return `
+                    <div class="file-item">
+                        <img src="${this.escapeHtml(pathToFileURL(photo.path).href)}" loading="lazy" alt="" style="width: 64px; height: 64px; object-fit: cover; border-radius: 6px;">
+                        <span class="file-path">${isBest ? '⭐ ' : ''}${this.escapeHtml(photo.path)}</span>
+                        <span class="file-date">${this.escapeHtml(details)}</span>
+                    </div>`;
+  }
+
+  /**
+   * Build HTML for a group of copies of one song, the copy to keep first
+   */
+  buildDuplicateTrackGroupHtml(group, index) {
+    const filesHtml = group.files.map((track, position) => this.buildDuplicateTrackHtml(track, position === 0)).join('\n');
+    const song = [group.artist, group.title].filter(Boolean).join(' – ');
+
+    return `
+            <div class="duplicate-group" data-size="${group.reclaimableSpace}" data-count="${group.count}">
+                <div class="group-header" id="header-${index}" onclick="toggleGroup(${index})">
+                    <div class="group-info">
+                        <span class="group-title">${this.escapeHtml(song)}</span>
+                        <span class="badge badge-files">${group.count} copies</span>
+                        <span class="badge badge-size">Keep: ${this.escapeHtml(group.best.codec || 'unknown codec')}</span>
+                        <span class="badge badge-wasted">⚠️ ${formatBytes(group.reclaimableSpace)} reclaimable</span>
+                    </div>
+                    <span class="toggle-icon">▼</span>
+                </div>
+                <div class="file-list" id="files-${index}">
+                    ${filesHtml}
+                    <div class="hash-display">
+                        <strong>Album:</strong> ${this.escapeHtml(group.album || 'Unknown')}
+                    </div>
+                </div>
+            </div>`;
+  }
+
+  /**
+   * Build HTML for a single copy in a duplicate track group
+   */
+  buildDuplicateTrackHtml(track, isBest) {
+    const details = `${formatTrackQuality(track)} · ${isBest ? 'keep' : 'remove'}`;
+
+    return `
+                    <div class="file-item">
+                        <span class="file-path">${isBest ? '⭐ ' : ''}${this.escapeHtml(track.path)}</span>
+                        <span class="file-date">${this.escapeHtml(details)}</span>
+                    </div>`;
+  }
+
   /**
    * Build the folder-grouped HTML report content
    */
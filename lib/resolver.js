@@ -0,0 +1,303 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { FileScanner } from './scanner.js';
+
+export const KEEP_RULES = ['preferred-root', 'path-priority', 'oldest', 'shortest-path'];
+export const RESOLVE_ACTIONS = ['delete', 'quarantine', 'hardlink', 'symlink'];
+
+/**
+ * Duplicate Resolver
+ * Picks one file to keep in each duplicate group and deletes, quarantines or
+ * links the other copies. Every action is written to a journal so it can be undone.
+ */
+export class DuplicateResolver {
+  constructor(options = {}) {
+    this.options = {
+      rules: options.rules || KEEP_RULES,
+      preferredRoots: options.preferredRoots || [],
+      pathPriority: options.pathPriority || [],
+      action: options.action || 'delete',
+      quarantine: options.quarantine || null,
+      verify: options.verify !== false,
+      ...options
+    };
+
+    for (const rule of this.options.rules) {
+      if (!KEEP_RULES.includes(rule)) {
+        throw new Error(`Unknown keep rule "${rule}" (valid rules: ${KEEP_RULES.join(', ')})`);
+      }
+    }
+
+    if (!RESOLVE_ACTIONS.includes(this.options.action)) {
+      throw new Error(`Unknown action "${this.options.action}" (valid actions: ${RESOLVE_ACTIONS.join(', ')})`);
+    }
+
+    if (this.options.action === 'quarantine' && !this.options.quarantine) {
+      throw new Error('The quarantine action requires a QuarantineManager');
+    }
+
+    this.preferredRoots = this.options.preferredRoots.map(root => path.join(root, path.sep));
+    this.pathPriority = this.options.pathPriority.map(pattern =>
+      pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')
+    );
+    this.scanner = options.scanner || new FileScanner();
+  }
+
+  /**
+   * Rank of a path among the preferred roots (lower is better)
+   */
+  rootRank(filePath) {
+    const index = this.preferredRoots.findIndex(root => filePath.startsWith(root));
+    return index === -1 ? Infinity : index;
+  }
+
+  /**
+   * Rank of a path among the path priority patterns (lower is better)
+   */
+  patternRank(filePath) {
+    const index = this.pathPriority.findIndex(pattern => pattern.test(filePath));
+    return index === -1 ? Infinity : index;
+  }
+
+  /**
+   * Compare two files with the configured keep rules; the file that sorts first is kept
+   */
+  compareFiles(a, b) {
+    for (const rule of this.options.rules) {
+      let diff = 0;
+
+      switch (rule) {
+        case 'preferred-root':
+          diff = this.rootRank(a.path) - this.rootRank(b.path);
+          break;
+        case 'path-priority':
+          diff = this.patternRank(a.path) - this.patternRank(b.path);
+          break;
+        case 'oldest': {
+          const aTime = a.mtime ? new Date(a.mtime).getTime() : Infinity;
+          const bTime = b.mtime ? new Date(b.mtime).getTime() : Infinity;
+          diff = aTime - bTime;
+          break;
+        }
+        case 'shortest-path':
+          diff = a.path.length - b.path.length;
+          break;
+      }
+
+      // Infinity - Infinity is NaN, which means both files tie on this rule
+      if (diff !== 0 && !isNaN(diff)) {
+        return diff;
+      }
+    }
+
+    return (a.id || 0) - (b.id || 0);
+  }
+
+  /**
+   * Build the resolution plan for a list of duplicate groups
+   */
+  plan(duplicateGroups) {
+    return duplicateGroups
+      .filter(group => group.files.length > 1)
+      .map(group => {
+        const sorted = [...group.files].sort((a, b) => this.compareFiles(a, b));
+        return {
+          hash: group.hash,
+          size: Number(group.size),
+          keep: sorted[0],
+          remove: sorted.slice(1)
+        };
+      });
+  }
+
+  /**
+   * Total bytes the plan would reclaim
+   */
+  calculateReclaimable(plan) {
+    return plan.reduce((sum, group) => sum + group.remove.length * group.size, 0);
+  }
+
+  /**
+   * Make sure a copy is still identical to the file being kept
+   */
+  async verifyCopy(keepPath, copyPath, size) {
+    const [keepStat, copyStat] = await Promise.all([fs.stat(keepPath), fs.lstat(copyPath)]);
+
+    if (!copyStat.isFile()) {
+      throw new Error('not a regular file anymore');
+    }
+    if (keepStat.size !== size || copyStat.size !== size) {
+      throw new Error('size changed since the last scan');
+    }
+    if (keepStat.dev === copyStat.dev && keepStat.ino === copyStat.ino) {
+      throw new Error('already hardlinked to the kept file');
+    }
+
+    if (this.options.verify) {
+      const [keepHash, copyHash] = await Promise.all([
+        this.scanner.calculateHash(keepPath),
+        this.scanner.calculateHash(copyPath)
+      ]);
+      if (keepHash !== copyHash) {
+        throw new Error('content differs from the kept file');
+      }
+    }
+
+    return copyStat;
+  }
+
+  /**
+   * Apply the configured action to one copy and return its journal entry
+   */
+  async resolveFile(group, file) {
+    const copyStat = await this.verifyCopy(group.keep.path, file.path, group.size);
+    const entry = {
+      action: this.options.action,
+      path: file.path,
+      fileId: file.id,
+      keptPath: group.keep.path,
+      keptFileId: group.keep.id,
+      hash: group.hash,
+      size: group.size,
+      mtime: copyStat.mtime.toISOString(),
+      timestamp: new Date().toISOString()
+    };
+
+    switch (this.options.action) {
+      case 'delete':
+        await fs.unlink(file.path);
+        break;
+      case 'quarantine': {
+        const quarantined = await this.options.quarantine.quarantineFile(file.path, {
+          reason: 'duplicate',
+          fileId: file.id,
+          hash: group.hash,
+          scanId: file.scan_id
+        });
+        entry.quarantineId = quarantined.id;
+        entry.quarantinePath = quarantined.quarantinePath;
+        break;
+      }
+      case 'hardlink':
+        await replaceWithLink(file.path, () => fs.link(group.keep.path, `${file.path}.silverfs-tmp`));
+        break;
+      case 'symlink':
+        await replaceWithLink(file.path, () => fs.symlink(path.resolve(group.keep.path), `${file.path}.silverfs-tmp`));
+        break;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Execute a plan, appending every completed action to the journal file
+   */
+  async execute(plan, journalPath, progressCallback = null) {
+    const results = { resolved: [], failed: [], reclaimed: 0 };
+
+    for (const group of plan) {
+      for (const file of group.remove) {
+        try {
+          const entry = await this.resolveFile(group, file);
+          await fs.appendFile(journalPath, JSON.stringify(entry) + '\n');
+          results.resolved.push(entry);
+          results.reclaimed += group.size;
+        } catch (err) {
+          results.failed.push({ path: file.path, hash: group.hash, error: err.message });
+        }
+
+        if (progressCallback) {
+          progressCallback({
+            type: 'progress',
+            resolved: results.resolved.length,
+            failed: results.failed.length,
+            currentFile: file.path
+          });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Read the entries of a journal file
+   */
+  static async readJournal(journalPath) {
+    const content = await fs.readFile(journalPath, 'utf8');
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Undo the actions recorded in a journal, newest first.
+   * Deleted files cannot be brought back and are reported as failures.
+   * Quarantined files are restored through `options.quarantine`.
+   */
+  static async undo(journalPath, progressCallback = null, options = {}) {
+    const entries = await DuplicateResolver.readJournal(journalPath);
+    const results = { restored: [], failed: [] };
+
+    for (const entry of entries.reverse()) {
+      try {
+        switch (entry.action) {
+          case 'delete':
+            throw new Error('deleted files cannot be restored');
+          case 'quarantine': {
+            if (!options.quarantine) {
+              throw new Error('a QuarantineManager is required to restore quarantined files');
+            }
+            const restored = await options.quarantine.restore([entry.quarantineId]);
+            if (restored.failed.length > 0) {
+              throw new Error(restored.failed[0].error);
+            }
+            break;
+          }
+          case 'hardlink':
+          case 'symlink': {
+            // The kept file has the same content, so copying it back restores the duplicate
+            const tempPath = `${entry.path}.silverfs-tmp`;
+            await fs.copyFile(entry.keptPath, tempPath);
+            await fs.rename(tempPath, entry.path);
+            const mtime = new Date(entry.mtime);
+            await fs.utimes(entry.path, mtime, mtime);
+            break;
+          }
+          default:
+            throw new Error(`unknown action "${entry.action}"`);
+        }
+        results.restored.push(entry);
+      } catch (err) {
+        results.failed.push({ ...entry, error: err.message });
+      }
+
+      if (progressCallback) {
+        progressCallback({
+          type: 'progress',
+          restored: results.restored.length,
+          failed: results.failed.length,
+          currentFile: entry.path
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Replace a file with a link created by `createLink` at `<path>.silverfs-tmp`.
+ * The rename is atomic, so the original is never missing if linking fails.
+ */
+async function replaceWithLink(filePath, createLink) {
+  const tempPath = `${filePath}.silverfs-tmp`;
+  await createLink();
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
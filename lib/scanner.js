@@ -17,100 +17,188 @@ export class FileScanner {
   }
 
   /**
-   * Scan directory iteratively to avoid stack overflow with deep directories
+   * Scan directory iteratively and return every file found. This keeps the
+   * whole listing in memory; use walk() to process very large trees.
+   * Pass `options.skipped` to collect the paths the walk could not cover.
    */
-  async scanDirectory(dirPath, progressCallback = null) {
+  async scanDirectory(dirPath, progressCallback = null, options = {}) {
     const files = [];
-    const directoriesToScan = [{ path: dirPath, depth: 0 }];
+    for await (const entry of this.walk(dirPath, { progressCallback, skipped: options.skipped })) {
+      if (entry.type === 'file') {
+        files.push(entry);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Scan directory and hand files over in batches instead of collecting them all.
+   *
+   * `onBatch(files, queue)` is awaited whenever at least `batchSize` files are
+   * buffered, always between two directories, and once more at the end with an
+   * empty queue. `queue` holds the directories still to scan, so a walk can be
+   * resumed later by passing it back in as `options.queue`.
+   */
+  async scanInBatches(dirPath, options = {}) {
+    const {
+      progressCallback = null,
+      onBatch = () => {},
+      batchSize = Infinity
+    } = options;
+
+    const queue = (options.queue || [{ path: dirPath, depth: 0 }]).map(entry => ({ ...entry }));
+    let batch = [];
     let processedFiles = 0;
     let processedDirs = 0;
 
-    while (directoriesToScan.length > 0) {
-      const { path: currentPath, depth } = directoriesToScan.pop();
-      
+    for await (const entry of this.walk(dirPath, { progressCallback, queue })) {
+      if (entry.type === 'file') {
+        batch.push(entry);
+        processedFiles++;
+        continue;
+      }
+
+      processedDirs++;
+
+      // Only hand over complete directories: the one just entered is still pending
+      if (batch.length >= batchSize) {
+        await onBatch(batch, [...queue, { path: entry.path, depth: entry.depth }]);
+        batch = [];
+      }
+    }
+
+    await onBatch(batch, []);
+
+    return { processedDirs, processedFiles };
+  }
+
+  /**
+   * Walk a directory tree and yield entries as they are found, without
+   * collecting them. Files are yielded as `{ type: 'file', path, name, size,
+   * mtime, atime, ctime }`, directories as `{ type: 'directory', path, name,
+   * depth }` when the walk enters them (the root included).
+   *
+   * The walk only moves on when the consumer asks for the next entry, so a slow
+   * consumer (e.g. a database insert) holds the scan back instead of buffering.
+   * `options.queue` is used as the stack of directories still to scan and is
+   * updated in place. Directories that could not be read or lay beyond
+   * maxDepth, and excluded or inaccessible entries, are pushed onto
+   * `options.skipped` as `{ path, reason }` when it is given.
+   */
+  async *walk(dirPath, options = {}) {
+    const {
+      progressCallback = null,
+      queue = [{ path: dirPath, depth: 0 }],
+      skipped = null
+    } = options;
+
+    let processedFiles = 0;
+    let processedDirs = 0;
+
+    const warn = message => {
+      if (progressCallback) {
+        progressCallback({ type: 'warning', message });
+      } else {
+        console.warn(`Warning: ${message}`);
+      }
+    };
+
+    // Paths left out of the walk, so callers don't mistake them for empty
+    const skip = (skippedPath, reason) => {
+      if (skipped) {
+        skipped.push({ path: skippedPath, reason });
+      }
+    };
+
+    while (queue.length > 0) {
+      const { path: currentPath, depth } = queue.pop();
+
       if (depth > this.options.maxDepth) {
+        skip(currentPath, 'deeper than maxDepth');
         continue;
       }
 
+      let dir;
       try {
-        const entries = await fs.readdir(currentPath, { withFileTypes: true });
-        processedDirs++;
-
-        // Report progress every 100 directories
-        if (progressCallback && processedDirs % 100 === 0) {
-          progressCallback({
-            type: 'progress',
-            processedDirs,
-            processedFiles,
-            currentDir: currentPath,
-            queueSize: directoriesToScan.length
-          });
-        }
+        // opendir reads entries lazily, so huge directories are not listed in one go
+        dir = await fs.opendir(currentPath);
+      } catch (err) {
+        warn(`Could not read directory ${currentPath}: ${err.message}`);
+        skip(currentPath, err.message);
+        continue;
+      }
+
+      processedDirs++;
 
-        for (const entry of entries) {
+      // Report progress every 100 directories
+      if (progressCallback && processedDirs % 100 === 0) {
+        progressCallback({
+          type: 'progress',
+          processedDirs,
+          processedFiles,
+          currentDir: currentPath,
+          queueSize: queue.length
+        });
+      }
+
+      yield { type: 'directory', path: currentPath, name: path.basename(currentPath), depth };
+
+      try {
+        for await (const entry of dir) {
           const fullPath = path.join(currentPath, entry.name);
-          
+
           // Check exclusion patterns
           if (this.shouldExclude(fullPath)) {
+            skip(fullPath, 'excluded');
+            continue;
+          }
+
+          if (entry.isSymbolicLink() && !this.options.followSymlinks) {
             continue;
           }
 
+          let stat;
           try {
-            let stat;
-            if (entry.isSymbolicLink() && !this.options.followSymlinks) {
-              continue;
-            }
-            
             stat = await fs.stat(fullPath);
-
-            if (stat.isDirectory()) {
-              directoriesToScan.push({ path: fullPath, depth: depth + 1 });
-            } else if (stat.isFile()) {
-              files.push({
-                path: fullPath,
-                name: entry.name,
-                size: stat.size,
-                mtime: stat.mtime,
-                atime: stat.atime,
-                ctime: stat.ctime
-              });
-              processedFiles++;
-
-              // Report progress every 1000 files
-              if (progressCallback && processedFiles % 1000 === 0) {
-                progressCallback({
-                  type: 'progress',
-                  processedDirs,
-                  processedFiles,
-                  currentDir: currentPath,
-                  queueSize: directoriesToScan.length
-                });
-              }
-            }
           } catch (err) {
             // Skip files that can't be accessed
             if (err.code !== 'EACCES' && err.code !== 'EPERM') {
-              if (progressCallback) {
-                progressCallback({
-                  type: 'warning',
-                  message: `Could not access ${fullPath}: ${err.message}`
-                });
-              } else {
-                console.warn(`Warning: Could not access ${fullPath}: ${err.message}`);
-              }
+              warn(`Could not access ${fullPath}: ${err.message}`);
+            }
+            skip(fullPath, err.message);
+            continue;
+          }
+
+          if (stat.isDirectory()) {
+            queue.push({ path: fullPath, depth: depth + 1 });
+          } else if (stat.isFile()) {
+            processedFiles++;
+
+            yield {
+              type: 'file',
+              path: fullPath,
+              name: entry.name,
+              size: stat.size,
+              mtime: stat.mtime,
+              atime: stat.atime,
+              ctime: stat.ctime
+            };
+
+            // Report progress every 1000 files
+            if (progressCallback && processedFiles % 1000 === 0) {
+              progressCallback({
+                type: 'progress',
+                processedDirs,
+                processedFiles,
+                currentDir: currentPath,
+                queueSize: queue.length
+              });
             }
           }
         }
       } catch (err) {
-        const message = `Could not read directory ${currentPath}: ${err.message}`;
-        if (progressCallback) {
-          progressCallback({
-            type: 'warning',
-            message
-          });
-        } else {
-          console.warn(`Warning: ${message}`);
-        }
+        warn(`Could not read directory ${currentPath}: ${err.message}`);
+        skip(currentPath, err.message);
       }
     }
 
@@ -119,11 +207,9 @@ export class FileScanner {
         type: 'complete',
         processedDirs,
         processedFiles,
-        totalFiles: files.length
+        totalFiles: processedFiles
       });
     }
-
-    return files;
   }
 
   /**
@@ -173,6 +259,35 @@ export class FileScanner {
     }
   }
 
+  /**
+   * Calculate the stored hash and quick hash of a file with the given method:
+   * full, streaming, quick, sampling or smart
+   */
+  async calculateHashes(filePath, method = 'smart') {
+    let hash;
+    switch (method) {
+      case 'full':
+        hash = await this.calculateHash(filePath);
+        break;
+      case 'streaming':
+        hash = await this.calculateStreamingHash(filePath);
+        break;
+      case 'quick':
+        // The quick hash doubles as the stored hash
+        hash = await this.calculateQuickHash(filePath);
+        return { hash, quickHash: hash };
+      case 'sampling':
+        hash = await this.calculateSamplingHash(filePath);
+        break;
+      case 'smart':
+      default:
+        hash = await this.calculateSmartHash(filePath);
+        break;
+    }
+
+    return { hash, quickHash: await this.calculateQuickHash(filePath) };
+  }
+
   /**
    * Calculate hash using streaming for very large files
    */
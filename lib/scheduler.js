@@ -0,0 +1,394 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+
+// Fields of a cron expression, in order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// How far ahead nextCronRun looks before giving up on an expression
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Pipeline steps a schedule can run, with the job arguments each step gets
+ * for a schedule. A step's `args` in config.json are merged over these.
+ */
+export const SCHEDULE_STEPS = {
+  'scan': schedule => ({ path: schedule.root, incremental: schedule.incremental !== false }),
+  'update-hashes-db': schedule => ({ root: schedule.root }),
+  'extract-media-from-db': schedule => ({ root: schedule.root, skipExisting: true })
+};
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month
+ * day-of-week) or one of the @daily style macros. Fields accept `*`, numbers,
+ * ranges, lists and `/step`.
+ */
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (CRON_MACROS[text] || text).split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i], expression));
+  // 0 and 7 both mean Sunday
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function parseCronField(part, field, expression) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = item.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${item}" in cron expression "${expression}"`);
+    }
+
+    let low = field.min;
+    let high = field.max;
+    if (match[1] !== undefined) {
+      low = Number(match[1]);
+      // "5/15" means every 15 starting at 5
+      high = match[2] !== undefined ? Number(match[2]) : (match[3] ? field.max : low);
+    }
+    const step = match[3] ? Number(match[3]) : 1;
+
+    if (low < field.min || high > field.max || low > high || step < 1) {
+      throw new Error(`Invalid ${field.name} "${item}" in cron expression "${expression}"`);
+    }
+    for (let value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function cronDayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+
+  // Like cron, a restricted day of month and day of week match when either does
+  if (cron.anyDay) {
+    return weekday;
+  }
+  if (cron.anyWeekday) {
+    return day;
+  }
+  return day || weekday;
+}
+
+/**
+ * Whether a parsed cron expression matches the minute of a date (local time)
+ */
+export function cronMatches(cron, date) {
+  return cron.minutes.has(date.getMinutes()) &&
+    cron.hours.has(date.getHours()) &&
+    cron.months.has(date.getMonth() + 1) &&
+    cronDayMatches(cron, date);
+}
+
+/**
+ * First minute after `after` that a parsed cron expression matches, or null
+ * when it never does (like February 30th)
+ */
+export function nextCronRun(cron, after = new Date()) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  while (date.getTime() - after.getTime() <= MAX_LOOKAHEAD_MS) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Scheduler
+ * Runs the maintenance pipelines configured under `schedules` in config.json:
+ * each schedule runs its steps (scan, update-hashes-db, extract-media-from-db)
+ * one after another as background jobs for one library root, at the times
+ * its cron expression matches. A schedule never runs twice at once, and every
+ * run is recorded in the schedule_runs table.
+ *
+ * Events: 'run' (run, when a run starts, is skipped or finishes),
+ * 'step' (schedule name, step, job), 'error'
+ */
+export class Scheduler extends EventEmitter {
+  constructor(db, jobs, schedules = []) {
+    super();
+    this.db = db;
+    this.jobs = jobs;
+    this.schedules = new Map();
+
+    for (const schedule of schedules) {
+      const normalized = normalizeSchedule(schedule);
+      if (this.schedules.has(normalized.name)) {
+        throw new Error(`Duplicate schedule name "${normalized.name}"`);
+      }
+      this.schedules.set(normalized.name, normalized);
+    }
+
+    // Runs in progress in this process, by schedule name
+    this.running = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Get a configured schedule by name
+   */
+  get(name) {
+    const schedule = this.schedules.get(name);
+    if (!schedule) {
+      const names = [...this.schedules.keys()];
+      throw new Error(`Unknown schedule "${name}"${names.length > 0 ? ` (configured: ${names.join(', ')})` : ''}`);
+    }
+    return schedule;
+  }
+
+  /**
+   * Configured schedules with their next run time and most recent run
+   */
+  async list(now = new Date()) {
+    const schedules = [];
+    for (const schedule of this.schedules.values()) {
+      const [lastRun] = await this.db.getScheduleRuns(schedule.name, 1);
+      schedules.push({
+        name: schedule.name,
+        cron: schedule.cron.expression,
+        root: schedule.root,
+        steps: schedule.steps.map(step => step.step),
+        nextRun: nextCronRun(schedule.cron, now),
+        lastRun: lastRun ? runFromRow(lastRun) : null
+      });
+    }
+    return schedules;
+  }
+
+  /**
+   * Mark runs a previous process left in progress as failed and start
+   * checking the schedules every minute. Returns the number of failed runs.
+   */
+  async start() {
+    const interrupted = await this.db.failInterruptedScheduleRuns();
+    this.scheduleTick();
+    return interrupted;
+  }
+
+  scheduleTick() {
+    // Fire just after the start of the next minute
+    const delay = 60000 - (Date.now() % 60000) + 500;
+    this.timer = setTimeout(() => {
+      this.tick(new Date());
+      this.scheduleTick();
+    }, delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Start every schedule whose cron expression matches this minute
+   */
+  tick(now) {
+    for (const schedule of this.schedules.values()) {
+      if (cronMatches(schedule.cron, now)) {
+        this.run(schedule.name, 'schedule').catch(err => this.emit('error', err));
+      }
+    }
+  }
+
+  /**
+   * Run a schedule's pipeline now and return the finished run. While a run of
+   * the same schedule is in progress, a timed run is recorded as skipped and
+   * a manual run is refused.
+   */
+  async run(name, trigger = 'manual') {
+    const schedule = this.get(name);
+    if (this.running.has(name)) {
+      return await this.skip(name, trigger, null);
+    }
+
+    const work = this.execute(schedule, trigger);
+    this.running.set(name, work);
+    try {
+      return await work;
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  async skip(name, trigger, runningId) {
+    const reason = `Run${runningId ? ` #${runningId}` : ''} of "${name}" is still in progress`;
+    if (trigger !== 'schedule') {
+      throw new Error(reason);
+    }
+
+    const id = await this.db.createScheduleRun(name, trigger, 'skipped', reason);
+    const skipped = { id, name, trigger, status: 'skipped', steps: [], error: reason, durationMs: 0 };
+    this.emit('run', skipped);
+    return skipped;
+  }
+
+  /**
+   * Run the steps of a schedule in order, stopping at the first one that
+   * doesn't complete
+   */
+  async execute(schedule, trigger) {
+    // Another process (the server or a CLI run-now) may be running it
+    const inProgress = await this.db.getRunningScheduleRun(schedule.name);
+    if (inProgress) {
+      return await this.skip(schedule.name, trigger, inProgress.id);
+    }
+
+    const startedAt = Date.now();
+    const id = await this.db.createScheduleRun(schedule.name, trigger);
+    const run = { id, name: schedule.name, trigger, status: 'running', steps: [], error: null, durationMs: null };
+    this.emit('run', { ...run });
+
+    for (const { step, args } of schedule.steps) {
+      const stepStartedAt = Date.now();
+      const result = { step, jobId: null, status: 'failed', error: null, durationMs: null };
+      run.steps.push(result);
+
+      try {
+        const job = await this.jobs.start(step, { ...SCHEDULE_STEPS[step](schedule), ...args });
+        result.jobId = job.id;
+        this.emit('step', schedule.name, step, job);
+
+        const finished = await this.jobs.wait(job.id);
+        result.status = finished.status;
+        result.error = finished.error;
+      } catch (err) {
+        result.error = err.message;
+      }
+      result.durationMs = Date.now() - stepStartedAt;
+
+      if (result.status !== 'completed') {
+        run.status = result.status === 'cancelled' ? 'cancelled' : 'failed';
+        run.error = `${step} ${result.status}${result.error ? `: ${result.error}` : ''}`;
+        break;
+      }
+    }
+
+    if (run.status === 'running') {
+      run.status = 'completed';
+    }
+    run.durationMs = Date.now() - startedAt;
+
+    await this.db.finishScheduleRun(id, run);
+    this.emit('run', { ...run });
+    return run;
+  }
+
+  /**
+   * Most recent runs, newest first, optionally of one schedule
+   */
+  async history(name = null, limit = 20) {
+    const rows = await this.db.getScheduleRuns(name, limit);
+    return rows.map(runFromRow);
+  }
+
+  /**
+   * Stop checking the schedules. The returned promise settles when runs in
+   * progress have finished; cancel their jobs to end them early.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    return Promise.allSettled([...this.running.values()]);
+  }
+}
+
+/**
+ * Check a schedule from config.json and fill in its defaults
+ */
+function normalizeSchedule(schedule) {
+  if (!schedule || typeof schedule.name !== 'string' || !schedule.name.trim()) {
+    throw new Error('Every schedule needs a name');
+  }
+  const { name } = schedule;
+
+  if (typeof schedule.root !== 'string' || !path.isAbsolute(schedule.root)) {
+    throw new Error(`Schedule "${name}": root must be an absolute directory path`);
+  }
+
+  let cron;
+  try {
+    cron = parseCron(schedule.cron);
+  } catch (err) {
+    throw new Error(`Schedule "${name}": ${err.message}`);
+  }
+
+  const steps = (schedule.steps || Object.keys(SCHEDULE_STEPS)).map(entry => {
+    const step = typeof entry === 'string' ? { step: entry, args: {} } : { args: {}, ...entry };
+    if (!Object.hasOwn(SCHEDULE_STEPS, step.step)) {
+      throw new Error(`Schedule "${name}": unknown step "${step.step}" (valid steps: ${Object.keys(SCHEDULE_STEPS).join(', ')})`);
+    }
+    return step;
+  });
+  if (steps.length === 0) {
+    throw new Error(`Schedule "${name}" has no steps`);
+  }
+
+  return { ...schedule, root: path.resolve(schedule.root), cron, steps };
+}
+
+function runFromRow(row) {
+  let steps = [];
+  try {
+    steps = JSON.parse(row.steps || '[]');
+  } catch (err) {
+    // Keep the run listed even if its steps can't be read
+  }
+
+  return {
+    id: row.id,
+    name: row.schedule_name,
+    trigger: row.trigger_type,
+    status: row.status,
+    steps,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms === null ? null : Number(row.duration_ms)
+  };
+}
@@ -0,0 +1,197 @@
+import path from 'path';
+import { WatchProgressManager } from './watch-progress.js';
+
+// Episode markers in a file name: S01E02 (S01E02E03, S01E02-E03, S01E02-03)
+// and 1x02 (1x02-03, 1x02-1x03)
+const SEASON_EPISODE_PATTERN = /(?<![a-z0-9])s(\d{1,3})[\s._-]*e(\d{1,3})(?:(?:-?e|-)(\d{1,3}))?(?!\d)/i;
+const CROSS_PATTERN = /(?<![a-z0-9])(\d{1,2})x(\d{2,3})(?:-(?:\d{1,2}x)?(\d{2,3}))?(?![a-z0-9])/i;
+
+// Folders of one season: "Season 1", "Series 01", "S01", and "Specials" as season 0
+const SEASON_FOLDER_PATTERN = /^(?:(?:season|series|staffel|saison|temporada)[\s._-]*(\d{1,3})|s(\d{1,3}))$/i;
+const SPECIALS_FOLDER_PATTERN = /^specials?$/i;
+
+// Episode numbers inside a season folder: "Episode 02", "Ep.2", "E02", or a leading "02 - Title"
+const EPISODE_NAME_PATTERN = /(?<![a-z0-9])(?:episode|ep|e)[\s._-]*(\d{1,3})(?!\d)/i;
+const LEADING_NUMBER_PATTERN = /^(\d{1,3})(?!\d)/;
+
+// Release tags that end an episode title, like Pilot.720p.WEB-DL.x264
+const RELEASE_TAG_PATTERN = /^(\d{3,4}[pi]|4k|uhd|hdr|hdtv|pdtv|web|webrip|web-?dl|bluray|blu-ray|bdrip|brrip|dvdrip|hdrip|x26[45]|h\.?26[45]|hevc|xvid|divx|aac|ac3|dts|proper|repack|internal|multi|10bit)$/i;
+
+function seasonOfFolder(name) {
+  if (SPECIALS_FOLDER_PATTERN.test(name)) {
+    return 0;
+  }
+  const match = SEASON_FOLDER_PATTERN.exec(name);
+  return match ? Number(match[1] ?? match[2]) : null;
+}
+
+// Dots and underscores stand for spaces in release names; [group] tags go
+function cleanName(text) {
+  return text
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/[._]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–:,]+|[\s\-–:,(]+$/g, '')
+    .trim();
+}
+
+function cleanTitle(text) {
+  const words = cleanName(text.replace(/\([^)]*\)/g, group => (/\d{3,4}p|x26|hevc|web|bluray/i.test(group) ? ' ' : group))).split(' ');
+  const end = words.findIndex(word => RELEASE_TAG_PATTERN.test(word));
+  return cleanName(words.slice(0, end === -1 ? words.length : end).join(' ')) || null;
+}
+
+/**
+ * Key shows are matched by, so "The.Office" and "The Office" are one show
+ */
+export function showKey(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Recognize a TV episode from its path. The season and episode come from an
+ * S01E02 or 1x02 marker in the file name, or from a "Season 1" folder and an
+ * "Episode 02" name. The show is the name before the marker, or the folder
+ * (above the season folder) when the file name starts with it.
+ * Returns `{ show, season, episode, episodeEnd, title }` or null for a movie.
+ */
+export function parseEpisode(filePath) {
+  const name = path.basename(filePath, path.extname(filePath));
+  const parent = path.basename(path.dirname(filePath));
+  const parentSeason = seasonOfFolder(parent);
+  const showFolder = parentSeason === null ? parent : path.basename(path.dirname(path.dirname(filePath)));
+
+  let season;
+  let episode;
+  let episodeEnd = null;
+  let show = null;
+  let rest;
+
+  const match = SEASON_EPISODE_PATTERN.exec(name) || CROSS_PATTERN.exec(name);
+  if (match) {
+    season = Number(match[1]);
+    episode = Number(match[2]);
+    episodeEnd = match[3] ? Number(match[3]) : null;
+    show = cleanName(name.slice(0, match.index));
+    rest = name.slice(match.index + match[0].length);
+  } else if (parentSeason !== null) {
+    const numbered = EPISODE_NAME_PATTERN.exec(name) || LEADING_NUMBER_PATTERN.exec(name);
+    if (!numbered) {
+      return null;
+    }
+    season = parentSeason;
+    episode = Number(numbered[1]);
+    rest = name.slice(numbered.index + numbered[0].length);
+  } else {
+    return null;
+  }
+
+  show = show || cleanName(showFolder);
+  if (!show) {
+    return null;
+  }
+
+  return {
+    show,
+    season,
+    episode,
+    episodeEnd: episodeEnd !== null && episodeEnd > episode ? episodeEnd : null,
+    title: cleanTitle(rest)
+  };
+}
+
+/**
+ * Show Manager
+ * TV shows built from the episodes recognized in video file names, with each
+ * user's watch progress
+ */
+export class ShowManager {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.watchProgress = options.watchProgress || new WatchProgressManager(db);
+  }
+
+  /**
+   * One page of shows with their season, episode and watched episode counts.
+   * Options: search, sort (`name`, `added` or `watched`), page, limit.
+   */
+  async list(userId, options = {}) {
+    const result = await this.db.getShowsPage(userId, options);
+    return {
+      ...result,
+      rows: result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        seasonCount: Number(row.seasonCount),
+        episodeCount: Number(row.episodeCount),
+        watchedCount: Number(row.watchedCount || 0),
+        lastAdded: row.lastAdded,
+        lastWatched: row.lastWatched || null
+      }))
+    };
+  }
+
+  /**
+   * A show with its episodes by season and the episode to play next, or null
+   */
+  async get(showId, userId) {
+    const show = await this.db.getShow(showId);
+    if (!show) {
+      return null;
+    }
+
+    const episodes = await this.getEpisodes(showId, userId);
+    if (episodes.length === 0) {
+      return null;
+    }
+
+    const seasons = [];
+    for (const episode of episodes) {
+      if (seasons.at(-1)?.season !== episode.season) {
+        seasons.push({ season: episode.season, episodes: [] });
+      }
+      seasons.at(-1).episodes.push(episode);
+    }
+
+    return { id: show.id, name: show.name, seasons, nextEpisode: this.pickNext(episodes) };
+  }
+
+  /**
+   * The episode after a video file in its show, or null for the last episode
+   * or a file that isn't an episode
+   */
+  async getNextEpisode(fileId, userId) {
+    const current = await this.db.getEpisode(fileId);
+    if (!current) {
+      return null;
+    }
+
+    const episodes = await this.getEpisodes(current.show_id, userId);
+    const index = episodes.findIndex(episode => episode.id === current.file_id);
+    return index === -1 ? null : episodes[index + 1] || null;
+  }
+
+  async getEpisodes(showId, userId) {
+    const rows = await this.db.getShowEpisodes(showId);
+    const progress = await this.watchProgress.getForFiles(userId, rows.map(row => row.id));
+    return rows.map(row => ({ ...row, progress: progress.get(row.id) || null }));
+  }
+
+  /**
+   * Resume the episode watched last, or the one after it once it is
+   * finished. Shows nobody started begin with the first regular episode.
+   */
+  pickNext(episodes) {
+    let latest = -1;
+    episodes.forEach((episode, index) => {
+      if (episode.progress && (latest === -1 || episode.progress.updatedAt >= episodes[latest].progress.updatedAt)) {
+        latest = index;
+      }
+    });
+
+    if (latest === -1) {
+      return episodes.find(episode => episode.season > 0) || episodes[0];
+    }
+    return episodes[latest].progress.watched ? episodes[latest + 1] || null : episodes[latest];
+  }
+}
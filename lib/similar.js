@@ -0,0 +1,190 @@
+import { openImage } from './images.js';
+
+// Lossless and modern formats keep more detail than JPEG at the same resolution (lower is better)
+const FORMAT_RANK = ['tiff', 'png', 'heif', 'heic', 'webp', 'jpeg', 'jpg', 'bmp', 'gif'];
+
+/**
+ * Similar Photo Finder
+ * Groups photos that look alike (re-saved, resized or converted copies) by the
+ * Hamming distance between their perceptual hashes, and ranks each group so the
+ * best-quality copy comes first.
+ */
+export class SimilarPhotoFinder {
+  constructor(options = {}) {
+    this.options = {
+      threshold: options.threshold ?? 10,
+      ...options
+    };
+  }
+
+  /**
+   * Calculate a 64-bit difference hash (dHash) of an image as 16 hex characters.
+   * The image is rotated by its EXIF orientation and shrunk to 9x8 grayscale, and
+   * each bit records whether a pixel is brighter than its right neighbour, so the
+   * hash survives resizing, recompression and format changes. That also makes the
+   * embedded preview of a HEIC photo a fair stand-in for the full image.
+   */
+  async calculatePerceptualHash(filePath) {
+    const image = await openImage(filePath);
+    const pixels = await image
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const bit = pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n;
+        hash = (hash << 1n) | bit;
+      }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Number of bits that differ between two hex perceptual hashes
+   */
+  hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+      diff &= diff - 1n;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Group photos whose perceptual hashes are within the threshold of each other.
+   * Photos need a `perceptual_hash`; a photo joins a group when it is close to
+   * any member. Returns groups of two or more, each ranked best copy first with
+   * every photo's `distance` to that copy.
+   */
+  findSimilar(photos) {
+    const threshold = this.options.threshold;
+    const hashed = photos.filter(photo => photo.perceptual_hash);
+
+    // Union-find over photo indexes
+    const parent = hashed.map((_, index) => index);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    // A BK-tree keeps the neighbour search well below comparing every pair
+    let tree = null;
+    hashed.forEach((photo, index) => {
+      for (const match of this.searchTree(tree, photo.perceptual_hash, threshold)) {
+        parent[find(match)] = find(index);
+      }
+      tree = this.addToTree(tree, photo.perceptual_hash, index);
+    });
+
+    const components = new Map();
+    hashed.forEach((photo, index) => {
+      const root = find(index);
+      if (!components.has(root)) {
+        components.set(root, []);
+      }
+      components.get(root).push(photo);
+    });
+
+    return Array.from(components.values())
+      .filter(members => members.length > 1)
+      .map(members => {
+        const ranked = this.rankByQuality(members);
+        const best = ranked[0];
+        const files = ranked.map(photo => ({
+          ...photo,
+          distance: this.hammingDistance(best.perceptual_hash, photo.perceptual_hash)
+        }));
+        return {
+          best: files[0],
+          files,
+          count: files.length,
+          reclaimableSpace: files.slice(1).reduce((sum, photo) => sum + Number(photo.size || 0), 0)
+        };
+      })
+      .sort((a, b) => b.reclaimableSpace - a.reclaimableSpace);
+  }
+
+  /**
+   * Sort photos best quality first: most pixels, then EXIF still present, then
+   * format, then largest file
+   */
+  rankByQuality(photos) {
+    return [...photos].sort((a, b) =>
+      this.pixels(b) - this.pixels(a) ||
+      this.hasExif(b) - this.hasExif(a) ||
+      this.formatRank(a) - this.formatRank(b) ||
+      Number(b.size || 0) - Number(a.size || 0) ||
+      a.path.localeCompare(b.path)
+    );
+  }
+
+  pixels(photo) {
+    return (photo.width || 0) * (photo.height || 0);
+  }
+
+  hasExif(photo) {
+    return photo.camera_make || photo.camera_model || photo.date_taken ? 1 : 0;
+  }
+
+  formatRank(photo) {
+    const index = FORMAT_RANK.indexOf(String(photo.format || '').toLowerCase());
+    return index === -1 ? FORMAT_RANK.length : index;
+  }
+
+  /**
+   * Insert a hash into a BK-tree node (creating the tree when empty)
+   */
+  addToTree(node, hash, index) {
+    if (!node) {
+      return { hash, indexes: [index], children: new Map() };
+    }
+
+    let current = node;
+    for (;;) {
+      const distance = this.hammingDistance(hash, current.hash);
+      if (distance === 0) {
+        current.indexes.push(index);
+        return node;
+      }
+      if (!current.children.has(distance)) {
+        current.children.set(distance, { hash, indexes: [index], children: new Map() });
+        return node;
+      }
+      current = current.children.get(distance);
+    }
+  }
+
+  /**
+   * One index for every distinct hash in the tree within `threshold` bits of
+   * `hash` (photos sharing a node are already in the same group)
+   */
+  searchTree(node, hash, threshold) {
+    const matches = [];
+    const pending = node ? [node] : [];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      const distance = this.hammingDistance(hash, current.hash);
+      if (distance <= threshold) {
+        matches.push(current.indexes[0]);
+      }
+      // Triangle inequality: only children in this distance band can match
+      for (const [childDistance, child] of current.children) {
+        if (childDistance >= distance - threshold && childDistance <= distance + threshold) {
+          pending.push(child);
+        }
+      }
+    }
+
+    return matches;
+  }
+}
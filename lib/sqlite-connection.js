@@ -0,0 +1,437 @@
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite Connection
+ * Wraps a better-sqlite3 database in the subset of the mysql2/promise
+ * connection API used by DatabaseManager (`execute`, `query`, `end` and the
+ * transaction methods) and
+ * translates the MySQL dialect of its queries and migrations to SQLite.
+ *
+ * Dates are stored as UTC `YYYY-MM-DD HH:MM:SS` text (the same format as
+ * SQLite's CURRENT_TIMESTAMP) and returned as Date objects for DATETIME,
+ * TIMESTAMP and DATE columns, like mysql2 does.
+ */
+export class SqliteConnection {
+  constructor(filename) {
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma('busy_timeout = 5000');
+    this.statements = new Map();
+    registerMysqlFunctions(this.db);
+  }
+
+  /**
+   * Run a query and resolve to `[rows, columns]` for reads or
+   * `[{ insertId, affectedRows }]` for writes
+   */
+  async execute(sql, params = []) {
+    const statements = translateSql(sql);
+
+    if (statements.length !== 1) {
+      // Translated DDL: run the pieces in order and report like a MySQL DDL statement
+      for (const statement of statements) {
+        this.db.prepare(statement).run();
+      }
+      return [{ insertId: 0, affectedRows: 0 }, undefined];
+    }
+
+    const statement = this.prepare(statements[0]);
+    const values = params.map(toSqliteValue);
+
+    if (statement.reader) {
+      const columns = statement.columns();
+      const rows = statement.all(values).map(row => convertDates(row, columns));
+      return [rows, columns];
+    }
+
+    const info = statement.run(values);
+    return [{ insertId: Number(info.lastInsertRowid), affectedRows: info.changes }, undefined];
+  }
+
+  /**
+   * Same as execute(); mysql2 only differs in where placeholders are filled in
+   */
+  async query(sql, params = []) {
+    return this.execute(sql, params);
+  }
+
+  /**
+   * Transaction control with the mysql2 method names
+   */
+  async beginTransaction() {
+    this.db.exec('BEGIN');
+  }
+
+  async commit() {
+    this.db.exec('COMMIT');
+  }
+
+  async rollback() {
+    if (this.db.inTransaction) {
+      this.db.exec('ROLLBACK');
+    }
+  }
+
+  /**
+   * Close the database file
+   */
+  async end() {
+    this.statements.clear();
+    this.db.close();
+  }
+
+  /**
+   * Prepared statements are cached by SQL text, like mysql2 does for execute()
+   */
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.db.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+}
+
+/**
+ * Translate one MySQL statement to one or more SQLite statements
+ */
+export function translateSql(sql) {
+  const trimmed = sql.trim();
+
+  if (/^CREATE\s+TABLE/i.test(trimmed)) {
+    return translateCreateTable(trimmed);
+  }
+  if (/^ALTER\s+TABLE/i.test(trimmed)) {
+    return translateAlterTable(trimmed);
+  }
+
+  return [translateQuery(trimmed)];
+}
+
+/**
+ * Rewrite MySQL-only expressions in a SELECT/INSERT/UPDATE/DELETE statement
+ */
+function translateQuery(sql) {
+  let result = sql
+    .replace(/\bINSERT\s+IGNORE\b/gi, 'INSERT OR IGNORE')
+    .replace(/NOW\(\)\s*-\s*INTERVAL\s+(\?|\d+)\s+DAY/gi, "datetime('now', '-' || $1 || ' days')")
+    .replace(/\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/gi, 'ON CONFLICT DO UPDATE SET')
+    .replace(/\bVALUES\((\w+)\)/g, 'excluded.$1');
+
+  result = rewriteCalls(result, 'GROUP_CONCAT', translateGroupConcat);
+  return result;
+}
+
+/**
+ * MySQL: GROUP_CONCAT([DISTINCT] expr [ORDER BY ...] [SEPARATOR 'sep'])
+ * SQLite: GROUP_CONCAT(expr, 'sep' [ORDER BY ...]); SQLite only allows DISTINCT
+ * with a single argument, so DISTINCT uses the GROUP_CONCAT_DISTINCT aggregate
+ */
+function translateGroupConcat(args) {
+  let body = args.trim();
+  let separator = "','";
+
+  const separatorMatch = body.match(/\s+SEPARATOR\s+('(?:[^']|'')*')$/i);
+  if (separatorMatch) {
+    separator = separatorMatch[1];
+    body = body.slice(0, separatorMatch.index);
+  }
+
+  let orderBy = '';
+  const orderIndex = findTopLevelKeyword(body, 'ORDER BY');
+  if (orderIndex !== -1) {
+    orderBy = ' ' + body.slice(orderIndex);
+    body = body.slice(0, orderIndex).trim();
+  }
+
+  const distinct = /^DISTINCT\s+/i.test(body);
+  if (distinct) {
+    body = body.replace(/^DISTINCT\s+/i, '');
+  }
+
+  const name = distinct ? 'GROUP_CONCAT_DISTINCT' : 'GROUP_CONCAT';
+  return `${name}(${body}, ${separator}${orderBy})`;
+}
+
+/**
+ * Translate CREATE TABLE: inline indexes become CREATE INDEX statements
+ * (index names are global in SQLite, so they are prefixed with the table name)
+ * and ON UPDATE CURRENT_TIMESTAMP columns are maintained by a trigger
+ */
+function translateCreateTable(sql) {
+  const header = sql.match(/^CREATE\s+TABLE\s+(IF\s+NOT\s+EXISTS\s+)?`?(\w+)`?\s*\(/i);
+  if (!header) {
+    throw new Error(`Unsupported CREATE TABLE statement: ${sql.slice(0, 80)}`);
+  }
+
+  const table = header[2];
+  const bodyStart = header[0].length;
+  const bodyEnd = findClosingParen(sql, bodyStart - 1);
+  const items = splitTopLevel(sql.slice(bodyStart, bodyEnd));
+
+  const definitions = [];
+  const extra = [];
+
+  for (const item of items) {
+    const index = item.match(/^(UNIQUE\s+)?(?:INDEX|KEY)\s+`?(\w+)`?\s*\((.*)\)$/is);
+    if (index) {
+      extra.push(createIndexStatement(table, index[2], index[3], Boolean(index[1])));
+      continue;
+    }
+
+    const uniqueKey = item.match(/^UNIQUE\s+KEY\s+`?\w+`?\s*\((.*)\)$/is);
+    if (uniqueKey) {
+      definitions.push(`UNIQUE (${stripPrefixLengths(uniqueKey[1])})`);
+      continue;
+    }
+
+    if (/^(PRIMARY\s+KEY|FOREIGN\s+KEY|CONSTRAINT|CHECK|UNIQUE\s*\()/i.test(item)) {
+      definitions.push(item);
+      continue;
+    }
+
+    const column = translateColumn(item);
+    definitions.push(column.definition);
+    if (column.onUpdateTimestamp) {
+      extra.push(updateTimestampTrigger(table, column.name));
+    }
+  }
+
+  const ifNotExists = header[1] ? 'IF NOT EXISTS ' : '';
+  return [`CREATE TABLE ${ifNotExists}${table} (\n  ${definitions.join(',\n  ')}\n)`, ...extra];
+}
+
+/**
+ * Translate ALTER TABLE into one statement per clause. SQLite columns are
+ * dynamically typed, so MODIFY COLUMN has nothing to do.
+ */
+function translateAlterTable(sql) {
+  const header = sql.match(/^ALTER\s+TABLE\s+`?(\w+)`?\s+/i);
+  const table = header[1];
+  const statements = [];
+
+  for (const clause of splitTopLevel(sql.slice(header[0].length))) {
+    let match;
+
+    if ((match = clause.match(/^ADD\s+(UNIQUE\s+)?(?:INDEX|KEY)\s+`?(\w+)`?\s*\((.*)\)$/is))) {
+      statements.push(createIndexStatement(table, match[2], match[3], Boolean(match[1]), false));
+    } else if ((match = clause.match(/^ADD\s+(?:COLUMN\s+)?(.*)$/is))) {
+      const column = translateColumn(match[1]);
+      statements.push(`ALTER TABLE ${table} ADD COLUMN ${column.definition}`);
+      if (column.onUpdateTimestamp) {
+        statements.push(updateTimestampTrigger(table, column.name));
+      }
+    } else if ((match = clause.match(/^DROP\s+(?:INDEX|KEY)\s+`?(\w+)`?$/i))) {
+      statements.push(`DROP INDEX IF EXISTS ${table}_${match[1]}`);
+    } else if ((match = clause.match(/^DROP\s+(?:COLUMN\s+)?`?(\w+)`?$/i))) {
+      statements.push(`ALTER TABLE ${table} DROP COLUMN ${match[1]}`);
+    } else if (!/^(MODIFY|CHANGE)\s+/i.test(clause)) {
+      throw new Error(`Unsupported ALTER TABLE clause for SQLite: ${clause}`);
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Translate one column definition
+ */
+function translateColumn(definition) {
+  const name = definition.match(/^`?(\w+)`?/)[1];
+  const onUpdateTimestamp = /\bON\s+UPDATE\s+CURRENT_TIMESTAMP\b/i.test(definition);
+
+  const translated = definition
+    .replace(/\bINT\s+AUTO_INCREMENT\s+PRIMARY\s+KEY\b/i, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bAUTO_INCREMENT\b/i, '')
+    .replace(/\bENUM\s*\((?:[^()']|'(?:[^']|'')*')*\)/i, 'TEXT')
+    .replace(/\bON\s+UPDATE\s+CURRENT_TIMESTAMP\b/i, '')
+    .replace(/\s+COMMENT\s+'(?:[^']|'')*'/i, '')
+    .replace(/\s+(CHARACTER\s+SET|COLLATE)\s+\w+/gi, '')
+    .trim();
+
+  return { name, definition: translated, onUpdateTimestamp };
+}
+
+function createIndexStatement(table, name, columns, unique, ifNotExists = true) {
+  // Without IF NOT EXISTS a repeated migration fails like MySQL's "Duplicate key name"
+  const guard = ifNotExists ? 'IF NOT EXISTS ' : '';
+  return `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${guard}${table}_${name} ON ${table} (${stripPrefixLengths(columns)})`;
+}
+
+function updateTimestampTrigger(table, column) {
+  return `CREATE TRIGGER IF NOT EXISTS ${table}_${column}_on_update
+    AFTER UPDATE ON ${table} FOR EACH ROW WHEN NEW.${column} IS OLD.${column}
+    BEGIN
+      UPDATE ${table} SET ${column} = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+    END`;
+}
+
+/**
+ * `path(255)` prefix lengths only exist in MySQL indexes
+ */
+function stripPrefixLengths(columns) {
+  return columns.replace(/(\w+)\s*\(\d+\)/g, '$1');
+}
+
+/**
+ * Replace every call of `name(...)` using `translate(args)`
+ */
+function rewriteCalls(sql, name, translate) {
+  const pattern = new RegExp(`\\b${name}\\s*\\(`, 'gi');
+  let result = '';
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(sql)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findClosingParen(sql, open);
+    result += sql.slice(position, match.index) + translate(sql.slice(open + 1, close));
+    position = close + 1;
+    pattern.lastIndex = position;
+  }
+
+  return result + sql.slice(position);
+}
+
+/**
+ * Index of the parenthesis closing the one at `open`, skipping quoted strings
+ */
+function findClosingParen(sql, open) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = open; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  throw new Error('Unbalanced parentheses in SQL statement');
+}
+
+/**
+ * Split on commas that are not inside parentheses or quotes
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Position of a keyword outside parentheses and quotes, or -1
+ */
+function findTopLevelKeyword(text, keyword) {
+  const pattern = new RegExp(`\\b${keyword.replace(' ', '\\s+')}\\b`, 'gi');
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const before = text.slice(0, match.index);
+    const depth = (before.match(/\(/g) || []).length - (before.match(/\)/g) || []).length;
+    const quotes = (before.match(/'/g) || []).length;
+    if (depth === 0 && quotes % 2 === 0) {
+      return match.index;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * SQL functions used by the MySQL queries that SQLite does not have
+ */
+function registerMysqlFunctions(db) {
+  db.function('NOW', { deterministic: false }, () => formatDate(new Date()));
+  db.function('CHAR_LENGTH', { deterministic: true }, value => (value === null ? null : String(value).length));
+  db.function('SUBSTRING_INDEX', { deterministic: true }, (value, delimiter, count) => {
+    if (value === null) {
+      return null;
+    }
+    const parts = String(value).split(delimiter);
+    const n = Number(count);
+    return n >= 0 ? parts.slice(0, n).join(delimiter) : parts.slice(n).join(delimiter);
+  });
+  db.aggregate('GROUP_CONCAT_DISTINCT', {
+    start: () => ({ seen: new Set(), separator: ',' }),
+    step: (state, value, separator) => {
+      if (value !== null) {
+        state.seen.add(String(value));
+      }
+      state.separator = separator;
+    },
+    result: state => (state.seen.size > 0 ? Array.from(state.seen).join(state.separator) : null)
+  });
+}
+
+/**
+ * UTC `YYYY-MM-DD HH:MM:SS`, the format of SQLite's CURRENT_TIMESTAMP
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function toSqliteValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : formatDate(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+/**
+ * Turn stored date text back into Date objects for date-typed columns
+ */
+function convertDates(row, columns) {
+  for (const column of columns) {
+    const value = row[column.name];
+    if (typeof value !== 'string' || !/DATE|TIME/i.test(column.type || '')) {
+      continue;
+    }
+    const date = new Date(`${value.replace(' ', 'T')}${value.length > 10 ? 'Z' : 'T00:00:00Z'}`);
+    if (!isNaN(date.getTime())) {
+      row[column.name] = date;
+    }
+  }
+  return row;
+}
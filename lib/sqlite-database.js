@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { DatabaseManager } from './database.js';
+import { SqliteConnection } from './sqlite-connection.js';
+
+/**
+ * SQLite Database Manager
+ * Runs every DatabaseManager query and migration against an embedded SQLite
+ * file instead of a MySQL server
+ */
+export class SqliteDatabaseManager extends DatabaseManager {
+  constructor(config = {}) {
+    super(config);
+    this.config.filename = config.filename || process.env.DB_FILE || path.join(os.homedir(), '.silverfs', 'silverfilesystem.db');
+  }
+
+  /**
+   * Open (or create) the SQLite database file
+   */
+  async connect() {
+    try {
+      const filename = this.config.filename;
+      if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+      }
+      this.connection = new SqliteConnection(filename);
+      console.log(`Connected to SQLite database ${filename}`);
+    } catch (err) {
+      throw new Error(`Failed to connect to database: ${err.message}`);
+    }
+  }
+}
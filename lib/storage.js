@@ -0,0 +1,21 @@
+import { DatabaseManager } from './database.js';
+import { SqliteDatabaseManager } from './sqlite-database.js';
+
+export const STORAGE_TYPES = ['mysql', 'sqlite'];
+
+/**
+ * Create the database manager for the configured storage backend
+ * (`type: 'mysql'` or `type: 'sqlite'`, see the `database` section of config.json)
+ */
+export function createDatabaseManager(config = {}) {
+  const { type = process.env.DB_TYPE || 'mysql', filename, ...mysqlConfig } = config;
+
+  switch (type) {
+    case 'mysql':
+      return new DatabaseManager(mysqlConfig);
+    case 'sqlite':
+      return new SqliteDatabaseManager({ ...mysqlConfig, filename });
+    default:
+      throw new Error(`Unknown database type "${type}" (valid types: ${STORAGE_TYPES.join(', ')})`);
+  }
+}
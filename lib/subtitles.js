@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Sidecar subtitle formats, by file extension
+export const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'ssa'];
+
+// Name parts after the language that describe the track rather than name a language
+const SUBTITLE_FLAGS = { forced: 'Forced', sdh: 'SDH', hi: 'SDH', cc: 'CC', default: null };
+
+// Languages that are also recognized by their English name, like movie.English.srt
+const NAMED_LANGUAGES = [
+  'ar', 'cs', 'da', 'de', 'el', 'en', 'es', 'fi', 'fr', 'he', 'hi', 'hu', 'id', 'it', 'ja',
+  'ko', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'sv', 'th', 'tr', 'uk', 'vi', 'zh'
+];
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+const languagesByName = new Map(NAMED_LANGUAGES.map(code => [languageNames.of(code).toLowerCase(), code]));
+
+/**
+ * BCP 47 tag of a language code (en, eng, pt-BR, pt_br) or English name, or
+ * null when the text doesn't name a language
+ */
+export function parseLanguage(text) {
+  const lower = text.toLowerCase().replace('_', '-');
+  if (languagesByName.has(lower)) {
+    return languagesByName.get(lower);
+  }
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/.test(lower)) {
+    return null;
+  }
+
+  try {
+    const [tag] = Intl.getCanonicalLocales(lower);
+    return languageNames.of(tag) ? tag : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Match a file name against a video's name without extension. Sidecars are
+ * named like the video, optionally followed by a language and flags:
+ * `Movie.srt`, `Movie.en.srt`, `Movie.eng.forced.srt`, `Movie.English.sdh.ass`.
+ * Returns `{ language, format, forced, label }` or null when the file isn't a
+ * subtitle of this video.
+ */
+export function parseSubtitleName(videoBase, fileName) {
+  const format = path.extname(fileName).slice(1).toLowerCase();
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    return null;
+  }
+
+  const stem = fileName.slice(0, -(format.length + 1));
+  if (stem.toLowerCase() !== videoBase.toLowerCase() && !stem.toLowerCase().startsWith(`${videoBase.toLowerCase()}.`)) {
+    return null;
+  }
+
+  let language = null;
+  const flags = [];
+  for (const token of stem.slice(videoBase.length + 1).split('.').filter(Boolean)) {
+    const lower = token.toLowerCase();
+    // "hi" is Hindi unless a language came first
+    if (Object.hasOwn(SUBTITLE_FLAGS, lower) && (lower !== 'hi' || language)) {
+      flags.push(lower);
+    } else if (!language && parseLanguage(token)) {
+      language = parseLanguage(token);
+    } else {
+      // Part of another file's name, like Movie.Part2.en.srt next to Movie.mkv
+      return null;
+    }
+  }
+
+  const flagLabels = [...new Set(flags.map(flag => SUBTITLE_FLAGS[flag]).filter(Boolean))];
+  const name = language ? languageNames.of(language) : 'Unknown language';
+  return {
+    language,
+    format,
+    forced: flags.includes('forced'),
+    label: flagLabels.length > 0 ? `${name} (${flagLabels.join(', ')})` : name
+  };
+}
+
+/**
+ * Sidecar subtitle files next to a video, sorted by file name
+ */
+export async function findSidecarSubtitles(videoPath) {
+  const directory = path.dirname(videoPath);
+  const videoBase = path.basename(videoPath, path.extname(videoPath));
+
+  let names;
+  try {
+    names = await fs.readdir(directory);
+  } catch (err) {
+    return [];
+  }
+
+  const subtitles = [];
+  for (const name of names.sort()) {
+    const subtitle = parseSubtitleName(videoBase, name);
+    if (subtitle) {
+      subtitles.push({ path: path.join(directory, name), ...subtitle });
+    }
+  }
+  return subtitles;
+}
+
+/**
+ * Decode subtitle bytes: UTF-8 (with or without BOM), falling back to
+ * Windows-1252 which older SRT files often use
+ */
+export function decodeSubtitle(buffer) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    text = new TextDecoder('windows-1252').decode(buffer);
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+function formatTimestamp(ms) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Convert SRT to WebVTT: timestamps get a decimal point and two-digit hours,
+ * and {\an8} style positioning tags are dropped
+ */
+export function srtToWebVtt(text) {
+  const body = text
+    .replace(/\{\\[^}]*\}/g, '')
+    .split('\n')
+    .map(line => {
+      if (!line.includes('-->')) {
+        return line;
+      }
+      return line.replace(/(\d+):(\d{1,2}):(\d{1,2})[,.](\d{1,3})/g, (match, h, m, s, fraction) =>
+        formatTimestamp(((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(fraction.padEnd(3, '0'))));
+    })
+    .join('\n')
+    .trim();
+
+  return `WEBVTT\n\n${body}\n`;
+}
+
+// Split the fields of an ASS event; the last field (the text) may contain commas
+function splitAssFields(text, count) {
+  const fields = text.split(',');
+  return [...fields.slice(0, count - 1), fields.slice(count - 1).join(',')].map(field => field.trim());
+}
+
+function parseAssTime(text) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/.exec(text || '');
+  if (!match) {
+    return null;
+  }
+  const [, h, m, s, fraction = '0'] = match;
+  return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+// ASS dialogue text to cue text: line breaks, and italic/bold overrides as tags
+function assTextToCue(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\{([^}]*)\}/g, (match, overrides) => [...overrides.matchAll(/\\([ib])([01])(?![0-9])/g)]
+      .map(([, tag, on]) => (on === '1' ? `<${tag}>` : `</${tag}>`))
+      .join(''))
+    .replace(/\\N/gi, '\n')
+    .replace(/\\h/g, ' ')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * Convert the dialogue of an ASS/SSA script to WebVTT cues in time order.
+ * Styling and positioning other than italic and bold are dropped.
+ */
+export function assToWebVtt(text) {
+  const cues = [];
+  let inEvents = false;
+  let format = null;
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (/^\[.*\]$/.test(trimmed)) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      continue;
+    }
+
+    const match = inEvents && /^(Format|Dialogue):\s*(.*)$/i.exec(trimmed);
+    if (!match) {
+      continue;
+    }
+    if (match[1].toLowerCase() === 'format') {
+      format = match[2].split(',').map(field => field.trim().toLowerCase());
+      continue;
+    }
+    if (!format) {
+      continue;
+    }
+
+    const fields = splitAssFields(match[2], format.length);
+    const start = parseAssTime(fields[format.indexOf('start')]);
+    const end = parseAssTime(fields[format.indexOf('end')]);
+    const cue = assTextToCue(fields[format.indexOf('text')] || '');
+    if (start !== null && end !== null && end > start && cue) {
+      cues.push({ start, end, text: cue });
+    }
+  }
+
+  cues.sort((a, b) => a.start - b.start);
+  const body = cues.map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`).join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Convert a subtitle file's contents in one of SUBTITLE_FORMATS to WebVTT
+ */
+export function toWebVtt(buffer, format) {
+  const text = decodeSubtitle(buffer);
+
+  switch (format) {
+    case 'srt':
+      return srtToWebVtt(text);
+    case 'ass':
+    case 'ssa':
+      return assToWebVtt(text);
+    case 'vtt':
+      return text.startsWith('WEBVTT') ? text : `WEBVTT\n\n${text}`;
+    default:
+      throw new Error(`Unsupported subtitle format "${format}"`);
+  }
+}
@@ -0,0 +1,292 @@
+import { exiftool } from 'exiftool-vendored';
+
+// music_metadata columns that can be edited, in the order they are shown
+export const EDITABLE_TAGS = [
+  'title', 'artist', 'album', 'album_artist', 'year', 'genre',
+  'track_number', 'track_total', 'disk_number', 'disk_total'
+];
+
+// Tags that differ between the tracks of an album, so an album edit can't set them
+export const TRACK_ONLY_TAGS = ['title', 'track_number', 'disk_number'];
+
+const NUMERIC_TAGS = ['year', 'track_number', 'track_total', 'disk_number', 'disk_total'];
+
+const TEXT_FILE_TAGS = {
+  title: 'Title',
+  artist: 'Artist',
+  album: 'Album',
+  album_artist: 'AlbumArtist',
+  genre: 'Genre'
+};
+
+/**
+ * Check one tag value. Empty values clear the tag (null), numbers must be
+ * whole and text is trimmed. Throws for values that can't be stored.
+ */
+export function normalizeTagValue(field, value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  if (NUMERIC_TAGS.includes(field)) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > 9999) {
+      throw new Error(`${field} must be a whole number`);
+    }
+    return number;
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error(`${field} must be text`);
+  }
+  const text = String(value).trim();
+  const maxLength = field === 'genre' ? 255 : 512;
+  if (text.length > maxLength) {
+    throw new Error(`${field} must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Check the tags of an edit (field names to values). With `album`, tags
+ * every track has its own value for are refused.
+ */
+export function parseTagValues(input, options = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Tags must be an object of tag names to values');
+  }
+
+  const values = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!EDITABLE_TAGS.includes(field)) {
+      throw new Error(`Unknown tag "${field}" (editable tags: ${EDITABLE_TAGS.join(', ')})`);
+    }
+    if (options.album && TRACK_ONLY_TAGS.includes(field)) {
+      throw new Error(`${field} can only be edited on single tracks`);
+    }
+    values[field] = normalizeTagValue(field, value);
+  }
+
+  if (Object.keys(values).length === 0) {
+    throw new Error('No tags to change');
+  }
+  return values;
+}
+
+/**
+ * The exiftool tags that hold some fields of a music row. Track and disc
+ * numbers are written as "3 of 12"; null values remove a tag.
+ */
+export function toFileTags(track, fields) {
+  const numberOf = (number, total) => (number == null ? null : total ? `${number} of ${total}` : String(number));
+  const fileTags = {};
+
+  for (const field of fields) {
+    if (TEXT_FILE_TAGS[field]) {
+      fileTags[TEXT_FILE_TAGS[field]] = track[field] ?? null;
+    }
+  }
+  // The year goes into the date tag players read, which exiftool only takes as a raw value
+  if (fields.includes('year')) {
+    fileTags['ContentCreateDate#'] = track.year == null ? null : String(track.year);
+  }
+  if (fields.includes('track_number') || fields.includes('track_total')) {
+    fileTags.TrackNumber = numberOf(track.track_number, track.track_total);
+  }
+  if (fields.includes('disk_number') || fields.includes('disk_total')) {
+    fileTags.DiskNumber = numberOf(track.disk_number, track.disk_total);
+  }
+  return fileTags;
+}
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Tag Editor
+ * Changes the tags of music files and their music_metadata rows together.
+ * The files of an edit are written first; when one can't be written the
+ * files already changed get their old tags back and the database is left
+ * alone. Every edit is kept in a history it can be undone from.
+ */
+export class TagEditor {
+  constructor(db) {
+    this.db = db;
+    this.usedExiftool = false;
+  }
+
+  /**
+   * The changes setting `values` makes to music rows, as
+   * `{ fileId, path, field, oldValue, newValue }` for each value that differs
+   */
+  plan(tracks, values) {
+    const changes = [];
+    for (const track of tracks) {
+      for (const [field, value] of Object.entries(values)) {
+        if (!sameValue(track[field], value)) {
+          changes.push({ fileId: track.id, path: track.path, field, oldValue: track[field] ?? null, newValue: value });
+        }
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Edit the tags of one track. Returns null for an unknown file.
+   */
+  async editTrack(fileId, values, options = {}) {
+    const tracks = await this.db.getMusicTags({ id: fileId });
+    if (tracks.length === 0) {
+      return null;
+    }
+    return await this.edit(tracks, values, { description: `Track ${tracks[0].path}`, ...options });
+  }
+
+  /**
+   * Edit the tags of every track of an album. Returns null for an unknown
+   * album or one without tracks.
+   */
+  async editAlbum(albumId, values, options = {}) {
+    const trackOnly = Object.keys(values).filter(field => TRACK_ONLY_TAGS.includes(field));
+    if (trackOnly.length > 0) {
+      throw new Error(`${trackOnly.join(', ')} can only be edited on single tracks`);
+    }
+
+    const album = await this.db.getAlbum(albumId);
+    const tracks = album ? await this.db.getMusicTags({ album: album.name, albumArtist: album.artist }) : [];
+    if (tracks.length === 0) {
+      return null;
+    }
+    return await this.edit(tracks, values, { description: `Album ${album.name}`, ...options });
+  }
+
+  /**
+   * Set tags on music rows and their files. Returns `{ editId, changes }`;
+   * editId is null when no value differs from what is stored.
+   */
+  async edit(tracks, values, options = {}) {
+    const changes = this.plan(tracks, values);
+    if (changes.length === 0) {
+      return { editId: null, changes };
+    }
+
+    const editId = await this.apply(changes, options);
+    return { editId, changes };
+  }
+
+  /**
+   * Why an edit can't be undone, or null when it can: it was undone already,
+   * or a later edit changed the same tags
+   */
+  async checkUndo(edit) {
+    if (edit.undone_at) {
+      return `Edit ${edit.id} was already undone`;
+    }
+
+    for (const change of edit.changes) {
+      const [track] = await this.db.getMusicTags({ id: change.file_id });
+      if (!track) {
+        return `File ${change.file_id} is no longer in the library`;
+      }
+      if (!sameValue(track[change.field], change.new_value)) {
+        return `${change.field} of ${track.path} was changed after edit ${edit.id}; undo the later edit first`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Put back the tags an edit (see `getMusicTagEdit`) replaced. The undo is
+   * an edit of its own, so it can be undone too. Returns `{ editId, changes }`.
+   */
+  async undo(edit, options = {}) {
+    const problem = await this.checkUndo(edit);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const changes = edit.changes.map(change => ({
+      fileId: change.file_id,
+      path: change.path,
+      field: change.field,
+      oldValue: normalizeTagValue(change.field, change.new_value),
+      newValue: normalizeTagValue(change.field, change.old_value)
+    }));
+
+    const editId = await this.apply(changes, { ...options, description: `Undo of edit ${edit.id}`, undoOf: edit.id });
+    return { editId, changes };
+  }
+
+  /**
+   * Write changes into the files, then record them in the database. Files
+   * already written get their old tags back when a later file or the
+   * database fails.
+   */
+  async apply(changes, options = {}) {
+    const files = new Map();
+    for (const change of changes) {
+      if (!files.has(change.fileId)) {
+        files.set(change.fileId, { path: change.path, fields: [], before: {}, after: {} });
+      }
+      const file = files.get(change.fileId);
+      file.fields.push(change.field);
+      file.before[change.field] = change.oldValue;
+      file.after[change.field] = change.newValue;
+    }
+
+    // Combined tags like "3 of 12" need the values this edit doesn't change
+    for (const [fileId, file] of files) {
+      const [track] = await this.db.getMusicTags({ id: fileId });
+      if (!track) {
+        throw new Error(`File ${fileId} is no longer in the library`);
+      }
+      file.before = { ...track, ...file.before };
+      file.after = { ...track, ...file.after };
+    }
+
+    const written = [];
+    try {
+      for (const file of files.values()) {
+        await this.writeTags(file.path, toFileTags(file.after, file.fields));
+        written.push(file);
+      }
+
+      return await this.db.recordMusicTagEdit({
+        userId: options.userId ?? null,
+        description: options.description ?? null,
+        undoOf: options.undoOf ?? null,
+        changes
+      });
+    } catch (err) {
+      for (const file of written) {
+        try {
+          await this.writeTags(file.path, toFileTags(file.before, file.fields));
+        } catch (restoreErr) {
+          // Nothing more can be done for this file; the first error is reported
+        }
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Write tags into a file with exiftool. Throws for formats exiftool can't
+   * write, such as MP3 and FLAC.
+   */
+  async writeTags(filePath, fileTags) {
+    this.usedExiftool = true;
+    try {
+      await exiftool.write(filePath, fileTags, ['-overwrite_original']);
+    } catch (err) {
+      throw new Error(`Could not write tags to ${filePath}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Stop exiftool when tags were written
+   */
+  async close() {
+    if (this.usedExiftool) {
+      await exiftool.end();
+    }
+  }
+}
@@ -0,0 +1,270 @@
+import iconv from 'iconv-lite';
+import { loadModule } from 'cld3-asm';
+import { exiftool } from 'exiftool-vendored';
+
+/**
+ * Legacy encodings tags are commonly written in, with the scripts their text
+ * is written in and the languages (as cld3 names them) it is expected to be.
+ * `utf-8` covers UTF-8 tags that were read as Latin-1.
+ */
+export const LEGACY_ENCODINGS = {
+  'utf-8': { label: 'UTF-8', scripts: null, languages: null },
+  gbk: { label: 'GBK', scripts: ['han'], languages: ['zh'] },
+  big5: { label: 'Big5', scripts: ['han'], languages: ['zh', 'zh-Hant'] },
+  shift_jis: { label: 'Shift-JIS', scripts: ['han', 'kana'], languages: ['ja'] },
+  cp1251: { label: 'CP1251', scripts: ['cyrillic'], languages: ['ru', 'uk', 'bg', 'be', 'sr', 'mk', 'kk', 'ky', 'mn', 'tg'] }
+};
+
+// music_metadata columns that are checked, with the exiftool tags they are written back to
+export const FILE_TAG_NAMES = {
+  title: 'Title',
+  artist: 'Artist',
+  album: 'Album',
+  album_artist: 'AlbumArtist',
+  genre: 'Genre',
+  composer: 'Composer'
+};
+
+// Windows-1252 characters in 0x80-0x9F, by the byte they stand for
+const CP1252_SPECIALS = new Map([...'€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ'].map((char, index) => [char, 0x80 + index]));
+
+const SCRIPT_PATTERNS = {
+  han: /[\p{Script=Han}　-〿！-～]/u,
+  kana: /[぀-ヿ]/u,
+  cyrillic: /\p{Script=Cyrillic}/u
+};
+
+// Lead bytes of the symbols, kana and most frequent characters of the CJK
+// encodings (GB2312 level 1, Big5 level 1 and JIS level 1), and of the
+// Russian and Ukrainian letters of CP1251
+const COMMON_LEAD_BYTES = {
+  gbk: [[0xa1, 0xa9], [0xb0, 0xd7]],
+  big5: [[0xa1, 0xc6]],
+  shift_jis: [[0x81, 0x84], [0x88, 0x98]],
+  cp1251: [[0xa8, 0xa8], [0xaa, 0xaa], [0xaf, 0xaf], [0xb2, 0xb3], [0xb8, 0xb8], [0xba, 0xba], [0xbf, 0xff]]
+};
+
+// Characters that show up in wrongly decoded text but rarely in real tags:
+// replacement and control characters, private use, half-width katakana,
+// compatibility ideographs and CJK extension A
+const UNLIKELY_PATTERN = /[�\u0000-\u001f\u007f-\u009f-｡-ﾟ豈-﫿㐀-䶿]/u;
+
+/**
+ * The bytes a text was read from if it was decoded as Latin-1 or
+ * Windows-1252, or null when it has characters neither can produce
+ */
+export function toLegacyBytes(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code <= 0xff) {
+      bytes.push(code);
+    } else if (CP1252_SPECIALS.has(char)) {
+      bytes.push(CP1252_SPECIALS.get(char));
+    } else {
+      return null;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Whether a text may be another encoding read as Latin-1: it only has
+ * Latin-1/Windows-1252 characters, and its non-ASCII ones come in runs or
+ * are symbols, rather than the odd accented letter or curly quote of
+ * Western text
+ */
+export function looksMisdecoded(text) {
+  if (!text || !/[^\x00-\x7f]/.test(text) || !toLegacyBytes(text)) {
+    return false;
+  }
+  return /[^\x00-\x7f]{2}|[\u0080-\u009f¡-¿×÷€‚ƒ„†‡ˆ‰Š‹ŒŽ˜šœžŸ›]/.test(text);
+}
+
+/**
+ * Decode the bytes behind a misdecoded text in each of the given encodings.
+ * Returns `{ encoding, text }` for the decodings without errors that differ
+ * from the original.
+ */
+export function decodeCandidates(text, encodings = Object.keys(LEGACY_ENCODINGS)) {
+  const bytes = toLegacyBytes(text);
+  if (!bytes) {
+    return [];
+  }
+
+  const candidates = [];
+  for (const encoding of encodings) {
+    let decoded;
+    try {
+      decoded = encoding === 'utf-8'
+        ? new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+        : iconv.decode(bytes, encoding);
+    } catch (err) {
+      continue;
+    }
+    if (decoded !== text && !UNLIKELY_PATTERN.test(decoded)) {
+      candidates.push({ encoding, text: decoded });
+    }
+  }
+  return candidates;
+}
+
+/**
+ * How well a decoding fits the scripts of its encoding, from 0 to 1: the
+ * share of its non-ASCII characters in those scripts. Runs of them glued to
+ * ASCII letters on both sides ("GrцЯe") don't count.
+ */
+export function scriptScore(text, encoding) {
+  const { scripts } = LEGACY_ENCODINGS[encoding];
+  const nonAscii = [...text].filter(char => char.codePointAt(0) > 0x7f);
+  if (nonAscii.length === 0) {
+    return 0;
+  }
+  if (!scripts) {
+    return nonAscii.every(char => /\p{L}|\p{M}|[‘-‟–—…]/u.test(char)) ? 1 : 0;
+  }
+
+  let matching = 0;
+  for (const run of text.matchAll(/(?<=([a-z]?))[^\x00-\x7f]+(?=([a-z]?))/gi)) {
+    if (run[1] && run[2]) {
+      continue;
+    }
+    matching += [...run[0]].filter(char => scripts.some(script => SCRIPT_PATTERNS[script].test(char))).length;
+  }
+  return matching / nonAscii.length;
+}
+
+/**
+ * Share of the non-ASCII characters of a decoding that are common ones in
+ * its encoding, from 0 to 1. Legacy CJK encodings put their frequent
+ * characters first, so decodings in the wrong one are full of rare ones.
+ */
+export function commonScore(text, encoding) {
+  const ranges = COMMON_LEAD_BYTES[encoding];
+  const nonAscii = [...text].filter(char => char.codePointAt(0) > 0x7f);
+  if (!ranges || nonAscii.length === 0) {
+    return 1;
+  }
+
+  const common = nonAscii.filter(char => {
+    const lead = iconv.encode(char, encoding)[0];
+    return ranges.some(([first, last]) => lead >= first && lead <= last);
+  });
+  return common.length / nonAscii.length;
+}
+
+/**
+ * Tag Encoding Repairer
+ * Finds the text behind tags and file names that were written in a legacy
+ * encoding (GBK, Big5, Shift-JIS, CP1251) or in UTF-8 but read as Latin-1,
+ * like "Äêªd" for "爛泥". Decodings with at least `minScript` of their text
+ * in the scripts of their encoding and `minCommon` of it common characters
+ * are ranked by those shares plus cld3's confidence that they are in one of
+ * the encoding's languages.
+ */
+export class TagEncodingRepairer {
+  constructor(options = {}) {
+    this.options = {
+      encodings: Object.keys(LEGACY_ENCODINGS),
+      minScript: 0.9,
+      minCommon: 0.5,
+      ...options
+    };
+
+    for (const encoding of this.options.encodings) {
+      if (!LEGACY_ENCODINGS[encoding]) {
+        throw new Error(`Unknown encoding "${encoding}" (valid encodings: ${Object.keys(LEGACY_ENCODINGS).join(', ')})`);
+      }
+    }
+
+    this.identifier = null;
+    this.usedExiftool = false;
+  }
+
+  /**
+   * The language cld3 finds in a text, loading it on first use
+   */
+  async detectLanguage(text) {
+    if (!this.identifier) {
+      this.identifier = loadModule().then(factory => factory.create(0, 512));
+    }
+    const result = (await this.identifier).findLanguage(text);
+    return result.is_reliable ? { language: result.language, probability: result.probability } : null;
+  }
+
+  /**
+   * Repair one text. Returns `{ text, encoding, language, score }` for the
+   * best decoding, or null when the text doesn't look misdecoded or no
+   * decoding is convincing.
+   */
+  async repair(text) {
+    if (!looksMisdecoded(text)) {
+      return null;
+    }
+
+    let best = null;
+    for (const candidate of decodeCandidates(text, this.options.encodings)) {
+      const { languages } = LEGACY_ENCODINGS[candidate.encoding];
+      const script = scriptScore(candidate.text, candidate.encoding);
+      const common = commonScore(candidate.text, candidate.encoding);
+      if (script < this.options.minScript || common < this.options.minCommon) {
+        continue;
+      }
+
+      // Valid multi-byte UTF-8 is hardly ever an accident, so it needs no language
+      const detected = await this.detectLanguage(candidate.text);
+      let language = null;
+      let score = script + common;
+      if (!languages) {
+        score += 1;
+        language = detected?.language || null;
+      } else if (detected && languages.includes(detected.language)) {
+        score += detected.probability;
+        language = detected.language;
+      }
+
+      if (!best || score > best.score) {
+        best = { text: candidate.text, encoding: candidate.encoding, language, score };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Repairs for the stored tags of a music row (music_metadata columns) and
+   * its file `name`: a list of `{ field, from, to, encoding, language }`
+   */
+  async repairTrack(track) {
+    const repairs = [];
+    for (const field of [...Object.keys(FILE_TAG_NAMES), 'name']) {
+      const repaired = track[field] ? await this.repair(track[field]) : null;
+      if (repaired) {
+        repairs.push({ field, from: track[field], to: repaired.text, encoding: repaired.encoding, language: repaired.language });
+      }
+    }
+    return repairs;
+  }
+
+  /**
+   * Write repaired tags (music_metadata columns to values) into a file with
+   * exiftool. Throws for formats exiftool can't write, such as MP3 and FLAC.
+   */
+  async writeTags(filePath, tags) {
+    const fileTags = Object.fromEntries(Object.entries(tags).map(([column, value]) => [FILE_TAG_NAMES[column], value]));
+    this.usedExiftool = true;
+    await exiftool.write(filePath, fileTags, ['-overwrite_original']);
+  }
+
+  /**
+   * Release cld3, and exiftool when tags were written
+   */
+  async close() {
+    if (this.identifier) {
+      (await this.identifier).dispose();
+      this.identifier = null;
+    }
+    if (this.usedExiftool) {
+      await exiftool.end();
+    }
+  }
+}
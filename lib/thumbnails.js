@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { FileScanner } from './scanner.js';
+import { openImage } from './images.js';
+
+export const DEFAULT_THUMBNAIL_SIZES = { small: 256, medium: 800, large: 1920 };
+
+// Photo extensions generate-thumbnails picks from scanned_files
+export const THUMBNAIL_SOURCE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'tif', 'webp', 'heic', 'heif'];
+
+/**
+ * Thumbnail Cache
+ * Creates downscaled, browser-friendly copies of photos with sharp and keeps
+ * them in a content-addressed cache directory: the file name is the source's
+ * content hash plus the size name, so a moved or renamed photo keeps its
+ * thumbnails and an edited photo gets new ones.
+ */
+export class ThumbnailCache {
+  constructor(db, options = {}) {
+    if (!options.directory) {
+      throw new Error('A thumbnail directory is required');
+    }
+
+    this.db = db;
+    this.options = {
+      sizes: DEFAULT_THUMBNAIL_SIZES,
+      quality: 80,
+      ...options,
+      directory: path.resolve(options.directory)
+    };
+    this.scanner = options.scanner || new FileScanner();
+
+    // Requests for a thumbnail that is still being created wait for the same work
+    this.pending = new Map();
+  }
+
+  /**
+   * Names of the configured sizes
+   */
+  get sizeNames() {
+    return Object.keys(this.options.sizes);
+  }
+
+  /**
+   * Cache path of one thumbnail. Thumbnails are JPEG, or WebP for sources
+   * that may be transparent.
+   */
+  getThumbnailPath(hash, size, transparent = false) {
+    const extension = transparent ? 'webp' : 'jpg';
+    return path.join(this.options.directory, hash.slice(0, 2), `${hash}-${size}.${extension}`);
+  }
+
+  /**
+   * Content hash used as the cache key of a file row. Rows that were never
+   * hashed get the same smart hash update-hashes-db would store.
+   */
+  async getContentHash(file) {
+    if (file.hash) {
+      return file.hash;
+    }
+
+    const { hash, quickHash } = await this.scanner.calculateHashes(file.path, 'smart');
+    await this.db.updateFileHashes([{ id: file.id, hash, quickHash }]);
+    file.hash = hash;
+    return hash;
+  }
+
+  /**
+   * Return the path of a cached thumbnail for a file row, creating every size
+   * of it first when it is not cached yet
+   */
+  async getThumbnail(file, size) {
+    if (!this.options.sizes[size]) {
+      throw new Error(`Unknown thumbnail size "${size}" (valid sizes: ${this.sizeNames.join(', ')})`);
+    }
+
+    const hash = await this.getContentHash(file);
+    const cached = await this.findCached(hash, size);
+    if (cached) {
+      return cached;
+    }
+
+    const created = await this.generate(file, hash);
+    return created[size];
+  }
+
+  /**
+   * Path of a cached thumbnail, or null when it doesn't exist
+   */
+  async findCached(hash, size) {
+    for (const transparent of [false, true]) {
+      const thumbnailPath = this.getThumbnailPath(hash, size, transparent);
+      try {
+        await fs.access(thumbnailPath);
+        return thumbnailPath;
+      } catch (err) {
+        // Not cached in this format
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create every configured size of a file's thumbnails from one decode of
+   * the source. Returns a map of size name to path.
+   */
+  async generate(file, hash = null) {
+    hash = hash || await this.getContentHash(file);
+
+    if (!this.pending.has(hash)) {
+      const work = this.render(file.path, hash).finally(() => this.pending.delete(hash));
+      this.pending.set(hash, work);
+    }
+
+    return await this.pending.get(hash);
+  }
+
+  /**
+   * Resize and encode the thumbnails, writing each through a temporary file so
+   * a half-written thumbnail is never served
+   */
+  async render(sourcePath, hash) {
+    // Upright by the EXIF orientation, which the thumbnails do not keep; HEIC
+    // photos come from their embedded preview
+    const image = await openImage(sourcePath);
+    const { hasAlpha } = await image.metadata();
+
+    const created = {};
+    for (const [size, maxEdge] of Object.entries(this.options.sizes)) {
+      const thumbnailPath = this.getThumbnailPath(hash, size, hasAlpha);
+      const tempPath = `${thumbnailPath}.${randomBytes(4).toString('hex')}.tmp`;
+      await fs.mkdir(path.dirname(thumbnailPath), { recursive: true });
+
+      const resized = image.clone().resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true });
+      const encoded = hasAlpha
+        ? resized.webp({ quality: this.options.quality })
+        : resized.jpeg({ quality: this.options.quality, mozjpeg: true });
+
+      try {
+        await encoded.toFile(tempPath);
+        await fs.rename(tempPath, thumbnailPath);
+      } catch (err) {
+        await fs.rm(tempPath, { force: true });
+        throw err;
+      }
+
+      created[size] = thumbnailPath;
+    }
+
+    return created;
+  }
+
+  /**
+   * Remove cached thumbnails whose content hash no longer belongs to a live
+   * file row, plus leftover temporary files. Returns what was (or would be) removed.
+   */
+  async cleanup(dryRun = false) {
+    const result = { removed: 0, bytes: 0, kept: 0 };
+
+    let shards;
+    try {
+      shards = await fs.readdir(this.options.directory, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return result;
+      }
+      throw err;
+    }
+
+    for (const shard of shards.filter(entry => entry.isDirectory())) {
+      const shardPath = path.join(this.options.directory, shard.name);
+      const names = await fs.readdir(shardPath);
+
+      const hashOf = name => name.replace(/-[^-]+\.(jpg|webp)$/, '');
+      const thumbnails = new Set(names.filter(name => /\.(jpg|webp)$/.test(name)));
+      const live = await this.db.getLiveHashes([...new Set([...thumbnails].map(hashOf))]);
+
+      for (const name of names) {
+        if (thumbnails.has(name) && live.has(hashOf(name))) {
+          result.kept++;
+          continue;
+        }
+
+        const filePath = path.join(shardPath, name);
+        const stat = await fs.stat(filePath);
+
+        // A recent temporary file may still be written by a running server
+        if (name.endsWith('.tmp') && Date.now() - stat.mtimeMs < 60 * 60 * 1000) {
+          continue;
+        }
+
+        result.removed++;
+        result.bytes += stat.size;
+        if (!dryRun) {
+          await fs.rm(filePath, { force: true });
+        }
+      }
+
+      if (!dryRun) {
+        await fs.rmdir(shardPath).catch(() => {});
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,314 @@
+import { spawn } from 'child_process';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { FileScanner } from './scanner.js';
+
+/**
+ * Quality variants offered for each kind of media. Bitrates are in kbit/s;
+ * video variants are scaled down to `height` lines but never scaled up.
+ */
+export const DEFAULT_TRANSCODE_PROFILES = {
+  audio: {
+    high: { bitrate: 256 },
+    medium: { bitrate: 128 },
+    low: { bitrate: 64 }
+  },
+  video: {
+    high: { height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    medium: { height: 720, videoBitrate: 2500, audioBitrate: 128 },
+    low: { height: 480, videoBitrate: 1000, audioBitrate: 96 }
+  }
+};
+
+// Extensions browsers play without help. Anything else needs transcoding.
+export const BROWSER_PLAYABLE_EXTENSIONS = {
+  audio: ['.mp3', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.wav', '.flac', '.webm'],
+  video: ['.mp4', '.m4v', '.webm']
+};
+
+// Transcodes are MP3 for audio and fragmented MP4 (H.264/AAC) for video, so
+// they can be played while they are still being written
+const OUTPUT_FORMATS = {
+  audio: { extension: 'mp3', contentType: 'audio/mpeg' },
+  video: { extension: 'mp4', contentType: 'video/mp4' }
+};
+
+/**
+ * Transcoder
+ * Converts audio and video files browsers can't play (WMA, MKV, AVI, WMV,
+ * FLV, ...) and lower-bitrate variants for remote playback with a locally
+ * installed ffmpeg. Output is streamed while ffmpeg runs and, like
+ * thumbnails, kept in a cache directory named by the source's content hash.
+ */
+export class Transcoder {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = {
+      enabled: false,
+      ffmpegPath: 'ffmpeg',
+      cache: true,
+      maxCacheSizeMB: 10240,
+      maxProcesses: 2,
+      ...options,
+      profiles: {
+        audio: { ...DEFAULT_TRANSCODE_PROFILES.audio, ...options.profiles?.audio },
+        video: { ...DEFAULT_TRANSCODE_PROFILES.video, ...options.profiles?.video }
+      }
+    };
+    if (this.options.cache && !this.options.directory) {
+      throw new Error('A transcode cache directory is required');
+    }
+    this.scanner = options.scanner || new FileScanner();
+
+    this.available = null;
+    this.active = 0;
+    // Cache files being written; a second request for one streams without caching
+    this.caching = new Set();
+  }
+
+  /**
+   * Whether transcoding is enabled and the ffmpeg binary runs. Checked once.
+   */
+  isAvailable() {
+    if (!this.options.enabled) {
+      return Promise.resolve(false);
+    }
+
+    if (!this.available) {
+      this.available = new Promise(resolve => {
+        const child = spawn(this.options.ffmpegPath, ['-version'], { stdio: 'ignore' });
+        child.once('error', () => resolve(false));
+        child.once('close', code => resolve(code === 0));
+      });
+    }
+    return this.available;
+  }
+
+  /**
+   * Names of the quality variants of a kind of media
+   */
+  getQualities(kind) {
+    return Object.keys(this.options.profiles[kind] || {});
+  }
+
+  /**
+   * Whether browsers can't play a file as it is
+   */
+  needsTranscoding(filePath, kind) {
+    return !BROWSER_PLAYABLE_EXTENSIONS[kind].includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Cache path of one transcoded variant
+   */
+  getCachePath(hash, kind, quality) {
+    return path.join(this.options.directory, hash.slice(0, 2), `${hash}-${kind}-${quality}.${OUTPUT_FORMATS[kind].extension}`);
+  }
+
+  /**
+   * Content hash used as the cache key of a file row. Rows that were never
+   * hashed get the same smart hash update-hashes-db would store.
+   */
+  async getContentHash(file) {
+    if (file.hash) {
+      return file.hash;
+    }
+
+    const { hash, quickHash } = await this.scanner.calculateHashes(file.path, 'smart');
+    await this.db.updateFileHashes([{ id: file.id, hash, quickHash }]);
+    file.hash = hash;
+    return hash;
+  }
+
+  /**
+   * ffmpeg arguments that write one variant of a file to stdout
+   */
+  buildArgs(sourcePath, kind, quality) {
+    const profile = this.options.profiles[kind][quality];
+    const input = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-i', sourcePath];
+
+    if (kind === 'audio') {
+      return [...input, '-map', '0:a:0', '-vn', '-c:a', 'libmp3lame', '-b:a', `${profile.bitrate}k`, '-f', 'mp3', 'pipe:1'];
+    }
+
+    return [
+      ...input,
+      '-map', '0:v:0', '-map', '0:a:0?',
+      '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+      '-b:v', `${profile.videoBitrate}k`, '-maxrate', `${profile.videoBitrate}k`, '-bufsize', `${profile.videoBitrate * 2}k`,
+      '-vf', `scale=-2:'min(${profile.height},ih)'`,
+      '-c:a', 'aac', '-b:a', `${profile.audioBitrate}k`, '-ac', '2',
+      '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+      '-f', 'mp4', 'pipe:1'
+    ];
+  }
+
+  /**
+   * Open a variant of a file row. Returns `{ path, contentType }` when it is
+   * cached, `{ stream, contentType, done, cancel }` while ffmpeg converts it,
+   * or null when maxProcesses transcodes are already running. `done` resolves
+   * with null on success or the error ffmpeg reported; call `cancel` when the
+   * client goes away.
+   */
+  async open(file, kind, quality) {
+    if (!this.options.profiles[kind]?.[quality]) {
+      throw new Error(`Unknown ${kind} quality "${quality}" (valid qualities: ${this.getQualities(kind).join(', ')})`);
+    }
+    const { contentType } = OUTPUT_FORMATS[kind];
+
+    let cachePath = null;
+    if (this.options.cache) {
+      cachePath = this.getCachePath(await this.getContentHash(file), kind, quality);
+      try {
+        // Recently used variants are the last to be pruned
+        const now = new Date();
+        await fs.utimes(cachePath, now, now);
+        return { path: cachePath, contentType };
+      } catch (err) {
+        // Not cached yet
+      }
+    }
+
+    if (this.active >= this.options.maxProcesses) {
+      return null;
+    }
+    if (cachePath && this.caching.has(cachePath)) {
+      cachePath = null;
+    }
+
+    return { ...(await this.transcode(file.path, kind, quality, cachePath)), contentType };
+  }
+
+  /**
+   * Run ffmpeg for one variant, copying its output into the cache through a
+   * temporary file so a half-written transcode is never served
+   */
+  async transcode(sourcePath, kind, quality, cachePath = null) {
+    // Counted before anything is awaited so maxProcesses holds
+    this.active++;
+
+    let tempPath = null;
+    if (cachePath) {
+      try {
+        await fs.mkdir(path.dirname(cachePath), { recursive: true });
+        tempPath = `${cachePath}.${randomBytes(4).toString('hex')}.tmp`;
+        this.caching.add(cachePath);
+      } catch (err) {
+        // Stream without caching
+      }
+    }
+
+    const child = spawn(this.options.ffmpegPath, this.buildArgs(sourcePath, kind, quality), {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+
+    let writer = null;
+    let written = Promise.resolve();
+    let cacheFailed = false;
+    if (tempPath) {
+      writer = createWriteStream(tempPath);
+      written = new Promise(resolve => writer.once('close', resolve));
+      // A cache that can't be written only costs the next request a transcode
+      writer.once('error', () => {
+        cacheFailed = true;
+      });
+      child.stdout.pipe(writer);
+    }
+
+    let cancelled = false;
+    const exited = new Promise(resolve => {
+      child.once('error', err => {
+        stderr = err.message;
+        resolve(null);
+      });
+      child.once('close', code => resolve(code));
+    });
+
+    const done = exited.then(async code => {
+      this.active--;
+      await written;
+
+      let error = null;
+      if (cancelled) {
+        error = 'Cancelled';
+      } else if (code !== 0) {
+        error = stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`;
+      }
+
+      if (tempPath) {
+        if (error || cacheFailed) {
+          await fs.rm(tempPath, { force: true });
+        } else {
+          await fs.rename(tempPath, cachePath);
+          await this.pruneCache().catch(() => {});
+        }
+        this.caching.delete(cachePath);
+      }
+      return error;
+    });
+
+    const cancel = () => {
+      if (child.exitCode === null && !child.killed) {
+        cancelled = true;
+        writer?.destroy();
+        child.kill();
+      }
+    };
+
+    return { stream: child.stdout, done, cancel };
+  }
+
+  /**
+   * Remove the least recently used transcodes until the cache fits in
+   * maxCacheSizeMB. Returns what was removed.
+   */
+  async pruneCache() {
+    const result = { removed: 0, bytes: 0 };
+    const files = [];
+
+    let shards;
+    try {
+      shards = await fs.readdir(this.options.directory, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return result;
+      }
+      throw err;
+    }
+
+    for (const shard of shards.filter(entry => entry.isDirectory())) {
+      const shardPath = path.join(this.options.directory, shard.name);
+      for (const name of await fs.readdir(shardPath)) {
+        if (name.endsWith('.tmp')) {
+          continue;
+        }
+        const filePath = path.join(shardPath, name);
+        const stat = await fs.stat(filePath);
+        files.push({ path: filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+      }
+    }
+
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    const limit = this.options.maxCacheSizeMB * 1024 * 1024;
+
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const file of files) {
+      if (total <= limit) {
+        break;
+      }
+      await fs.rm(file.path, { force: true });
+      total -= file.size;
+      result.removed++;
+      result.bytes += file.size;
+    }
+
+    return result;
+  }
+}
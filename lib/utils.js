@@ -3,7 +3,9 @@
  */
 
 import { readFileSync } from 'fs';
+import fs from 'fs/promises';
 import { join, dirname } from 'path';
+import { homedir } from 'os';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
@@ -44,7 +46,76 @@ export function loadConfig() {
       minSizeMB: fileConfig.largeFiles?.minSizeMB || 100,
       limit: fileConfig.largeFiles?.limit || 50
     },
+    resolveDuplicates: {
+      rules: fileConfig.resolveDuplicates?.rules || ['preferred-root', 'path-priority', 'oldest', 'shortest-path'],
+      preferredRoots: fileConfig.resolveDuplicates?.preferredRoots || [],
+      pathPriority: fileConfig.resolveDuplicates?.pathPriority || [],
+      action: fileConfig.resolveDuplicates?.action || 'delete'
+    },
+    similarPhotos: {
+      threshold: fileConfig.similarPhotos?.threshold ?? 10
+    },
+    duplicateTracks: {
+      durationTolerance: fileConfig.duplicateTracks?.durationTolerance ?? 2
+    },
+    organize: {
+      target: fileConfig.organize?.target ? expandHome(fileConfig.organize.target) : null,
+      templates: {
+        photo: '{year}/{month}/{name}',
+        music: '{albumArtist}/{album}/{track:02} {title}',
+        video: '{year}/{name}',
+        episode: '{show}/Season {season:02}/{name}',
+        ...fileConfig.organize?.templates
+      }
+    },
+    watch: {
+      debounceMs: fileConfig.watch?.debounceMs || 1000,
+      maxWaitMs: fileConfig.watch?.maxWaitMs || 10000,
+      reconcileMinutes: fileConfig.watch?.reconcileMinutes || 15
+    },
+    hashing: {
+      threads: fileConfig.hashing?.threads || 4,
+      volumeConcurrency: fileConfig.hashing?.volumeConcurrency || 2,
+      volumes: expandHomeKeys(fileConfig.hashing?.volumes || {}),
+      writeBatchSize: fileConfig.hashing?.writeBatchSize || 100
+    },
+    thumbnails: {
+      directory: expandHome(fileConfig.thumbnails?.directory || join(homedir(), '.silverfs', 'thumbnails')),
+      sizes: fileConfig.thumbnails?.sizes || { small: 256, medium: 800, large: 1920 },
+      quality: fileConfig.thumbnails?.quality || 80
+    },
+    covers: {
+      directory: expandHome(fileConfig.covers?.directory || join(homedir(), '.silverfs', 'covers')),
+      sizes: fileConfig.covers?.sizes || { small: 150, medium: 300, large: 600 },
+      quality: fileConfig.covers?.quality || 85
+    },
+    transcoding: {
+      enabled: fileConfig.transcoding?.enabled === true,
+      ffmpegPath: expandHome(fileConfig.transcoding?.ffmpegPath || 'ffmpeg'),
+      directory: expandHome(fileConfig.transcoding?.directory || join(homedir(), '.silverfs', 'transcodes')),
+      cache: fileConfig.transcoding?.cache !== false,
+      maxCacheSizeMB: fileConfig.transcoding?.maxCacheSizeMB || 10240,
+      maxProcesses: fileConfig.transcoding?.maxProcesses || 2,
+      profiles: fileConfig.transcoding?.profiles || {}
+    },
+    watchProgress: {
+      watchedPercent: fileConfig.watchProgress?.watchedPercent || 90
+    },
+    jobs: {
+      concurrency: fileConfig.jobs?.concurrency || 1,
+      reportDirectory: expandHome(fileConfig.jobs?.reportDirectory || join(homedir(), '.silverfs', 'reports'))
+    },
+    schedules: (fileConfig.schedules || []).map(schedule => ({
+      ...schedule,
+      root: typeof schedule.root === 'string' ? expandHome(schedule.root) : schedule.root
+    })),
+    quarantine: {
+      directory: expandHome(fileConfig.quarantine?.directory || join(homedir(), '.silverfs', 'quarantine')),
+      expiryDays: fileConfig.quarantine?.expiryDays || 30
+    },
     database: {
+      type: process.env.DB_TYPE || fileConfig.database?.type || 'mysql',
+      filename: expandHome(process.env.DB_FILE || fileConfig.database?.filename || join(homedir(), '.silverfs', 'silverfilesystem.db')),
       host: process.env.DB_HOST || fileConfig.database?.host || 'localhost',
       port: parseInt(process.env.DB_PORT || fileConfig.database?.port || '3306'),
       user: process.env.DB_USER || fileConfig.database?.user || 'root',
@@ -56,6 +127,23 @@ export function loadConfig() {
   return config;
 }
 
+/**
+ * Expand a leading ~ in a configured path to the user's home directory
+ */
+function expandHome(filePath) {
+  if (filePath === '~' || filePath.startsWith('~/')) {
+    return join(homedir(), filePath.slice(1));
+  }
+  return filePath;
+}
+
+/**
+ * Expand ~ in the keys of a path-keyed config object
+ */
+function expandHomeKeys(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [expandHome(key), value]));
+}
+
 /**
  * Format bytes to human-readable string
  */
@@ -71,6 +159,20 @@ export function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+/**
+ * Format a number of seconds as a short duration, e.g. "1h 5m" or "42s"
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+}
+
 /**
  * Format date to readable string
  */
@@ -106,3 +208,35 @@ export function getFileStats(files) {
     maxSize: files.length > 0 ? Math.max(...files.map(f => f.size)) : 0
   };
 }
+
+/**
+ * Move a file, falling back to copy + delete across devices
+ */
+export async function moveFile(source, destination) {
+  await fs.mkdir(dirname(destination), { recursive: true });
+
+  try {
+    await fs.access(destination);
+    throw new Error(`destination already exists: ${destination}`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  try {
+    await fs.rename(source, destination);
+  } catch (err) {
+    if (err.code !== 'EXDEV') {
+      throw err;
+    }
+    const stat = await fs.lstat(source);
+    if (stat.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(source), destination);
+    } else {
+      await fs.copyFile(source, destination);
+      await fs.utimes(destination, stat.atime, stat.mtime);
+    }
+    await fs.unlink(source);
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Watch Progress Manager
+ * Remembers where each user stopped watching a video, as reported by the
+ * movie player, and marks a video watched once playback passes
+ * `watchedPercent` of its length.
+ */
+export class WatchProgressManager {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.options = {
+      watchedPercent: 90,
+      ...options
+    };
+  }
+
+  /**
+   * Save a playback position in seconds. The duration reported by the player
+   * is used when given, otherwise the one from the video's metadata. Pass
+   * `watched` to mark a video watched or unwatched by hand; it starts over
+   * from the beginning once it is watched.
+   */
+  async record(userId, fileId, position, duration = null, watched = undefined) {
+    if (!duration) {
+      duration = await this.db.getVideoDuration(fileId);
+    }
+
+    if (watched === undefined) {
+      watched = Boolean(duration) && position >= duration * this.options.watchedPercent / 100;
+    }
+
+    await this.db.saveWatchProgress(userId, fileId, watched ? 0 : position, duration, watched);
+    return await this.get(userId, fileId);
+  }
+
+  /**
+   * A user's progress in one video, or null when they haven't started it
+   */
+  async get(userId, fileId) {
+    const row = await this.db.getWatchProgress(userId, fileId);
+    return row ? this.serialize(row) : null;
+  }
+
+  /**
+   * A user's progress in the given videos, by file id
+   */
+  async getForFiles(userId, fileIds) {
+    const rows = await this.db.getWatchProgressForFiles(userId, fileIds);
+    return new Map(rows.map(row => [row.file_id, this.serialize(row)]));
+  }
+
+  /**
+   * Videos a user started but hasn't finished, most recently watched first
+   */
+  async continueWatching(userId, limit = 20) {
+    const rows = await this.db.getWatchProgressVideos(userId, { watched: false, limit });
+    return rows.map(row => this.serializeVideo(row));
+  }
+
+  /**
+   * Every video a user has progress in, most recently watched first.
+   * Options: watched (true or false to filter), limit.
+   */
+  async list(userId, options = {}) {
+    const rows = await this.db.getWatchProgressVideos(userId, options);
+    return rows.map(row => this.serializeVideo(row));
+  }
+
+  /**
+   * Forget a user's progress in one video, or in all of them without a file id
+   */
+  async clear(userId, fileId = null) {
+    return await this.db.clearWatchProgress(userId, fileId);
+  }
+
+  serialize(row) {
+    return {
+      position: Number(row.position),
+      duration: row.duration === null ? null : Number(row.duration),
+      watched: Boolean(row.watched),
+      updatedAt: row.updated_at
+    };
+  }
+
+  serializeVideo(row) {
+    const { progress_position, progress_duration, progress_watched, progress_updated_at, ...video } = row;
+    return {
+      ...video,
+      progress: this.serialize({
+        position: progress_position,
+        duration: progress_duration,
+        watched: progress_watched,
+        updated_at: progress_updated_at
+      })
+    };
+  }
+}
@@ -0,0 +1,303 @@
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { FileScanner } from './scanner.js';
+import { IncrementalScanner } from './incremental.js';
+
+/**
+ * File Watcher
+ * Keeps scanned_files in sync with a directory tree by applying filesystem
+ * events as they happen, with a periodic reconciliation sweep for anything
+ * the OS did not report.
+ *
+ * Events: 'added', 'changed', 'removed', 'reconcile', 'media', 'error'
+ */
+export class FileWatcher extends EventEmitter {
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.options = {
+      debounceMs: options.debounceMs || 1000,
+      maxWaitMs: options.maxWaitMs || 10000,
+      reconcileIntervalMs: options.reconcileIntervalMs || 15 * 60 * 1000,
+      ...options
+    };
+    this.scanner = options.scanner || new FileScanner();
+    this.incremental = new IncrementalScanner(db, this.scanner);
+    this.mediaExtractor = options.mediaExtractor || null;
+
+    this.rootPath = null;
+    this.scanId = null;
+    this.watcher = null;
+    this.pending = new Set();
+    this.debounceTimer = null;
+    this.maxWaitTimer = null;
+    this.reconcileTimer = null;
+    this.mediaQueue = [];
+    this.mediaRunning = null;
+    this.changes = { added: 0, changed: 0, removed: 0 };
+    this.totals = { files: 0, size: 0 };
+    // Event batches and sweeps run one at a time so they never race on the same rows
+    this.tasks = Promise.resolve();
+  }
+
+  /**
+   * Start watching a directory. Runs a reconciliation sweep first so the
+   * database matches the disk before events are applied.
+   */
+  async start(dirPath) {
+    // Event paths are joined onto the root, so it has to match the stored absolute paths
+    this.rootPath = path.resolve(dirPath);
+    this.scanId = await this.db.createScanSession(this.rootPath, 'watch');
+
+    this.watcher = watch(this.rootPath, { recursive: true }, (eventType, filename) => {
+      if (!filename) {
+        // Some platforms drop the name on overflow; fall back to a full sweep
+        this.enqueue(() => this.reconcile());
+        return;
+      }
+      this.queuePath(path.join(this.rootPath, filename.toString()));
+    });
+    this.watcher.on('error', err => this.emit('error', err));
+
+    await this.enqueue(() => this.reconcile());
+
+    this.reconcileTimer = setInterval(() => {
+      this.enqueue(() => this.reconcile());
+    }, this.options.reconcileIntervalMs);
+  }
+
+  /**
+   * Stop watching and wait for queued work to finish
+   */
+  async stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    clearInterval(this.reconcileTimer);
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.maxWaitTimer);
+
+    if (this.pending.size > 0) {
+      await this.enqueue(() => this.flush());
+    }
+    await this.tasks;
+    this.mediaQueue = [];
+    await this.mediaRunning;
+
+    await this.db.completeScanSession(this.scanId, this.totals.files, this.totals.size, this.changes);
+  }
+
+  /**
+   * Run a task after all previously queued tasks
+   */
+  enqueue(task) {
+    this.tasks = this.tasks
+      .then(task)
+      .catch(err => this.emit('error', err));
+    return this.tasks;
+  }
+
+  /**
+   * Collect an event path; bursts of events are applied together after the debounce delay,
+   * or after maxWaitMs when events keep arriving
+   */
+  queuePath(filePath) {
+    if (this.scanner.shouldExclude(filePath)) {
+      return;
+    }
+
+    this.pending.add(filePath);
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.schedule(), this.options.debounceMs);
+    if (!this.maxWaitTimer) {
+      this.maxWaitTimer = setTimeout(() => this.schedule(), this.options.maxWaitMs);
+    }
+  }
+
+  /**
+   * Queue a flush of the pending paths and reset both timers
+   */
+  schedule() {
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.maxWaitTimer);
+    this.debounceTimer = null;
+    this.maxWaitTimer = null;
+    this.enqueue(() => this.flush());
+  }
+
+  /**
+   * Apply all pending paths to the database
+   */
+  async flush() {
+    const paths = Array.from(this.pending);
+    this.pending.clear();
+
+    for (const filePath of paths) {
+      try {
+        await this.applyPath(filePath);
+      } catch (err) {
+        this.emit('error', new Error(`Could not update ${filePath}: ${err.message}`));
+      }
+    }
+  }
+
+  /**
+   * Bring the rows for one path in line with the disk. A path that no longer
+   * exists may have been a file or a whole directory (delete or rename away).
+   */
+  async applyPath(filePath) {
+    let stat;
+    try {
+      stat = this.scanner.options.followSymlinks ? await fs.stat(filePath) : await fs.lstat(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        await this.removePath(filePath);
+        return;
+      }
+      throw err;
+    }
+
+    if (stat.isDirectory()) {
+      // A directory created or moved into the tree arrives as a single event
+      const files = await this.scanner.scanDirectory(filePath, () => {});
+      for (const file of files) {
+        await this.applyFile(file);
+      }
+    } else if (stat.isFile()) {
+      await this.applyFile({
+        path: filePath,
+        name: path.basename(filePath),
+        size: stat.size,
+        mtime: stat.mtime,
+        atime: stat.atime,
+        ctime: stat.ctime
+      });
+    }
+  }
+
+  /**
+   * Insert a new file or update a changed one (which clears its hashes and metadata)
+   */
+  async applyFile(file) {
+    const row = await this.db.getFileByPath(file.path);
+
+    if (!row) {
+      await this.db.storeFilesBatch([file], this.scanId);
+      this.changes.added++;
+      this.emit('added', file);
+    } else if (this.incremental.hasChanged(row, file)) {
+      await this.db.updateChangedFiles([{ id: row.id, file }], this.scanId);
+      this.changes.changed++;
+      this.emit('changed', file);
+    } else {
+      return;
+    }
+
+    this.queueMedia(file.path);
+  }
+
+  /**
+   * Mark a vanished file, or every file below a vanished directory, as deleted
+   */
+  async removePath(filePath) {
+    const ids = [];
+
+    const row = await this.db.getFileByPath(filePath);
+    if (row) {
+      ids.push(row.id);
+    }
+
+    const index = await this.db.getFileIndex(path.join(filePath, path.sep));
+    for (const entry of index.values()) {
+      ids.push(entry.id);
+    }
+
+    if (ids.length > 0) {
+      await this.db.markFilesDeleted(ids, this.scanId);
+      this.changes.removed += ids.length;
+      this.emit('removed', { path: filePath, count: ids.length });
+    }
+  }
+
+  /**
+   * Full comparison of the tree with the database to catch missed events.
+   * Files below directories the sweep could not read keep their rows.
+   */
+  async reconcile() {
+    const result = await this.incremental.scan(this.rootPath, this.scanId, event => {
+      if (event.type === 'warning') {
+        this.emit('error', new Error(event.message));
+      }
+    });
+    this.changes.added += result.added.length;
+    this.changes.changed += result.changed.length;
+    this.changes.removed += result.removed;
+    this.totals = {
+      files: result.files.length,
+      size: result.files.reduce((sum, file) => sum + file.size, 0)
+    };
+
+    for (const file of [...result.added, ...result.changed]) {
+      this.queueMedia(file.path);
+    }
+
+    this.emit('reconcile', {
+      added: result.added.length,
+      changed: result.changed.length,
+      removed: result.removed,
+      unchanged: result.unchanged
+    });
+  }
+
+  /**
+   * Queue a media file for metadata extraction
+   */
+  queueMedia(filePath) {
+    const extractor = this.mediaExtractor;
+    if (!extractor) {
+      return;
+    }
+    if (!extractor.isImage(filePath) && !extractor.isAudio(filePath) && !extractor.isVideo(filePath)) {
+      return;
+    }
+
+    this.mediaQueue.push(filePath);
+    if (!this.mediaRunning) {
+      this.mediaRunning = this.processMediaQueue().finally(() => {
+        this.mediaRunning = null;
+      });
+    }
+  }
+
+  /**
+   * Extract and store metadata for queued media files, one at a time
+   */
+  async processMediaQueue() {
+    while (this.mediaQueue.length > 0) {
+      const filePath = this.mediaQueue.shift();
+
+      try {
+        const result = await this.mediaExtractor.extractMetadata(filePath);
+        const row = result?.metadata ? await this.db.getFileByPath(filePath) : null;
+        if (!row) {
+          continue;
+        }
+
+        if (result.type === 'photo') {
+          await this.db.storePhotoMetadata(row.id, result.metadata);
+        } else if (result.type === 'music') {
+          await this.db.storeMusicMetadata(row.id, result.metadata);
+        } else if (result.type === 'video') {
+          await this.db.storeVideoMetadata(row.id, result.metadata);
+        }
+
+        this.emit('media', { path: filePath, type: result.type });
+      } catch (err) {
+        this.emit('error', new Error(`Could not extract metadata from ${filePath}: ${err.message}`));
+      }
+    }
+  }
+}
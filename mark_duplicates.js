@@ -1,9 +1,10 @@
-import { DatabaseManager } from './lib/database.js';
+import { createDatabaseManager } from './lib/storage.js';
+import { loadConfig } from './lib/utils.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
 async function markDuplicates() {
-  const db = new DatabaseManager();
+  const db = createDatabaseManager(loadConfig().database);
 
   try {
     console.log('Connecting to database...');
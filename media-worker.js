@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 import { parentPort, workerData } from 'worker_threads';
-import { DatabaseManager } from './lib/database.js';
+import { createDatabaseManager } from './lib/storage.js';
 import { MediaMetadataExtractor } from './lib/media.js';
 
 async function processFiles() {
@@ -20,7 +20,7 @@ async function processFiles() {
   
   try {
     // Initialize database connection
-    db = new DatabaseManager(dbConfig);
+    db = createDatabaseManager(dbConfig);
     await db.connect();
     
     // Initialize media extractor
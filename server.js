@@ -7,7 +7,17 @@ import session from 'express-session';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import morgan from 'morgan';
-import { DatabaseManager } from './lib/database.js';
+import { createDatabaseManager } from './lib/storage.js';
+import { ThumbnailCache } from './lib/thumbnails.js';
+import { CoverCache } from './lib/covers.js';
+import { Transcoder, BROWSER_PLAYABLE_EXTENSIONS } from './lib/transcoder.js';
+import { JobRunner, isFinished, databaseEnvironment } from './lib/jobs.js';
+import { Scheduler } from './lib/scheduler.js';
+import { PlaylistManager } from './lib/playlists.js';
+import { WatchProgressManager } from './lib/watch-progress.js';
+import { ShowManager } from './lib/shows.js';
+import { TagEditor, parseTagValues } from './lib/tag-editor.js';
+import { toWebVtt } from './lib/subtitles.js';
 import { AuthManager, authMiddleware, adminMiddleware, requirePhotoPermission, requireMusicPermission, requireVideoPermission } from './lib/auth.js';
 import { loadConfig } from './lib/utils.js';
 import { fileURLToPath } from 'url';
@@ -81,6 +91,17 @@ app.use(passport.session());
 // Database connection
 let db = null;
 let authManager = null;
+let jobs = null;
+let scheduler = null;
+let playlists = null;
+let watchProgress = null;
+let shows = null;
+let tagEditor = null;
+
+// Auth middleware is used by routes registered at module load, before
+// initDatabase() has created the AuthManager, so it resolves it per request
+const requireAuth = (req, res, next) => authMiddleware(authManager)(req, res, next);
+const requireAdmin = (req, res, next) => adminMiddleware(authManager)(req, res, next);
 
 // Google OAuth setup
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || ''; // Set in .env file
@@ -89,6 +110,8 @@ const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
 // Initialize database
 async function initDatabase(dbConfig = {}) {
   const finalConfig = {
+    type: dbConfig.type || config.database.type,
+    filename: dbConfig.filename || config.database.filename,
     host: dbConfig.host || config.database.host,
     port: parseInt(dbConfig.port || config.database.port),
     user: dbConfig.user || config.database.user,
@@ -96,19 +119,39 @@ async function initDatabase(dbConfig = {}) {
     database: dbConfig.database || config.database.database
   };
 
-  db = new DatabaseManager(finalConfig);
+  db = createDatabaseManager(finalConfig);
   await db.connect();
+  await db.initializeTables();
+  await db.updateSchema();
   console.log('✓ Connected to database');
 
+  // Background jobs run the CLI against the same database as the server
+  jobs = new JobRunner(db, { ...config.jobs, env: databaseEnvironment(finalConfig) });
+  jobs.on('error', err => console.error('Job runner error:', err.message));
+  const interrupted = await jobs.recover();
+  if (interrupted > 0) {
+    console.log(`ℹ️  Marked ${interrupted} interrupted job(s) as failed`);
+  }
+
+  playlists = new PlaylistManager(db);
+  watchProgress = new WatchProgressManager(db, config.watchProgress);
+  shows = new ShowManager(db, { watchProgress });
+  tagEditor = new TagEditor(db);
+
+  // Scheduled pipelines run their steps as background jobs
+  scheduler = new Scheduler(db, jobs, config.schedules);
+  scheduler.on('run', run => console.log(`🕒 Schedule ${run.name}: run #${run.id} ${run.status}${run.error ? ` (${run.error})` : ''}`));
+  scheduler.on('error', err => console.error('Scheduler error:', err.message));
+  const interruptedRuns = await scheduler.start();
+  if (interruptedRuns > 0) {
+    console.log(`ℹ️  Marked ${interruptedRuns} interrupted schedule run(s) as failed`);
+  }
+
   // Initialize authentication
   authManager = new AuthManager(db);
   await authManager.initializeUsersTable();
   await authManager.createDefaultUser();
 
-  // Create middleware instances with authManager
-  const requireAuth = authMiddleware(authManager);
-  const requireAdmin = adminMiddleware(authManager);
-
   // Configure Google OAuth Strategy
   const googleClientId = process.env.GOOGLE_CLIENT_ID;
   const googleClientSecret = process.env.GOOGLE_CLIENT_SECRET;
@@ -209,6 +252,112 @@ async function initDatabase(dbConfig = {}) {
     }
   });
 
+  // Serve cached thumbnails, creating them on first request
+  const thumbnails = new ThumbnailCache(db, config.thumbnails);
+
+  app.get('/thumbnails/:id/:size', requireAuth, requirePhotoPermission, mediaLimiter, async (req, res) => {
+    try {
+      if (!thumbnails.sizeNames.includes(req.params.size)) {
+        return res.status(400).json({ error: `Unknown size (valid sizes: ${thumbnails.sizeNames.join(', ')})` });
+      }
+
+      const file = await db.getFileById(parseInt(req.params.id));
+      if (!file) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+
+      if (!fs.existsSync(file.path)) {
+        return res.status(404).json({ error: 'File not found on disk' });
+      }
+
+      const thumbnailPath = await thumbnails.getThumbnail(file, req.params.size);
+
+      // The cache file name is the content hash, so it can be cached by the browser
+      res.sendFile(thumbnailPath, { maxAge: '7d' });
+
+    } catch (err) {
+      console.error('Error serving thumbnail:', err);
+      res.status(500).json({ error: 'Could not create thumbnail' });
+    }
+  });
+
+  // Serve album art in one of the cover sizes (?size=, medium by default)
+  const covers = new CoverCache(db, config.covers);
+
+  app.get('/api/music/cover/:albumId', requireAuth, requireMusicPermission, mediaLimiter, async (req, res) => {
+    try {
+      const size = req.query.size || 'medium';
+      if (!covers.sizeNames.includes(size)) {
+        return res.status(400).json({ error: `Unknown size (valid sizes: ${covers.sizeNames.join(', ')})` });
+      }
+
+      const coverPath = await covers.getAlbumCover(parseInt(req.params.albumId), size);
+      if (!coverPath) {
+        return res.status(404).json({ error: 'No cover art for this album' });
+      }
+
+      res.sendFile(coverPath, { maxAge: '1d' });
+
+    } catch (err) {
+      console.error('Error serving album cover:', err);
+      res.status(500).json({ error: 'Could not load album cover' });
+    }
+  });
+
+  // Transcode audio and video browsers can't play, when ffmpeg is configured
+  const transcoder = new Transcoder(db, config.transcoding);
+
+  // What the players need to choose between the original and a transcoded stream
+  app.get('/api/transcoding', requireAuth, async (req, res) => {
+    try {
+      res.json({
+        available: await transcoder.isAvailable(),
+        qualities: { audio: transcoder.getQualities('audio'), video: transcoder.getQualities('video') },
+        playableExtensions: BROWSER_PLAYABLE_EXTENSIONS
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Helper function to serve a transcoded variant of an audio or video file:
+  // from the cache when it was converted before, otherwise live from ffmpeg
+  async function sendTranscoded(req, res, fileId, kind, quality) {
+    if (!(await transcoder.isAvailable())) {
+      return res.status(503).json({ error: 'Transcoding is not available on this server' });
+    }
+    if (!transcoder.getQualities(kind).includes(quality)) {
+      return res.status(400).json({ error: `Unknown quality (valid qualities: original, ${transcoder.getQualities(kind).join(', ')})` });
+    }
+
+    const file = await db.getFileById(parseInt(fileId));
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const variant = await transcoder.open(file, kind, quality);
+    if (!variant) {
+      return res.status(503).json({ error: 'Too many transcodes in progress, please try again later' });
+    }
+    if (variant.path) {
+      return res.sendFile(variant.path, { headers: { 'Content-Type': variant.contentType } });
+    }
+
+    // A live transcode has no length yet, so it can't be requested in ranges
+    res.writeHead(200, { 'Content-Type': variant.contentType, 'Accept-Ranges': 'none', 'Cache-Control': 'no-store' });
+    variant.stream.pipe(res);
+    res.once('close', () => {
+      if (!res.writableFinished) {
+        variant.cancel();
+      }
+    });
+    variant.done.then(error => {
+      if (error && error !== 'Cancelled') {
+        console.error(`Transcoding ${file.path} failed: ${error}`);
+      }
+    });
+  }
+
   // Serve audio files
   app.get('/audio/:id', requireAuth, requireMusicPermission, mediaLimiter, async (req, res) => {
     try {
@@ -254,6 +403,11 @@ async function initDatabase(dbConfig = {}) {
         console.error('Failed to record play history:', err)
       );
 
+      // Any quality but the original is a transcoded variant
+      if (req.query.quality && req.query.quality !== 'original') {
+        return await sendTranscoded(req, res, fileId, 'audio', req.query.quality);
+      }
+
       // Get file stats
       const stat = fs.statSync(filePath);
       const fileSize = stat.size;
@@ -333,11 +487,20 @@ async function initDatabase(dbConfig = {}) {
       res.setHeader('Content-Type', contentType);
       res.setHeader('Accept-Ranges', 'bytes');
 
-      // Record play history (async, don't wait)
-      const ip = req.ip || req.connection.remoteAddress;
-      authManager.recordPlayHistory(req.user.id, fileId, ip).catch(err => 
-        console.error('Failed to record play history:', err)
-      );
+      // Record play history (async, don't wait). Players fetch a video in
+      // many range requests; only the one from the start counts as a play.
+      const rangeStart = /^bytes=(\d+)-/.exec(req.headers.range || '');
+      if (!rangeStart || Number(rangeStart[1]) === 0) {
+        const ip = req.ip || req.connection.remoteAddress;
+        authManager.recordPlayHistory(req.user.id, fileId, ip).catch(err => 
+          console.error('Failed to record play history:', err)
+        );
+      }
+
+      // Any quality but the original is a transcoded variant
+      if (req.query.quality && req.query.quality !== 'original') {
+        return await sendTranscoded(req, res, fileId, 'video', req.query.quality);
+      }
 
       // Get file stats
       const stat = fs.statSync(filePath);
@@ -378,6 +541,29 @@ async function initDatabase(dbConfig = {}) {
     }
   });
 
+  // Serve a sidecar subtitle file converted to WebVTT
+  app.get('/subtitles/:id', requireAuth, requireVideoPermission, mediaLimiter, async (req, res) => {
+    try {
+      const subtitle = await db.getSubtitle(req.params.id);
+      if (!subtitle) {
+        return res.status(404).json({ error: 'Subtitle not found' });
+      }
+
+      let contents;
+      try {
+        contents = await fs.promises.readFile(subtitle.path);
+      } catch (err) {
+        return res.status(404).json({ error: 'File not found on disk' });
+      }
+
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+      res.send(toWebVtt(contents, subtitle.format));
+    } catch (err) {
+      console.error('Error serving subtitle:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   // ==================== ADMIN ROUTES ====================
 
   // Get all users (admin only)
@@ -477,6 +663,23 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Helper function to format a total duration in seconds as "Xh Ym"
+function formatTotalDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${mins}m`;
+}
+
+// Helper function to build the pagination block of a library page response
+function paginationOf(result) {
+  return {
+    page: result.page,
+    limit: result.limit,
+    total: result.total,
+    pages: Math.ceil(result.total / result.limit)
+  };
+}
+
 // ==================== AUTHENTICATION ROUTES ====================
 
 // Login endpoint - rate limited to prevent brute force attacks
@@ -566,6 +769,7 @@ app.get('/api/health', (req, res) => {
 // Cached summary data
 let summaryCache = null;
 let summaryCacheTime = 0;
+let summaryCacheMarker = null;
 const SUMMARY_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 // Get cached summary statistics for dashboard header
@@ -573,8 +777,9 @@ app.get('/api/summary', requireAuth, async (req, res) => {
   try {
     const now = Date.now();
     
-    // Return cached data if still valid
-    if (summaryCache && (now - summaryCacheTime) < SUMMARY_CACHE_DURATION) {
+    // Return cached data if still valid and nothing changed since (e.g. through `silverfs watch`)
+    const marker = await db.getLibraryChangeMarker();
+    if (summaryCache && (now - summaryCacheTime) < SUMMARY_CACHE_DURATION && marker === summaryCacheMarker) {
       return res.json(summaryCache);
     }
     
@@ -607,7 +812,9 @@ app.get('/api/summary', requireAuth, async (req, res) => {
     // Calculate total duration in minutes
     const parseDuration = (durationStr) => {
       if (!durationStr) return 0;
-      const match = durationStr.match(/(\d+)h\s*(\d+)m/);
+      // Metadata columns store the duration in seconds
+      if (typeof durationStr === 'number') return Math.floor(durationStr / 60);
+      const match = String(durationStr).match(/(\d+)h\s*(\d+)m/);
       if (!match) return 0;
       return parseInt(match[1]) * 60 + parseInt(match[2]);
     };
@@ -660,6 +867,7 @@ app.get('/api/summary', requireAuth, async (req, res) => {
     // Cache the summary
     summaryCache = summary;
     summaryCacheTime = now;
+    summaryCacheMarker = marker;
     
     res.json(summary);
   } catch (err) {
@@ -780,163 +988,224 @@ app.get('/api/file-type-breakdown', async (req, res) => {
   }
 });
 
-// Get all photos with optional search and filters
+// Get one page of photos with optional search, filters and sorting
 app.get('/api/photos', requireAuth, requirePhotoPermission, async (req, res) => {
   try {
-    const { search, filter } = req.query;
+    const { search, filter, sort, order, page, limit } = req.query;
     
-    let photos = await db.getPhotosWithMetadata();
+    const result = await db.getPhotosPage({ search, filter, sort, order, page, limit });
     
-    // Filter out photos with future dates
-    const now = new Date();
-    photos = photos.filter(photo => {
-      if (!photo.date_taken) return true; // Keep photos without dates
-      const photoDate = new Date(photo.date_taken);
-      return photoDate <= now;
+    res.json({
+      photos: result.rows,
+      stats: {
+        totalPhotos: result.total,
+        totalSize: formatBytes(result.stats.totalSize),
+        uniqueCameras: result.stats.uniqueCameras,
+        withGPS: result.stats.withGPS
+      },
+      pagination: paginationOf(result)
     });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get one page of music tracks with optional search, filters and sorting
+app.get('/api/music', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const { search, filter, artist, album, yearFrom, yearTo, sort, order, page, limit } = req.query;
     
+    const result = await db.getMusicPage({ search, filter, artist, album, yearFrom, yearTo, sort, order, page, limit });
     
-    // Apply search
-    if (search) {
-      const searchLower = search.toLowerCase();
-      photos = photos.filter(photo => 
-        photo.name.toLowerCase().includes(searchLower) ||
-        (photo.camera_make && photo.camera_make.toLowerCase().includes(searchLower)) ||
-        (photo.camera_model && photo.camera_model.toLowerCase().includes(searchLower)) ||
-        (photo.path && photo.path.toLowerCase().includes(searchLower))
-      );
-    }
-    
-    // Apply filters
-    if (filter === 'gps') {
-      photos = photos.filter(photo => photo.latitude !== null);
-    } else if (filter === 'portrait') {
-      photos = photos.filter(photo => photo.height > photo.width);
-    } else if (filter === 'landscape') {
-      photos = photos.filter(photo => photo.width > photo.height);
-    } else if (filter && ['jpg', 'jpeg', 'png', 'heic', 'gif'].includes(filter.toLowerCase())) {
-      // Extension filter
-      const ext = filter.toLowerCase();
-      photos = photos.filter(photo => {
-        const photoExt = photo.name.split('.').pop().toLowerCase();
-        return photoExt === ext;
-      });
-    }
+    res.json({
+      tracks: result.rows,
+      stats: {
+        totalTracks: result.total,
+        totalAlbums: result.stats.totalAlbums,
+        totalArtists: result.stats.totalArtists,
+        totalDuration: formatTotalDuration(result.stats.totalDuration),
+        totalSize: formatBytes(result.stats.totalSize)
+      },
+      pagination: paginationOf(result)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get one page of movies with optional search, filters and sorting;
+// ?type=movie leaves out TV episodes and ?type=episode lists only them
+app.get('/api/movies', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const { search, filter, type, sort, order, page, limit } = req.query;
     
-    // Calculate stats
-    const totalSize = photos.reduce((sum, p) => sum + Number(p.size), 0);
-    const uniqueCameras = new Set(photos.map(p => p.camera_make).filter(Boolean)).size;
-    const withGPS = photos.filter(p => p.latitude !== null).length;
+    const result = await db.getVideosPage({ search, filter, type, sort, order, page, limit });
+    const progress = await watchProgress.getForFiles(req.user.id, result.rows.map(movie => movie.id));
     
     res.json({
-      photos,
+      movies: result.rows.map(movie => ({ ...movie, progress: progress.get(movie.id) || null })),
       stats: {
-        totalPhotos: photos.length,
-        totalSize: formatBytes(totalSize),
-        uniqueCameras,
-        withGPS
-      }
+        totalMovies: result.total,
+        totalDuration: formatTotalDuration(result.stats.totalDuration),
+        totalSize: formatBytes(result.stats.totalSize),
+        hdCount: result.stats.hdCount,
+        fourKCount: result.stats.fourKCount
+      },
+      pagination: paginationOf(result)
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all music tracks with optional search and filters
-app.get('/api/music', requireAuth, requireMusicPermission, async (req, res) => {
+// Get the subtitle tracks of a movie
+app.get('/api/movies/:id/subtitles', requireAuth, requireVideoPermission, async (req, res) => {
   try {
-    const { search, filter } = req.query;
-    
-    let tracks = await db.getMusicWithMetadata();
-    
-    // Apply search
-    if (search) {
-      const searchLower = search.toLowerCase();
-      tracks = tracks.filter(track => 
-        (track.title && track.title.toLowerCase().includes(searchLower)) ||
-        (track.name && track.name.toLowerCase().includes(searchLower)) ||
-        (track.artist && track.artist.toLowerCase().includes(searchLower)) ||
-        (track.album && track.album.toLowerCase().includes(searchLower)) ||
-        (track.genre && track.genre.toLowerCase().includes(searchLower))
-      );
+    const rows = await db.getVideoSubtitles(req.params.id);
+    
+    res.json({
+      subtitles: rows.map(row => ({
+        id: row.id,
+        language: row.language,
+        label: row.label,
+        format: row.format,
+        forced: Boolean(row.forced)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Movies the user started but hasn't finished, most recently watched first
+app.get('/api/movies/continue-watching', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json({ movies: await watchProgress.continueWatching(req.user.id, limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List the user's watch progress; ?watched=true or false to filter
+app.get('/api/movies/progress', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const options = { limit: Math.min(parseInt(req.query.limit) || 100, 500) };
+    if (req.query.watched === 'true' || req.query.watched === 'false') {
+      options.watched = req.query.watched === 'true';
     }
     
-    // Apply filters
-    if (filter === 'hq') {
-      tracks = tracks.filter(track => track.bitrate >= 320000);
+    res.json({ movies: await watchProgress.list(req.user.id, options) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Clear all of the user's watch progress
+app.delete('/api/movies/progress', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    res.json({ success: true, cleared: await watchProgress.clear(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the user's progress in a movie; null when not started
+app.get('/api/movies/:id/progress', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const fileId = parseInt(req.params.id);
+    if (isNaN(fileId) || fileId <= 0) {
+      return res.status(400).json({ error: 'Invalid movie id' });
     }
     
-    // Calculate stats
-    const totalSize = tracks.reduce((sum, t) => sum + Number(t.size), 0);
-    const totalDuration = tracks.reduce((sum, t) => sum + (Number(t.duration) || 0), 0);
-    const uniqueAlbums = new Set(tracks.map(t => t.album).filter(Boolean)).size;
-    const uniqueArtists = new Set(tracks.map(t => t.artist).filter(Boolean)).size;
+    res.json({ progress: await watchProgress.get(req.user.id, fileId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Save the playback position in seconds, or mark a movie (un)watched
+app.put('/api/movies/:id/progress', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const fileId = parseInt(req.params.id);
+    if (isNaN(fileId) || fileId <= 0) {
+      return res.status(400).json({ error: 'Invalid movie id' });
+    }
     
-    const hours = Math.floor(totalDuration / 3600);
-    const mins = Math.floor((totalDuration % 3600) / 60);
+    const { position = 0, duration = null, watched } = req.body || {};
+    if (typeof position !== 'number' || !isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'position must be a number of seconds' });
+    }
+    if (duration !== null && (typeof duration !== 'number' || !isFinite(duration) || duration <= 0)) {
+      return res.status(400).json({ error: 'duration must be a number of seconds' });
+    }
+    if (watched !== undefined && typeof watched !== 'boolean') {
+      return res.status(400).json({ error: 'watched must be true or false' });
+    }
     
-    res.json({
-      tracks,
-      stats: {
-        totalTracks: tracks.length,
-        totalAlbums: uniqueAlbums,
-        totalArtists: uniqueArtists,
-        totalDuration: `${hours}h ${mins}m`,
-        totalSize: formatBytes(totalSize)
-      }
-    });
+    if (!(await db.getFileById(fileId))) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    
+    res.json({ progress: await watchProgress.record(req.user.id, fileId, position, duration, watched) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get all movies with optional search and filters
-app.get('/api/movies', requireAuth, requireVideoPermission, async (req, res) => {
+// Forget the user's progress in a movie
+app.delete('/api/movies/:id/progress', requireAuth, requireVideoPermission, async (req, res) => {
   try {
-    const { search, filter } = req.query;
-    
-    let movies = await db.getVideosWithMetadata();
-    
-    // Apply search
-    if (search) {
-      const searchLower = search.toLowerCase();
-      movies = movies.filter(movie => 
-        (movie.title && movie.title.toLowerCase().includes(searchLower)) ||
-        (movie.name && movie.name.toLowerCase().includes(searchLower)) ||
-        (movie.genre && movie.genre.toLowerCase().includes(searchLower)) ||
-        (movie.video_codec && movie.video_codec.toLowerCase().includes(searchLower)) ||
-        (movie.description && movie.description.toLowerCase().includes(searchLower))
-      );
+    const fileId = parseInt(req.params.id);
+    if (isNaN(fileId) || fileId <= 0) {
+      return res.status(400).json({ error: 'Invalid movie id' });
     }
     
-    // Apply filters
-    if (filter === '4k') {
-      movies = movies.filter(movie => movie.width >= 3840);
-    } else if (filter === 'hd') {
-      movies = movies.filter(movie => movie.width >= 1280 && movie.width < 3840);
-    } else if (filter === 'long') {
-      movies = movies.filter(movie => movie.duration > 7200); // > 2 hours
-    }
+    res.json({ success: true, cleared: await watchProgress.clear(req.user.id, fileId) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get one page of TV shows with their episode counts
+app.get('/api/shows', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const { search, sort, order, page, limit } = req.query;
+    const result = await shows.list(req.user.id, { search, sort, order, page, limit });
     
-    // Calculate stats
-    const totalSize = movies.reduce((sum, m) => sum + Number(m.size), 0);
-    const totalDuration = movies.reduce((sum, m) => sum + (Number(m.duration) || 0), 0);
-    const hdCount = movies.filter(m => m.width >= 1280 && m.width < 3840).length;
-    const fourKCount = movies.filter(m => m.width >= 3840).length;
+    res.json({ shows: result.rows, pagination: paginationOf(result) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a show with its seasons, episodes and the episode to play next
+app.get('/api/shows/:id', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const showId = parseInt(req.params.id);
+    if (isNaN(showId) || showId <= 0) {
+      return res.status(400).json({ error: 'Invalid show id' });
+    }
     
-    const hours = Math.floor(totalDuration / 3600);
-    const mins = Math.floor((totalDuration % 3600) / 60);
+    const show = await shows.get(showId, req.user.id);
+    if (!show) {
+      return res.status(404).json({ error: 'Show not found' });
+    }
+    res.json({ show });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the episode after a video, for autoplay; null after the last episode
+app.get('/api/shows/episodes/:fileId/next', requireAuth, requireVideoPermission, async (req, res) => {
+  try {
+    const fileId = parseInt(req.params.fileId);
+    if (isNaN(fileId) || fileId <= 0) {
+      return res.status(400).json({ error: 'Invalid file id' });
+    }
     
-    res.json({
-      movies,
-      stats: {
-        totalMovies: movies.length,
-        totalDuration: `${hours}h ${mins}m`,
-        totalSize: formatBytes(totalSize),
-        hdCount,
-        fourKCount
-      }
-    });
+    res.json({ episode: await shows.getNextEpisode(fileId, req.user.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -945,32 +1214,10 @@ app.get('/api/movies', requireAuth, requireVideoPermission, async (req, res) =>
 // Get artists
 app.get('/api/music/artists', requireAuth, async (req, res) => {
   try {
-    const tracks = await db.getMusicWithMetadata();
-    const artistMap = {};
-    
-    tracks.forEach(track => {
-      if (track.artist) {
-        if (!artistMap[track.artist]) {
-          artistMap[track.artist] = {
-            name: track.artist,
-            trackCount: 0,
-            albums: new Set()
-          };
-        }
-        artistMap[track.artist].trackCount++;
-        if (track.album) {
-          artistMap[track.artist].albums.add(track.album);
-        }
-      }
-    });
-    
-    const artists = Object.values(artistMap).map(artist => ({
-      name: artist.name,
-      trackCount: artist.trackCount,
-      albumCount: artist.albums.size
-    }));
+    const { search, page, limit } = req.query;
+    const result = await db.getMusicArtistsPage({ search, page, limit });
     
-    res.json({ artists });
+    res.json({ artists: result.rows, pagination: paginationOf(result) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -979,34 +1226,10 @@ app.get('/api/music/artists', requireAuth, async (req, res) => {
 // Get albums
 app.get('/api/music/albums', requireAuth, async (req, res) => {
   try {
-    const tracks = await db.getMusicWithMetadata();
-    const albumMap = {};
-    
-    tracks.forEach(track => {
-      if (track.album) {
-        if (!albumMap[track.album]) {
-          albumMap[track.album] = {
-            name: track.album,
-            artist: track.album_artist || track.artist,
-            year: track.year,
-            tracks: [],
-            totalDuration: 0
-          };
-        }
-        albumMap[track.album].tracks.push(track);
-        albumMap[track.album].totalDuration += Number(track.duration) || 0;
-      }
-    });
+    const { search, page, limit } = req.query;
+    const result = await db.getMusicAlbumsPage({ search, page, limit });
     
-    const albums = Object.values(albumMap).map(album => ({
-      name: album.name,
-      artist: album.artist,
-      year: album.year,
-      trackCount: album.tracks.length,
-      duration: album.totalDuration
-    }));
-    
-    res.json({ albums });
+    res.json({ albums: result.rows, pagination: paginationOf(result) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1022,10 +1245,10 @@ app.get('/api/music/artist/:name', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid artist name' });
     }
     
-    const tracks = await db.getMusicWithMetadata();
-    const artistTracks = tracks.filter(t => t.artist === artistName);
+    const { sort, order, page, limit } = req.query;
+    const result = await db.getMusicPage({ artist: artistName, sort, order, page, limit });
     
-    res.json({ tracks: artistTracks });
+    res.json({ tracks: result.rows, pagination: paginationOf(result) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1041,10 +1264,10 @@ app.get('/api/music/album/:name', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid album name' });
     }
     
-    const tracks = await db.getMusicWithMetadata();
-    const albumTracks = tracks.filter(t => t.album === albumName);
+    const { sort, order, page, limit } = req.query;
+    const result = await db.getMusicPage({ album: albumName, sort, order, page, limit });
     
-    res.json({ tracks: albumTracks });
+    res.json({ tracks: result.rows, pagination: paginationOf(result) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1466,122 +1689,375 @@ app.get('/cli-tools', (req, res) => {
   res.send(html);
 });
 
-// CLI execution endpoint (for demonstration - shows command info)
-app.post('/api/cli/execute', strictLimiter, async (req, res) => {
+// ==================== PLAYLISTS ====================
+
+// Helper function to load a playlist the user can see. Shared users can
+// play a playlist; only its owner can change it.
+async function loadPlaylist(req, res, ownerOnly = false) {
+  const id = parseInt(req.params.id);
+  const playlist = isNaN(id) ? null : await playlists.get(id, req.user.id);
+  
+  if (!playlist) {
+    res.status(404).json({ error: 'Playlist not found' });
+    return null;
+  }
+  if (ownerOnly && !playlist.isOwner) {
+    res.status(403).json({ error: 'Only the owner can change this playlist' });
+    return null;
+  }
+  return playlist;
+}
+
+// Helper function to check a list of positive integer ids from a request body
+function parseIdList(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return null;
+  }
+  const ids = value.map(id => parseInt(id));
+  return ids.every(id => !isNaN(id) && id > 0) ? ids : null;
+}
+
+// List the user's own and shared playlists
+app.get('/api/playlists', requireAuth, requireMusicPermission, async (req, res) => {
   try {
-    const { command, args } = req.body;
+    res.json({ playlists: await playlists.list(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a playlist
+app.post('/api/playlists', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 255) {
+      return res.status(400).json({ error: 'A name of at most 255 characters is required' });
+    }
     
-    // For security, we'll return a formatted response showing what would be executed
-    // In a production environment, you would want to carefully validate and sanitize inputs
-    // or run commands in a sandboxed environment
+    const playlist = await playlists.create(req.user.id, name, req.body.description || null);
+    res.status(201).json({ playlist });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a playlist with its tracks
+app.get('/api/playlists/:id', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res);
+    if (!playlist) return;
     
-    let output = '';
-    output += `Command: silverfs ${command}\n`;
-    output += `\nArguments:\n`;
+    const tracks = await playlists.getTracks(playlist.id);
+    const shares = playlist.isOwner ? await playlists.getShares(playlist.id) : [];
+    res.json({ playlist, tracks, sharedWith: shares.map(user => user.username) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename a playlist or change its description
+app.patch('/api/playlists/:id', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res, true);
+    if (!playlist) return;
     
-    for (const [key, value] of Object.entries(args)) {
-      if (value) {
-        output += `  ${key}: ${value}\n`;
-      }
+    const { name, description } = req.body || {};
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 255)) {
+      return res.status(400).json({ error: 'A name of at most 255 characters is required' });
     }
     
-    output += `\n${'='.repeat(60)}\n\n`;
-    output += `⚠️  CLI Execution Information\n\n`;
-    output += `This is a demonstration interface showing the CLI command structure.\n`;
-    output += `To execute commands:\n\n`;
-    
-    switch(command) {
-      case 'scan':
-        output += `1. Open your terminal\n`;
-        output += `2. Navigate to the SilverFileSystem directory\n`;
-        output += `3. Run: node bin/cli.js scan "${args.path}" ${args.options}\n\n`;
-        output += `Example output:\n`;
-        output += `  ✓ Scanning directory...\n`;
-        output += `  ✓ Found 1,234 files\n`;
-        output += `  ✓ Total size: 5.2 GB\n`;
-        if (args.options.includes('--db')) {
-          output += `  ✓ Stored in database\n`;
-        }
-        if (args.options.includes('--extract-media')) {
-          output += `  ✓ Extracted media metadata\n`;
-        }
-        break;
-        
-      case 'duplicates':
-        output += `Run: node bin/cli.js duplicates "${args.path}"`;
-        if (args.minSize && args.minSize !== '0') {
-          output += ` -m ${args.minSize}`;
-        }
-        output += ` ${args.options}\n\n`;
-        output += `Example output:\n`;
-        output += `  ✓ Found 42 duplicate groups\n`;
-        output += `  ✓ Total wasted space: 856 MB\n`;
-        break;
-        
-      case 'find-duplicates-db':
-        output += `Run: node bin/cli.js find-duplicates-db`;
-        if (args.minSize && args.minSize !== '0') {
-          output += ` -m ${args.minSize}`;
-        }
-        if (args.report) {
-          output += ` --report ${args.report}`;
-        }
-        output += `\n\nExample output:\n`;
-        output += `  ✓ Querying database...\n`;
-        output += `  ✓ Found 42 duplicate groups from database\n`;
-        if (args.report) {
-          output += `  ✓ Generated report: ${args.report}\n`;
-        }
-        break;
-        
-      case 'generate-report':
-        output += `Run: node bin/cli.js generate-report "${args.output}"`;
-        if (args.minSize && args.minSize !== '0') {
-          output += ` -m ${args.minSize}`;
-        }
-        output += `\n\nExample output:\n`;
-        output += `  ✓ Generating HTML report...\n`;
-        output += `  ✓ Report saved: ${args.output}\n`;
-        output += `  ✓ Open in browser to view interactive report\n`;
-        break;
-        
-      case 'empty-files':
-        output += `Run: node bin/cli.js empty-files "${args.path}"\n\n`;
-        output += `Example output:\n`;
-        output += `  ✓ Found 15 empty files\n`;
-        output += `  ✓ Listed all empty files with paths\n`;
-        break;
-        
-      case 'large-files':
-        output += `Run: node bin/cli.js large-files "${args.path}" -m ${args.minSize} -l ${args.limit}\n\n`;
-        output += `Example output:\n`;
-        output += `  ✓ Top ${args.limit} files larger than ${args.minSize} MB\n`;
-        output += `  1. video.mp4 - 2.5 GB\n`;
-        output += `  2. backup.zip - 1.8 GB\n`;
-        output += `  3. database.sql - 950 MB\n`;
-        break;
+    await playlists.update(playlist.id, { name: name?.trim(), description });
+    res.json({ playlist: await playlists.get(playlist.id, req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a playlist
+app.delete('/api/playlists/:id', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res, true);
+    if (!playlist) return;
+    
+    await playlists.remove(playlist.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add tracks to the end of a playlist
+app.post('/api/playlists/:id/tracks', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res, true);
+    if (!playlist) return;
+    
+    const fileIds = parseIdList(req.body?.fileIds);
+    if (!fileIds) {
+      return res.status(400).json({ error: 'fileIds must be a non-empty list of file ids' });
     }
     
-    output += `\n${'='.repeat(60)}\n`;
-    output += `\n💡 Tip: Use the actual CLI for real-time execution and progress updates.\n`;
-    output += `📖 See README.md for complete documentation.\n`;
+    const result = await playlists.addTracks(playlist.id, fileIds);
+    if (result.notFound.length > 0) {
+      return res.status(400).json({ error: `Files not found: ${result.notFound.join(', ')}` });
+    }
+    res.json({ added: result.added, tracks: await playlists.getTracks(playlist.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Put a playlist's entries in a new order
+app.put('/api/playlists/:id/tracks', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res, true);
+    if (!playlist) return;
     
-    res.json({
-      success: true,
-      command: command,
-      args: args,
-      output: output
-    });
+    const entryIds = parseIdList(req.body?.entryIds);
+    if (!entryIds || !(await playlists.reorder(playlist.id, entryIds))) {
+      return res.status(400).json({ error: 'entryIds must list every entry of the playlist once' });
+    }
+    res.json({ tracks: await playlists.getTracks(playlist.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Remove one entry from a playlist
+app.delete('/api/playlists/:id/tracks/:entryId', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res, true);
+    if (!playlist) return;
+    
+    if (!(await playlists.removeTrack(playlist.id, parseInt(req.params.entryId)))) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    res.json({ tracks: await playlists.getTracks(playlist.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace the users a playlist is shared with
+app.put('/api/playlists/:id/shares', requireAuth, requireMusicPermission, async (req, res) => {
+  try {
+    const playlist = await loadPlaylist(req, res, true);
+    if (!playlist) return;
+    
+    const usernames = req.body?.usernames;
+    if (!Array.isArray(usernames) || !usernames.every(name => typeof name === 'string')) {
+      return res.status(400).json({ error: 'usernames must be a list of usernames' });
+    }
+    
+    const unknown = await playlists.share(playlist.id, usernames.map(name => name.trim()).filter(Boolean));
+    const shares = await playlists.getShares(playlist.id);
+    res.json({ sharedWith: shares.map(user => user.username), unknown });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== MUSIC TAG EDITING ====================
+
+// Edit the tags of one track (admin only); the body is { tags: { field: value } }
+app.patch('/api/music/tracks/:id/tags', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const fileId = parseInt(req.params.id);
+    if (isNaN(fileId) || fileId <= 0) {
+      return res.status(400).json({ error: 'Invalid file id' });
+    }
+    
+    let values;
+    try {
+      values = parseTagValues(req.body?.tags);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
     
+    const result = await tagEditor.editTrack(fileId, values, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit the tags every track of an album shares (admin only)
+app.patch('/api/music/albums/:id/tags', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const albumId = parseInt(req.params.id);
+    if (isNaN(albumId) || albumId <= 0) {
+      return res.status(400).json({ error: 'Invalid album id' });
+    }
+    
+    let values;
+    try {
+      values = parseTagValues(req.body?.tags, { album: true });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    const result = await tagEditor.editAlbum(albumId, values, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List the latest tag edits (admin only)
+app.get('/api/music/tag-edits', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    res.json({ edits: await db.getMusicTagEdits(limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a tag edit with the values it changed (admin only)
+app.get('/api/music/tag-edits/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const edit = await db.getMusicTagEdit(parseInt(req.params.id));
+    if (!edit) {
+      return res.status(404).json({ error: 'Edit not found' });
+    }
+    res.json({ edit });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Undo a tag edit (admin only); refused once a later edit changed the same tags
+app.post('/api/music/tag-edits/:id/undo', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const edit = await db.getMusicTagEdit(parseInt(req.params.id));
+    if (!edit) {
+      return res.status(404).json({ error: 'Edit not found' });
+    }
+    
+    const problem = await tagEditor.checkUndo(edit);
+    if (problem) {
+      return res.status(409).json({ error: problem });
+    }
+    res.json(await tagEditor.undo(edit, { userId: req.user.id }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== BACKGROUND JOBS ====================
+
+// Start a CLI operation as a background job (admin only)
+app.post('/api/cli/execute', strictLimiter, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { command, args = {} } = req.body || {};
+    
+    // Unknown commands and bad arguments are rejected before anything is stored
+    try {
+      await jobs.validate(command, args);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    const job = await jobs.start(command, args, req.user.id);
+    res.status(202).json({ success: true, job });
   } catch (err) {
     console.error('CLI API error:', err);
     res.status(500).json({ 
-      error: 'Failed to process command',
+      error: 'Failed to start command',
       message: err.message 
     });
   }
 });
 
+// List recent jobs
+app.get('/api/jobs', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json({ jobs: await jobs.listJobs(req.query.limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get one job with its log
+app.get('/api/jobs/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const found = await jobs.getJob(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(found);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const job = await jobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Job is not queued or running' });
+    }
+    res.json({ job });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stream a job's log and status changes as Server-Sent Events. The log so
+// far is replayed first; the stream ends with an 'end' event once the job
+// has finished.
+app.get('/api/jobs/:id/events', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const found = await jobs.getJob(req.params.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('status', found.job);
+    found.log.forEach(line => send('log', { line }));
+    if (isFinished(found.job.status)) {
+      send('end', found.job);
+      return res.end();
+    }
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    const unwatch = jobs.watch(found.job.id, event => {
+      if (event.type === 'log') {
+        send('log', { line: event.line });
+        return;
+      }
+      send('status', event.job);
+      if (isFinished(event.job.status)) {
+        send('end', event.job);
+        res.end();
+      }
+    });
+
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      unwatch();
+    });
+  } catch (err) {
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+
 // ==================== START SERVER ====================
 
 const PORT = process.env.PORT || 4000;
@@ -1615,13 +2091,26 @@ async function startServer() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n\n🛑 Shutting down server...');
-  if (db) {
-    await db.close();
-  }
-  process.exit(0);
-});
+// Only start when run directly; tests import the app and database setup
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\n\n🛑 Shutting down server...');
+    const runs = scheduler ? scheduler.stop() : null;
+    if (jobs) {
+      await jobs.stop();
+    }
+    await runs;
+    if (tagEditor) {
+      await tagEditor.close();
+    }
+    if (db) {
+      await db.close();
+    }
+    process.exit(0);
+  });
+
+  startServer();
+}
 
-startServer();
+export { app, initDatabase, startServer, jobs, scheduler };
@@ -0,0 +1,194 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { crc32, deflateRawSync, gzipSync } from 'zlib';
+import { ArchiveIndexer, archiveFormat, listArchiveEntries } from '../lib/archives.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+const sha256 = content => createHash('sha256').update(content).digest('hex');
+
+// A ustar archive; names longer than 100 bytes get a pax header
+function tarArchive(files) {
+  const header = (name, size, type) => {
+    const block = Buffer.alloc(512);
+    block.write(name.slice(0, 100), 0);
+    block.write('0000644\0', 100);
+    block.write(size.toString(8).padStart(11, '0') + '\0', 124);
+    block.write('14707041000\0', 136);
+    block.write(type, 156);
+    block.write('ustar\u000000', 257);
+    block.fill(0x20, 148, 156);
+    const checksum = block.reduce((sum, byte) => sum + byte, 0);
+    block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return block;
+  };
+  const padded = content => Buffer.concat([content, Buffer.alloc((512 - (content.length % 512)) % 512)]);
+
+  const blocks = [];
+  for (const [name, value] of Object.entries(files)) {
+    const content = Buffer.from(value);
+    if (name.length > 100) {
+      const record = ` path=${name}\n`;
+      const pax = Buffer.from(`${record.length + String(record.length + 3).length}${record}`);
+      blocks.push(header('PaxHeader', pax.length, 'x'), padded(pax));
+    }
+    blocks.push(header(name, content.length, '0'), padded(content));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+// A zip archive with deflated entries, or stored ones for `store`
+function zipArchive(files, store = false) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, value] of Object.entries(files)) {
+    const content = Buffer.from(value);
+    const data = store ? content : deflateRawSync(content);
+    const fields = Buffer.alloc(26);
+    fields.writeUInt16LE(20, 0);
+    fields.writeUInt16LE(0x800, 2);
+    fields.writeUInt16LE(store ? 0 : 8, 4);
+    fields.writeUInt16LE(0x5821, 8);
+    fields.writeUInt32LE(crc32(content), 10);
+    fields.writeUInt32LE(data.length, 14);
+    fields.writeUInt32LE(content.length, 18);
+    fields.writeUInt16LE(Buffer.byteLength(name), 22);
+
+    const local = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), fields, Buffer.from(name), data]);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    fields.copy(entry, 6);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, Buffer.from(name));
+    locals.push(local);
+    offset += local.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const longName = `photos/${'very long folder name/'.repeat(6)}beach.jpg`;
+const contents = { 'notes.txt': 'hello archive', [longName]: 'beach photo', 'empty.txt': '' };
+
+describe('listArchiveEntries', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'backup.tar': tarArchive(contents),
+      'backup.tar.gz': gzipSync(tarArchive(contents)),
+      'backup.zip': zipArchive(contents),
+      'stored.zip': zipArchive({ 'ünïcode.txt': 'stored' }, true),
+      'fake.zip': 'not really a zip',
+      'fake.tgz': 'not gzipped'
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  it('recognizes archives by name', () => {
+    assert.deepEqual(['a.ZIP', 'a.tar', 'a.tar.gz', 'a.tgz', 'a.gz', 'a.txt'].map(archiveFormat), ['zip', 'tar', 'tar.gz', 'tar.gz', null, null]);
+  });
+
+  it('lists and hashes the files of tar, tar.gz and zip archives', async () => {
+    for (const name of ['backup.tar', 'backup.tar.gz', 'backup.zip']) {
+      const entries = await listArchiveEntries(path.join(root, name));
+      assert.deepEqual(
+        entries.map(entry => [entry.path, entry.size, entry.hash]),
+        Object.entries(contents).map(([entryPath, content]) => [entryPath, content.length, sha256(content)]),
+        name
+      );
+    }
+
+    const [zipped] = await listArchiveEntries(path.join(root, 'backup.zip'));
+    assert.equal(zipped.crc32, crc32('hello archive').toString(16).padStart(8, '0'));
+    const [stored] = await listArchiveEntries(path.join(root, 'stored.zip'));
+    assert.deepEqual([stored.path, stored.hash], ['ünïcode.txt', sha256('stored')]);
+  });
+
+  it('rejects files that are not archives', async () => {
+    await assert.rejects(listArchiveEntries(path.join(root, 'fake.zip')), /not a zip archive/);
+    await assert.rejects(listArchiveEntries(path.join(root, 'fake.tgz')), /incorrect header check/);
+    await assert.rejects(listArchiveEntries(path.join(root, 'fake.zip'), 'tar'), /not a tar archive/);
+  });
+});
+
+describe('ArchiveIndexer', () => {
+  let db;
+  let root;
+  let indexer;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'archives/full.zip': zipArchive({ 'docs/notes.txt': 'hello archive', 'docs/empty.txt': '' }),
+      'archives/partial.tar': tarArchive({ 'notes.txt': 'hello archive', 'only-here.txt': 'nowhere else' }),
+      'archives/broken.zip': 'not really a zip',
+      'loose/notes.txt': 'hello archive',
+      'loose/same-size.txt': 'hello ARCHIVE'
+    });
+    indexer = new ArchiveIndexer(db);
+
+    for (const [relativePath, hash] of [
+      ['archives/full.zip', 'zip-hash'],
+      ['archives/partial.tar', 'tar-hash'],
+      ['archives/broken.zip', 'broken-hash'],
+      // A sampled hash, so the content has to be compared in full
+      ['loose/notes.txt', 'sampled-hash'],
+      ['loose/same-size.txt', 'other-hash']
+    ]) {
+      const filePath = path.join(root, relativePath);
+      await db.connection.execute(
+        'INSERT INTO scanned_files (path, name, size, extension, hash, mtime) VALUES (?, ?, ?, ?, ?, ?)',
+        [filePath, path.basename(filePath), (await fs.stat(filePath)).size, path.extname(filePath).slice(1), hash, '2026-10-01 12:00:00']
+      );
+    }
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  it('indexes archives once and records the ones it cannot read', async () => {
+    const results = await indexer.indexArchives(await db.getArchiveFiles());
+    assert.equal(results.indexed, 2);
+    assert.equal(results.entries, 4);
+    assert.deepEqual(results.failed.map(failure => path.basename(failure.path)), ['broken.zip']);
+
+    const files = await db.getArchiveFiles(path.join(root, 'archives', path.sep));
+    assert.deepEqual(files.map(file => file.indexed), [true, true, true]);
+    assert.equal((await indexer.indexArchives(files)).skipped, 3);
+    assert.equal((await indexer.indexArchives(files, { force: true })).indexed, 2);
+  });
+
+  it('finds archive entries with loose copies of the same content', async () => {
+    const duplicates = await indexer.findEntryDuplicates();
+
+    assert.deepEqual(
+      duplicates.map(entry => [path.basename(entry.archivePath), entry.entryPath, entry.copies.map(copy => path.relative(root, copy.path))]),
+      [['full.zip', 'docs/notes.txt', ['loose/notes.txt']], ['partial.tar', 'notes.txt', ['loose/notes.txt']]]
+    );
+  });
+
+  it('flags archives whose files all exist elsewhere', async () => {
+    const archives = await indexer.findRedundantArchives();
+
+    assert.deepEqual(archives.map(archive => path.basename(archive.path)), ['full.zip']);
+    assert.equal(archives[0].format, 'zip');
+    assert.equal(archives[0].entryCount, 2);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { BrokenFilesFinder } from '../lib/broken.js';
+import { createFixtureTree, removeFixture } from './helpers/fixtures.js';
+
+describe('BrokenFilesFinder', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'target.txt': 'here',
+      'good-link': { symlink: 'target.txt' },
+      'dangling': { symlink: 'gone.txt' },
+      'sub/deeper/dangling-abs': { symlink: '/nonexistent/silverfs/target' },
+      'names/what?.txt': 'x',
+      'names/pipe|name': 'x',
+      'names/trailing ': 'x',
+      'names/trailing.': 'x',
+      'names/.hidden': 'x',
+      'names/fine.txt': 'x',
+      'types/picture': Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]),
+      'types/document': Buffer.from('%PDF-1.7\n'),
+      'types/plain': 'just some text',
+      'types/photo.jpg': Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  const relative = entries => entries.map(entry => path.relative(root, entry.path)).sort();
+
+  it('finds symlinks whose target does not exist', async () => {
+    const links = await new BrokenFilesFinder().findBrokenSymlinks(root);
+
+    assert.deepEqual(relative(links), ['dangling', path.join('sub', 'deeper', 'dangling-abs')]);
+
+    const dangling = links.find(link => link.name === 'dangling');
+    assert.equal(dangling.target, 'gone.txt');
+    assert.equal(dangling.type, 'broken-symlink');
+  });
+
+  it('skips broken symlinks matching exclude patterns', async () => {
+    const links = await new BrokenFilesFinder({ excludePatterns: ['sub'] }).findBrokenSymlinks(root);
+
+    assert.deepEqual(relative(links), ['dangling']);
+  });
+
+  it('flags invalid characters and trailing spaces or dots', async () => {
+    const invalid = await new BrokenFilesFinder().findInvalidNames(path.join(root, 'names'));
+    const issues = Object.fromEntries(invalid.map(entry => [entry.name, entry.issue]));
+
+    assert.deepEqual(issues, {
+      'what?.txt': 'invalid-characters',
+      'pipe|name': 'invalid-characters',
+      'trailing ': 'trailing-space',
+      'trailing.': 'trailing-space'
+    });
+  });
+
+  it('detects content types of files without an extension', async () => {
+    const mismatched = await new BrokenFilesFinder().findMismatchedExtensions(path.join(root, 'types'));
+    const detected = Object.fromEntries(mismatched.map(entry => [entry.name, entry.expected]));
+
+    assert.deepEqual(detected, {
+      picture: 'image/jpeg',
+      document: 'application/pdf'
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { CoverCache, findFolderCover, pickEmbeddedPicture } from '../lib/covers.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+const image = (background, width = 800) =>
+  sharp({ create: { width, height: width, channels: 3, background } }).jpeg().toBuffer();
+
+// An ID3v2.3 tag with one front cover (APIC) frame, which music-metadata reads
+// as a picture even without audio frames after it
+function id3WithPicture(picture) {
+  const body = Buffer.concat([Buffer.from([0]), Buffer.from('image/jpeg\0'), Buffer.from([3, 0]), picture]);
+  const frame = Buffer.alloc(10);
+  frame.write('APIC');
+  frame.writeUInt32BE(body.length, 4);
+
+  const size = frame.length + body.length;
+  const header = Buffer.from([3, 0, 0, (size >> 21) & 127, (size >> 14) & 127, (size >> 7) & 127, size & 127]);
+  return Buffer.concat([Buffer.from('ID3'), header, frame, body]);
+}
+
+describe('findFolderCover and pickEmbeddedPicture', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'a/Folder.JPG': 'x',
+      'a/cover.png': 'x',
+      'a/back.jpg': 'x',
+      'b/folder.txt': 'x',
+      'b/song.mp3': 'x'
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  it('prefers cover over folder images and ignores other files', async () => {
+    assert.equal(await findFolderCover(path.join(root, 'a')), path.join(root, 'a/cover.png'));
+    assert.equal(await findFolderCover(path.join(root, 'b')), null);
+    assert.equal(await findFolderCover(path.join(root, 'missing')), null);
+  });
+
+  it('picks the front cover among embedded pictures', () => {
+    const back = { type: 'Cover (back)', data: Buffer.from('b') };
+    const front = { type: 'Cover (front)', data: Buffer.from('f') };
+    assert.equal(pickEmbeddedPicture([back, front]), front);
+    assert.equal(pickEmbeddedPicture([back]), back);
+    assert.equal(pickEmbeddedPicture(undefined), null);
+  });
+});
+
+describe('CoverCache', () => {
+  let db;
+  let root;
+  let covers;
+  let red;
+
+  before(async () => {
+    db = await createTestDatabase();
+    red = await image('#cc0000');
+    root = await createFixtureTree({
+      'Embedded/01.mp3': id3WithPicture(red),
+      'Embedded/02.mp3': id3WithPicture(red),
+      'Folder/01.mp3': 'no tags',
+      'Folder/folder.jpg': await image('#0000cc', 100),
+      'Bare/01.mp3': 'no tags'
+    });
+    covers = new CoverCache(db, { directory: path.join(root, 'cache') });
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  async function addTrack(relativePath, album, artist = null) {
+    const filePath = path.join(root, relativePath);
+    const [result] = await db.connection.execute(
+      'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+      [filePath, path.basename(filePath), 100, '.mp3']
+    );
+    await db.storeMusicMetadata(result.insertId, { track: { album, artist, title: path.basename(filePath) }, format: {} });
+    return result.insertId;
+  }
+
+  const albumId = async name => (await db.getMusicAlbumsPage({ search: name })).rows[0].id;
+
+  it('extracts embedded pictures once per distinct image and folder images otherwise', async () => {
+    await addTrack('Embedded/01.mp3', 'Embedded Album');
+    await addTrack('Embedded/02.mp3', 'Embedded Album');
+    await addTrack('Folder/01.mp3', 'Folder Album');
+    await addTrack('Bare/01.mp3', 'Bare Album');
+
+    const results = [];
+    for (const track of await db.getMusicFiles()) {
+      results.push(await covers.update(track));
+    }
+
+    assert.deepEqual(results.map(result => result.source), ['none', 'embedded', 'embedded', 'folder']);
+    assert.equal(results[1].hash, results[2].hash);
+    assert.deepEqual(await fs.readFile(covers.getImagePath(results[1].hash)), red);
+    assert.equal((await fs.readdir(path.join(root, 'cache'))).length, 2);
+    assert.deepEqual(await db.getMusicFiles({ uncheckedCovers: true }), []);
+  });
+
+  it('serves album covers in each size and reports albums without art', async () => {
+    const large = await covers.getAlbumCover(await albumId('Embedded'), 'large');
+    assert.equal((await sharp(large).metadata()).width, 600);
+    const small = await covers.getAlbumCover(await albumId('Embedded'), 'small');
+    assert.equal((await sharp(small).metadata()).width, 150);
+
+    // Folder images smaller than a size are not enlarged
+    const folder = await covers.getAlbumCover(await albumId('Folder'), 'large');
+    assert.equal((await sharp(folder).metadata()).width, 100);
+
+    assert.equal(await covers.getAlbumCover(await albumId('Bare'), 'small'), null);
+    assert.equal(await covers.getAlbumCover(9999, 'small'), null);
+    await assert.rejects(covers.getAlbumCover(1, 'huge'), /Unknown cover size "huge"/);
+
+    const { rows } = await db.getMusicAlbumsPage();
+    assert.deepEqual(rows.map(album => [album.name, Boolean(album.hasCover)]).sort(),
+      [['Bare Album', false], ['Embedded Album', true], ['Folder Album', true]]);
+
+    const missing = await db.getAlbumsWithoutCover();
+    assert.deepEqual(missing.map(album => [album.name, Number(album.uncheckedCount)]), [['Bare Album', 0]]);
+  });
+
+  it('checks the tracks of an album nobody looked for art in on request', async () => {
+    const trackId = await addTrack('Folder/01.mp3', 'Late Album');
+    const late = (await db.getAlbumsWithoutCover()).find(album => album.name === 'Late Album');
+    assert.equal(Number(late.uncheckedCount), 1);
+
+    assert.ok(await covers.getAlbumCover(await albumId('Late'), 'medium'));
+    const [[track]] = await db.connection.execute('SELECT cover_source FROM music_metadata WHERE file_id = ?', [trackId]);
+    assert.equal(track.cover_source, 'folder');
+  });
+
+  it('keeps same-named albums of different artists apart', async () => {
+    const queen = await addTrack('Embedded/01.mp3', 'Greatest Hits', 'Queen');
+    await addTrack('Bare/01.mp3', 'Greatest Hits', 'ABBA');
+
+    const { rows } = await db.getMusicAlbumsPage({ search: 'Greatest Hits' });
+    assert.deepEqual(rows.map(album => album.artist).sort(), ['ABBA', 'Queen']);
+    const albumOf = artist => rows.find(album => album.artist === artist).id;
+    assert.notEqual(albumOf('ABBA'), albumOf('Queen'));
+    const track = (await db.getMusicWithMetadata(true)).find(row => row.id === queen);
+    assert.equal(track.album_id, albumOf('Queen'));
+
+    assert.ok(await covers.getAlbumCover(albumOf('Queen'), 'small'));
+    assert.equal(await covers.getAlbumCover(albumOf('ABBA'), 'small'), null);
+    const missing = (await db.getAlbumsWithoutCover()).filter(album => album.name === 'Greatest Hits');
+    assert.deepEqual(missing.map(album => album.artist), ['ABBA']);
+  });
+
+  it('removes cached images no track uses any more', async () => {
+    await db.connection.execute("UPDATE scanned_files SET is_deleted = TRUE WHERE path LIKE '%Embedded%'");
+
+    const result = await covers.cleanup();
+    assert.equal(result.removed, 3);
+    assert.ok(result.kept > 0);
+    assert.equal(await db.getAlbumCoverHash('Embedded Album'), null);
+  });
+});
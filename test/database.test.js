@@ -0,0 +1,190 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { FileScanner } from '../lib/scanner.js';
+import { QuarantineManager } from '../lib/quarantine.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+describe('DatabaseManager (SQLite)', () => {
+  let db;
+  let root;
+  let scanId;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'a/one.txt': 'same',
+      'a/two.txt': 'same',
+      'b/three.txt': 'different',
+      'b/nested/four.txt': 'same'
+    });
+
+    const scanner = new FileScanner();
+    const files = await scanner.scanDirectory(root);
+    for (const file of files) {
+      file.hash = await scanner.calculateHash(file.path);
+    }
+
+    scanId = await db.createScanSession(root);
+    await db.storeFilesBatch(files, scanId);
+    await db.completeScanSession(scanId, files.length, files.reduce((sum, file) => sum + file.size, 0));
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  it('migrates a fresh database to the latest version', async () => {
+    const history = await db.getVersionHistory();
+    const latest = Math.max(...history.map(entry => entry.version));
+
+    assert.equal(await db.getCurrentVersion(), latest);
+    assert.ok(latest >= 6);
+  });
+
+  it('can run the migrations again without changes', async () => {
+    const before = await db.getCurrentVersion();
+    await db.updateSchema();
+
+    assert.equal(await db.getCurrentVersion(), before);
+  });
+
+  it('completes migrations whose changes were partly applied already', async () => {
+    const latest = await db.getCurrentVersion();
+    await db.connection.execute('DROP TABLE music_albums');
+    await db.connection.execute('DELETE FROM db_version WHERE version >= 15');
+
+    await db.updateSchema();
+
+    assert.equal(await db.getCurrentVersion(), latest);
+    const [rows] = await db.connection.execute('SELECT COUNT(*) AS count FROM music_albums');
+    assert.equal(Number(rows[0].count), 0);
+  });
+
+  it('stores scanned files and finds duplicates by hash', async () => {
+    const duplicates = await db.getDuplicates();
+
+    assert.equal(duplicates.length, 1);
+    assert.equal(duplicates[0].count, 3);
+    assert.deepEqual(duplicates[0].paths.map(p => path.relative(root, p)).sort(), [
+      path.join('a', 'one.txt'),
+      path.join('a', 'two.txt'),
+      path.join('b', 'nested', 'four.txt')
+    ]);
+  });
+
+  it('updates hashes for a batch of files in one call', async () => {
+    const one = await db.getFileByPath(path.join(root, 'a', 'one.txt'));
+    const three = await db.getFileByPath(path.join(root, 'b', 'three.txt'));
+
+    await db.updateFileHashes([
+      { id: one.id, hash: 'batch-hash-1', quickHash: 'quick-1' },
+      { id: three.id, hash: 'batch-hash-3', quickHash: null }
+    ]);
+
+    assert.equal((await db.getFileByPath(one.path)).hash, 'batch-hash-1');
+    assert.equal((await db.getFileByPath(one.path)).quick_hash, 'quick-1');
+    assert.equal((await db.getFileByPath(three.path)).hash, 'batch-hash-3');
+    assert.equal((await db.getFileByPath(three.path)).quick_hash, null);
+
+    // Put the original hashes back for the tests that follow
+    await db.updateFileHashes([
+      { id: one.id, hash: one.hash, quickHash: one.quick_hash },
+      { id: three.id, hash: three.hash, quickHash: three.quick_hash }
+    ]);
+  });
+
+  it('limits the files without hashes to a root', async () => {
+    const one = await db.getFileByPath(path.join(root, 'a', 'one.txt'));
+    const four = await db.getFileByPath(path.join(root, 'b', 'nested', 'four.txt'));
+    await db.updateFileHashes([one, four].map(file => ({ id: file.id, hash: null, quickHash: null })));
+
+    const relative = files => files.map(file => path.relative(root, file.path));
+    // Smart hashing still pairs the file with a same-sized one outside the root
+    assert.deepEqual(relative(await db.getFilesWithoutHashSmart(0, 0, null, path.join(root, 'b', path.sep))), [path.join('b', 'nested', 'four.txt')]);
+    assert.deepEqual(relative(await db.getFilesWithoutHash(0, 0, null, path.join(root, 'a', path.sep))), [path.join('a', 'one.txt')]);
+
+    await db.updateFileHashes([one, four].map(file => ({ id: file.id, hash: file.hash, quickHash: file.quick_hash })));
+  });
+
+  it('indexes files below a directory prefix', async () => {
+    const index = await db.getFileIndex(path.join(root, 'b'));
+
+    assert.deepEqual(Array.from(index.keys()).map(p => path.relative(root, p)).sort(), [
+      path.join('b', 'nested', 'four.txt'),
+      path.join('b', 'three.txt')
+    ]);
+  });
+
+  it('hides soft-deleted files until they are restored', async () => {
+    const row = await db.getFileByPath(path.join(root, 'a', 'two.txt'));
+    assert.ok(row);
+
+    await db.markFilesDeleted([row.id], scanId);
+    assert.equal(await db.getFileByPath(row.path), null);
+    assert.equal((await db.getDuplicates())[0].count, 2);
+
+    await db.markFilesRestored([row.id]);
+    assert.equal((await db.getFileByPath(row.path)).id, row.id);
+    assert.equal((await db.getDuplicates())[0].count, 3);
+  });
+
+  it('stores scan batches together with their checkpoint', async () => {
+    const resumable = await db.createScanSession(root);
+    const queue = [{ path: path.join(root, 'b'), depth: 1 }];
+    const file = { path: path.join(root, 'checkpointed.txt'), name: 'checkpointed.txt', size: 7, mtime: new Date(), atime: new Date(), ctime: new Date() };
+
+    await db.storeScanBatch(resumable, [file], queue);
+    await db.setScanStatus(resumable, 'interrupted');
+
+    const session = await db.getScanSession(resumable);
+    assert.equal(session.status, 'interrupted');
+    assert.equal(Number(session.total_files), 1);
+    assert.equal(Number(session.total_size), 7);
+    assert.deepEqual(session.checkpoint, queue);
+    assert.ok(await db.getFileByPath(file.path));
+
+    await db.completeScanSession(resumable, 1, 7);
+    assert.equal((await db.getScanSession(resumable)).checkpoint, null);
+    assert.equal(await db.getScanSession(9999), null);
+  });
+
+  it('stores and backfills perceptual hashes of photos', async () => {
+    const one = await db.getFileByPath(path.join(root, 'a', 'one.txt'));
+    const two = await db.getFileByPath(path.join(root, 'a', 'two.txt'));
+    await db.storePhotoMetadata(one.id, { width: 10, height: 10, format: 'png', perceptualHash: '00000000000000ff' });
+    await db.storePhotoMetadata(two.id, { width: 10, height: 10, format: 'png' });
+
+    assert.deepEqual((await db.getPhotosWithoutPerceptualHash()).map(photo => photo.id), [two.id]);
+
+    await db.updatePerceptualHash(two.id, '00000000000000fe');
+    const photos = await db.getPhotosWithPerceptualHash();
+    assert.deepEqual(new Map(photos.map(photo => [photo.id, photo.perceptual_hash])), new Map([
+      [one.id, '00000000000000ff'],
+      [two.id, '00000000000000fe']
+    ]));
+    assert.deepEqual(await db.getPhotosWithoutPerceptualHash(), []);
+  });
+
+  it('keeps a quarantine manifest that survives restore', async () => {
+    const quarantineDir = path.join(db.tempDir, 'quarantine');
+    const quarantine = new QuarantineManager(db, { directory: quarantineDir });
+    const filePath = path.join(root, 'b', 'three.txt');
+
+    const entry = await quarantine.quarantineFile(filePath, { reason: 'test' });
+    await assert.rejects(fs.access(filePath));
+    assert.equal(await db.getFileByPath(filePath), null);
+
+    const listed = await quarantine.list({ reason: 'test', status: 'quarantined' });
+    assert.deepEqual(listed.map(item => item.id), [entry.id]);
+
+    const result = await quarantine.restore([entry.id]);
+    assert.equal(result.restored.length, 1);
+    assert.equal(await fs.readFile(filePath, 'utf8'), 'different');
+    assert.ok(await db.getFileByPath(filePath));
+    assert.deepEqual(await quarantine.list({ reason: 'test', status: 'quarantined' }), []);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DuplicateTrackFinder, normalizeTag, isLossless, formatTrackQuality } from '../lib/duplicate-tracks.js';
+import { ReportGenerator } from '../lib/report.js';
+import { createTestDatabase, removeFixture } from './helpers/fixtures.js';
+
+const track = (filePath, fields) => ({
+  path: filePath,
+  artist: 'Radiohead',
+  title: 'Karma Police',
+  album: 'OK Computer',
+  duration: 264,
+  size: 1000,
+  ...fields
+});
+
+describe('normalizeTag and isLossless', () => {
+  it('ignores case, accents, punctuation, edition notes and featured artists', () => {
+    assert.equal(normalizeTag('The Beatles'), 'beatles');
+    assert.equal(normalizeTag('Motörhead'), 'motorhead');
+    assert.equal(normalizeTag("Don't Stop Me Now (Remastered 2011)"), 'don t stop me now');
+    assert.equal(normalizeTag('Empire State of Mind (feat. Alicia Keys)'), 'empire state of mind');
+    assert.equal(normalizeTag('Simon & Garfunkel'), 'simon and garfunkel');
+    assert.equal(normalizeTag('Live (Acoustic)'), 'live acoustic');
+    assert.equal(normalizeTag(null), '');
+  });
+
+  it('recognizes lossless codecs and extensions', () => {
+    assert.equal(isLossless({ codec: 'FLAC', path: '/m/a.flac' }), true);
+    assert.equal(isLossless({ codec: 'ALAC', path: '/m/a.m4a' }), true);
+    assert.equal(isLossless({ codec: null, path: '/m/a.WAV' }), true);
+    assert.equal(isLossless({ codec: 'MPEG 1 Layer 3', path: '/m/a.mp3' }), false);
+    assert.equal(isLossless({ codec: 'AAC', path: '/m/a.m4a' }), false);
+  });
+});
+
+describe('DuplicateTrackFinder', () => {
+  it('groups copies of a song in different formats and ranks the best first', () => {
+    const tracks = [
+      track('/low/karma.mp3', { codec: 'MPEG 1 Layer 3', bitrate: 128000, sample_rate: 44100, size: 4000000 }),
+      track('/rip/02 Karma Police.flac', { codec: 'FLAC', bitrate: 900000, sample_rate: 44100, size: 30000000, duration: 264.4 }),
+      track('/high/Karma Police.mp3', { codec: 'MPEG 1 Layer 3', bitrate: 320000, sample_rate: 44100, size: 10000000, artist: 'radiohead', title: 'Karma Police (Remastered)' }),
+      track('/live/karma.mp3', { codec: 'MPEG 1 Layer 3', bitrate: 320000, duration: 290 }),
+      track('/other/airbag.mp3', { title: 'Airbag' }),
+      track('/untagged.mp3', { artist: null })
+    ];
+
+    const groups = new DuplicateTrackFinder().findDuplicates(tracks);
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].files.map(file => file.path), ['/rip/02 Karma Police.flac', '/high/Karma Police.mp3', '/low/karma.mp3']);
+    assert.deepEqual(groups[0].files.map(file => file.lossless), [true, false, false]);
+    assert.equal(groups[0].best.codec, 'FLAC');
+    assert.equal(groups[0].reclaimableSpace, 14000000);
+  });
+
+  it('matches durations within the tolerance of each other', () => {
+    const tracks = [260, 262, 264, 270].map((duration, index) => track(`/m/${index}.mp3`, { duration }));
+
+    assert.equal(new DuplicateTrackFinder().findDuplicates(tracks)[0].count, 3);
+    assert.deepEqual(new DuplicateTrackFinder({ durationTolerance: 0 }).findDuplicates(tracks), []);
+  });
+
+  it('only matches copies on other albums when albums are ignored', () => {
+    const tracks = [track('/a.mp3', {}), track('/b.mp3', { album: 'Greatest Hits' })];
+
+    assert.deepEqual(new DuplicateTrackFinder().findDuplicates(tracks), []);
+    assert.equal(new DuplicateTrackFinder({ ignoreAlbum: true }).findDuplicates(tracks)[0].count, 2);
+  });
+
+  it('finds stored tracks and writes a report', async () => {
+    const db = await createTestDatabase();
+    try {
+      for (const [name, codec, bitrate, size] of [['song.flac', 'FLAC', 1000000, 30000000], ['song.mp3', 'MPEG 1 Layer 3', 128000, 4000000]]) {
+        const [result] = await db.connection.execute(
+          'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+          [`/music/${name}`, name, size, path.extname(name)]
+        );
+        await db.storeMusicMetadata(result.insertId, {
+          track: { title: 'Song <1>', artist: 'Band', album: 'Album' },
+          format: { duration: 180, bitrate, sampleRate: 44100, codec }
+        });
+      }
+
+      const groups = new DuplicateTrackFinder().findDuplicates(await db.getMusicTracksForDuplicates());
+      assert.equal(groups.length, 1);
+      assert.equal(groups[0].best.path, '/music/song.flac');
+      assert.equal(formatTrackQuality(groups[0].files[1]), 'MPEG 1 Layer 3 · 44.1 kHz · 128 kbps · 3m 0s · 3.81 MB');
+
+      const reportPath = path.join(db.tempDir, 'tracks.html');
+      await new ReportGenerator().generateDuplicateTrackReport(groups, reportPath);
+      const html = await fs.readFile(reportPath, 'utf8');
+      assert.match(html, /Duplicate Tracks Report/);
+      assert.match(html, /Band – Song &lt;1&gt;/);
+      assert.match(html, /⭐ \/music\/song\.flac/);
+    } finally {
+      await db.close();
+      await removeFixture(db.tempDir);
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { DuplicateFinder } from '../lib/duplicates.js';
+import { FileScanner } from '../lib/scanner.js';
+import { createFixtureTree, removeFixture } from './helpers/fixtures.js';
+
+// Same size, same first and last 8 KB, different middle: a quick hash collision
+function sameEnds(middleByte) {
+  const buffer = Buffer.alloc(30000, 7);
+  buffer.fill(middleByte, 10000, 20000);
+  return buffer;
+}
+
+describe('DuplicateFinder', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'photos/a.jpg': 'same picture bytes',
+      'backup/a-copy.jpg': 'same picture bytes',
+      'backup/old/a-old.jpg': 'same picture bytes',
+      'notes/one.txt': 'twin',
+      'notes/two.txt': 'twin',
+      'notes/same-size.txt': 'twix',
+      'unique.txt': 'nothing else looks like this',
+      'large/first.bin': sameEnds(1),
+      'large/second.bin': sameEnds(2)
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  const groupNames = groups => groups
+    .map(group => group.map(file => file.name).sort())
+    .sort((a, b) => a[0].localeCompare(b[0]));
+
+  it('groups files with identical content', async () => {
+    const finder = new DuplicateFinder();
+    const groups = await finder.findDuplicates([root]);
+
+    assert.deepEqual(groupNames(groups), [
+      ['a-copy.jpg', 'a-old.jpg', 'a.jpg'],
+      ['one.txt', 'two.txt']
+    ]);
+    for (const group of groups) {
+      assert.ok(group.every(file => file.hash === group[0].hash));
+    }
+  });
+
+  it('verifies quick hash matches with a full hash', async () => {
+    const scanner = new FileScanner();
+    const first = await scanner.calculateQuickHash(path.join(root, 'large/first.bin'));
+    const second = await scanner.calculateQuickHash(path.join(root, 'large/second.bin'));
+    assert.equal(first, second);
+
+    const groups = await new DuplicateFinder(scanner).findDuplicates([path.join(root, 'large')]);
+    assert.deepEqual(groups, []);
+  });
+
+  it('finds the same groups with full hashing only', async () => {
+    const groups = await new DuplicateFinder().findDuplicates([root], { useQuickHash: false });
+
+    assert.deepEqual(groupNames(groups), [
+      ['a-copy.jpg', 'a-old.jpg', 'a.jpg'],
+      ['one.txt', 'two.txt']
+    ]);
+  });
+
+  it('ignores files below minSize', async () => {
+    const groups = await new DuplicateFinder().findDuplicates([root], { minSize: 10 });
+
+    assert.deepEqual(groupNames(groups), [['a-copy.jpg', 'a-old.jpg', 'a.jpg']]);
+  });
+
+  it('combines several search paths', async () => {
+    const groups = await new DuplicateFinder().findDuplicates([
+      path.join(root, 'photos'),
+      path.join(root, 'backup')
+    ]);
+
+    assert.deepEqual(groupNames(groups), [['a-copy.jpg', 'a-old.jpg', 'a.jpg']]);
+  });
+
+  it('calculates wasted space as all copies but one', async () => {
+    const finder = new DuplicateFinder();
+    const groups = await finder.findDuplicates([root]);
+
+    // 2 extra copies of an 18-byte file and 1 extra copy of a 4-byte file
+    assert.equal(finder.calculateWastedSpace(groups), 2 * 18 + 4);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { EmptyFinder } from '../lib/empty.js';
+import { createFixtureTree, removeFixture } from './helpers/fixtures.js';
+
+describe('EmptyFinder', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'empty.txt': '',
+      'full.txt': 'content',
+      'nested/deeper/empty.log': '',
+      'cache/empty.tmp': '',
+      'lonely': {},
+      'parent/child/grandchild': {},
+      'with-file/keep.txt': 'keep',
+      'with-file/empty-sibling': {},
+      'link-to-empty': { symlink: 'empty.txt' }
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  const relative = entries => entries.map(entry => path.relative(root, entry.path)).sort();
+
+  it('finds zero-byte files in all subdirectories', async () => {
+    const files = await new EmptyFinder().findEmptyFiles(root);
+
+    assert.deepEqual(relative(files), [
+      'cache/empty.tmp',
+      'empty.txt',
+      path.join('nested', 'deeper', 'empty.log')
+    ]);
+    assert.ok(files.every(file => file.type === 'file'));
+  });
+
+  it('follows symlinks to empty files when asked', async () => {
+    const files = await new EmptyFinder({ followSymlinks: true }).findEmptyFiles(root);
+
+    assert.ok(relative(files).includes('link-to-empty'));
+  });
+
+  it('honours exclude patterns', async () => {
+    const files = await new EmptyFinder({ excludePatterns: ['cache', /\.log$/] }).findEmptyFiles(root);
+
+    assert.deepEqual(relative(files), ['empty.txt']);
+  });
+
+  it('reports the deepest empty directories', async () => {
+    const dirs = await new EmptyFinder().findEmptyDirectories(root);
+
+    assert.deepEqual(relative(dirs), [
+      'lonely',
+      path.join('parent', 'child', 'grandchild'),
+      path.join('with-file', 'empty-sibling')
+    ]);
+    assert.ok(dirs.every(dir => dir.type === 'directory'));
+  });
+
+  it('does not report directories that only contain empty files', async () => {
+    const dirs = await new EmptyFinder().findEmptyDirectories(root);
+
+    assert.ok(!relative(dirs).includes('cache'));
+    assert.ok(!relative(dirs).includes('nested'));
+  });
+});
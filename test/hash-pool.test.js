@@ -0,0 +1,141 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HashPool } from '../lib/hash-pool.js';
+import { FileScanner } from '../lib/scanner.js';
+import { createFixtureTree, removeFixture } from './helpers/fixtures.js';
+
+const EXITING_WORKER = fileURLToPath(new URL('./helpers/exiting-worker.js', import.meta.url));
+
+describe('HashPool', () => {
+  let root;
+  let files;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'slow/a.bin': Buffer.alloc(5000, 1),
+      'slow/b.bin': Buffer.alloc(5000, 2),
+      'slow/c.bin': Buffer.alloc(5000, 3),
+      'fast/d.bin': Buffer.alloc(2000, 4),
+      'fast/e.bin': Buffer.alloc(2000, 5)
+    });
+
+    const entries = await new FileScanner().scanDirectory(root);
+    files = entries.map((file, index) => ({ id: index + 1, path: file.path, size: file.size }));
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  it('hashes every file like the scanner does', async () => {
+    const pool = new HashPool({ threads: 3 });
+    const results = new Map();
+    pool.on('hashed', ({ file, hash, quickHash }) => results.set(file.path, { hash, quickHash }));
+
+    const stats = await pool.run(files);
+
+    assert.equal(stats.processed, files.length);
+    assert.equal(stats.failed, 0);
+    assert.equal(stats.bytes, 5000 * 3 + 2000 * 2);
+
+    const scanner = new FileScanner();
+    for (const file of files) {
+      assert.deepEqual(results.get(file.path), await scanner.calculateHashes(file.path, 'smart'));
+    }
+  });
+
+  it('uses the requested hash method', async () => {
+    const pool = new HashPool({ threads: 2, method: 'quick' });
+    const results = [];
+    pool.on('hashed', result => results.push(result));
+
+    await pool.run(files.slice(0, 2));
+
+    for (const result of results) {
+      assert.equal(result.hash, result.quickHash);
+    }
+  });
+
+  it('reports unreadable files without stopping', async () => {
+    const pool = new HashPool({ threads: 2 });
+    const failed = [];
+    pool.on('failed', ({ file }) => failed.push(file.path));
+
+    const missing = { id: 99, path: path.join(root, 'missing.bin'), size: 10 };
+    const stats = await pool.run([...files, missing]);
+
+    assert.deepEqual(failed, [missing.path]);
+    assert.equal(stats.processed, files.length + 1);
+    assert.equal(stats.failed, 1);
+  });
+
+  it('fails the file of a worker that exits and carries on with a new one', async () => {
+    const pool = new HashPool({ threads: 2, workerPath: EXITING_WORKER });
+    const hashed = [];
+    const failed = [];
+    pool.on('hashed', ({ file }) => hashed.push(file.path));
+    pool.on('failed', ({ file, error }) => failed.push([file.path, error.message]));
+
+    const exiting = { id: 99, path: path.join(root, 'exit.bin'), size: 10 };
+    const stats = await pool.run([files[0], exiting, ...files.slice(1)]);
+
+    assert.deepEqual(failed, [[exiting.path, 'Hash worker exited with code 3']]);
+    assert.equal(hashed.length, files.length);
+    assert.equal(stats.processed, files.length + 1);
+  });
+
+  it('rejects the run when it is stopped', async () => {
+    const pool = new HashPool({ threads: 1 });
+    pool.on('hashed', () => setImmediate(() => pool.stop(new Error('database write failed'))));
+
+    await assert.rejects(pool.run(files), /database write failed/);
+    assert.equal(pool.workers.length, 0);
+  });
+
+  it('keys volumes by configured prefix before device id', async () => {
+    const pool = new HashPool({ volumes: { [path.join(root, 'slow')]: 1 } });
+    const { dev } = await fs.stat(root);
+
+    const slowKey = await pool.getVolumeKey(path.join(root, 'slow', 'a.bin'));
+    assert.equal(slowKey, `path:${path.join(root, 'slow')}`);
+    assert.equal(pool.getVolumeLimit(slowKey), 1);
+
+    const fastKey = await pool.getVolumeKey(path.join(root, 'fast', 'd.bin'));
+    assert.equal(fastKey, `dev:${dev}`);
+    assert.equal(pool.getVolumeLimit(fastKey), pool.options.volumeConcurrency);
+  });
+
+  it('never exceeds the per-volume concurrency limit', async () => {
+    const slowKey = `path:${path.join(root, 'slow')}`;
+    const pool = new HashPool({ threads: 4, volumeConcurrency: 2, volumes: { [path.join(root, 'slow')]: 1 } });
+
+    let maxSlow = 0;
+    let maxOther = 0;
+    const dispatch = pool.dispatch.bind(pool);
+    pool.dispatch = slot => {
+      dispatch(slot);
+      for (const [key, count] of pool.active) {
+        if (key === slowKey) {
+          maxSlow = Math.max(maxSlow, count);
+        } else {
+          maxOther = Math.max(maxOther, count);
+        }
+      }
+    };
+
+    await pool.run(files);
+
+    assert.equal(maxSlow, 1);
+    assert.ok(maxOther <= 2);
+  });
+
+  it('resolves immediately for an empty list', async () => {
+    const stats = await new HashPool().run([]);
+
+    assert.equal(stats.processed, 0);
+    assert.equal(stats.total, 0);
+  });
+});
@@ -0,0 +1,10 @@
+import { parentPort } from 'worker_threads';
+
+// Stand-in for hash-worker.js that exits on files named exit.bin, the way a
+// worker killed by a native crash or process.exit() disappears mid-file
+parentPort.on('message', ({ id, path }) => {
+  if (path.endsWith('exit.bin')) {
+    process.exit(3);
+  }
+  parentPort.postMessage({ type: 'result', id, hash: `hash of ${path}`, quickHash: null });
+});
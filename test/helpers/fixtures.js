@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { exiftool } from 'exiftool-vendored';
+import { createDatabaseManager } from '../../lib/storage.js';
+import { samplePhotos, sampleTracks, sampleMovies } from '../../generate-samples.js';
+
+/**
+ * Build a temporary directory tree from a spec object.
+ *
+ * Keys are relative paths. Values are:
+ *   string | Buffer        file contents
+ *   {}                     empty directory
+ *   { symlink: target }    symbolic link (target may not exist)
+ *
+ * Returns the absolute path of the tree root.
+ */
+export async function createFixtureTree(spec) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'silverfs-test-'));
+
+  for (const [relativePath, value] of Object.entries(spec)) {
+    const fullPath = path.join(root, relativePath);
+
+    if (typeof value === 'string' || Buffer.isBuffer(value)) {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, value);
+    } else if (value.symlink) {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.symlink(value.symlink, fullPath);
+    } else {
+      await fs.mkdir(fullPath, { recursive: true });
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Remove a fixture tree or temporary file
+ */
+export async function removeFixture(fixturePath) {
+  await fs.rm(fixturePath, { recursive: true, force: true });
+}
+
+/**
+ * Write a stand-in for a phone's HEIC photo: prebuilt sharp cannot encode
+ * HEVC, so it is a JPEG named .heic whose EXIF holds an orientation and an
+ * embedded thumbnail, and openImage() can only use the thumbnail.
+ * Call `closeImages()` from lib/images.js when done.
+ */
+export async function writeHeicStandIn(filePath, thumbnail, orientation = 1) {
+  const jpegPath = `${filePath}.jpg`;
+  const thumbnailPath = `${filePath}.thumb.jpg`;
+  await sharp({ create: { width: 64, height: 48, channels: 3, background: '#808080' } })
+    .jpeg()
+    .withMetadata({ orientation })
+    .toFile(jpegPath);
+  await fs.writeFile(thumbnailPath, thumbnail);
+  await exiftool.write(jpegPath, {}, [`-ThumbnailImage<=${thumbnailPath}`, '-overwrite_original']);
+  await fs.rename(jpegPath, filePath);
+  await fs.rm(thumbnailPath);
+}
+
+/**
+ * Create a migrated SQLite database in a temporary directory.
+ * Returns the connected manager; call `db.close()` and remove `db.tempDir` when done.
+ */
+export async function createTestDatabase() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'silverfs-db-'));
+  const db = createDatabaseManager({ type: 'sqlite', filename: path.join(tempDir, 'test.db') });
+  await db.connect();
+  await db.initializeTables();
+  await db.updateSchema();
+  db.tempDir = tempDir;
+  return db;
+}
+
+/**
+ * Insert the sample library from generate-samples.js: one scanned_files row
+ * per sample plus its metadata row. Returns the inserted file ids by type.
+ */
+export async function seedSampleLibrary(db) {
+  return {
+    photos: await seedSamples(db, samplePhotos, 'photo_metadata'),
+    music: await seedSamples(db, sampleTracks, 'music_metadata'),
+    videos: await seedSamples(db, sampleMovies, 'video_metadata')
+  };
+}
+
+async function seedSamples(db, samples, table) {
+  // Samples mirror API rows, so only keep the keys the metadata table actually has
+  const [, fields] = await db.connection.query(`SELECT * FROM ${table} LIMIT 0`);
+  const metadataColumns = fields
+    .map(field => field.name)
+    .filter(name => !['id', 'file_id', 'created_at', 'updated_at'].includes(name));
+
+  const ids = [];
+  for (const sample of samples) {
+    const [result] = await db.connection.execute(
+      'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+      [sample.path, sample.name, sample.size, path.extname(sample.name).toLowerCase()]
+    );
+    const fileId = result.insertId;
+
+    const columns = metadataColumns.filter(name => sample[name] !== undefined);
+    await db.connection.execute(
+      `INSERT INTO ${table} (file_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [fileId, ...columns.map(name => sample[name])]
+    );
+    ids.push(fileId);
+  }
+
+  return ids;
+}
@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { FileScanner } from '../lib/scanner.js';
+import { IncrementalScanner } from '../lib/incremental.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+describe('IncrementalScanner', () => {
+  let db;
+  let root;
+  let scanId;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'music/a.mp3': 'alpha',
+      'music/b.mp3': 'bravo',
+      'music/deep/c.mp3': 'charlie',
+      'other/d.txt': 'delta'
+    });
+    scanId = await db.createScanSession(root, 'incremental');
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const incremental = (options = {}) => new IncrementalScanner(db, new FileScanner(options));
+  const names = files => files.map(file => file.name).sort();
+  const live = async relativePath => Boolean(await db.getFileByPath(path.join(root, relativePath)));
+
+  it('stores every file on the first scan', async () => {
+    const result = await incremental().scan(root, scanId);
+
+    assert.deepEqual(names(result.added), ['a.mp3', 'b.mp3', 'c.mp3', 'd.txt']);
+    assert.deepEqual([result.changed.length, result.removed, result.unchanged], [0, 0, 0]);
+  });
+
+  it('detects added, changed and removed files', async () => {
+    await fs.writeFile(path.join(root, 'music/new.mp3'), 'echo');
+    await fs.writeFile(path.join(root, 'music/a.mp3'), 'alpha, longer');
+    await fs.rm(path.join(root, 'music/b.mp3'));
+
+    const result = await incremental().scan(root, scanId);
+
+    assert.deepEqual(names(result.added), ['new.mp3']);
+    assert.deepEqual(names(result.changed), ['a.mp3']);
+    assert.equal(result.removed, 1);
+    assert.equal(result.unchanged, 2);
+    assert.equal(await live('music/b.mp3'), false);
+  });
+
+  it('ignores mtime drift below one second', async () => {
+    const filePath = path.join(root, 'music/new.mp3');
+    // Start from a whole second, as the database stores it
+    const mtime = new Date(2026, 0, 1, 12, 0, 0);
+    await fs.utimes(filePath, mtime, mtime);
+    await incremental().scan(root, scanId);
+
+    await fs.utimes(filePath, mtime, new Date(mtime.getTime() + 400));
+    assert.equal((await incremental().scan(root, scanId)).changed.length, 0);
+
+    await fs.utimes(filePath, mtime, new Date(mtime.getTime() + 5000));
+    assert.deepEqual(names((await incremental().scan(root, scanId)).changed), ['new.mp3']);
+  });
+
+  it('adds a removed file again when it comes back', async () => {
+    await fs.writeFile(path.join(root, 'music/b.mp3'), 'bravo');
+
+    const result = await incremental().scan(root, scanId);
+
+    assert.deepEqual(names(result.added), ['b.mp3']);
+    assert.equal(await live('music/b.mp3'), true);
+  });
+
+  it('resolves relative paths and leaves files outside the scan alone', async () => {
+    const cwd = process.cwd();
+    process.chdir(path.join(root, 'music'));
+    try {
+      const result = await incremental().scan('.', scanId);
+
+      assert.equal(result.removed, 0);
+      assert.ok(result.files.every(file => path.isAbsolute(file.path)));
+    } finally {
+      process.chdir(cwd);
+    }
+    assert.equal(await live('other/d.txt'), true);
+  });
+
+  it('keeps the rows of excluded directories and those beyond maxDepth', async () => {
+    const result = await incremental({ maxDepth: 1, excludePatterns: ['other'] }).scan(root, scanId);
+
+    assert.equal(result.removed, 0);
+    assert.deepEqual(
+      result.skipped.map(entry => path.relative(root, entry.path)).sort(),
+      ['music/deep', 'other']
+    );
+    assert.equal(await live('music/deep/c.mp3'), true);
+    assert.equal(await live('other/d.txt'), true);
+  });
+
+  it('keeps the rows of directories it cannot read', { skip: process.getuid?.() === 0 && 'root can read any directory' }, async () => {
+    const locked = path.join(root, 'music/deep');
+    await fs.chmod(locked, 0o000);
+    try {
+      const result = await incremental().scan(root, scanId, () => {});
+
+      assert.equal(result.removed, 0);
+      assert.deepEqual(result.skipped.map(entry => entry.path), [locked]);
+    } finally {
+      await fs.chmod(locked, 0o755);
+    }
+    assert.equal(await live('music/deep/c.mp3'), true);
+  });
+});
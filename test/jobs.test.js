@@ -0,0 +1,217 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { JobRunner, isFinished } from '../lib/jobs.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+// Stands in for bin/cli.js: every command behaves in one fixed way
+const FAKE_CLI = `
+const [command, ...args] = process.argv.slice(2);
+if (command === 'scan') {
+  console.log('Scanning ' + args.join(' '));
+  console.log('Scan complete!');
+} else if (command === 'update-hashes-db') {
+  console.error('Hashing failed: disk gone');
+  process.exit(1);
+} else {
+  process.on('SIGINT', () => {
+    console.log('Interrupted');
+    process.exit(130);
+  });
+  console.log('Waiting');
+  setInterval(() => {}, 1000);
+}
+`;
+
+describe('JobRunner', () => {
+  let db;
+  let root;
+  let runner;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({ 'cli.js': FAKE_CLI, 'photos/a.jpg': 'a' });
+    runner = new JobRunner(db, {
+      cliPath: path.join(root, 'cli.js'),
+      reportDirectory: path.join(root, 'reports')
+    });
+  });
+
+  after(async () => {
+    await runner.stop();
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  // Resolve with the job once it reaches a final status
+  const finished = id => new Promise(resolve => {
+    const unwatch = runner.watch(id, event => {
+      if (event.type === 'status' && isFinished(event.job.status)) {
+        unwatch();
+        resolve(event.job);
+      }
+    });
+  });
+
+  // Resolve once a running job has printed a line
+  const printed = (id, text) => new Promise(resolve => {
+    const unwatch = runner.watch(id, event => {
+      if (event.type === 'log' && event.line === text) {
+        unwatch();
+        resolve();
+      }
+    });
+  });
+
+  it('turns validated arguments into CLI arguments', async () => {
+    const photos = path.join(root, 'photos');
+
+    assert.deepEqual(await runner.validate('scan', { path: photos, incremental: true, batchSize: '500' }),
+      ['scan', photos, '--db', '--incremental', '--batch-size', '500']);
+    assert.deepEqual(await runner.validate('update-hashes-db', { hashMethod: 'quick', smart: false }),
+      ['update-hashes-db', '--hash-method', 'quick', '--no-smart']);
+    assert.deepEqual(await runner.validate('extract-media-from-db', { root: photos, skipExisting: true }),
+      ['extract-media-from-db', '--root', photos, '--skip-existing']);
+    assert.deepEqual(await runner.validate('generate-report', { output: 'dupes.html', minSize: 0 }),
+      ['generate-report', path.join(root, 'reports', 'dupes.html'), '--min-size', '0']);
+  });
+
+  it('rejects unknown operations and invalid arguments', async () => {
+    await assert.rejects(runner.validate('empty-dirs', {}), /Unknown job type/);
+    await assert.rejects(runner.validate('scan', { path: root, db: false }), /Unknown argument for scan: db/);
+    await assert.rejects(runner.validate('scan', { path: 'photos' }), /absolute directory path/);
+    await assert.rejects(runner.validate('scan', { path: path.join(root, 'cli.js') }), /not a directory/);
+    await assert.rejects(runner.validate('update-hashes-db', { limit: '10; rm -rf /' }), /whole number/);
+    await assert.rejects(runner.validate('update-hashes-db', { hashMethod: 'md5' }), /must be one of/);
+    await assert.rejects(runner.validate('generate-report', { output: '../../etc/report.html' }), /file name/);
+  });
+
+  it('runs a job and stores its log', async () => {
+    const job = await runner.start('scan', { path: path.join(root, 'photos') }, 1);
+    assert.equal(job.type, 'scan');
+    assert.ok(!isFinished(job.status));
+
+    const done = await finished(job.id);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.exitCode, 0);
+
+    const stored = await db.getJob(job.id);
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.progress, 'Scan complete!');
+    assert.equal(stored.created_by, 1);
+    assert.ok(stored.finished_at);
+
+    const { log } = await runner.getJob(job.id);
+    assert.deepEqual(log, [`Scanning ${path.join(root, 'photos')} --db`, 'Scan complete!']);
+  });
+
+  it('records the error of a failed job', async () => {
+    const job = await runner.start('update-hashes-db', {});
+    const done = await finished(job.id);
+
+    assert.equal(done.status, 'failed');
+    assert.equal(done.exitCode, 1);
+    assert.equal(done.error, 'Hashing failed: disk gone');
+  });
+
+  it('cancels running and queued jobs', async () => {
+    const running = await runner.start('extract-media-from-db', {});
+    const waiting = printed(running.id, 'Waiting');
+    const queued = await runner.start('extract-media-from-db', {});
+    await waiting;
+
+    // One job runs at a time, so the second one is still queued
+    assert.equal((await runner.cancel(queued.id)).status, 'cancelled');
+
+    const done = finished(running.id);
+    await runner.cancel(running.id);
+    const job = await done;
+    assert.equal(job.status, 'cancelled');
+
+    const { log } = await runner.getJob(running.id);
+    assert.ok(log.includes('Interrupted'));
+    assert.equal((await db.getJob(queued.id)).status, 'cancelled');
+    assert.equal(await runner.cancel(running.id), null);
+  });
+
+  it('ignores cancelling a job whose process already exited', async () => {
+    const updateJob = db.updateJob;
+    let cancelled;
+    // Cancel while the final status is being stored
+    db.updateJob = async function (id, fields) {
+      if (isFinished(fields.status)) {
+        cancelled = await runner.cancel(id);
+      }
+      return updateJob.call(this, id, fields);
+    };
+
+    try {
+      const job = await runner.start('scan', { path: root });
+      assert.equal((await finished(job.id)).status, 'completed');
+    } finally {
+      db.updateJob = updateJob;
+    }
+    assert.equal(cancelled, null);
+  });
+
+  it('kills a job whose start cannot be recorded', async () => {
+    const updateJob = db.updateJob;
+    db.updateJob = async function (id, fields) {
+      if (fields.status === 'running') {
+        throw new Error('database gone');
+      }
+      return updateJob.call(this, id, fields);
+    };
+
+    let job;
+    try {
+      // Runs until it is killed
+      const started = await runner.start('extract-media-from-db', {});
+      job = await finished(started.id);
+    } finally {
+      db.updateJob = updateJob;
+    }
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Could not record the start of the job: database gone');
+    assert.equal((await db.getJob(job.id)).status, 'failed');
+  });
+
+  it('fails a job whose result cannot be recorded', async () => {
+    const updateJob = db.updateJob;
+    const errors = [];
+    const onError = err => errors.push(err.message);
+    runner.on('error', onError);
+    db.updateJob = async function (id, fields) {
+      if (isFinished(fields.status)) {
+        throw new Error('database gone');
+      }
+      return updateJob.call(this, id, fields);
+    };
+
+    let job;
+    try {
+      const started = await runner.start('scan', { path: root });
+      job = await finished(started.id);
+    } finally {
+      db.updateJob = updateJob;
+      runner.off('error', onError);
+    }
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /Could not record how the job finished/);
+    assert.deepEqual(errors, ['database gone']);
+    assert.equal(await runner.cancel(job.id), null);
+    // Left running in the database until the next start fails it
+    assert.equal(await runner.recover(), 1);
+  });
+
+  it('fails jobs left behind by a previous server', async () => {
+    const id = await db.createJob('scan', { path: root });
+    await db.updateJob(id, { status: 'running' });
+
+    assert.equal(await runner.recover(), 1);
+    const job = await db.getJob(id);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /server stopped/);
+  });
+});
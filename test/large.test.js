@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { LargeFilesFinder } from '../lib/large.js';
+import { createFixtureTree, removeFixture } from './helpers/fixtures.js';
+
+describe('LargeFilesFinder', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'small.txt': Buffer.alloc(100),
+      'video/movie.mkv': Buffer.alloc(5000),
+      'video/trailer.mkv': Buffer.alloc(3000),
+      'archive/backup.zip': Buffer.alloc(4000),
+      'README': Buffer.alloc(2000)
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  it('returns files at or above minSize, largest first', async () => {
+    const files = await new LargeFilesFinder().findLargeFiles([root], { minSize: 3000 });
+
+    assert.deepEqual(files.map(file => file.name), ['movie.mkv', 'backup.zip', 'trailer.mkv']);
+  });
+
+  it('limits the number of results', async () => {
+    const files = await new LargeFilesFinder().findLargeFiles([root], { minSize: 0, limit: 2 });
+
+    assert.deepEqual(files.map(file => file.name), ['movie.mkv', 'backup.zip']);
+  });
+
+  it('groups results by lowercase extension', async () => {
+    const finder = new LargeFilesFinder();
+    const files = await finder.findLargeFiles([root], { minSize: 1000 });
+    const groups = finder.groupByExtension(files);
+
+    assert.deepEqual(groups.get('mkv').map(file => file.name), ['movie.mkv', 'trailer.mkv']);
+    assert.deepEqual(groups.get('zip').map(file => file.name), ['backup.zip']);
+    assert.deepEqual(groups.get('no extension').map(file => file.name), ['README']);
+  });
+
+  it('sums file sizes', async () => {
+    const finder = new LargeFilesFinder();
+    const files = await finder.findLargeFiles([root], { minSize: 0 });
+
+    assert.equal(finder.calculateTotalSize(files), 100 + 5000 + 3000 + 4000 + 2000);
+  });
+});
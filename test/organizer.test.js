@@ -0,0 +1,130 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { LibraryOrganizer, renderTemplate, validateTemplate } from '../lib/organizer.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+describe('renderTemplate', () => {
+  it('fills in fields, pads numbers and keeps the extension', () => {
+    const track = { path: '/in/x.MP3', album_artist: null, artist: 'AC/DC', album: 'Back in Black', track_number: 6, title: 'Back in Black' };
+    assert.equal(
+      renderTemplate('music', '{albumArtist}/{album}/{track:02} {title}', track),
+      path.join('AC_DC', 'Back in Black', '06 Back in Black.mp3')
+    );
+
+    const photo = { path: '/in/IMG_1.jpg', date_taken: '2021-05-03 10:00:00' };
+    assert.equal(renderTemplate('photo', '{year}/{month}/{name}', photo), path.join('2021', '05', 'IMG_1.jpg'));
+  });
+
+  it('leaves out missing values and names empty folders Unknown', () => {
+    const track = { path: '/in/song.flac', artist: 'Blur', album: null, track_number: null, title: null };
+    assert.equal(renderTemplate('music', '{artist}/{album} ({year})/{track:02} - {title}', track), path.join('Blur', 'Unknown', 'song.flac'));
+    assert.equal(renderTemplate('photo', '{year}/{name}', { path: '/in/a.png', date_taken: null }), path.join('Unknown', 'a.png'));
+  });
+
+  it('refuses fields the file type does not have', () => {
+    assert.throws(() => validateTemplate('photo', '{album}/{name}'), /Unknown template field \{album\} for photo files/);
+    assert.throws(() => validateTemplate('books', '{name}'), /Unknown file type "books"/);
+    assert.doesNotThrow(() => validateTemplate('episode', '{show}/Season {season:02}/{show} S{season:02}E{episode:02} {title}'));
+  });
+});
+
+describe('LibraryOrganizer', () => {
+  let db;
+  let root;
+  let library;
+  const ids = {};
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'inbox/IMG_1.jpg': 'photo one',
+      'inbox/IMG_2.jpg': 'photo already in the library',
+      'inbox/a.mp3': 'girls and boys',
+      'inbox/copy/a.mp3': 'girls and boys',
+      'inbox/movie.mkv': 'heat',
+      'inbox/movie.en.srt': '1\n00:00:01,000 --> 00:00:02,000\nHello\n',
+      'library/2020/01/old.jpg': 'photo already in the library',
+      'library/Blur/Parklife/01 Girls & Boys.mp3': 'a different recording'
+    });
+    library = path.join(root, 'library');
+
+    const addFile = async (relativePath, hash) => {
+      const filePath = path.join(root, relativePath);
+      const [result] = await db.connection.execute(
+        'INSERT INTO scanned_files (path, name, size, extension, hash) VALUES (?, ?, ?, ?, ?)',
+        [filePath, path.basename(filePath), (await fs.stat(filePath)).size, path.extname(filePath), hash]
+      );
+      ids[relativePath] = result.insertId;
+      return result.insertId;
+    };
+
+    await db.storePhotoMetadata(await addFile('inbox/IMG_1.jpg', 'photo1'), { datetime: { taken: new Date(2021, 4, 3, 12) }, camera: {}, location: {} });
+    await db.storePhotoMetadata(await addFile('inbox/IMG_2.jpg', 'photo2'), { datetime: { taken: new Date(2021, 4, 3, 12) }, camera: {}, location: {} });
+    await db.storePhotoMetadata(await addFile('library/2020/01/old.jpg', 'photo2'), { datetime: { taken: new Date(2020, 0, 5, 12) }, camera: {}, location: {} });
+    for (const relativePath of ['inbox/a.mp3', 'inbox/copy/a.mp3']) {
+      await db.storeMusicMetadata(await addFile(relativePath, 'song'), {
+        track: { title: 'Girls & Boys', artist: 'Blur', album: 'Parklife', trackNumber: 1 },
+        format: {}
+      });
+    }
+    await db.storeVideoMetadata(await addFile('inbox/movie.mkv', 'heat'), { title: 'Heat', year: 1995, video: {}, audio: {}, location: {} });
+    await addFile('inbox/movie.en.srt', 'subtitle');
+    await db.setMusicRating(ids['inbox/a.mp3'], 5);
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const subtitlePath = async fileId => (await db.getSubtitle((await db.getVideoSubtitles(fileId))[0].id)).path;
+  const organizer = () => new LibraryOrganizer(db, { target: library, templates: { video: '{year}/{title}' } });
+
+  it('plans moves, numbering name collisions and skipping duplicates', async () => {
+    const plan = await organizer().plan(['photo', 'music', 'video']);
+
+    assert.deepEqual(plan.moves.map(move => [path.relative(root, move.from), path.relative(root, move.to)]), [
+      ['inbox/IMG_1.jpg', 'library/2021/05/IMG_1.jpg'],
+      ['inbox/a.mp3', 'library/Blur/Parklife/01 Girls & Boys (2).mp3'],
+      ['inbox/movie.mkv', 'library/1995/Heat.mkv']
+    ]);
+    assert.deepEqual(plan.skipped.map(skip => [path.relative(root, skip.path), skip.reason]), [
+      ['library/2020/01/old.jpg', 'already in place'],
+      ['inbox/IMG_2.jpg', `duplicate of ${path.join(library, '2020/01/old.jpg')}`],
+      ['inbox/copy/a.mp3', `duplicate of ${path.join(library, 'Blur/Parklife/01 Girls & Boys (2).mp3')}`]
+    ]);
+  });
+
+  it('moves files and their subtitles and keeps their database rows', async () => {
+    const journal = path.join(root, 'organize.jsonl');
+    const results = await organizer().execute(await organizer().plan(), journal);
+
+    assert.equal(results.failed.length, 0);
+    assert.equal(results.moved.length, 3);
+    assert.equal(await fs.readFile(path.join(library, '1995/Heat.en.srt'), 'utf8'), '1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+
+    const song = await db.getFileByPath(path.join(library, 'Blur/Parklife/01 Girls & Boys (2).mp3'));
+    assert.equal(song.id, ids['inbox/a.mp3']);
+    assert.equal(song.name, '01 Girls & Boys (2).mp3');
+    assert.equal((await db.getMusicRating(song.id)).rating, 5);
+    assert.equal((await db.getFileByPath(path.join(library, '1995/Heat.en.srt'))).id, ids['inbox/movie.en.srt']);
+    assert.equal(await subtitlePath(ids['inbox/movie.mkv']), path.join(library, '1995/Heat.en.srt'));
+
+    // Organizing again finds everything in place
+    const again = await organizer().plan();
+    assert.equal(again.moves.length, 0);
+  });
+
+  it('moves the files of a journal back', async () => {
+    const results = await LibraryOrganizer.undo(db, path.join(root, 'organize.jsonl'));
+
+    assert.equal(results.failed.length, 0);
+    assert.equal(await fs.readFile(path.join(root, 'inbox/a.mp3'), 'utf8'), 'girls and boys');
+    await fs.access(path.join(root, 'inbox/movie.en.srt'));
+    assert.equal((await db.getFileByPath(path.join(root, 'inbox/IMG_1.jpg'))).id, ids['inbox/IMG_1.jpg']);
+    assert.equal(await subtitlePath(ids['inbox/movie.mkv']), path.join(root, 'inbox/movie.en.srt'));
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { AuthManager } from '../lib/auth.js';
+import { PlaylistManager } from '../lib/playlists.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+describe('PlaylistManager', () => {
+  let db;
+  let root;
+  let playlists;
+  let owner;
+  let friend;
+  let stranger;
+
+  before(async () => {
+    db = await createTestDatabase();
+    await new AuthManager(db).initializeUsersTable();
+    root = await createFixtureTree({
+      'music/one.mp3': 'first track',
+      'music/two.mp3': 'second track',
+      'music/three.mp3': 'third track'
+    });
+    playlists = new PlaylistManager(db);
+
+    [owner, friend, stranger] = await Promise.all(['owner', 'friend', 'stranger'].map(addUser));
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  async function addUser(username) {
+    const [result] = await db.connection.execute(
+      'INSERT INTO users (username, password_hash, is_enabled) VALUES (?, ?, TRUE)',
+      [username, 'unused']
+    );
+    return result.insertId;
+  }
+
+  async function addFile(relativePath, title) {
+    const filePath = path.join(root, relativePath);
+    const [result] = await db.connection.execute(
+      'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+      [filePath, path.basename(filePath), 10, '.mp3']
+    );
+    await db.connection.execute('INSERT INTO music_metadata (file_id, title) VALUES (?, ?)', [result.insertId, title]);
+    return result.insertId;
+  }
+
+  it('creates playlists and adds tracks in order', async () => {
+    const one = await addFile('music/one.mp3', 'One');
+    const two = await addFile('music/two.mp3', 'Two');
+    const playlist = await playlists.create(owner, 'Road trip', 'Long drives');
+
+    assert.equal(playlist.name, 'Road trip');
+    assert.equal(playlist.owner, 'owner');
+    assert.ok(playlist.isOwner);
+
+    assert.deepEqual(await playlists.addTracks(playlist.id, [two, one, two]), { added: 3, notFound: [] });
+    const tracks = await playlists.getTracks(playlist.id);
+    assert.deepEqual(tracks.map(track => track.title), ['Two', 'One', 'Two']);
+    assert.deepEqual(tracks.map(track => track.position), [0, 1, 2]);
+    assert.ok(tracks.every(track => !track.missing && track.hash));
+
+    // Unknown ids add nothing
+    assert.deepEqual(await playlists.addTracks(playlist.id, [one, 9999]), { added: 0, notFound: [9999] });
+    assert.equal((await playlists.get(playlist.id, owner)).trackCount, 3);
+  });
+
+  it('follows a track to its new row after a rescan moves it', async () => {
+    const id = await addFile('music/three.mp3', 'Three');
+    const playlist = await playlists.create(owner, 'Moved');
+    await playlists.addTracks(playlist.id, [id]);
+    const { hash } = await db.getFileById(id);
+
+    // The rescan finds the file under a new name: the old row is deleted
+    // and the new one has the same content hash
+    await db.markFilesDeleted([id]);
+    const moved = await addFile('music/renamed.mp3', 'Three (Remastered)');
+    await db.updateFileHashes([{ id: moved, hash, quickHash: null }]);
+
+    const [track] = await playlists.getTracks(playlist.id);
+    assert.equal(track.id, moved);
+    assert.equal(track.path, path.join(root, 'music/renamed.mp3'));
+    assert.equal(track.title, 'Three (Remastered)');
+    assert.ok(!track.missing);
+  });
+
+  it('keeps entries whose file is gone, and matches unreadable files by path', async () => {
+    const id = await addFile('music/missing.mp3', 'Missing');
+    const playlist = await playlists.create(owner, 'Fragile');
+    await playlists.addTracks(playlist.id, [id]);
+
+    let [track] = await playlists.getTracks(playlist.id);
+    assert.equal(track.id, id);
+    assert.equal(track.hash, null);
+
+    await db.markFilesDeleted([id]);
+    [track] = await playlists.getTracks(playlist.id);
+    assert.ok(track.missing);
+    assert.equal(track.title, 'missing.mp3');
+    assert.equal(track.path, path.join(root, 'music/missing.mp3'));
+  });
+
+  it('reorders and removes entries', async () => {
+    const playlist = await playlists.create(owner, 'Shuffle');
+    const ids = [await addFile('music/one.mp3', 'A'), await addFile('music/two.mp3', 'B'), await addFile('music/three.mp3', 'C')];
+    await playlists.addTracks(playlist.id, ids);
+    const entries = (await playlists.getTracks(playlist.id)).map(track => track.entryId);
+
+    assert.equal(await playlists.reorder(playlist.id, [entries[0], entries[1]]), false);
+    assert.equal(await playlists.reorder(playlist.id, [entries[0], entries[0], entries[1]]), false);
+    assert.equal(await playlists.reorder(playlist.id, [entries[2], entries[0], entries[1]]), true);
+    assert.deepEqual((await playlists.getTracks(playlist.id)).map(track => track.entryId), [entries[2], entries[0], entries[1]]);
+
+    assert.equal(await playlists.removeTrack(playlist.id, entries[0]), true);
+    assert.equal(await playlists.removeTrack(playlist.id, entries[0]), false);
+    const tracks = await playlists.getTracks(playlist.id);
+    assert.deepEqual(tracks.map(track => track.entryId), [entries[2], entries[1]]);
+    assert.deepEqual(tracks.map(track => track.position), [0, 1]);
+  });
+
+  it('shows a playlist only to its owner and the users it is shared with', async () => {
+    const playlist = await playlists.create(owner, 'Shared');
+
+    assert.deepEqual(await playlists.share(playlist.id, ['friend', 'friend', 'nobody']), ['nobody']);
+    assert.deepEqual((await playlists.getShares(playlist.id)).map(user => user.username), ['friend']);
+
+    const seen = await playlists.get(playlist.id, friend);
+    assert.equal(seen.owner, 'owner');
+    assert.ok(!seen.isOwner);
+    assert.ok((await playlists.list(friend)).some(entry => entry.id === playlist.id));
+
+    assert.equal(await playlists.get(playlist.id, stranger), null);
+    assert.deepEqual(await playlists.list(stranger), []);
+
+    await playlists.update(playlist.id, { name: 'Renamed' });
+    assert.equal((await playlists.get(playlist.id, owner)).name, 'Renamed');
+
+    await playlists.remove(playlist.id);
+    assert.equal(await playlists.get(playlist.id, owner), null);
+    assert.deepEqual(await playlists.getShares(playlist.id), []);
+  });
+});
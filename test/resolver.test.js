@@ -0,0 +1,141 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DuplicateResolver } from '../lib/resolver.js';
+import { FileScanner } from '../lib/scanner.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+describe('DuplicateResolver', () => {
+  let root;
+  let group;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'photos/beach.jpg': 'same picture bytes',
+      'backup/2019/beach.jpg': 'same picture bytes',
+      'inbox/beach (1).jpg': 'same picture bytes',
+      'inbox/forged.jpg': 'same picture BYTES'
+    });
+    group = {
+      hash: 'beach',
+      size: 18,
+      files: [
+        file(1, 'inbox/beach (1).jpg', '2021-06-01 10:00:00'),
+        file(2, 'backup/2019/beach.jpg', '2019-06-01 10:00:00'),
+        file(3, 'photos/beach.jpg', '2021-06-01 10:00:00')
+      ]
+    };
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  const file = (id, relativePath, mtime) => ({ id, path: path.join(root, relativePath), mtime });
+  const kept = options => path.relative(root, new DuplicateResolver(options).plan([group])[0].keep.path);
+
+  it('keeps the copy the first deciding rule prefers', () => {
+    assert.equal(kept({ rules: ['oldest'] }), 'backup/2019/beach.jpg');
+    assert.equal(kept({ rules: ['shortest-path'] }), 'photos/beach.jpg');
+    assert.equal(kept({ rules: ['preferred-root', 'oldest'], preferredRoots: [path.join(root, 'inbox')] }), 'inbox/beach (1).jpg');
+    assert.equal(kept({ rules: ['path-priority', 'oldest'], pathPriority: ['^nowhere'] }), 'backup/2019/beach.jpg');
+    assert.equal(kept({ rules: ['path-priority', 'oldest'], pathPriority: ['/photos/'] }), 'photos/beach.jpg');
+    assert.throws(() => new DuplicateResolver({ rules: ['newest'] }), /Unknown keep rule "newest"/);
+  });
+
+  it('refuses to touch a copy whose content differs from the kept file', async () => {
+    const resolver = new DuplicateResolver({ action: 'delete' });
+    const plan = [{ hash: 'beach', size: 18, keep: group.files[2], remove: [file(4, 'inbox/forged.jpg')] }];
+
+    await assert.rejects(resolver.verifyCopy(plan[0].keep.path, plan[0].remove[0].path, 18), /content differs/);
+
+    const results = await resolver.execute(plan, path.join(root, 'forged.jsonl'));
+    assert.deepEqual(results.failed.map(failure => failure.error), ['content differs from the kept file']);
+    assert.equal(await fs.readFile(path.join(root, 'inbox/forged.jpg'), 'utf8'), 'same picture BYTES');
+  });
+
+  for (const action of ['hardlink', 'symlink']) {
+    it(`replaces copies with ${action}s and undoes it from the journal`, async () => {
+      const resolver = new DuplicateResolver({ action, rules: ['shortest-path'] });
+      const journal = path.join(root, `${action}.jsonl`);
+      const copy = path.join(root, 'backup/2019/beach.jpg');
+      const { mtime } = await fs.stat(copy);
+
+      const results = await resolver.execute(resolver.plan([group]), journal);
+      assert.equal(results.resolved.length, 2);
+      assert.equal(results.reclaimed, 36);
+      const linked = await fs.lstat(copy);
+      if (action === 'symlink') {
+        assert.equal(await fs.readlink(copy), path.join(root, 'photos/beach.jpg'));
+      } else {
+        assert.equal(linked.nlink, 3);
+      }
+
+      const undone = await DuplicateResolver.undo(journal);
+      assert.equal(undone.failed.length, 0);
+      const restored = await fs.lstat(copy);
+      assert.ok(restored.isFile());
+      assert.equal(restored.nlink, 1);
+      assert.equal(restored.mtime.getTime(), mtime.getTime());
+      assert.equal(await fs.readFile(copy, 'utf8'), 'same picture bytes');
+    });
+  }
+
+  it('reports deleted copies as impossible to undo', async () => {
+    const journal = path.join(root, 'delete.jsonl');
+    await fs.writeFile(journal, JSON.stringify({ action: 'delete', path: path.join(root, 'gone.jpg') }) + '\n');
+
+    const results = await DuplicateResolver.undo(journal);
+    assert.deepEqual(results.failed.map(failure => failure.error), ['deleted files cannot be restored']);
+  });
+});
+
+describe('resolving duplicates recorded in the database', () => {
+  let db;
+  let root;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'photos/beach.jpg': 'same picture bytes',
+      'backup/beach.jpg': 'same picture bytes',
+      'inbox/beach.jpg': 'same picture bytes'
+    });
+    const scanId = await db.createScanSession(root);
+    await db.storeFilesBatch(await new FileScanner().scanDirectory(root), scanId);
+    const [rows] = await db.connection.execute('SELECT id FROM scanned_files');
+    await db.updateFileHashes(rows.map(row => ({ id: row.id, hash: 'beach', quickHash: null })));
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const resolve = async () => {
+    const resolver = new DuplicateResolver({ action: 'hardlink', rules: ['shortest-path'] });
+    const results = await resolver.execute(resolver.plan(await db.getDuplicatesDetailed()), path.join(root, 'resolve.jsonl'));
+    await db.updateResolvedDuplicates(results.resolved);
+    return results;
+  };
+
+  it('leaves linked copies out of the duplicates, so a second run has nothing to do', async () => {
+    assert.equal((await resolve()).resolved.length, 2);
+
+    assert.deepEqual(await db.getDuplicatesDetailed(), []);
+    assert.deepEqual(await db.getDuplicates(), []);
+    const second = await resolve();
+    assert.deepEqual([second.resolved.length, second.failed.length], [0, 0]);
+  });
+
+  it('counts undone links as duplicates again', async () => {
+    const undone = await DuplicateResolver.undo(path.join(root, 'resolve.jsonl'));
+    await db.updateResolvedDuplicates(undone.restored, true);
+
+    const [group] = await db.getDuplicatesDetailed();
+    assert.equal(group.count, 3);
+    assert.equal(group.wastedSpace, 36);
+  });
+});
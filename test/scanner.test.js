@@ -0,0 +1,180 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createHash } from 'crypto';
+import { FileScanner } from '../lib/scanner.js';
+import { createFixtureTree, removeFixture } from './helpers/fixtures.js';
+
+describe('FileScanner', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'a.txt': 'alpha',
+      'docs/b.md': 'bravo bravo',
+      'docs/deep/c.log': 'charlie',
+      'node_modules/pkg/index.js': 'module.exports = {}',
+      '.git/HEAD': 'ref: refs/heads/main',
+      'empty-dir': {},
+      'link-to-a': { symlink: 'a.txt' }
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  const names = files => files.map(file => file.name).sort();
+
+  it('finds every regular file with its size and times', async () => {
+    const scanner = new FileScanner();
+    const files = await scanner.scanDirectory(root);
+
+    assert.deepEqual(names(files), ['HEAD', 'a.txt', 'b.md', 'c.log', 'index.js']);
+
+    const a = files.find(file => file.name === 'a.txt');
+    assert.equal(a.path, path.join(root, 'a.txt'));
+    assert.equal(a.size, 5);
+    assert.ok(a.mtime instanceof Date);
+  });
+
+  it('skips symlinks unless followSymlinks is set', async () => {
+    const followed = await new FileScanner({ followSymlinks: true }).scanDirectory(root);
+    assert.ok(names(followed).includes('link-to-a'));
+
+    const skipped = await new FileScanner().scanDirectory(root);
+    assert.ok(!names(skipped).includes('link-to-a'));
+  });
+
+  it('applies string and RegExp exclude patterns', async () => {
+    const scanner = new FileScanner({ excludePatterns: ['node_modules', /\.log$/] });
+    const files = await scanner.scanDirectory(root);
+
+    assert.deepEqual(names(files), ['HEAD', 'a.txt', 'b.md']);
+  });
+
+  it('excludes hidden folders by path segment', async () => {
+    const scanner = new FileScanner({ hiddenFolders: ['.git'] });
+    const files = await scanner.scanDirectory(root);
+
+    assert.ok(!names(files).includes('HEAD'));
+    assert.ok(names(files).includes('a.txt'));
+  });
+
+  it('stops descending past maxDepth', async () => {
+    const scanner = new FileScanner({ maxDepth: 1, excludePatterns: ['node_modules', '.git'] });
+    const files = await scanner.scanDirectory(root);
+
+    assert.deepEqual(names(files), ['a.txt', 'b.md']);
+  });
+
+  it('reports the paths it leaves out of the walk', async () => {
+    const skipped = [];
+    const scanner = new FileScanner({ maxDepth: 1, excludePatterns: ['node_modules'] });
+    await scanner.scanDirectory(root, () => {}, { skipped });
+
+    assert.deepEqual(
+      skipped.map(entry => [path.relative(root, entry.path), entry.reason]).sort(),
+      [['docs/deep', 'deeper than maxDepth'], ['node_modules', 'excluded']]
+    );
+  });
+
+  it('reports completion through the progress callback', async () => {
+    const events = [];
+    const files = await new FileScanner().scanDirectory(root, event => events.push(event));
+
+    const complete = events.find(event => event.type === 'complete');
+    assert.equal(complete.totalFiles, files.length);
+  });
+
+  it('walks files and directories lazily', async () => {
+    const entries = [];
+    for await (const entry of new FileScanner().walk(root)) {
+      entries.push(entry);
+    }
+
+    const directories = entries.filter(entry => entry.type === 'directory');
+    assert.deepEqual(directories.find(entry => entry.depth === 0).path, root);
+    assert.ok(directories.some(entry => entry.path === path.join(root, 'docs', 'deep') && entry.depth === 2));
+    assert.deepEqual(names(entries.filter(entry => entry.type === 'file')), names(await new FileScanner().scanDirectory(root)));
+  });
+
+  it('stops walking when the consumer stops asking', async () => {
+    const events = [];
+    const walk = new FileScanner().walk(root, { progressCallback: event => events.push(event) });
+
+    const first = await walk.next();
+    assert.equal(first.value.type, 'directory');
+    await walk.return();
+
+    assert.equal((await walk.next()).done, true);
+    assert.deepEqual(events, []);
+  });
+
+  it('hands files over in batches at directory boundaries', async () => {
+    const scanner = new FileScanner();
+    const batches = [];
+    await scanner.scanInBatches(root, {
+      batchSize: 1,
+      onBatch: (files, queue) => batches.push({ files, queue })
+    });
+
+    assert.ok(batches.length > 1);
+    assert.deepEqual(batches.at(-1).queue, []);
+    assert.deepEqual(names(batches.flatMap(batch => batch.files)), names(await scanner.scanDirectory(root)));
+  });
+
+  it('resumes a walk from the queue of an earlier batch', async () => {
+    const scanner = new FileScanner();
+    let checkpoint = null;
+    const first = [];
+    await scanner.scanInBatches(root, {
+      batchSize: 1,
+      onBatch: (files, queue) => {
+        if (!checkpoint) {
+          first.push(...files);
+          checkpoint = queue;
+        }
+      }
+    });
+
+    const rest = [];
+    await scanner.scanInBatches(root, { queue: checkpoint, onBatch: files => rest.push(...files) });
+
+    assert.deepEqual(names([...first, ...rest]), names(await scanner.scanDirectory(root)));
+  });
+
+  it('calculates a full sha256 hash', async () => {
+    const scanner = new FileScanner();
+    const expected = createHash('sha256').update('alpha').digest('hex');
+
+    assert.equal(await scanner.calculateHash(path.join(root, 'a.txt')), expected);
+    assert.equal(await scanner.calculateStreamingHash(path.join(root, 'a.txt')), expected);
+    assert.equal(await scanner.calculateSmartHash(path.join(root, 'a.txt')), expected);
+  });
+
+  it('gives equal quick hashes for equal content and different ones otherwise', async () => {
+    const tree = await createFixtureTree({
+      'one.bin': Buffer.alloc(20000, 1),
+      'two.bin': Buffer.alloc(20000, 1),
+      'three.bin': Buffer.alloc(20000, 2)
+    });
+
+    try {
+      const scanner = new FileScanner();
+      const one = await scanner.calculateQuickHash(path.join(tree, 'one.bin'));
+      const two = await scanner.calculateQuickHash(path.join(tree, 'two.bin'));
+      const three = await scanner.calculateQuickHash(path.join(tree, 'three.bin'));
+
+      assert.equal(one, two);
+      assert.notEqual(one, three);
+    } finally {
+      await removeFixture(tree);
+    }
+  });
+
+  it('wraps hashing errors with the file path', async () => {
+    const missing = path.join(root, 'missing.txt');
+    await assert.rejects(new FileScanner().calculateHash(missing), new RegExp(missing.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { JobRunner } from '../lib/jobs.js';
+import { Scheduler, parseCron, cronMatches, nextCronRun } from '../lib/scheduler.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+// Stands in for bin/cli.js: a step fails with --min-size and runs until
+// interrupted with --limit
+const FAKE_CLI = `
+const [command, ...args] = process.argv.slice(2);
+if (args.includes('--min-size')) {
+  console.error('Hashing failed: disk gone');
+  process.exit(1);
+} else if (args.includes('--limit')) {
+  process.on('SIGINT', () => process.exit(130));
+  console.log('Waiting');
+  setInterval(() => {}, 1000);
+} else {
+  console.log(command + ' ' + args.join(' '));
+}
+`;
+
+describe('parseCron', () => {
+  it('matches minutes, hours, ranges, lists and steps', () => {
+    const cron = parseCron('*/15 9-17 * * 1-5');
+
+    assert.ok(cronMatches(cron, new Date(2026, 9, 19, 9, 45)));
+    assert.ok(!cronMatches(cron, new Date(2026, 9, 19, 9, 50)));
+    assert.ok(!cronMatches(cron, new Date(2026, 9, 19, 18, 0)));
+    // October 18th 2026 is a Sunday
+    assert.ok(!cronMatches(cron, new Date(2026, 9, 18, 9, 45)));
+
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays].sort(), [0, 7]);
+    assert.deepEqual([...parseCron('5,10/20 * * * *').minutes], [5, 10, 30, 50]);
+    assert.ok(cronMatches(parseCron('@daily'), new Date(2026, 9, 19, 0, 0)));
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => parseCron('0 3 * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+    assert.throws(() => parseCron('0 5-2 * * *'), /Invalid hour/);
+    assert.throws(() => parseCron('0 0 * * mon'), /Invalid day of week/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute/);
+  });
+
+  it('finds the next run', () => {
+    const after = new Date(2026, 9, 19, 3, 30);
+
+    assert.deepEqual(nextCronRun(parseCron('0 3 * * *'), after), new Date(2026, 9, 20, 3, 0));
+    assert.deepEqual(nextCronRun(parseCron('45 3 * * *'), after), new Date(2026, 9, 19, 3, 45));
+    assert.deepEqual(nextCronRun(parseCron('0 0 1 * *'), after), new Date(2026, 10, 1, 0, 0));
+    // A restricted day of month and day of week match when either does
+    assert.deepEqual(nextCronRun(parseCron('0 0 25 * 3'), after), new Date(2026, 9, 21, 0, 0));
+    assert.equal(nextCronRun(parseCron('0 0 30 2 *'), after), null);
+  });
+});
+
+describe('Scheduler', () => {
+  let db;
+  let root;
+  let jobs;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({ 'cli.js': FAKE_CLI, 'library/a.txt': 'a' });
+    jobs = new JobRunner(db, { cliPath: path.join(root, 'cli.js') });
+  });
+
+  after(async () => {
+    await jobs.stop();
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const schedule = (name, steps) => ({ name, cron: '0 3 * * *', root: path.join(root, 'library'), steps });
+
+  it('checks the configured schedules', () => {
+    assert.throws(() => new Scheduler(db, jobs, [{ ...schedule('a'), cron: '0 25 * * *' }]), /Schedule "a": Invalid hour/);
+    assert.throws(() => new Scheduler(db, jobs, [{ ...schedule('a'), root: 'library' }]), /absolute directory path/);
+    assert.throws(() => new Scheduler(db, jobs, [schedule('a', ['scan', 'find-duplicates-db'])]), /unknown step "find-duplicates-db"/);
+    assert.throws(() => new Scheduler(db, jobs, [schedule('a'), schedule('a')]), /Duplicate schedule name/);
+    assert.throws(() => new Scheduler(db, jobs, []).get('missing'), /Unknown schedule "missing"/);
+  });
+
+  it('runs the steps in order and records the run', async () => {
+    const scheduler = new Scheduler(db, jobs, [schedule('nightly')]);
+    const started = [];
+    scheduler.on('step', (name, step, job) => started.push(job));
+
+    const run = await scheduler.run('nightly');
+    assert.equal(run.status, 'completed');
+    assert.deepEqual(run.steps.map(step => step.status), ['completed', 'completed', 'completed']);
+    assert.deepEqual(started.map(job => job.type), ['scan', 'update-hashes-db', 'extract-media-from-db']);
+    assert.deepEqual(started[0].args, { path: path.join(root, 'library'), incremental: true });
+    assert.deepEqual(started[1].args, { root: path.join(root, 'library') });
+    assert.deepEqual(started[2].args, { root: path.join(root, 'library'), skipExisting: true });
+
+    const [recorded] = await scheduler.history('nightly');
+    assert.equal(recorded.id, run.id);
+    assert.equal(recorded.status, 'completed');
+    assert.equal(recorded.trigger, 'manual');
+    assert.equal(recorded.steps.length, 3);
+    assert.ok(recorded.durationMs >= 0);
+    assert.ok(recorded.finishedAt);
+
+    const [listed] = await scheduler.list(new Date(2026, 9, 19, 12, 0));
+    assert.deepEqual(listed.nextRun, new Date(2026, 9, 20, 3, 0));
+    assert.equal(listed.lastRun.id, run.id);
+  });
+
+  it('stops the pipeline at a failed step', async () => {
+    const scheduler = new Scheduler(db, jobs, [
+      schedule('hashes', ['scan', { step: 'update-hashes-db', args: { minSize: 1 } }, 'extract-media-from-db'])
+    ]);
+
+    const run = await scheduler.run('hashes');
+    assert.equal(run.status, 'failed');
+    assert.deepEqual(run.steps.map(step => step.step), ['scan', 'update-hashes-db']);
+    assert.equal(run.error, 'update-hashes-db failed: Hashing failed: disk gone');
+  });
+
+  it('fails a step with invalid arguments', async () => {
+    const scheduler = new Scheduler(db, jobs, [{ ...schedule('missing', ['scan']), root: path.join(root, 'missing') }]);
+
+    const run = await scheduler.run('missing');
+    assert.equal(run.status, 'failed');
+    assert.equal(run.steps[0].jobId, null);
+    assert.match(run.error, /scan failed: path does not exist/);
+  });
+
+  it('does not run a schedule twice at once', async () => {
+    const scheduler = new Scheduler(db, jobs, [schedule('slow', [{ step: 'extract-media-from-db', args: { limit: 1 } }])]);
+    const stepStarted = new Promise(resolve => scheduler.once('step', (name, step, job) => resolve(job)));
+
+    const running = scheduler.run('slow', 'schedule');
+    const job = await stepStarted;
+
+    await assert.rejects(scheduler.run('slow'), /still in progress/);
+    // A second scheduler sees the run in the database
+    const other = new Scheduler(db, jobs, [schedule('slow', ['scan'])]);
+    const skipped = await other.run('slow', 'schedule');
+    assert.equal(skipped.status, 'skipped');
+
+    await jobs.cancel(job.id);
+    const run = await running;
+    assert.equal(run.status, 'cancelled');
+
+    const history = await scheduler.history('slow');
+    assert.deepEqual(history.map(entry => entry.status), ['skipped', 'cancelled']);
+  });
+
+  it('fails runs left in progress by a previous process', async () => {
+    const id = await db.createScheduleRun('nightly', 'schedule');
+    const scheduler = new Scheduler(db, jobs, [schedule('nightly')]);
+
+    assert.equal(await scheduler.start(), 1);
+    await scheduler.stop();
+
+    const [run] = (await scheduler.history('nightly')).filter(entry => entry.id === id);
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /process stopped/);
+  });
+});
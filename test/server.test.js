@@ -0,0 +1,402 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createTestDatabase, seedSampleLibrary, createFixtureTree, removeFixture } from './helpers/fixtures.js';
+import { samplePhotos, sampleTracks, sampleMovies } from '../generate-samples.js';
+
+const ADMIN_PASSWORD = 'test-admin-password';
+
+describe('server routes', () => {
+  const cwd = process.cwd();
+  let tempDir;
+  let server;
+  let baseUrl;
+  let token;
+  let jobs;
+
+  before(async () => {
+    // Migrate and seed a disposable database, then let the server open it
+    const db = await createTestDatabase();
+    await seedSampleLibrary(db);
+    await db.close();
+    tempDir = db.tempDir;
+
+    process.env.ADMIN_USERNAME = 'admin';
+    process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+    process.env.JWT_SECRET = 'test-jwt-secret';
+    // The access log is written relative to the working directory
+    process.chdir(tempDir);
+
+    const serverModule = await import('../server.js');
+    await serverModule.initDatabase({ type: 'sqlite', filename: path.join(tempDir, 'test.db') });
+    // The job runner only exists once the database is open
+    jobs = serverModule.jobs;
+
+    server = serverModule.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await jobs?.stop();
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+    process.chdir(cwd);
+    await removeFixture(tempDir);
+  });
+
+  const get = (route, auth = token) => fetch(`${baseUrl}${route}`, {
+    headers: auth ? { Authorization: `Bearer ${auth}` } : {}
+  });
+
+  const send = (method, route, body = {}, auth = token) => fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { Authorization: `Bearer ${auth}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const post = (route, body = {}) => send('POST', route, body);
+
+  const login = async (username, password) => {
+    const res = await fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    return (await res.json()).token;
+  };
+
+  it('reports health without authentication', async () => {
+    const res = await get('/api/health', null);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { status: 'ok', database: 'connected' });
+  });
+
+  it('rejects protected routes without a token', async () => {
+    const res = await get('/api/photos', null);
+
+    assert.equal(res.status, 401);
+  });
+
+  it('rejects a wrong password', async () => {
+    const res = await fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'wrong' })
+    });
+
+    assert.equal(res.status, 401);
+  });
+
+  it('logs in the default admin user', async () => {
+    const res = await fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: ADMIN_PASSWORD })
+    });
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.ok(body.token);
+    assert.equal(body.user.username, 'admin');
+    token = body.token;
+
+    const verify = await get('/api/auth/verify');
+    assert.equal((await verify.json()).valid, true);
+  });
+
+  it('lists the seeded photos', async () => {
+    const res = await get('/api/photos');
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.deepEqual(body.photos.map(photo => photo.name).sort(), samplePhotos.map(photo => photo.name).sort());
+    assert.equal(body.stats.totalPhotos, samplePhotos.length);
+    assert.equal(body.stats.withGPS, samplePhotos.filter(photo => photo.latitude != null).length);
+  });
+
+  it('filters photos by search term', async () => {
+    const res = await get('/api/photos?search=canon');
+    const body = await res.json();
+
+    const expected = samplePhotos.filter(photo => photo.camera_make === 'Canon');
+    assert.deepEqual(body.photos.map(photo => photo.name).sort(), expected.map(photo => photo.name).sort());
+  });
+
+  it('pages and sorts photos in the database', async () => {
+    const bySize = [...samplePhotos].sort((a, b) => b.size - a.size);
+
+    const first = await (await get('/api/photos?sort=size&order=desc&limit=2')).json();
+    assert.deepEqual(first.photos.map(photo => photo.name), bySize.slice(0, 2).map(photo => photo.name));
+    assert.deepEqual(first.pagination, { page: 1, limit: 2, total: samplePhotos.length, pages: Math.ceil(samplePhotos.length / 2) });
+    // Stats cover every matching photo, not just the page
+    assert.equal(first.stats.totalPhotos, samplePhotos.length);
+
+    const second = await (await get('/api/photos?sort=size&order=desc&limit=2&page=2')).json();
+    assert.deepEqual(second.photos.map(photo => photo.name), bySize.slice(2, 4).map(photo => photo.name));
+  });
+
+  it('filters photos with GPS and treats LIKE wildcards literally', async () => {
+    const gps = await (await get('/api/photos?filter=gps')).json();
+    assert.equal(gps.photos.length, samplePhotos.filter(photo => photo.latitude != null).length);
+
+    const wildcard = await (await get('/api/photos?search=%25')).json();
+    assert.equal(wildcard.photos.length, 0);
+  });
+
+  it('lists the seeded music with artist and album counts', async () => {
+    const res = await get('/api/music');
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.tracks.length, sampleTracks.length);
+    assert.equal(body.stats.totalArtists, new Set(sampleTracks.map(track => track.artist)).size);
+    assert.equal(body.stats.totalAlbums, new Set(sampleTracks.map(track => track.album)).size);
+  });
+
+  it('filters music by artist and year range and lists artists and albums', async () => {
+    const artist = sampleTracks[0].artist;
+    const byArtist = await (await get(`/api/music?artist=${encodeURIComponent(artist)}`)).json();
+    assert.deepEqual(byArtist.tracks.map(track => track.name), sampleTracks.filter(track => track.artist === artist).map(track => track.name));
+
+    const years = await (await get('/api/music?yearFrom=2000&sort=year')).json();
+    const expectedYears = sampleTracks.filter(track => track.year >= 2000).map(track => track.year).sort((a, b) => a - b);
+    assert.deepEqual(years.tracks.map(track => track.year), expectedYears);
+
+    const artists = await (await get('/api/music/artists')).json();
+    assert.equal(artists.pagination.total, new Set(sampleTracks.map(track => track.artist)).size);
+    assert.equal(artists.artists.reduce((sum, entry) => sum + entry.trackCount, 0), sampleTracks.length);
+
+    const albums = await (await get('/api/music/albums?limit=2')).json();
+    assert.equal(albums.albums.length, 2);
+    assert.equal(albums.pagination.total, new Set(sampleTracks.map(track => track.album)).size);
+  });
+
+  it('lists the seeded movies with 4K and HD counts', async () => {
+    const res = await get('/api/movies');
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.movies.length, sampleMovies.length);
+    assert.equal(body.stats.fourKCount, sampleMovies.filter(movie => movie.width >= 3840).length);
+    assert.equal(body.stats.hdCount, sampleMovies.filter(movie => movie.width >= 1280 && movie.width < 3840).length);
+  });
+
+  it('lists the subtitles of a movie and rejects unknown subtitles', async () => {
+    const { movies } = await (await get('/api/movies')).json();
+
+    const res = await get(`/api/movies/${movies[0].id}/subtitles`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { subtitles: [] });
+    assert.equal((await get('/subtitles/999999')).status, 404);
+  });
+
+  it('tracks watch progress and lists movies to continue', async () => {
+    const { movies } = await (await get('/api/movies')).json();
+    const [movie, other] = movies;
+    assert.equal(movie.progress, null);
+
+    let res = await send('PUT', `/api/movies/${movie.id}/progress`, { position: 60, duration: 6000 });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).progress.position, 60);
+    await send('PUT', `/api/movies/${other.id}/progress`, { position: 5990, duration: 6000 });
+
+    const { movies: continuing } = await (await get('/api/movies/continue-watching')).json();
+    assert.deepEqual(continuing.map(entry => entry.id), [movie.id]);
+    const listed = (await (await get('/api/movies')).json()).movies.find(entry => entry.id === other.id);
+    assert.ok(listed.progress.watched);
+
+    assert.equal((await send('PUT', `/api/movies/${movie.id}/progress`, { position: -1 })).status, 400);
+    assert.equal((await send('PUT', '/api/movies/999999/progress', { position: 1 })).status, 404);
+
+    res = await send('DELETE', `/api/movies/${movie.id}/progress`);
+    assert.equal((await res.json()).cleared, 1);
+    assert.equal((await (await get(`/api/movies/${movie.id}/progress`)).json()).progress, null);
+    res = await send('DELETE', '/api/movies/progress');
+    assert.equal((await res.json()).cleared, 1);
+  });
+
+  it('lists TV shows apart from movies', async () => {
+    const res = await get('/api/shows');
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).shows, []);
+    assert.equal((await get('/api/shows/999999')).status, 404);
+
+    const { movies } = await (await get('/api/movies?type=movie')).json();
+    assert.equal(movies.length, sampleMovies.length);
+    assert.deepEqual((await (await get(`/api/shows/episodes/${movies[0].id}/next`)).json()), { episode: null });
+  });
+
+  it('summarizes the whole library', async () => {
+    const res = await get('/api/summary');
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.totalFiles, samplePhotos.length + sampleTracks.length + sampleMovies.length);
+    assert.equal(body.breakdown.photos.totalPhotos, samplePhotos.length);
+    assert.equal(body.breakdown.music.totalTracks, sampleTracks.length);
+    assert.equal(body.breakdown.movies.totalMovies, sampleMovies.length);
+
+    const minutes = [...sampleTracks, ...sampleMovies].reduce((sum, item) => sum + Math.floor(item.duration / 60), 0);
+    assert.equal(body.totalDurationMinutes, minutes);
+  });
+
+  it('checks thumbnail sizes and missing photos', async () => {
+    const { photos } = await (await get('/api/photos')).json();
+
+    assert.equal((await get(`/thumbnails/${photos[0].id}/huge`)).status, 400);
+    // The sample library has no files on disk
+    assert.equal((await get(`/thumbnails/${photos[0].id}/small`)).status, 404);
+    assert.equal((await get('/thumbnails/999999/small')).status, 404);
+  });
+
+  it('checks cover sizes and albums without art', async () => {
+    assert.equal((await get('/api/music/cover/1?size=huge')).status, 400);
+    // The sample library has no files on disk, so no album has art
+    assert.equal((await get('/api/music/cover/999999')).status, 404);
+  });
+
+  it('reports that transcoding is off by default', async () => {
+    const res = await get('/api/transcoding');
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.available, false);
+    assert.deepEqual(body.qualities.audio, ['high', 'medium', 'low']);
+    assert.ok(body.playableExtensions.video.includes('.mp4'));
+    assert.ok(!body.playableExtensions.video.includes('.mkv'));
+  });
+
+  it('rejects CLI operations that are not whitelisted', async () => {
+    const res = await post('/api/cli/execute', { command: 'empty-dirs', args: {} });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Unknown job type/);
+
+    const badArgs = await post('/api/cli/execute', { command: 'scan', args: { path: '../etc' } });
+    assert.equal(badArgs.status, 400);
+  });
+
+  it('runs a scan job and streams its progress', async () => {
+    const root = await createFixtureTree({ 'docs/readme.txt': 'hello', 'notes.txt': 'world' });
+    try {
+      const res = await post('/api/cli/execute', { command: 'scan', args: { path: root } });
+      assert.equal(res.status, 202);
+      const { job } = await res.json();
+
+      // Read the event stream until the job ends
+      const events = await get(`/api/jobs/${job.id}/events`);
+      assert.equal(events.headers.get('content-type'), 'text/event-stream');
+      const stream = await events.text();
+
+      const end = stream.split('\n\n').find(chunk => chunk.startsWith('event: end'));
+      assert.ok(end, 'stream ends with an end event');
+      assert.equal(JSON.parse(end.split('data: ')[1]).status, 'completed');
+      assert.match(stream, /Scan complete/);
+
+      const list = await (await get('/api/jobs')).json();
+      assert.equal(list.jobs[0].id, job.id);
+      assert.equal(list.jobs[0].status, 'completed');
+
+      const cancel = await post(`/api/jobs/${job.id}/cancel`);
+      assert.equal(cancel.status, 409);
+      assert.equal((await get('/api/jobs/999999')).status, 404);
+    } finally {
+      await removeFixture(root);
+    }
+  });
+
+  it('lists users for an admin', async () => {
+    const res = await get('/api/admin/users');
+    assert.equal(res.status, 200);
+
+    const { users } = await res.json();
+    assert.ok(users.some(user => user.username === 'admin'));
+  });
+
+  it('creates, edits and reorders a playlist', async () => {
+    const { tracks: library } = await (await get('/api/music')).json();
+
+    const invalid = await post('/api/playlists', { name: '  ' });
+    assert.equal(invalid.status, 400);
+
+    const created = await post('/api/playlists', { name: 'Favourites' });
+    assert.equal(created.status, 201);
+    const { playlist } = await created.json();
+    assert.equal(playlist.owner, 'admin');
+
+    const unknown = await post(`/api/playlists/${playlist.id}/tracks`, { fileIds: [library[0].id, 999999] });
+    assert.equal(unknown.status, 400);
+
+    const added = await (await post(`/api/playlists/${playlist.id}/tracks`, { fileIds: library.slice(0, 3).map(track => track.id) })).json();
+    assert.equal(added.added, 3);
+    // The sample files aren't on disk, so the entries follow their paths
+    assert.deepEqual(added.tracks.map(track => track.id), library.slice(0, 3).map(track => track.id));
+    const [first, second, third] = added.tracks.map(track => track.entryId);
+
+    assert.equal((await send('PUT', `/api/playlists/${playlist.id}/tracks`, { entryIds: [first, second] })).status, 400);
+    const reordered = await (await send('PUT', `/api/playlists/${playlist.id}/tracks`, { entryIds: [third, first, second] })).json();
+    assert.deepEqual(reordered.tracks.map(track => track.entryId), [third, first, second]);
+
+    const removed = await (await send('DELETE', `/api/playlists/${playlist.id}/tracks/${first}`)).json();
+    assert.deepEqual(removed.tracks.map(track => track.entryId), [third, second]);
+    assert.equal((await send('DELETE', `/api/playlists/${playlist.id}/tracks/${first}`)).status, 404);
+
+    assert.equal((await send('PATCH', `/api/playlists/${playlist.id}`, { name: 'Best of' })).status, 200);
+    const fetched = await (await get(`/api/playlists/${playlist.id}`)).json();
+    assert.equal(fetched.playlist.name, 'Best of');
+    assert.equal(fetched.playlist.trackCount, 2);
+
+    const { playlists } = await (await get('/api/playlists')).json();
+    assert.ok(playlists.some(entry => entry.id === playlist.id));
+  });
+
+  it('shares a playlist read-only with another user', async () => {
+    const register = await fetch(`${baseUrl}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'listener', password: 'listener-password' })
+    });
+    assert.equal(register.status, 200);
+    const { users } = await (await get('/api/admin/users')).json();
+    const listener = users.find(user => user.username === 'listener');
+    assert.equal((await post(`/api/admin/users/${listener.id}/enable`)).status, 200);
+    const listenerToken = await login('listener', 'listener-password');
+
+    const { playlist: shared } = await (await post('/api/playlists', { name: 'Shared' })).json();
+    const { playlist: unshared } = await (await post('/api/playlists', { name: 'Private' })).json();
+
+    const shares = await (await send('PUT', `/api/playlists/${shared.id}/shares`, { usernames: ['listener', 'ghost'] })).json();
+    assert.deepEqual(shares.sharedWith, ['listener']);
+    assert.deepEqual(shares.unknown, ['ghost']);
+
+    const seen = await get(`/api/playlists/${shared.id}`, listenerToken);
+    assert.equal(seen.status, 200);
+    assert.equal((await seen.json()).playlist.isOwner, false);
+
+    assert.equal((await send('PATCH', `/api/playlists/${shared.id}`, { name: 'Mine now' }, listenerToken)).status, 403);
+    assert.equal((await send('DELETE', `/api/playlists/${shared.id}`, {}, listenerToken)).status, 403);
+    assert.equal((await get(`/api/playlists/${unshared.id}`, listenerToken)).status, 404);
+
+    assert.equal((await send('DELETE', `/api/playlists/${shared.id}`)).status, 200);
+    assert.equal((await get(`/api/playlists/${shared.id}`)).status, 404);
+  });
+
+  it('limits tag editing to admins and checks the tags', async () => {
+    const listenerToken = await login('listener', 'listener-password');
+    assert.equal((await send('PATCH', '/api/music/tracks/1/tags', { tags: { title: 'x' } }, listenerToken)).status, 403);
+    assert.equal((await get('/api/music/tag-edits', listenerToken)).status, 403);
+
+    assert.equal((await send('PATCH', '/api/music/tracks/1/tags', { tags: { rating: 5 } })).status, 400);
+    assert.equal((await send('PATCH', '/api/music/albums/1/tags', { tags: { title: 'x' } })).status, 400);
+    assert.equal((await send('PATCH', '/api/music/tracks/999999/tags', { tags: { title: 'x' } })).status, 404);
+    assert.equal((await send('PATCH', '/api/music/albums/999999/tags', { tags: { genre: 'Rock' } })).status, 404);
+
+    const res = await get('/api/music/tag-edits');
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).edits, []);
+    assert.equal((await post('/api/music/tag-edits/999999/undo')).status, 404);
+  });
+});
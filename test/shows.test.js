@@ -0,0 +1,123 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuthManager } from '../lib/auth.js';
+import { parseEpisode, ShowManager } from '../lib/shows.js';
+import { WatchProgressManager } from '../lib/watch-progress.js';
+import { createTestDatabase, removeFixture } from './helpers/fixtures.js';
+
+describe('parseEpisode', () => {
+  it('reads S01E02 and 1x02 markers with the show before them', () => {
+    assert.deepEqual(parseEpisode('/tv/Breaking.Bad.S01E02.Cats.in.the.Bag.720p.WEB-DL.x264.mkv'),
+      { show: 'Breaking Bad', season: 1, episode: 2, episodeEnd: null, title: 'Cats in the Bag' });
+    assert.deepEqual(parseEpisode('/tv/Doctor Who - 1x02 - The End of the World.avi'),
+      { show: 'Doctor Who', season: 1, episode: 2, episodeEnd: null, title: 'The End of the World' });
+    assert.deepEqual(parseEpisode('/tv/Show_Name_s1e2e3.mkv'),
+      { show: 'Show Name', season: 1, episode: 2, episodeEnd: 3, title: null });
+    assert.equal(parseEpisode('/tv/[Group] Anime - S01E12 [1080p].mkv').show, 'Anime');
+  });
+
+  it('takes the show from the folders when the file name starts with the episode', () => {
+    assert.deepEqual(parseEpisode('/tv/The Office (US)/Season 02/S02E03 - Office Olympics.mp4'),
+      { show: 'The Office (US)', season: 2, episode: 3, episodeEnd: null, title: 'Office Olympics' });
+    assert.deepEqual(parseEpisode('/tv/Show/Season 1/Episode 02.mkv'),
+      { show: 'Show', season: 1, episode: 2, episodeEnd: null, title: null });
+    assert.deepEqual(parseEpisode('/tv/Show/Season 3/05 - The Title (1080p).mkv'),
+      { show: 'Show', season: 3, episode: 5, episodeEnd: null, title: 'The Title' });
+    assert.equal(parseEpisode('/tv/Show/Specials/Ep 1 Christmas.mkv').season, 0);
+  });
+
+  it('leaves movies alone', () => {
+    assert.equal(parseEpisode('/movies/2001 A Space Odyssey (1968)/2001.A.Space.Odyssey.1968.1080p.mkv'), null);
+    assert.equal(parseEpisode('/movies/Sample 1920x1080.mkv'), null);
+    assert.equal(parseEpisode('/movies/Alien 3.mkv'), null);
+    assert.equal(parseEpisode('/movies/Se7en.mkv'), null);
+  });
+});
+
+describe('ShowManager', () => {
+  let db;
+  let shows;
+  let progress;
+  let viewer;
+
+  before(async () => {
+    db = await createTestDatabase();
+    await new AuthManager(db).initializeUsersTable();
+    progress = new WatchProgressManager(db);
+    shows = new ShowManager(db, { watchProgress: progress });
+
+    const [result] = await db.connection.execute(
+      'INSERT INTO users (username, password_hash, is_enabled) VALUES (?, ?, TRUE)',
+      ['viewer', 'unused']
+    );
+    viewer = result.insertId;
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+  });
+
+  async function addVideo(filePath) {
+    const name = filePath.split('/').pop();
+    const [result] = await db.connection.execute(
+      'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+      [filePath, name, 1000, '.mkv']
+    );
+    await db.storeVideoMetadata(result.insertId, {
+      video: { duration: 1800 }, audio: {}, location: {}, episode: parseEpisode(filePath)
+    });
+    return result.insertId;
+  }
+
+  it('groups episodes into shows and seasons and keeps movies apart', async () => {
+    const e2 = await addVideo('/tv/Fargo/Season 1/Fargo.S01E02.mkv');
+    const e1 = await addVideo('/tv/Fargo/Season 1/Fargo.S01E01.mkv');
+    const s2 = await addVideo('/tv/Fargo/fargo.2x01.mkv');
+    await addVideo('/tv/Other/Other.S01E01.mkv');
+    const movie = await addVideo('/movies/Fargo (1996).mkv');
+
+    const { rows } = await shows.list(viewer);
+    assert.deepEqual(rows.map(show => [show.name, show.seasonCount, show.episodeCount]), [['Fargo', 2, 3], ['Other', 1, 1]]);
+
+    const show = await shows.get(rows[0].id, viewer);
+    assert.deepEqual(show.seasons.map(season => season.season), [1, 2]);
+    assert.deepEqual(show.seasons[0].episodes.map(episode => episode.id), [e1, e2]);
+    assert.equal(show.seasons[1].episodes[0].id, s2);
+    assert.equal(show.nextEpisode.id, e1);
+
+    const movies = await db.getVideosPage({ type: 'movie' });
+    assert.deepEqual(movies.rows.map(row => row.id), [movie]);
+    assert.equal((await db.getVideosPage({ type: 'episode' })).total, 4);
+  });
+
+  it('picks the next episode from the watch progress', async () => {
+    const { rows } = await shows.list(viewer, { search: 'farg' });
+    const [e1, e2, s2] = (await shows.get(rows[0].id, viewer)).seasons.flatMap(season => season.episodes).map(episode => episode.id);
+
+    await progress.record(viewer, e1, 1800, 1800);
+    let show = await shows.get(rows[0].id, viewer);
+    assert.equal(show.nextEpisode.id, e2);
+    assert.equal((await shows.list(viewer, { search: 'farg' })).rows[0].watchedCount, 1);
+
+    await progress.record(viewer, e2, 300, 1800);
+    show = await shows.get(rows[0].id, viewer);
+    assert.equal(show.nextEpisode.id, e2);
+    assert.equal(show.nextEpisode.progress.position, 300);
+
+    assert.equal((await shows.getNextEpisode(e2, viewer)).id, s2);
+    assert.equal(await shows.getNextEpisode(s2, viewer), null);
+  });
+
+  it('moves a file out of its show when it is no episode any more', async () => {
+    const id = await addVideo('/tv/Lonely/Lonely.S01E01.mkv');
+    const { rows } = await shows.list(viewer, { search: 'lonely' });
+    assert.equal(rows.length, 1);
+
+    await db.storeEpisode(id, null);
+    assert.deepEqual((await shows.list(viewer, { search: 'lonely' })).rows, []);
+    assert.equal(await shows.get(rows[0].id, viewer), null);
+    assert.equal(await db.removeEmptyShows(), 1);
+    assert.equal(await db.getShow(rows[0].id), null);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import sharp from 'sharp';
+import { SimilarPhotoFinder } from '../lib/similar.js';
+import { closeImages } from '../lib/images.js';
+import { createFixtureTree, removeFixture, writeHeicStandIn } from './helpers/fixtures.js';
+
+// A 320x240 test picture; different seeds give different pictures
+function picture(seed) {
+  const width = 320;
+  const height = 240;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      pixels[i] = (x * seed + y) % 256;
+      pixels[i + 1] = (Math.sin(x / (20 + seed)) * 127 + 128) | 0;
+      pixels[i + 2] = (y * 2 + seed * 30) % 256;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe('SimilarPhotoFinder', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'original.png': await picture(1).png().toBuffer(),
+      'small.jpg': await picture(1).resize(160, 120).jpeg({ quality: 60 }).toBuffer(),
+      'other.png': await picture(7).png().toBuffer()
+    });
+  });
+
+  after(async () => {
+    await closeImages();
+    await removeFixture(root);
+  });
+
+  it('gives resized and re-encoded copies nearly the same perceptual hash', async () => {
+    const finder = new SimilarPhotoFinder();
+    const original = await finder.calculatePerceptualHash(path.join(root, 'original.png'));
+    const small = await finder.calculatePerceptualHash(path.join(root, 'small.jpg'));
+    const other = await finder.calculatePerceptualHash(path.join(root, 'other.png'));
+
+    assert.match(original, /^[0-9a-f]{16}$/);
+    assert.ok(finder.hammingDistance(original, small) <= 4);
+    assert.ok(finder.hammingDistance(original, other) > 10);
+  });
+
+  it('hashes a HEIC photo from its embedded preview, turned upright', async () => {
+    // Stored sideways, as a phone held upright stores it, with orientation 6
+    const heic = path.join(root, 'phone.heic');
+    await writeHeicStandIn(heic, await picture(1).rotate(270).resize(120, 160).jpeg().toBuffer(), 6);
+
+    const finder = new SimilarPhotoFinder();
+    const original = await finder.calculatePerceptualHash(path.join(root, 'original.png'));
+    const phone = await finder.calculatePerceptualHash(heic);
+
+    assert.ok(finder.hammingDistance(original, phone) <= 6);
+  });
+
+  it('counts differing bits', () => {
+    const finder = new SimilarPhotoFinder();
+
+    assert.equal(finder.hammingDistance('0000000000000000', '0000000000000000'), 0);
+    assert.equal(finder.hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+    assert.equal(finder.hammingDistance('00000000000000f0', '0000000000000011'), 4);
+  });
+
+  it('groups photos within the threshold and ranks the best copy first', () => {
+    const photos = [
+      { path: '/p/thumb.jpg', size: 20000, width: 640, height: 480, format: 'jpeg', perceptual_hash: '00000000000000ff' },
+      { path: '/p/full.jpg', size: 900000, width: 4000, height: 3000, format: 'jpeg', camera_make: 'Canon', perceptual_hash: '00000000000000fe' },
+      { path: '/p/stripped.jpg', size: 800000, width: 4000, height: 3000, format: 'jpeg', perceptual_hash: '00000000000000fc' },
+      { path: '/p/unrelated.jpg', size: 500000, width: 4000, height: 3000, format: 'jpeg', perceptual_hash: 'ff00ff00ff00ff00' },
+      { path: '/p/unhashed.jpg', size: 500000, width: 4000, height: 3000, format: 'jpeg', perceptual_hash: null }
+    ];
+
+    const groups = new SimilarPhotoFinder({ threshold: 2 }).findSimilar(photos);
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].files.map(photo => photo.path), ['/p/full.jpg', '/p/stripped.jpg', '/p/thumb.jpg']);
+    assert.deepEqual(groups[0].files.map(photo => photo.distance), [0, 1, 1]);
+    assert.equal(groups[0].best.path, '/p/full.jpg');
+    assert.equal(groups[0].reclaimableSpace, 820000);
+  });
+
+  it('chains photos that are each close to another member', () => {
+    const photos = ['0000000000000000', '0000000000000003', '000000000000000f'].map((hash, index) => ({
+      path: `/p/${index}.jpg`, size: 1, perceptual_hash: hash
+    }));
+
+    assert.equal(new SimilarPhotoFinder({ threshold: 2 }).findSimilar(photos)[0].count, 3);
+    assert.deepEqual(new SimilarPhotoFinder({ threshold: 1 }).findSimilar(photos), []);
+  });
+
+  it('prefers lossless formats at the same resolution', () => {
+    const ranked = new SimilarPhotoFinder().rankByQuality([
+      { path: '/p/a.jpg', size: 300, width: 100, height: 100, format: 'jpeg' },
+      { path: '/p/a.png', size: 200, width: 100, height: 100, format: 'png' }
+    ]);
+
+    assert.equal(ranked[0].path, '/p/a.png');
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { parseSubtitleName, findSidecarSubtitles, toWebVtt } from '../lib/subtitles.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+const SRT = `1
+00:00:01,500 --> 00:00:03,000
+{\\an8}Hello
+
+2
+0:01:02,25 --> 0:01:04,000
+<i>World</i>
+`;
+
+const ASS = `[Script Info]
+Title: Test
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize
+Style: Default,Arial,20
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,Second, with a comma
+Comment: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Not shown
+Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\i1}First{\\i0}\\Nline & <more>
+`;
+
+describe('subtitles', () => {
+  let root;
+
+  before(async () => {
+    root = await createFixtureTree({
+      'movies/Movie.mkv': 'video',
+      'movies/Movie.srt': SRT,
+      'movies/Movie.eng.forced.srt': SRT,
+      'movies/Movie.French.ass': ASS,
+      'movies/Movie.Part2.en.srt': SRT,
+      'movies/Other.en.srt': SRT,
+      'movies/Movie.en.txt': 'notes'
+    });
+  });
+
+  after(async () => {
+    await removeFixture(root);
+  });
+
+  it('parses language and flags from sidecar names', () => {
+    assert.deepEqual(parseSubtitleName('Movie', 'Movie.eng.forced.srt'),
+      { language: 'en', format: 'srt', forced: true, label: 'English (Forced)' });
+    assert.equal(parseSubtitleName('Movie', 'movie.pt_BR.VTT').language, 'pt-BR');
+    assert.equal(parseSubtitleName('Movie', 'Movie.hi.srt').label, 'Hindi');
+    assert.equal(parseSubtitleName('Movie', 'Movie.en.hi.srt').label, 'English (SDH)');
+    assert.equal(parseSubtitleName('Movie', 'Movie.srt').label, 'Unknown language');
+
+    assert.equal(parseSubtitleName('Movie', 'Movie.Part2.en.srt'), null);
+    assert.equal(parseSubtitleName('Movie', 'Movies.en.srt'), null);
+    assert.equal(parseSubtitleName('Movie', 'Movie.en.sub'), null);
+  });
+
+  it('finds the sidecars of a video and no others', async () => {
+    const subtitles = await findSidecarSubtitles(path.join(root, 'movies/Movie.mkv'));
+
+    assert.deepEqual(subtitles.map(subtitle => path.basename(subtitle.path)),
+      ['Movie.French.ass', 'Movie.eng.forced.srt', 'Movie.srt']);
+    assert.deepEqual(subtitles.map(subtitle => subtitle.language), ['fr', 'en', null]);
+    assert.deepEqual(await findSidecarSubtitles(path.join(root, 'missing/Movie.mkv')), []);
+  });
+
+  it('converts SRT to WebVTT', () => {
+    const vtt = toWebVtt(Buffer.from(`\uFEFF${SRT.replace(/\n/g, '\r\n')}`), 'srt');
+
+    assert.equal(vtt, 'WEBVTT\n\n1\n00:00:01.500 --> 00:00:03.000\nHello\n\n2\n00:01:02.250 --> 00:01:04.000\n<i>World</i>\n');
+  });
+
+  it('converts ASS dialogue to WebVTT cues in time order', () => {
+    const vtt = toWebVtt(Buffer.from(ASS), 'ass');
+
+    assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<i>First</i>\nline &amp; &lt;more&gt;\n\n'
+      + '00:00:05.000 --> 00:00:06.500\nSecond, with a comma\n');
+  });
+
+  it('decodes Windows-1252 subtitles and keeps WebVTT as it is', () => {
+    const latin1 = Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nCaf\xe9\n', 'latin1');
+
+    assert.match(toWebVtt(latin1, 'vtt'), /^WEBVTT\n\n.*\nCafé\n$/s);
+    assert.throws(() => toWebVtt(Buffer.from(''), 'sub'), /Unsupported subtitle format "sub"/);
+  });
+
+  it('stores the subtitles of a video with its metadata', async () => {
+    const db = await createTestDatabase();
+    try {
+      const [result] = await db.connection.execute(
+        'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+        [path.join(root, 'movies/Movie.mkv'), 'Movie.mkv', 5, '.mkv']
+      );
+      const fileId = result.insertId;
+      const subtitles = await findSidecarSubtitles(path.join(root, 'movies/Movie.mkv'));
+
+      await db.storeVideoMetadata(fileId, { video: {}, audio: {}, location: {}, subtitles });
+      let rows = await db.getVideoSubtitles(fileId);
+      assert.deepEqual(rows.map(row => row.label), ['English (Forced)', 'French', 'Unknown language']);
+      assert.ok(rows[0].forced);
+
+      const stored = await db.getSubtitle(rows[1].id);
+      assert.equal(stored.path, path.join(root, 'movies/Movie.French.ass'));
+      assert.equal(stored.format, 'ass');
+
+      // A new extraction replaces what was found before
+      await db.replaceVideoSubtitles(fileId, subtitles.slice(0, 1));
+      rows = await db.getVideoSubtitles(fileId);
+      assert.deepEqual(rows.map(row => row.label), ['French']);
+      assert.deepEqual((await db.getVideoFiles()).map(file => file.id), [fileId]);
+    } finally {
+      await db.close();
+      await removeFixture(db.tempDir);
+    }
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { parseFile } from 'music-metadata';
+import { TagEditor, parseTagValues, toFileTags } from '../lib/tag-editor.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+// An MP4 box: 32-bit size, type and body
+const box = (type, ...parts) => {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4);
+  return Buffer.concat([header, body]);
+};
+
+// The smallest M4A exiftool writes iTunes tags into: a file type box and a
+// movie header, without any audio
+function emptyM4a() {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(180000, 16);
+  mvhd.writeUInt32BE(0x00010000, 20);
+  mvhd.writeUInt16BE(0x0100, 24);
+  [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].forEach((value, index) => mvhd.writeUInt32BE(value, 36 + index * 4));
+  mvhd.writeUInt32BE(2, 96);
+
+  return Buffer.concat([
+    box('ftyp', Buffer.from('M4A '), Buffer.from([0, 0, 2, 0]), Buffer.from('M4A mp42isom')),
+    box('moov', box('mvhd', mvhd)),
+    box('mdat', Buffer.alloc(16))
+  ]);
+}
+
+describe('parseTagValues and toFileTags', () => {
+  it('checks tag names and values', () => {
+    assert.deepEqual(parseTagValues({ artist: ' Blur ', year: '1994', genre: '' }), { artist: 'Blur', year: 1994, genre: null });
+    assert.throws(() => parseTagValues({ rating: 5 }), /Unknown tag "rating"/);
+    assert.throws(() => parseTagValues({ track_number: '3a' }), /track_number must be a whole number/);
+    assert.throws(() => parseTagValues({ title: 'x' }, { album: true }), /title can only be edited on single tracks/);
+    assert.throws(() => parseTagValues({}), /No tags to change/);
+    assert.throws(() => parseTagValues(['title']), /Tags must be an object/);
+  });
+
+  it('combines track and disc numbers with their totals', () => {
+    const track = { title: 'Girls & Boys', track_number: 1, track_total: 15, disk_number: 1, disk_total: null, year: 1994 };
+    assert.deepEqual(toFileTags(track, ['title', 'track_total', 'disk_number', 'year']), {
+      Title: 'Girls & Boys',
+      TrackNumber: '1 of 15',
+      DiskNumber: '1',
+      'ContentCreateDate#': '1994'
+    });
+    assert.deepEqual(toFileTags({ album: null }, ['album']), { Album: null });
+  });
+});
+
+describe('TagEditor', () => {
+  let db;
+  let root;
+  let editor;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'Parklife/01.m4a': emptyM4a(),
+      'Parklife/02.m4a': emptyM4a(),
+      'Mixed/01.m4a': emptyM4a(),
+      'Mixed/02.mp3': 'not writable by exiftool'
+    });
+    editor = new TagEditor(db);
+
+    for (const [relativePath, album, trackNumber] of [['Parklife/01.m4a', 'Parklfie', 1], ['Parklife/02.m4a', 'Parklfie', 2], ['Mixed/01.m4a', 'Mixed', 1], ['Mixed/02.mp3', 'Mixed', 2]]) {
+      const filePath = path.join(root, relativePath);
+      const [result] = await db.connection.execute(
+        'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+        [filePath, path.basename(filePath), 100, path.extname(filePath)]
+      );
+      await db.storeMusicMetadata(result.insertId, {
+        track: { title: `Track ${trackNumber}`, artist: 'Blur', album, trackNumber, trackTotal: 2 },
+        format: {}
+      });
+    }
+  });
+
+  after(async () => {
+    await editor.close();
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const albumId = async name => (await db.getMusicAlbumsPage({ search: name })).rows[0].id;
+  const trackAt = async relativePath => (await db.getMusicTags({ path: path.join(root, relativePath) }))[0];
+
+  it('writes the tags of a whole album into its files and the database', async () => {
+    const result = await editor.editAlbum(await albumId('Parklfie'), { album: 'Parklife', year: 1994 }, { userId: 7 });
+
+    assert.equal(result.changes.length, 4);
+    for (const relativePath of ['Parklife/01.m4a', 'Parklife/02.m4a']) {
+      const { common } = await parseFile(path.join(root, relativePath));
+      assert.equal(common.album, 'Parklife');
+      assert.equal(common.year, 1994);
+      assert.equal((await trackAt(relativePath)).album, 'Parklife');
+    }
+
+    const [edit] = await db.getMusicTagEdits();
+    assert.equal(edit.id, result.editId);
+    assert.equal(edit.description, 'Album Parklfie');
+    assert.equal(Number(edit.fileCount), 2);
+  });
+
+  it('keeps the other half of track numbers and skips unchanged values', async () => {
+    const track = await trackAt('Parklife/02.m4a');
+    const result = await editor.editTrack(track.id, { title: 'Tracy Jacks', artist: 'Blur' });
+
+    assert.deepEqual(result.changes.map(change => change.field), ['title']);
+    const { common } = await parseFile(track.path);
+    assert.equal(common.title, 'Tracy Jacks');
+
+    await editor.editTrack(track.id, { track_number: 2 });
+    assert.deepEqual((await editor.editTrack(track.id, { track_number: 2 })).editId, null);
+    await editor.editTrack(track.id, { track_total: 16 });
+    assert.deepEqual((await parseFile(track.path)).common.track, { no: 2, of: 16 });
+    assert.equal(await editor.editTrack(9999, { title: 'x' }), null);
+  });
+
+  it('changes nothing when one file of an edit cannot be written', async () => {
+    await assert.rejects(
+      editor.editAlbum(await albumId('Mixed'), { artist: 'Gorillaz' }),
+      /Could not write tags to .*02\.mp3/
+    );
+
+    assert.equal((await trackAt('Mixed/01.m4a')).artist, 'Blur');
+    assert.equal((await trackAt('Mixed/02.mp3')).artist, 'Blur');
+    assert.equal((await parseFile(path.join(root, 'Mixed/01.m4a'))).common.artist, 'Blur');
+  });
+
+  it('undoes edits in reverse order', async () => {
+    const albumEdit = (await db.getMusicTagEdits()).find(edit => edit.description === 'Album Parklfie');
+    const track = await trackAt('Parklife/01.m4a');
+    await editor.editTrack(track.id, { year: 1995 });
+    assert.match(await editor.checkUndo(await db.getMusicTagEdit(albumEdit.id)), /year of .*01\.m4a was changed after edit/);
+
+    const [latest] = await db.getMusicTagEdits();
+    await editor.undo(await db.getMusicTagEdit(latest.id));
+    const undo = await editor.undo(await db.getMusicTagEdit(albumEdit.id), { userId: 7 });
+
+    assert.equal((await trackAt('Parklife/01.m4a')).album, 'Parklfie');
+    assert.equal((await trackAt('Parklife/01.m4a')).year, null);
+    assert.equal((await parseFile(track.path)).common.album, 'Parklfie');
+    assert.equal((await parseFile(track.path)).common.year, undefined);
+
+    const undone = await db.getMusicTagEdit(albumEdit.id);
+    assert.ok(undone.undone_at);
+    assert.equal((await db.getMusicTagEdit(undo.editId)).undo_of, albumEdit.id);
+    await assert.rejects(editor.undo(undone), /was already undone/);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import iconv from 'iconv-lite';
+import { TagEncodingRepairer, looksMisdecoded, toLegacyBytes, decodeCandidates } from '../lib/tag-encoding.js';
+import { createTestDatabase, removeFixture } from './helpers/fixtures.js';
+
+// What a tag written in `encoding` looks like when it is read as Latin-1
+const misdecode = (text, encoding) => [...iconv.encode(text, encoding)].map(byte => String.fromCharCode(byte)).join('');
+
+describe('looksMisdecoded and decodeCandidates', () => {
+  it('flags runs of Latin-1 characters but not Western names', () => {
+    assert.ok(looksMisdecoded('Äêªd'));
+    assert.ok(looksMisdecoded(misdecode('Привет', 'cp1251')));
+    for (const text of ['Beyoncé', 'Motörhead', 'Don’t Stop', 'Sigur Rós – Hoppípolla', 'ASCII only', '爛泥', '']) {
+      assert.equal(looksMisdecoded(text), false, text);
+    }
+  });
+
+  it('recovers the bytes of Latin-1 and Windows-1252 text', () => {
+    assert.deepEqual(toLegacyBytes('A€é'), Buffer.from([0x41, 0x80, 0xe9]));
+    assert.equal(toLegacyBytes('爛'), null);
+    assert.deepEqual(decodeCandidates('Ã©', ['utf-8', 'cp1251']), [
+      { encoding: 'utf-8', text: 'é' },
+      { encoding: 'cp1251', text: 'Г©' }
+    ]);
+  });
+});
+
+describe('TagEncodingRepairer', () => {
+  let repairer;
+
+  before(() => {
+    repairer = new TagEncodingRepairer();
+  });
+
+  after(async () => {
+    await repairer.close();
+  });
+
+  it('picks the encoding a tag was written in', async () => {
+    const samples = [
+      ['爛泥', 'big5'],
+      ['五月天', 'big5'],
+      ['周杰伦 - 稻香', 'gbk'],
+      ['我爱你中国', 'gbk'],
+      ['宇多田ヒカル', 'shift_jis'],
+      ['Live at 武道館', 'shift_jis'],
+      ['Кино - Группа крови', 'cp1251'],
+      ['東京事変', 'utf-8'],
+      ['Beyoncé', 'utf-8']
+    ];
+
+    for (const [text, encoding] of samples) {
+      const repaired = await repairer.repair(misdecode(text, encoding));
+      assert.equal(repaired?.text, text, `${text} in ${encoding}`);
+      assert.equal(repaired.encoding, encoding);
+    }
+  });
+
+  it('leaves correct tags alone', async () => {
+    for (const text of ['Größe', 'Señor ¿Qué?', 'Blue Öyster Cult', '爛泥', 'Mañana • Live']) {
+      assert.equal(await repairer.repair(text), null, text);
+    }
+  });
+
+  it('only tries the chosen encodings', async () => {
+    assert.throws(() => new TagEncodingRepairer({ encodings: ['ebcdic'] }), /Unknown encoding "ebcdic"/);
+
+    const cyrillicOnly = new TagEncodingRepairer({ encodings: ['cp1251'] });
+    assert.equal(await cyrillicOnly.repair(misdecode('我爱你中国', 'gbk')), null);
+    await cyrillicOnly.close();
+  });
+
+  it('repairs the tags and file name of a stored track', async () => {
+    const db = await createTestDatabase();
+    try {
+      const [result] = await db.connection.execute(
+        'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+        [`/music/06-${misdecode('爛泥', 'big5')}.mp3`, `06-${misdecode('爛泥', 'big5')}.mp3`, 100, '.mp3']
+      );
+      await db.storeMusicMetadata(result.insertId, {
+        track: { title: misdecode('爛泥', 'big5'), artist: misdecode('周杰伦', 'gbk'), album: 'Café del Mar' },
+        format: {}
+      });
+
+      const [track] = await db.getMusicTags({ id: result.insertId });
+      const repairs = await repairer.repairTrack(track);
+      assert.deepEqual(repairs.map(repair => [repair.field, repair.to]), [
+        ['title', '爛泥'], ['artist', '周杰伦'], ['name', '06-爛泥.mp3']
+      ]);
+
+      await db.updateMusicTags(track.id, { title: '爛泥', artist: '周杰伦', path: 'ignored' });
+      await db.renameFile(track.id, '/music/06-爛泥.mp3');
+      const [updated] = await db.getMusicTags({ path: '/music/06-爛泥.mp3' });
+      assert.deepEqual([updated.name, updated.title, updated.artist, updated.album], ['06-爛泥.mp3', '爛泥', '周杰伦', 'Café del Mar']);
+    } finally {
+      await db.close();
+      await removeFixture(db.tempDir);
+    }
+  });
+});
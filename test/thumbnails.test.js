@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { FileScanner } from '../lib/scanner.js';
+import { ThumbnailCache } from '../lib/thumbnails.js';
+import { closeImages } from '../lib/images.js';
+import { createFixtureTree, removeFixture, createTestDatabase, writeHeicStandIn } from './helpers/fixtures.js';
+
+const solid = (width, height, channels, background) =>
+  sharp({ create: { width, height, channels, background } });
+
+describe('ThumbnailCache', () => {
+  let db;
+  let root;
+  let thumbnails;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'photo.jpg': await solid(1200, 600, 3, '#336699').jpeg().toBuffer(),
+      'logo.png': await solid(100, 100, 4, { r: 0, g: 0, b: 0, alpha: 0.5 }).png().toBuffer(),
+      'notes.txt': 'not an image'
+    });
+    // Stored sideways with orientation 6, as a phone held upright stores it
+    await writeHeicStandIn(path.join(root, 'phone.heic'), await solid(150, 100, 3, '#993366').jpeg().toBuffer(), 6);
+
+    const scanId = await db.createScanSession(root);
+    await db.storeFilesBatch(await new FileScanner().scanDirectory(root), scanId);
+
+    thumbnails = new ThumbnailCache(db, {
+      directory: path.join(db.tempDir, 'thumbnails'),
+      sizes: { small: 200, large: 800 }
+    });
+  });
+
+  after(async () => {
+    await closeImages();
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const row = name => db.getFileByPath(path.join(root, name));
+
+  it('creates every size within its bounds and stores the content hash', async () => {
+    const photo = await row('photo.jpg');
+    assert.equal(photo.hash, null);
+
+    const small = await thumbnails.getThumbnail(photo, 'small');
+    assert.match(small, /-small\.jpg$/);
+    assert.deepEqual(await sharp(small).metadata().then(({ width, height }) => [width, height]), [200, 100]);
+
+    const stored = await row('photo.jpg');
+    assert.ok(stored.hash);
+    assert.ok(path.basename(small).startsWith(stored.hash));
+    assert.ok(await thumbnails.findCached(stored.hash, 'large'));
+  });
+
+  it('serves cached thumbnails without creating them again', async () => {
+    const photo = await row('photo.jpg');
+    const first = await thumbnails.getThumbnail(photo, 'large');
+    const { mtimeMs } = await fs.stat(first);
+
+    const again = await thumbnails.getThumbnail(photo, 'large');
+    assert.equal(again, first);
+    assert.equal((await fs.stat(again)).mtimeMs, mtimeMs);
+  });
+
+  it('never enlarges small images and keeps transparency as WebP', async () => {
+    const logo = await thumbnails.getThumbnail(await row('logo.png'), 'large');
+    const metadata = await sharp(logo).metadata();
+
+    assert.match(logo, /-large\.webp$/);
+    assert.equal(metadata.width, 100);
+    assert.equal(metadata.hasAlpha, true);
+  });
+
+  it('creates thumbnails of HEIC photos from their embedded preview', async () => {
+    const small = await thumbnails.getThumbnail(await row('phone.heic'), 'small');
+
+    assert.match(small, /-small\.jpg$/);
+    assert.deepEqual(await sharp(small).metadata().then(({ width, height }) => [width, height]), [100, 150]);
+  });
+
+  it('rejects unknown sizes and unreadable images', async () => {
+    await assert.rejects(thumbnails.getThumbnail(await row('photo.jpg'), 'huge'), /Unknown thumbnail size/);
+    await assert.rejects(thumbnails.getThumbnail(await row('notes.txt'), 'small'));
+  });
+
+  it('removes thumbnails whose source rows are gone', async () => {
+    const logo = await row('logo.png');
+    const logoThumbnail = await thumbnails.getThumbnail(logo, 'small');
+    const photoThumbnail = await thumbnails.getThumbnail(await row('photo.jpg'), 'small');
+    await db.markFilesDeleted([logo.id]);
+
+    const dryRun = await thumbnails.cleanup(true);
+    assert.equal(dryRun.removed, 2);
+    await fs.access(logoThumbnail);
+
+    const result = await thumbnails.cleanup();
+    assert.equal(result.removed, 2);
+    await assert.rejects(fs.access(logoThumbnail));
+    await fs.access(photoThumbnail);
+  });
+});
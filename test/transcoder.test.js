@@ -0,0 +1,172 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { Transcoder } from '../lib/transcoder.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+// Stands in for ffmpeg: echoes its arguments and the input file, fails on
+// "broken" inputs and never finishes "slow" ones
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args[0] === '-version') {
+  console.log('ffmpeg version 6.0');
+  process.exit(0);
+}
+const input = args[args.indexOf('-i') + 1];
+if (input.includes('broken')) {
+  console.error('Invalid data found when processing input');
+  process.exit(1);
+} else if (input.includes('slow')) {
+  process.stdout.write('partial');
+  setInterval(() => {}, 1000);
+} else {
+  process.stdout.write(args.join(' ') + '\\n' + fs.readFileSync(input));
+}
+`;
+
+describe('Transcoder', () => {
+  let db;
+  let root;
+  let ffmpegPath;
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'bin/ffmpeg': FAKE_FFMPEG,
+      'music/song.wma': 'wma audio',
+      'music/broken.wma': 'not audio',
+      'music/slow.wma': 'long audio',
+      'movies/film.mkv': 'mkv video'
+    });
+    ffmpegPath = path.join(root, 'bin/ffmpeg');
+    await fs.chmod(ffmpegPath, 0o755);
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const createTranscoder = (options = {}) => new Transcoder(db, {
+    enabled: true,
+    ffmpegPath,
+    directory: path.join(root, 'cache'),
+    ...options
+  });
+
+  async function addFile(relativePath) {
+    const filePath = path.join(root, relativePath);
+    const [result] = await db.connection.execute(
+      'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+      [filePath, path.basename(filePath), 10, path.extname(filePath)]
+    );
+    return await db.getFileById(result.insertId);
+  }
+
+  const read = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  };
+
+  it('checks that transcoding is enabled and ffmpeg runs', async () => {
+    assert.equal(await createTranscoder({ enabled: false }).isAvailable(), false);
+    assert.equal(await createTranscoder({ ffmpegPath: path.join(root, 'missing') }).isAvailable(), false);
+    assert.equal(await createTranscoder().isAvailable(), true);
+  });
+
+  it('tells which files browsers cannot play and builds ffmpeg arguments', () => {
+    const transcoder = createTranscoder({ profiles: { audio: { tiny: { bitrate: 32 } } } });
+
+    assert.ok(transcoder.needsTranscoding('/music/a.WMA', 'audio'));
+    assert.ok(!transcoder.needsTranscoding('/music/a.flac', 'audio'));
+    assert.ok(transcoder.needsTranscoding('/movies/a.mkv', 'video'));
+    assert.ok(!transcoder.needsTranscoding('/movies/a.mp4', 'video'));
+
+    assert.deepEqual(transcoder.getQualities('audio'), ['high', 'medium', 'low', 'tiny']);
+    const audio = transcoder.buildArgs('/music/a.wma', 'audio', 'tiny');
+    assert.deepEqual(audio.slice(audio.indexOf('-b:a'), audio.indexOf('-b:a') + 2), ['-b:a', '32k']);
+    assert.equal(audio.at(-1), 'pipe:1');
+
+    const video = transcoder.buildArgs('/movies/a.mkv', 'video', 'medium');
+    assert.ok(video.includes("scale=-2:'min(720,ih)'"));
+    assert.ok(video.includes('2500k'));
+  });
+
+  it('streams a transcode and serves it from the cache afterwards', async () => {
+    const transcoder = createTranscoder();
+    const file = await addFile('music/song.wma');
+
+    const live = await transcoder.open(file, 'audio', 'low');
+    assert.equal(live.contentType, 'audio/mpeg');
+    assert.match(await read(live.stream), /-b:a 64k -f mp3 pipe:1\nwma audio$/);
+    assert.equal(await live.done, null);
+
+    // The file was hashed for the cache key
+    const { hash } = await db.getFileById(file.id);
+    assert.ok(hash);
+
+    const cached = await transcoder.open(file, 'audio', 'low');
+    assert.equal(cached.path, transcoder.getCachePath(hash, 'audio', 'low'));
+    assert.match(await fs.readFile(cached.path, 'utf8'), /wma audio$/);
+
+    await assert.rejects(transcoder.open(file, 'audio', 'lossless'), /Unknown audio quality "lossless"/);
+  });
+
+  it('reports a failed transcode and caches nothing', async () => {
+    const transcoder = createTranscoder();
+    const file = await addFile('music/broken.wma');
+
+    const live = await transcoder.open(file, 'audio', 'high');
+    await read(live.stream);
+    assert.equal(await live.done, 'Invalid data found when processing input');
+
+    const again = await transcoder.open(file, 'audio', 'high');
+    assert.ok(again.stream, 'not cached');
+    await read(again.stream);
+    await again.done;
+  });
+
+  it('stops a cancelled transcode and limits running transcodes', async () => {
+    const transcoder = createTranscoder({ maxProcesses: 1 });
+    const slow = await addFile('music/slow.wma');
+    const film = await addFile('movies/film.mkv');
+
+    const live = await transcoder.open(slow, 'audio', 'medium');
+    const [first] = await live.stream.take(1).toArray();
+    assert.equal(first.toString(), 'partial');
+    assert.equal(await transcoder.open(film, 'video', 'low'), null);
+
+    live.cancel();
+    assert.equal(await live.done, 'Cancelled');
+    assert.equal(transcoder.active, 0);
+    await assert.rejects(fs.access(transcoder.getCachePath(slow.hash, 'audio', 'medium')));
+
+    const video = await transcoder.open(film, 'video', 'low');
+    assert.equal(video.contentType, 'video/mp4');
+    assert.match(await read(video.stream), /frag_keyframe.*mkv video$/s);
+    assert.equal(await video.done, null);
+  });
+
+  it('prunes the least recently used transcodes beyond the cache size', async () => {
+    const directory = path.join(root, 'pruned');
+    const transcoder = createTranscoder({ directory, maxCacheSizeMB: 25 / (1024 * 1024) });
+
+    const files = ['aa/old.mp3', 'aa/used.mp3', 'bb/new.mp4'];
+    for (const [i, name] of files.entries()) {
+      await fs.mkdir(path.join(directory, path.dirname(name)), { recursive: true });
+      await fs.writeFile(path.join(directory, name), '0123456789');
+      const time = new Date(Date.now() - (10 - i) * 60000);
+      await fs.utimes(path.join(directory, name), time, time);
+    }
+
+    assert.deepEqual(await transcoder.pruneCache(), { removed: 1, bytes: 10 });
+    await assert.rejects(fs.access(path.join(directory, 'aa/old.mp3')));
+    await fs.access(path.join(directory, 'bb/new.mp4'));
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuthManager } from '../lib/auth.js';
+import { WatchProgressManager } from '../lib/watch-progress.js';
+import { createTestDatabase, removeFixture } from './helpers/fixtures.js';
+
+describe('WatchProgressManager', () => {
+  let db;
+  let progress;
+  let viewer;
+  let other;
+
+  before(async () => {
+    db = await createTestDatabase();
+    await new AuthManager(db).initializeUsersTable();
+    progress = new WatchProgressManager(db, { watchedPercent: 90 });
+
+    [viewer, other] = await Promise.all(['viewer', 'other'].map(async username => {
+      const [result] = await db.connection.execute(
+        'INSERT INTO users (username, password_hash, is_enabled) VALUES (?, ?, TRUE)',
+        [username, 'unused']
+      );
+      return result.insertId;
+    }));
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+  });
+
+  async function addMovie(name, duration) {
+    const [result] = await db.connection.execute(
+      'INSERT INTO scanned_files (path, name, size, extension) VALUES (?, ?, ?, ?)',
+      [`/movies/${name}`, name, 1000, '.mp4']
+    );
+    await db.connection.execute('INSERT INTO video_metadata (file_id, title, duration) VALUES (?, ?, ?)',
+      [result.insertId, name, duration]);
+    return result.insertId;
+  }
+
+  it('saves and updates a position per user', async () => {
+    const id = await addMovie('saved.mp4', 6000);
+
+    assert.equal(await progress.get(viewer, id), null);
+    let saved = await progress.record(viewer, id, 120, 6000);
+    assert.deepEqual({ ...saved, updatedAt: undefined }, { position: 120, duration: 6000, watched: false, updatedAt: undefined });
+
+    saved = await progress.record(viewer, id, 600.5);
+    assert.equal(saved.position, 600.5);
+    // Without a duration from the player the metadata's is used
+    assert.equal(saved.duration, 6000);
+    assert.equal(await progress.get(other, id), null);
+  });
+
+  it('marks a movie watched past the threshold and starts it over', async () => {
+    const id = await addMovie('finished.mp4', 1000);
+
+    let saved = await progress.record(viewer, id, 899, 1000);
+    assert.ok(!saved.watched);
+    saved = await progress.record(viewer, id, 900, 1000);
+    assert.ok(saved.watched);
+    assert.equal(saved.position, 0);
+
+    // Marked unwatched by hand
+    saved = await progress.record(viewer, id, 0, null, false);
+    assert.ok(!saved.watched);
+  });
+
+  it('lists unfinished movies most recently watched first', async () => {
+    const first = await addMovie('first.mp4', 3000);
+    const second = await addMovie('second.mp4', 3000);
+    const done = await addMovie('done.mp4', 3000);
+    await progress.record(other, first, 100, 3000);
+    await progress.record(other, second, 200, 3000);
+    await progress.record(other, done, 3000, 3000);
+    await db.connection.execute("UPDATE watch_progress SET updated_at = '2020-01-01 00:00:00' WHERE file_id = ?", [second]);
+
+    const movies = await progress.continueWatching(other);
+    assert.deepEqual(movies.map(movie => movie.name), ['first.mp4', 'second.mp4']);
+    assert.equal(movies[1].progress.position, 200);
+    assert.equal(movies[1].duration, 3000);
+
+    assert.deepEqual((await progress.list(other, { watched: true })).map(movie => movie.name), ['done.mp4']);
+    assert.equal((await progress.getForFiles(other, [first, done, 9999])).size, 2);
+
+    // Deleted files drop out
+    await db.markFilesDeleted([first]);
+    assert.deepEqual((await progress.continueWatching(other)).map(movie => movie.name), ['second.mp4']);
+  });
+
+  it('clears one movie or everything of one user', async () => {
+    const id = await addMovie('cleared.mp4', 3000);
+    await progress.record(viewer, id, 10, 3000);
+    await progress.record(other, id, 10, 3000);
+
+    assert.equal(await progress.clear(viewer, id), 1);
+    assert.equal(await progress.get(viewer, id), null);
+    assert.ok(await progress.get(other, id));
+
+    assert.ok(await progress.clear(other) > 1);
+    assert.deepEqual(await progress.list(other), []);
+    assert.ok((await progress.list(viewer)).length > 0);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { FileWatcher } from '../lib/watcher.js';
+import { createFixtureTree, removeFixture, createTestDatabase } from './helpers/fixtures.js';
+
+describe('FileWatcher', () => {
+  let db;
+  let root;
+  let watcher;
+  const events = [];
+
+  before(async () => {
+    db = await createTestDatabase();
+    root = await createFixtureTree({
+      'a.txt': 'alpha',
+      'album/01.mp3': 'one',
+      'album/02.mp3': 'two'
+    });
+    watcher = new FileWatcher(db, { debounceMs: 50, maxWaitMs: 200 });
+    watcher.scanId = await db.createScanSession(root, 'watch');
+    for (const type of ['added', 'changed', 'removed']) {
+      watcher.on(type, entry => events.push([type, path.relative(root, entry.path)]));
+    }
+  });
+
+  after(async () => {
+    await db.close();
+    await removeFixture(db.tempDir);
+    await removeFixture(root);
+  });
+
+  const live = async relativePath => Boolean(await db.getFileByPath(path.join(root, relativePath)));
+
+  it('adds new files and every file of a new directory', async () => {
+    events.length = 0;
+    await watcher.applyPath(path.join(root, 'a.txt'));
+    await watcher.applyPath(path.join(root, 'album'));
+
+    assert.deepEqual(events.sort(), [['added', 'a.txt'], ['added', 'album/01.mp3'], ['added', 'album/02.mp3']]);
+    assert.deepEqual(watcher.changes, { added: 3, changed: 0, removed: 0 });
+  });
+
+  it('updates changed files and ignores untouched ones', async () => {
+    events.length = 0;
+    await fs.writeFile(path.join(root, 'a.txt'), 'alpha, changed');
+    await watcher.applyPath(path.join(root, 'a.txt'));
+    await watcher.applyPath(path.join(root, 'album/01.mp3'));
+
+    assert.deepEqual(events, [['changed', 'a.txt']]);
+    assert.equal(Number((await db.getFileByPath(path.join(root, 'a.txt'))).size), 14);
+  });
+
+  it('marks a vanished file or directory as removed', async () => {
+    events.length = 0;
+    await fs.rm(path.join(root, 'a.txt'));
+    await fs.rm(path.join(root, 'album'), { recursive: true });
+    await watcher.applyPath(path.join(root, 'a.txt'));
+    await watcher.removePath(path.join(root, 'album'));
+
+    assert.deepEqual(events, [['removed', 'a.txt'], ['removed', 'album']]);
+    assert.equal(watcher.changes.removed, 3);
+    assert.equal(await live('album/01.mp3'), false);
+  });
+
+  it('flushes after maxWaitMs while events keep arriving', async () => {
+    events.length = 0;
+    await fs.writeFile(path.join(root, 'busy.log'), 'line');
+
+    // Events every 20ms never leave the 50ms debounce delay quiet
+    const started = Date.now();
+    while (events.length === 0 && Date.now() - started < 2000) {
+      watcher.queuePath(path.join(root, 'busy.log'));
+      await sleep(20);
+    }
+    clearTimeout(watcher.debounceTimer);
+    clearTimeout(watcher.maxWaitTimer);
+    await watcher.tasks;
+
+    assert.deepEqual(events, [['added', 'busy.log']]);
+    assert.ok(Date.now() - started < 1000);
+  });
+});